@@ -0,0 +1,224 @@
+/**
+ * AuthPanel - Cuenta y Acceso al Viaje
+ *
+ * Tarjeta de la vista de Planificación con la sesión actual y el rol en
+ * el viaje activo. Permite convertir la sesión anónima en una cuenta
+ * (Google o enlace por email) para usar los mismos viajes en otros
+ * dispositivos, y cerrar sesión.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import { authConfig } from '../config/firebaseConfig.js';
+
+const ROLE_LABELS = {
+    owner: { label: 'Dueño', color: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-200' },
+    editor: { label: 'Editor', color: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200' },
+    viewer: { label: 'Lector', color: 'bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-200' }
+};
+
+export class AuthPanel {
+    constructor() {
+        this.container = null;
+        this.message = '';
+
+        stateManager.subscribe('auth.user', () => this.refresh());
+        stateManager.subscribe('auth.tripRole', () => this.refresh());
+        stateManager.subscribe('auth.invite', () => this.refresh());
+
+        Logger.init('🔐 AuthPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        container.innerHTML = this.buildHTML();
+
+        if (!container.dataset.authListeners) {
+            container.dataset.authListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('🔐 Auth panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.container.innerHTML = this.buildHTML();
+        }
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        if (!authConfig.enableAuth) {
+            return '<p class="text-sm text-slate-600 dark:text-slate-400">La autenticación está desactivada: cualquiera con el enlace puede ver y editar los datos.</p>';
+        }
+
+        const user = stateManager.getState('auth.user');
+        const role = stateManager.getState('auth.tripRole');
+        const roleInfo = ROLE_LABELS[role];
+
+        if (!user) {
+            return `
+                <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">Sin sesión: los datos se guardan solo en este dispositivo.</p>
+                ${this.buildSignInHTML()}
+            `;
+        }
+
+        const name = user.isAnonymous ? 'Sesión anónima' : (user.displayName || user.email);
+        const invite = stateManager.getState('auth.invite');
+
+        return `
+            <div class="flex flex-wrap items-center gap-3 mb-4">
+                <span class="material-symbols-outlined text-3xl text-slate-500 dark:text-slate-400">${user.isAnonymous ? 'person_outline' : 'account_circle'}</span>
+                <div class="flex-1 min-w-0">
+                    <p class="font-medium text-slate-900 dark:text-white truncate">${this.escape(name)}</p>
+                    ${user.email && user.displayName ? `<p class="text-xs text-slate-500 dark:text-slate-400 truncate">${this.escape(user.email)}</p>` : ''}
+                </div>
+                ${roleInfo
+                    ? `<span class="px-2 py-1 rounded-full text-xs font-medium ${roleInfo.color}">${roleInfo.label} de este viaje</span>`
+                    : '<span class="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-200">Sin acceso a este viaje</span>'}
+                ${!user.isAnonymous ? `
+                    <button type="button" data-auth-action="sign-out" class="px-3 py-2 text-sm text-slate-600 dark:text-slate-300 hover:text-red-600 flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">logout</span>Cerrar sesión
+                    </button>
+                ` : ''}
+            </div>
+
+            ${invite ? `
+                <p class="text-sm mb-4 ${invite.error ? 'text-red-700 dark:text-red-300' : 'text-green-700 dark:text-green-300'}">
+                    ${invite.error
+                        ? `❌ No se pudo usar la invitación: ${this.escape(invite.error)}`
+                        : `✅ Te has unido al viaje como ${ROLE_LABELS[invite.role]?.label.toLowerCase() || invite.role}.`}
+                </p>
+            ` : ''}
+
+            ${!roleInfo ? `
+                <p class="text-sm text-red-700 dark:text-red-300 mb-4">No eres miembro de este viaje: los cambios se guardan solo en este dispositivo. Pide una invitación a quien lo creó.</p>
+            ` : ''}
+
+            ${user.isAnonymous ? `
+                <p class="text-sm text-slate-600 dark:text-slate-400 mb-3">Entra con una cuenta para usar tus viajes en otros dispositivos. Se conservan los datos de esta sesión.</p>
+                ${this.buildSignInHTML()}
+            ` : ''}
+
+            ${this.message ? `<p class="text-sm text-slate-600 dark:text-slate-400 mt-3">${this.escape(this.message)}</p>` : ''}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildSignInHTML() {
+        return `
+            <div class="flex flex-wrap items-center gap-2">
+                ${authConfig.providers.google ? `
+                    <button type="button" data-auth-action="google" class="px-4 py-2 bg-white dark:bg-slate-700 border border-slate-300 dark:border-slate-600 hover:bg-slate-50 dark:hover:bg-slate-600 text-slate-800 dark:text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-2">
+                        <span class="material-symbols-outlined text-base">login</span>Entrar con Google
+                    </button>
+                ` : ''}
+                ${authConfig.providers.email ? `
+                    <input type="email" data-auth-field="email" placeholder="tu@email.com" class="flex-1 min-w-[12rem] px-3 py-2 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white">
+                    <button type="button" data-auth-action="email-link" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">mail</span>Enviar enlace
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-auth-action]');
+            if (!button) return;
+
+            const firebaseManager = stateManager.getFirebaseManager();
+            if (!firebaseManager || !firebaseManager.auth) {
+                this.setMessage('❌ Sin conexión con la nube: inténtalo cuando vuelva la conexión.');
+                return;
+            }
+
+            const previousUid = firebaseManager.getCurrentUser()?.uid;
+            button.disabled = true;
+
+            try {
+                switch (button.dataset.authAction) {
+                    case 'google': {
+                        const user = await firebaseManager.signInWithGoogle();
+                        // Otra cuenta distinta de la sesión anónima: recargar con sus viajes
+                        if (user.uid !== previousUid) {
+                            window.location.reload();
+                            return;
+                        }
+                        this.setMessage('✅ Sesión vinculada a tu cuenta de Google');
+                        break;
+                    }
+                    case 'email-link': {
+                        const email = container.querySelector('[data-auth-field="email"]').value.trim();
+                        if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+                            throw new Error('Escribe un email válido');
+                        }
+                        await firebaseManager.sendSignInEmail(email);
+                        this.setMessage(`📧 Te hemos enviado un enlace a ${email}. Ábrelo en este dispositivo para entrar.`);
+                        break;
+                    }
+                    case 'sign-out':
+                        if (!confirm('¿Cerrar sesión en este dispositivo?')) break;
+                        await firebaseManager.signOut();
+                        window.location.reload();
+                        return;
+                }
+            } catch (error) {
+                Logger.error('🔐 Auth action failed:', error);
+                this.setMessage(`❌ ${error.message}`);
+            }
+
+            button.disabled = false;
+        });
+    }
+
+    /**
+     * @private
+     */
+    setMessage(message) {
+        this.message = message;
+        this.refresh();
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const authPanel = new AuthPanel();
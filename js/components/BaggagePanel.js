@@ -0,0 +1,116 @@
+/**
+ * BaggagePanel - Bultos y Franquicias de Vuelo
+ *
+ * Bloque dentro de la Lista de Equipaje con el peso real de cada bulto del
+ * viajero activo (facturada, cabina, mochila de día) frente a la franquicia
+ * de cada vuelo del viaje, y avisos de los vuelos de los próximos días en
+ * los que algún viajero se pasa.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { BAG_TYPES } from '../utils/WeightEstimator.js';
+
+export class BaggagePanel {
+    constructor() {
+        this.container = null;
+
+        stateManager.subscribe('trip.updatedAt', () => this.refresh());
+        window.addEventListener('packingListUpdated', () => this.refresh());
+
+        Logger.init('🧳 BaggagePanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR BULTOS Y VUELOS
+     *
+     * @param {HTMLElement} container - Contenedor dentro de la lista de equipaje
+     */
+    render(container) {
+        this.container = container;
+        container.innerHTML = this.buildHTML();
+        Logger.ui('🧳 Baggage panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.container.innerHTML = this.buildHTML();
+        }
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        const packingManager = stateManager.getPackingListManager();
+        if (!packingManager || !packingManager.getBaggageReport) return '';
+
+        const { bags, flights } = packingManager.getBaggageReport();
+        const warnings = packingManager.getUpcomingFlightWarnings();
+
+        return `
+            <h4 class="text-lg font-bold text-slate-900 dark:text-white mb-3 flex items-center gap-2">
+                <span class="material-symbols-outlined text-purple-600 dark:text-purple-400">flight_takeoff</span>
+                Bultos y franquicias de vuelo
+            </h4>
+            ${warnings.map(({ traveler, flight, exceeded }) => `
+                <p class="mb-2 p-3 rounded-lg border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300 flex items-start gap-2">
+                    <span class="material-symbols-outlined text-base">warning</span>
+                    <span>${this.escape(traveler.name)} se pasa en ${this.escape(flight.title)} (${this.escape(flight.airline)}, ${DateUtils.formatDateWithMonthNoYear(flight.departure)}):
+                        ${exceeded.map(check => `${check.label} ${check.kg} kg de ${check.limit} kg`).join(', ')}</span>
+                </p>
+            `).join('')}
+            <div class="grid grid-cols-3 gap-3 mb-3">
+                ${Object.entries(BAG_TYPES).map(([bag, { label, icon }]) => `
+                    <div class="p-3 rounded-lg bg-slate-50 dark:bg-slate-700/50 text-center">
+                        <span class="material-symbols-outlined text-slate-500 dark:text-slate-400">${icon}</span>
+                        <div class="text-lg font-bold text-slate-900 dark:text-white">${bags[bag].kg} kg</div>
+                        <div class="text-xs text-slate-600 dark:text-slate-400">${label} · ${bags[bag].items.length} items</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${flights.length > 0 ? `
+                <ul class="space-y-2">
+                    ${flights.map(flight => `
+                        <li class="p-3 rounded-lg border ${flight.exceeded.length > 0 ? 'border-red-200 dark:border-red-800' : 'border-slate-200 dark:border-slate-700'}">
+                            <div class="flex items-center gap-2 mb-1">
+                                <span class="flex-1 font-medium text-slate-900 dark:text-white">${this.escape(flight.title)}</span>
+                                <span class="text-xs text-slate-500 dark:text-slate-400">${this.escape(flight.airline)}${flight.departure ? ` · ${DateUtils.formatDateWithMonthNoYear(flight.departure)}` : ''}</span>
+                            </div>
+                            <p class="text-xs text-slate-600 dark:text-slate-400">
+                                ${flight.checks.filter(check => check.limit !== null).map(check => `
+                                    <span class="${check.exceeded ? 'text-red-600 dark:text-red-400 font-semibold' : ''}">${check.label} ${check.kg}/${check.limit} kg</span>
+                                `).join(' · ')}
+                            </p>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="text-sm text-slate-500 dark:text-slate-400">El viaje no tiene vuelos.</p>'}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const baggagePanel = new BaggagePanel();
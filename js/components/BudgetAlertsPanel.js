@@ -0,0 +1,303 @@
+/**
+ * BudgetAlertsPanel - Topes y Avisos de Gasto
+ *
+ * Tarjeta de la vista de Planificación para configurar topes por
+ * categoría, país, fase o día, los umbrales de aviso y las
+ * notificaciones del sistema, con el progreso de cada tope y el
+ * historial de avisos.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import currencyConverter from '../utils/CurrencyConverter.js';
+import expenseImportExport from '../utils/ExpenseImportExport.js';
+import budgetAlertManager, { CAP_SCOPES } from '../utils/BudgetAlertManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const LOG_VISIBLE = 20;
+
+export class BudgetAlertsPanel {
+    constructor() {
+        this.container = null;
+
+        stateManager.subscribe('budgetAlerts.updatedAt', () => this.refresh());
+        stateManager.subscribe('expenses', () => this.refresh());
+
+        Logger.init('🔔 BudgetAlertsPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        container.innerHTML = this.buildHTML();
+
+        if (!container.dataset.alertsListeners) {
+            container.dataset.alertsListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('🔔 Budget alerts panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (!this.container || !document.body.contains(this.container)) return;
+
+        // No repintar mientras se escribe en el panel
+        if (this.container.contains(document.activeElement) && document.activeElement.matches('input, select')) return;
+
+        this.container.innerHTML = this.buildHTML();
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        const inputClass = 'px-3 py-2 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+        const statuses = budgetAlertManager.getStatuses();
+        const notificationsSupported = typeof Notification !== 'undefined';
+
+        return `
+            <div class="flex flex-wrap items-end gap-3 mb-4">
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Avisar al llegar al (%)</label>
+                    <input type="text" data-alert-field="thresholds" value="${budgetAlertManager.getThresholds().join(', ')}" class="${inputClass} w-32">
+                </div>
+                ${notificationsSupported ? `
+                    <label class="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300 py-2">
+                        <input type="checkbox" data-alert-field="notify" ${budgetAlertManager.isNotifyEnabled() ? 'checked' : ''} class="rounded">
+                        Notificaciones del sistema
+                    </label>
+                ` : ''}
+                <button type="button" data-alert-action="from-budget" class="ml-auto px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">playlist_add</span>Topes desde el presupuesto
+                </button>
+            </div>
+
+            <div class="space-y-3 mb-4">
+                ${statuses.length > 0
+                    ? statuses.map(status => this.buildCapHTML(status, inputClass)).join('')
+                    : '<p class="text-sm text-slate-500 dark:text-slate-400">Aún no hay topes. Añade uno o créalos desde el presupuesto.</p>'}
+            </div>
+
+            <div class="flex flex-wrap items-end gap-2 mb-6">
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Ámbito</label>
+                    <select data-alert-field="scope" class="${inputClass}">
+                        ${Object.entries(CAP_SCOPES).map(([scope, label]) => `<option value="${scope}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="flex-1 min-w-[8rem]">
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Aplicar a</label>
+                    <select data-alert-field="target" class="${inputClass} w-full">${this.buildTargetOptions('category')}</select>
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Tope (${this.getTripCurrency()})</label>
+                    <input type="number" step="0.01" min="0" data-alert-field="amount" class="${inputClass} w-28" placeholder="0,00">
+                </div>
+                <button type="button" data-alert-action="add-cap" class="px-4 py-2 bg-amber-600 hover:bg-amber-700 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">add</span>Añadir tope
+                </button>
+            </div>
+
+            ${this.buildLogHTML()}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildCapHTML(status, inputClass) {
+        const currency = this.getTripCurrency();
+        const [firstThreshold] = budgetAlertManager.getThresholds();
+        const percentage = Math.round(status.percentage);
+        const barColor = status.percentage >= 100
+            ? 'bg-red-500'
+            : status.percentage >= firstThreshold ? 'bg-amber-500' : 'bg-green-500';
+
+        return `
+            <div class="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+                <div class="flex items-center gap-2 mb-2">
+                    <span class="text-sm font-medium text-slate-900 dark:text-white flex-1">${this.escape(budgetAlertManager.getCapLabel(status.cap))}</span>
+                    <span class="text-xs text-slate-600 dark:text-slate-400">${currencyConverter.format(status.spent, currency)} de</span>
+                    <input type="number" step="0.01" min="0" value="${status.cap.amount}" data-alert-field="cap-amount" data-cap-id="${status.cap.id}" class="${inputClass} w-24 !py-1">
+                    <button type="button" data-alert-action="remove-cap" data-cap-id="${status.cap.id}" class="text-slate-400 hover:text-red-500" title="Quitar tope">
+                        <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                </div>
+                <div class="flex items-center gap-2">
+                    <div class="flex-1 h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+                        <div class="h-full ${barColor}" style="width: ${Math.min(100, percentage)}%"></div>
+                    </div>
+                    <span class="text-xs font-medium w-12 text-right ${status.percentage >= 100 ? 'text-red-600 dark:text-red-400' : 'text-slate-600 dark:text-slate-400'}">${percentage}%</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildTargetOptions(scope) {
+        if (scope === 'day') {
+            return '<option value="">Cada día del viaje</option>';
+        }
+
+        const budgetItems = Object.values(tripConfig.budgetData?.budgetData || {}).flat();
+        const options = expenseImportExport.getFilterOptions(stateManager.getState('expenses') || []);
+        const values = {
+            category: [...new Set([...budgetItems.map(item => item.category), ...options.categories].filter(Boolean))],
+            country: options.countries,
+            phase: options.phases
+        }[scope] || [];
+
+        return values.map(value => `<option value="${this.escape(value)}">${this.escape(value)}</option>`).join('');
+    }
+
+    /**
+     * @private
+     */
+    buildLogHTML() {
+        const log = budgetAlertManager.getLog();
+
+        return `
+            <div>
+                <div class="flex items-center justify-between mb-2">
+                    <h3 class="text-sm font-semibold text-slate-900 dark:text-white flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">history</span>Historial de avisos
+                    </h3>
+                    ${log.length > 0 ? `
+                        <button type="button" data-alert-action="clear-log" class="text-xs text-slate-500 hover:text-red-500">Borrar historial</button>
+                    ` : ''}
+                </div>
+                ${log.length > 0 ? `
+                    <ul class="space-y-1 max-h-64 overflow-y-auto">
+                        ${log.slice(0, LOG_VISIBLE).map(alert => `
+                            <li class="flex items-start gap-2 text-sm">
+                                <span class="material-symbols-outlined text-base ${alert.level === 'error' ? 'text-red-500' : 'text-amber-500'}">${alert.level === 'error' ? 'error' : 'warning'}</span>
+                                <span class="flex-1 text-slate-700 dark:text-slate-300">${this.escape(alert.message)}</span>
+                                <span class="text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap">${new Date(alert.date).toLocaleString('es-ES', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="text-sm text-slate-500 dark:text-slate-400">Sin avisos todavía.</p>'}
+            </div>
+        `;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (!button) return;
+
+            try {
+                switch (button.dataset.alertAction) {
+                    case 'add-cap':
+                        budgetAlertManager.addCap({
+                            scope: container.querySelector('[data-alert-field="scope"]').value,
+                            target: container.querySelector('[data-alert-field="target"]').value,
+                            amount: container.querySelector('[data-alert-field="amount"]').value
+                        });
+                        break;
+                    case 'remove-cap':
+                        if (confirm('¿Quitar este tope?')) budgetAlertManager.removeCap(button.dataset.capId);
+                        break;
+                    case 'from-budget': {
+                        const added = budgetAlertManager.createCapsFromBudget();
+                        this.notify(added > 0 ? `✅ ${added} topes creados desde el presupuesto` : 'Ya existen topes para todo el presupuesto', added > 0 ? 'success' : 'info');
+                        break;
+                    }
+                    case 'clear-log':
+                        if (confirm('¿Borrar el historial de avisos?')) budgetAlertManager.clearLog();
+                        break;
+                }
+            } catch (error) {
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+        });
+
+        container.addEventListener('change', async (e) => {
+            const field = e.target.dataset.alertField;
+
+            try {
+                if (field === 'scope') {
+                    container.querySelector('[data-alert-field="target"]').innerHTML = this.buildTargetOptions(e.target.value);
+                } else if (field === 'thresholds') {
+                    budgetAlertManager.setThresholds(e.target.value.split(/[,;\s]+/));
+                } else if (field === 'cap-amount') {
+                    budgetAlertManager.updateCapAmount(e.target.dataset.capId, e.target.value);
+                } else if (field === 'notify') {
+                    const enabled = await budgetAlertManager.setNotifyEnabled(e.target.checked);
+                    if (e.target.checked && !enabled) {
+                        this.notify('⚠️ El navegador no ha dado permiso para mostrar notificaciones', 'warning');
+                    }
+                }
+            } catch (error) {
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+
+            // Salir del campo para que el panel se pueda repintar
+            if (field !== 'scope') {
+                e.target.blur();
+                this.refresh();
+            }
+        });
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    getTripCurrency() {
+        return (tripConfig.trip && tripConfig.trip.currency) || 'EUR';
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const budgetAlertsPanel = new BudgetAlertsPanel();
@@ -14,7 +14,7 @@
  * - Integración con sistema de trazabilidad
  * 
  * Datos gestionados:
- * - Gastos del usuario (concepto, cantidad, categoría, fecha)
+ * - Gastos del usuario (concepto, cantidad, moneda original, categoría, fecha)
  * - Presupuesto por categorías desde tripConfig
  * - Estado de la aplicación con persistencia
  * - Utilidades de formateo y cálculo
@@ -26,14 +26,24 @@
 
 import Logger from '../utils/Logger.js';
 import stateManager from '../utils/StateManager.js';
+import tripManager from '../utils/TripManager.js';
 import { FirebaseManager } from '../utils/FirebaseManager.js';
 import OptimisticUI from '../utils/OptimisticUI.js';
 import BatchManager from '../utils/BatchManager.js';
 import { HeaderRenderer } from './renderers/HeaderRenderer.js';
 import RealtimeSync from '../utils/RealtimeSync.js';
 import { ExpenseOrchestrator } from '../utils/ExpenseOrchestrator.js';
+import syncOutbox from '../utils/SyncOutbox.js';
+import { SyncStatusIndicator } from './SyncStatusIndicator.js';
 import { container } from '../core/DependencyContainer.js';
 import { tripConfig } from '../config/tripConfig.js';
+import currencyConverter from '../utils/CurrencyConverter.js';
+import expenseSplitManager from '../utils/ExpenseSplitManager.js';
+import receiptStore from '../utils/ReceiptStore.js';
+import conflictResolver from '../utils/ConflictResolver.js';
+import { undoControls } from './UndoControls.js';
+import receiptScanner from '../utils/ReceiptScanner.js';
+import { receiptGallery } from './ReceiptGallery.js';
 import { getBudgetCategoryColors, getBudgetCategoryIcon } from '../utils/CategoryUtils.js';
 import { COLORS, RADIUS, SHADOW, CARD_STYLES } from '../config/DesignTokens.js';
 
@@ -63,17 +73,23 @@ export class BudgetManager {
         // Inicializar objetos globales necesarios
         this.initializeStateManager();
         
-        // Inicializar Firebase para almacenamiento en la nube
+        // Inicializar Firebase (sesión y miembros del viaje)
         this.firebaseManager = new FirebaseManager();
-        this.setupFirebaseIntegration();
         
         // Exponer FirebaseManager globalmente para otros componentes
         stateManager.setFirebaseManager(this.firebaseManager);
         
+        // 📶 Estado de la conexión y cola de cambios sin conexión
+        this.syncStatusIndicator = new SyncStatusIndicator();
+        
+        // 🗄️ Backend de los gastos (storageConfig): Firestore, IndexedDB, servidor propio o memoria
+        this.storage = container.resolveSync('storage');
+        this.setupStorageIntegration();
+        
         // 🚀 SISTEMAS AVANZADOS DE OPTIMIZACIÓN
         this.optimisticUI = OptimisticUI;
-        this.batchManager = new BatchManager(this.firebaseManager);
-        this.realtimeSync = new RealtimeSync(this.firebaseManager);
+        this.batchManager = new BatchManager(this.storage);
+        this.realtimeSync = new RealtimeSync(this.storage);
         
         // 🎯 EXPENSE MANAGER ULTRA-OPTIMIZADO
         this.expenseOrchestrator = new ExpenseOrchestrator(this);
@@ -87,30 +103,50 @@ export class BudgetManager {
         // Registrar en DependencyContainer para uso futuro
         container.registerSingleton('budgetManagerInstance', () => this);
         
+        // 🧳 Recargar gastos y listener al cambiar de viaje
+        stateManager.subscribe('trip.activeTripId', () => this.handleTripChange());
+        
+        // 📤 Mostrar la cola sin conexión cuando cambie
+        stateManager.subscribe('outbox.updatedAt', () => this.refreshSyncStats());
+        this.refreshSyncStats();
+        
+        // 👥 Refrescar cuentas del grupo al cambiar viajeros o pagos
+        stateManager.subscribe('ledger.updatedAt', () => {
+            this.renderGroupLedger();
+            this.refreshSplitFields();
+        });
+        
         Logger.success('✅ BudgetManager inicializado correctamente');
     }
 
     /**
-     * Configurar integración con Firebase
+     * Configurar integración con el backend de datos
      * 
      * Establece los callbacks y listeners necesarios para sincronizar
-     * los gastos con Firebase Firestore en tiempo real.
+     * los gastos con el backend (StorageAdapters) en tiempo real.
      * 
      * @private
      */
-    setupFirebaseIntegration() {
-        if (!this.firebaseManager) return;
+    setupStorageIntegration() {
+        if (!this.storage) return;
         
-        // Configurar callbacks para eventos de Firebase
-        this.firebaseManager.onExpenseAdded = (expense) => {
+        // Configurar callbacks para eventos del backend
+        this.storage.onExpenseAdded = (expense) => {
             this.updateSummaryCards();
         };
         
-        this.firebaseManager.onExpenseUpdated = (expenseId, updates) => {
+        this.storage.onExpenseUpdated = (expenseId, updates) => {
+            // ⚖️ La edición ya está en el backend con su revisión
+            conflictResolver.confirmExpenseUpdate(expenseId, updates);
             this.updateSummaryCards();
         };
         
-        this.firebaseManager.onExpenseDeleted = (expenseId) => {
+        conflictResolver.connect(this.storage);
+        conflictResolver.onExpenseResolved = (expense) => {
+            this.applyResolvedExpense(expense);
+        };
+        
+        this.storage.onExpenseDeleted = (expenseId) => {
             
             // 🔄 ACTUALIZAR ESTADO LOCAL: Remover el gasto eliminado
             const currentExpenses = stateManager.getState('expenses');
@@ -124,14 +160,14 @@ export class BudgetManager {
             
         };
         
-        this.firebaseManager.onSyncStatusChanged = (status) => {
+        this.storage.onSyncStatusChanged = (status) => {
             Logger.budget('Sync status changed:', status);
             this.updateSyncStatus(status);
             
             // 🔥 CONFIGURAR LISTENER CUANDO SE CONECTE
             if (status === 'connected' && !this.realtimeUnsubscribe) {
                 if (!Logger.isMobile) {
-                    Logger.data('🔥 Firebase conectado, configurando listener en tiempo real...');
+                    Logger.data(`🔥 ${this.storage.label} conectado, configurando listener en tiempo real...`);
                 }
                 this.setupRealtimeSync();
             }
@@ -140,7 +176,23 @@ export class BudgetManager {
         // Configurar listener en tiempo real
         this.setupRealtimeSync();
         
-        Logger.success('Firebase integration configured');
+        Logger.success(`Storage integration configured (${this.storage.name})`);
+    }
+
+    /**
+     * Cambio de viaje activo
+     * 
+     * Carga los gastos guardados del nuevo viaje y reconfigura el
+     * listener de Firestore sobre su subcolección.
+     * 
+     * @private
+     */
+    handleTripChange() {
+        const savedExpenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1'))) || [];
+        stateManager.updateState('expenses', savedExpenses);
+        Logger.budget(`Trip changed: ${savedExpenses.length} expenses loaded for ${tripManager.getActiveTripId()}`);
+        
+        this.setupRealtimeSync();
     }
 
     /**
@@ -218,8 +270,11 @@ export class BudgetManager {
 
             case 'updated':
                 const updateIndex = currentExpenses.findIndex(e => e.id === expense.id);
-                if (updateIndex !== -1) {
-                    currentExpenses[updateIndex] = expense;
+                // ⚖️ Un aviso atrasado no deshace una revisión más nueva
+                if (updateIndex !== -1 && (expense.revision || 0) >= (currentExpenses[updateIndex].revision || 0)) {
+                    // Sin pisar las ediciones pendientes de este dispositivo
+                    const [reconciled] = conflictResolver.reconcileRemoteExpenses([expense]);
+                    currentExpenses[updateIndex] = { ...currentExpenses[updateIndex], ...reconciled };
                     stateManager.updateState('expenses', currentExpenses);
                     this.updateBudgetUI();
                     this.showNotification(`✏️ Gasto actualizado: ${expense.concept}`, 'info');
@@ -238,6 +293,148 @@ export class BudgetManager {
         }
     }
 
+    /**
+     * ⚖️ Aplica un gasto tras resolver un conflicto de edición
+     * @private
+     */
+    applyResolvedExpense(expense) {
+        const currentExpenses = stateManager.getState('expenses') || [];
+        const index = currentExpenses.findIndex(e => e.id === expense.id);
+        if (index === -1) return;
+
+        currentExpenses[index] = { ...currentExpenses[index], ...expense };
+        stateManager.updateState('expenses', currentExpenses);
+        this.saveExpensesToLocalStorage();
+        this.updateBudgetUI();
+        this.showNotification(`⚖️ Conflicto resuelto: ${currentExpenses[index].concept}`, 'info');
+    }
+
+    // =================================================================
+    // ↩️ DESHACER/REHACER
+    // =================================================================
+
+    /**
+     * ↩️ Registra el alta o el borrado de un gasto como comando reversible
+     *
+     * Deshacer un borrado vuelve a crear el gasto con sus datos y los tickets
+     * de este dispositivo; deshacer un alta lo borra. Un gasto que solo
+     * existía en este dispositivo se restaura y se borra solo en local: su
+     * alta pendiente, si la tenía, sigue en la cola de SyncOutbox.
+     *
+     * @param {Object} options
+     * @param {string} options.label - Descripción del cambio
+     * @param {Object} options.expense - Gasto creado o borrado
+     * @param {boolean} options.deleted - true si el cambio fue un borrado
+     * @param {Promise<Array>} [options.receiptsRemoved] - Resultado de receiptStore.deleteForExpense
+     * @param {boolean} [options.localOnly] - true si el gasto no estaba en el backend
+     * @private
+     */
+    recordExpenseCommand({ label, expense, deleted, receiptsRemoved = Promise.resolve([]), localOnly = false }) {
+        let snapshot = { ...expense };
+        let receipts = receiptsRemoved;
+
+        const remove = async () => {
+            snapshot = { ...(stateManager.getState('expenses').find(exp => exp.id === snapshot.id) || snapshot) };
+            receipts = await this.removeExpenseFromHistory(snapshot.id, localOnly);
+        };
+        const restore = async () => {
+            snapshot.id = await this.restoreExpenseFromHistory(snapshot, await receipts, localOnly);
+        };
+
+        stateManager.recordCommand({
+            label,
+            undo: deleted ? restore : remove,
+            redo: deleted ? remove : restore
+        });
+    }
+
+    /**
+     * ↩️ Registra la edición de un gasto como comando reversible
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {Object} before - Gasto antes de la edición
+     * @param {Object} updates - Campos editados
+     * @private
+     */
+    recordExpenseEdit(expenseId, before, updates) {
+        // Los campos que el gasto no tenía se deshacen a null (p. ej. el reparto)
+        const previous = {};
+        Object.keys(updates).forEach(key => {
+            previous[key] = before[key] ?? null;
+        });
+
+        stateManager.recordCommand({
+            label: `Editar "${before.concept}"`,
+            undo: () => this.applyExpenseFieldsFromHistory(expenseId, previous),
+            redo: () => this.applyExpenseFieldsFromHistory(expenseId, updates)
+        });
+    }
+
+    /**
+     * @private
+     * @returns {Promise<Array>} Tickets borrados con el gasto
+     */
+    async removeExpenseFromHistory(expenseId, localOnly = false) {
+        const deleted = !localOnly && await this.storage.deleteExpense(expenseId);
+        if (!deleted) {
+            // Solo existía en este dispositivo
+            stateManager.removeExpense(expenseId);
+            this.saveExpensesToLocalStorage();
+        }
+
+        const receipts = await receiptStore.deleteForExpense(expenseId);
+        this.updateSummaryCards();
+        this.showCategoryContent();
+        return receipts;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<string>} ID con el que quedó guardado el gasto
+     */
+    async restoreExpenseFromHistory(expense, receipts, localOnly = false) {
+        const currentExpenses = stateManager.getState('expenses').filter(exp => exp.id !== expense.id);
+        stateManager.updateState('expenses', [{ ...expense }, ...currentExpenses]);
+        this.updateSummaryCards();
+        this.showCategoryContent();
+
+        if (localOnly) {
+            // Nunca llegó al backend: vuelve solo a la caché local
+            this.saveExpensesToLocalStorage();
+            await receiptStore.restoreReceipts(expense.id, receipts);
+            return expense.id;
+        }
+
+        const storedId = await this.storage.addExpense({ ...expense });
+        const expenseId = storedId || expense.id;
+
+        // Firestore puede asignar un ID nuevo al documento
+        if (expenseId !== expense.id) {
+            const restored = stateManager.getState('expenses').find(exp => exp.id === expense.id);
+            if (restored) {
+                restored.id = expenseId;
+            }
+        }
+
+        await receiptStore.restoreReceipts(expenseId, receipts);
+        return expenseId;
+    }
+
+    /**
+     * @private
+     */
+    async applyExpenseFieldsFromHistory(expenseId, fields) {
+        if (!stateManager.getState('expenses').some(exp => exp.id === expenseId)) {
+            throw new Error(`Expense ${expenseId} no longer exists`);
+        }
+
+        stateManager.updateExpense(expenseId, fields);
+        this.updateSummaryCards();
+        this.showCategoryContent();
+
+        await conflictResolver.saveExpenseUpdate(expenseId, fields);
+    }
+
     /**
      * Actualiza el indicador de conexión
      * @private
@@ -320,7 +517,7 @@ export class BudgetManager {
     async setupRealtimeSync() {
         if (!Logger.isMobile) {
             Logger.data('🔄 Configurando sincronización en tiempo real', {
-                isConnected: this.firebaseManager.isConnected,
+                isConnected: this.storage.isConnected,
                 hasExistingListener: !!this.realtimeUnsubscribe 
             });
         }
@@ -333,9 +530,9 @@ export class BudgetManager {
             this.realtimeUnsubscribe = null;
         }
         
-        if (!this.firebaseManager.isConnected) {
+        if (!this.storage.isConnected) {
             if (!Logger.isMobile) {
-                Logger.warning('Firebase not connected, skipping realtime sync');
+                Logger.warning('Storage not connected, skipping realtime sync');
             }
             return;
         }
@@ -343,10 +540,16 @@ export class BudgetManager {
         if (!Logger.isMobile) {
         }
         
+        // 👥 Libro de cuentas del grupo del mismo viaje
+        expenseSplitManager.connect(this.storage);
+        
+        // 🧾 Subir fotos de tickets guardadas sin conexión
+        receiptStore.connect(this.storage);
+        
         // 🚨 DEBOUNCE para evitar actualizaciones demasiado frecuentes
         let updateTimeout = null;
         
-        this.realtimeUnsubscribe = await this.firebaseManager.setupRealtimeListener((expenses) => {
+        this.realtimeUnsubscribe = await this.storage.watchExpenses((expenses) => {
             if (!Logger.isMobile) {
             }
             Logger.budget(`Realtime update: ${expenses.length} expenses received`);
@@ -358,12 +561,16 @@ export class BudgetManager {
             
             // Debounce más agresivo para mejor rendimiento
             updateTimeout = setTimeout(() => {
-                // Solo actualizar si realmente hay cambios
-                const currentExpenseIds = stateManager.getState('expenses').map(e => e.id).sort();
-                const newExpenseIds = expenses.map(e => e.id).sort();
+                // ⚖️ Mantener las ediciones pendientes y detectar las concurrentes
+                const reconciled = conflictResolver.reconcileRemoteExpenses(expenses);
+                
+                // Solo actualizar si realmente hay cambios (gastos nuevos, borrados o con otra revisión)
+                const signature = list => list.map(e => `${e.id}:${e.revision || 0}`).sort();
+                const currentSignature = signature(stateManager.getState('expenses'));
+                const newSignature = signature(reconciled);
                 
-                if (JSON.stringify(currentExpenseIds) !== JSON.stringify(newExpenseIds)) {
-                    this.processFirebaseUpdate(expenses);
+                if (JSON.stringify(currentSignature) !== JSON.stringify(newSignature)) {
+                    this.processFirebaseUpdate(reconciled);
                 } else {
                     if (!Logger.isMobile) {
                     }
@@ -405,6 +612,12 @@ export class BudgetManager {
                 // 🚨 NO GUARDAR EN LOCALSTORAGE - Firebase es la fuente de verdad
                 // Save expenses to localStorage
                 this.saveExpensesToLocalStorage();
+                
+                // 🧾 Tickets que esperaban a que su gasto llegara de Firebase
+                receiptStore.uploadPending();
+                
+                // 💱 Gastos guardados sin tasa para su moneda
+                this.retryPendingRates(processedExpenses);
             }
             
             // Actualizar UI si está visible
@@ -452,44 +665,31 @@ export class BudgetManager {
     }
 
     updateSyncStatus(status) {
-        let statusIndicator = document.getElementById('sync-status-indicator');
-        
-        if (!statusIndicator) {
-            statusIndicator = document.createElement('div');
-            statusIndicator.id = 'sync-status-indicator';
-            statusIndicator.className = 'fixed top-4 left-4 z-50 px-3 py-1 rounded-full text-sm font-medium transition-normal';
-            document.body.appendChild(statusIndicator);
-        }
-        
-        // Actualizar apariencia según estado
-        switch (status) {
-            case 'connected':
-                statusIndicator.className = statusIndicator.className.replace(/bg-\w+-\d+/g, '') + ' bg-green-500 text-white';
-                statusIndicator.innerHTML = '☁️ Sincronizado';
-                break;
-            case 'offline':
-                statusIndicator.className = statusIndicator.className.replace(/bg-\w+-\d+/g, '') + ' bg-yellow-500 text-white';
-                statusIndicator.innerHTML = '📱 Sin conexión';
-                break;
-            case 'syncing':
-                statusIndicator.className = statusIndicator.className.replace(/bg-\w+-\d+/g, '') + ' bg-blue-500 text-white';
-                statusIndicator.innerHTML = '🔄 Sincronizando...';
-                break;
-        }
+        this.syncStatusIndicator.updateStatus(status, {
+            onRetry: () => this.setupRealtimeSync()
+        });
+    }
+
+    /**
+     * 📤 Estadísticas de sincronización con la cola sin conexión (SyncOutbox)
+     * @private
+     */
+    async refreshSyncStats() {
+        const outbox = await syncOutbox.getStats();
         
-        // Auto-ocultar después de 3 segundos si está conectado
-        if (status === 'connected') {
-            setTimeout(() => {
-                if (statusIndicator) {
-                    statusIndicator.style.opacity = '0';
-                    setTimeout(() => {
-                        if (statusIndicator && statusIndicator.parentNode) {
-                            statusIndicator.parentNode.removeChild(statusIndicator);
-                        }
-                    }, 300);
+        this.syncStatusIndicator.showStats({
+            localExpenses: (stateManager.getState('expenses') || []).length,
+            pendingSyncOperations: this.batchManager ? this.batchManager.getPendingCount() : 0,
+            isConnected: !!(this.storage && this.storage.isConnected),
+            outbox
+        }, {
+            onRetryFailed: () => syncOutbox.retryDeadLetters(),
+            onDiscardFailed: () => {
+                if (confirm('¿Descartar los cambios que no se pudieron enviar?')) {
+                    syncOutbox.discardDeadLetters();
                 }
-            }, 3000);
-        }
+            }
+        });
     }
 
     /**
@@ -509,7 +709,7 @@ export class BudgetManager {
     initializeGlobals() {
         // Inicializar expenses en StateManager si no existen
         if (!stateManager.getState('expenses') || stateManager.getState('expenses').length === 0) {
-            const savedExpenses = JSON.parse(localStorage.getItem('tripExpensesV1')) || [];
+            const savedExpenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1'))) || [];
             stateManager.updateState('expenses', savedExpenses);
             Logger.data('💾 Expenses loaded from localStorage into StateManager');
         }
@@ -534,7 +734,7 @@ export class BudgetManager {
     initializeStateManager() {
         // Inicializar expenses en StateManager si no existen
         if (!stateManager.getState('expenses') || stateManager.getState('expenses').length === 0) {
-            const savedExpenses = JSON.parse(localStorage.getItem('tripExpensesV1')) || [];
+            const savedExpenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1'))) || [];
             stateManager.updateState('expenses', savedExpenses);
             Logger.data('💾 Expenses loaded from localStorage into StateManager');
         }
@@ -621,6 +821,7 @@ export class BudgetManager {
                             <div>
                                 <p class="text-sm text-slate-600 dark:text-slate-400 mb-1">Total Gastado</p>
                                 <p class="text-2xl font-bold text-slate-900 dark:text-white" data-summary="total-spent">${this.formatCurrency(stateManager.getState('expenses').reduce((sum, exp) => sum + (exp.amount || 0), 0), true)}</p>
+                                <p class="text-xs text-slate-500 dark:text-slate-400 mt-1" data-summary="spent-by-currency">${this.formatSpentByCurrency()}</p>
                             </div>
                         </div>
                     </div>
@@ -668,7 +869,7 @@ export class BudgetManager {
                 </div>
                 
                 <!-- Formulario de Nuevo Gasto -->
-                <div class="mt-6 pt-6 border-t border-slate-200 dark:border-slate-700">
+                <div class="mt-6 pt-6 border-t border-slate-200 dark:border-slate-700" data-write-only>
                 <div class="flex items-center justify-between mb-6 cursor-pointer" onclick="this.toggleExpenseForm()">
                     <div class="flex items-center gap-3">
                         <span class="material-symbols-outlined text-2xl text-slate-600 dark:text-slate-400">add_circle</span>
@@ -685,7 +886,7 @@ export class BudgetManager {
                 </div>
                 <div id="expense-form-container" class="hidden">
                 <form id="expense-form" class="space-y-4">
-                    <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
                         <div>
                             <label for="expense-concept" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Concepto</label>
                             <input type="text" id="expense-concept" required 
@@ -694,14 +895,54 @@ export class BudgetManager {
                         </div>
                         
                         <div>
-                            <label for="expense-amount" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Cantidad (€)</label>
-                            <div class="relative">
+                            <label for="expense-amount" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Cantidad</label>
+                            <div class="flex gap-2">
                                 <input type="number" id="expense-amount" step="0.01" required 
-                                       class="w-full pl-4 pr-12 py-3 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-blue-500 focus:bg-white dark:focus:bg-slate-600 transition-standard text-slate-900 dark:text-white placeholder-slate-400"
+                                       class="w-full min-w-0 px-4 py-3 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-blue-500 focus:bg-white dark:focus:bg-slate-600 transition-standard text-slate-900 dark:text-white placeholder-slate-400"
                                        placeholder="0,00">
-                                <span class="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 font-medium pointer-events-none">€</span>
+                                <select id="expense-currency" 
+                                        class="px-2 py-3 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-blue-500 transition-standard text-slate-900 dark:text-white font-medium">
+                                    ${this.buildCurrencyOptions(this.getDefaultExpenseCurrency())}
+                                </select>
                             </div>
                         </div>
+                        
+                        <div>
+                            <label for="expense-date" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Fecha</label>
+                            <input type="date" id="expense-date" value="${this.getTodayKey()}"
+                                   class="w-full px-4 py-3 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-blue-500 focus:bg-white dark:focus:bg-slate-600 transition-standard text-slate-900 dark:text-white">
+                        </div>
+                    </div>
+                    
+                    <!-- Reparto entre viajeros -->
+                    <div id="expense-split-fields">
+                        ${this.buildSplitFieldsHTML()}
+                    </div>
+                    
+                    <!-- Fotos de tickets -->
+                    <div>
+                        <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Tickets</label>
+                        <div class="flex items-center gap-2 flex-wrap">
+                            <label class="px-3 py-2 radius-standard bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-sm text-slate-700 dark:text-slate-300 cursor-pointer flex items-center gap-1 transition-standard">
+                                <span class="material-symbols-outlined text-base">photo_camera</span>Cámara
+                                <input type="file" accept="image/*" capture="environment" class="expense-receipt-input hidden">
+                            </label>
+                            <label class="px-3 py-2 radius-standard bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600 text-sm text-slate-700 dark:text-slate-300 cursor-pointer flex items-center gap-1 transition-standard">
+                                <span class="material-symbols-outlined text-base">photo_library</span>Galería
+                                <input type="file" accept="image/*" multiple class="expense-receipt-input hidden">
+                            </label>
+                            <label class="px-3 py-2 radius-standard bg-blue-50 dark:bg-blue-900/30 hover:bg-blue-100 dark:hover:bg-blue-900/50 text-sm text-blue-700 dark:text-blue-300 cursor-pointer flex items-center gap-1 transition-standard" title="Leer el ticket y rellenar el formulario">
+                                <span class="material-symbols-outlined text-base">document_scanner</span>Escanear
+                                <input type="file" accept="image/*" capture="environment" id="expense-scan-input" class="hidden">
+                            </label>
+                            <div id="expense-receipts-preview" class="flex items-center gap-2 flex-wrap"></div>
+                        </div>
+                        <div class="flex items-center gap-2 mt-2 text-xs text-slate-500 dark:text-slate-400">
+                            <span id="expense-scan-status" class="hidden"></span>
+                            ${receiptScanner.isReady() ? '' : `
+                                <button type="button" id="expense-scan-prepare" class="text-blue-600 dark:text-blue-400 hover:underline">Descargar escáner para usarlo sin conexión</button>
+                            `}
+                        </div>
                     </div>
                     
                     <div class="flex gap-3">
@@ -746,6 +987,11 @@ export class BudgetManager {
                 </div>
             </div>
 
+            <!-- Cuentas del grupo -->
+            <div id="group-ledger" class="bg-white dark:bg-slate-800 rounded-xl shadow-card border border-slate-200 dark:border-slate-700 p-6 mb-6">
+                ${this.buildGroupLedgerHTML()}
+            </div>
+
         `;
 
         container.style.opacity = '1 !important';
@@ -857,27 +1103,62 @@ export class BudgetManager {
             setTimeout(() => this.showCategoryContent(), 100);
         });
 
+        // Reparto entre viajeros, tickets y cuentas del grupo
+        this.setupSplitFieldsListeners();
+        this.setupReceiptInputListeners();
+        this.setupReceiptScanListeners();
+        this.setupGroupLedgerListeners();
+
         // Formulario de gastos
         document.getElementById('expense-form').addEventListener('submit', async (e) => {
             e.preventDefault();
+            if (this.storage.isReadOnly()) {
+                this.showNotification('👀 Eres lector de este viaje: no puedes añadir gastos', 'warning');
+                return;
+            }
             const concept = document.getElementById('expense-concept').value;
-            const amount = parseFloat(document.getElementById('expense-amount').value);
+            const originalAmount = parseFloat(document.getElementById('expense-amount').value);
+            const currency = document.getElementById('expense-currency').value;
+            const date = this.toExpenseDate(document.getElementById('expense-date').value);
             const category = document.getElementById('expense-category').value;
             
-            if (concept && amount > 0 && category) {
+            if (concept && originalAmount > 0 && category) {
                 const submitBtn = e.target.querySelector('button[type="submit"]');
                 const editId = submitBtn.dataset.editId;
                 
+                // 👥 Quién pagó y cómo se reparte
+                let splitFields;
+                try {
+                    splitFields = this.readSplitFields(originalAmount);
+                } catch (error) {
+                    this.showNotification(`❌ ${error.message}`, 'error');
+                    return;
+                }
+                
+                // 🧾 Fotos pendientes de adjuntar
+                const receiptFiles = this.pendingReceiptFiles.map(pending => pending.file);
+                
+                // 💱 Convertir a la moneda del viaje sin esperar a la red: si el gasto
+                // es atrasado, la tasa histórica se aplica al llegar
+                const { fields: currencyFields, final: rateFinal } = this.buildCachedCurrencyFields(originalAmount, currency, date);
+                localStorage.setItem('lastExpenseCurrency', currency);
+                
                 // 🚀 OPTIMISTIC UI: Actualizar inmediatamente ANTES de Firebase
                 const newExpense = {
                     id: editId || Date.now().toString(),
                     concept,
-                    amount,
+                    ...currencyFields,
+                    ...splitFields,
                     category,
-                    date: new Date().toISOString(),
-                    deviceId: this.firebaseManager?.getDeviceId() || 'local'
+                    date,
+                    deviceId: this.storage.getDeviceId()
                 };
                 
+                // ↩️ Copia previa para poder deshacer la edición
+                const previousExpense = editId
+                    ? { ...stateManager.getState('expenses').find(exp => exp.id === editId) }
+                    : null;
+                
                 if (editId) {
                     // 🔄 ACTUALIZACIÓN OPTIMISTA
                     const existingIndex = stateManager.getState('expenses').findIndex(exp => exp.id === editId);
@@ -890,20 +1171,31 @@ export class BudgetManager {
                     stateManager.getState('expenses').unshift(newExpense);
                 }
                 
+                // 🧾 Guardar tickets en IndexedDB (funciona sin conexión)
+                const receiptsSaved = receiptFiles.length > 0
+                    ? receiptStore.addReceipts(newExpense.id, receiptFiles)
+                    : Promise.resolve();
+                this.clearPendingReceipts();
+                
                 // 🎯 ACTUALIZAR UI INMEDIATAMENTE (sin esperar Firebase)
                 this.updateSummaryCards();
                 this.showCategoryContent();
                 e.target.reset();
+                this.resetExpenseFormDefaults();
                 
                 // 🔄 Indicar que se está sincronizando
                 this.updateSyncStatus('syncing');
                 
                 try {
                     // 🔥 FIREBASE EN BACKGROUND (no bloquea UI)
+                    let savedId = editId;
                     if (editId) {
-                        await this.firebaseManager.updateExpense(editId, { concept, amount, category });
+                        const updates = { concept, ...currencyFields, ...splitFields, category, date };
+                        await conflictResolver.saveExpenseUpdate(editId, updates);
+                        this.recordExpenseEdit(editId, previousExpense, updates);
                     } else {
-                        const firebaseId = await this.firebaseManager.addExpense(newExpense);
+                        const firebaseId = await this.storage.addExpense(newExpense);
+                        savedId = firebaseId || newExpense.id;
                         // Actualizar el ID local con el ID de Firebase si es diferente
                         if (firebaseId && firebaseId !== newExpense.id) {
                             const localIndex = stateManager.getState('expenses').findIndex(exp => exp.id === newExpense.id);
@@ -911,18 +1203,30 @@ export class BudgetManager {
                                 stateManager.getState('expenses')[localIndex].id = firebaseId;
                             }
                         }
+                        this.recordExpenseCommand({
+                            label: `Añadir "${concept}"`,
+                            expense: { ...newExpense, id: savedId },
+                            deleted: false
+                        });
                     }
                     
                     // ✅ Sincronización completada
                     this.updateSyncStatus('connected');
                     
+                    if (!rateFinal) {
+                        this.refreshHistoricalRate(savedId, currencyFields, date);
+                    }
+                    
+                    // 🧾 Subir los tickets junto al gasto
+                    receiptsSaved.then(() => receiptStore.syncExpense(newExpense.id));
+                    
                 } catch (error) {
                     // ❌ ERROR: Revertir cambios optimistas
                     Logger.error('Error syncing expense, reverting optimistic update:', error);
                     
                     if (editId) {
                         // Revertir actualización
-                        const originalExpense = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]')
+                        const originalExpense = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1')) || '[]')
                             .find(exp => exp.id === editId);
                         if (originalExpense) {
                             const index = stateManager.getState('expenses').findIndex(exp => exp.id === editId);
@@ -1199,8 +1503,13 @@ export class BudgetManager {
                                         <div class="expense-item-wrapper" data-expense-id="${exp.id}">
                                             <!-- Vista Normal del Gasto -->
                                             <div class="expense-item-category group flex justify-between items-center py-2 px-3 bg-green-50 dark:bg-green-900/20 rounded-lg hover:bg-green-100 dark:hover:bg-green-900/30 cursor-pointer transition-standard" data-expense-id="${exp.id}">
-                                                <span class="text-slate-700 dark:text-slate-300 ${exp.paid ? 'line-through opacity-60' : ''}">${exp.concept}</span>
+                                                <div class="flex items-center gap-2 min-w-0">
+                                                    <span class="text-slate-700 dark:text-slate-300 ${exp.paid ? 'line-through opacity-60' : ''}">${exp.concept}</span>
+                                                    ${receiptGallery.buildThumbnailsHTML(exp)}
+                                                </div>
                                                 <div class="flex items-center gap-2">
+                                                    ${this.formatPaidByHTML(exp)}
+                                                    ${this.formatOriginalAmountHTML(exp)}
                                                     <span class="font-medium text-green-700 dark:text-green-400 ${exp.paid ? 'line-through opacity-60' : ''}">${this.formatCurrency(exp.amount, true)}</span>
                                                     <button class="delete-expense-btn opacity-0 group-hover:opacity-100 w-6 h-6 bg-red-500 hover:bg-red-600 text-white rounded-md flex items-center justify-center transition-standard" data-expense-id="${exp.id}" title="Eliminar gasto">
                                                         <span class="material-symbols-outlined text-xs">delete</span>
@@ -1216,8 +1525,13 @@ export class BudgetManager {
                                                         <input type="text" class="inline-concept w-full px-2 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value="${exp.concept}">
                                                     </div>
                                                     <div>
-                                                        <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Cantidad (€)</label>
-                                                        <input type="number" step="0.01" class="inline-amount w-full px-2 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value="${exp.amount}">
+                                                        <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Cantidad</label>
+                                                        <div class="flex gap-1">
+                                                            <input type="number" step="0.01" class="inline-amount w-full min-w-0 px-2 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white" value="${exp.originalAmount ?? exp.amount}">
+                                                            <select class="inline-currency px-1 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white">
+                                                                ${this.buildCurrencyOptions(exp.originalCurrency || this.getTripCurrency())}
+                                                            </select>
+                                                        </div>
                                                     </div>
                                                     <div>
                                                         <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Categoría</label>
@@ -1248,6 +1562,16 @@ export class BudgetManager {
                                                         </div>
                                                     </div>
                                                 </div>
+                                                <div class="mb-3">
+                                                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Tickets</label>
+                                                    <div class="flex items-center gap-2 flex-wrap">
+                                                        ${receiptGallery.buildThumbnailsHTML(exp, true)}
+                                                        <label class="w-14 h-14 rounded border-2 border-dashed border-slate-300 dark:border-slate-600 text-slate-500 hover:text-blue-600 hover:border-blue-400 flex items-center justify-center cursor-pointer transition-colors" title="Añadir foto del ticket">
+                                                            <span class="material-symbols-outlined">add_a_photo</span>
+                                                            <input type="file" accept="image/*" multiple class="inline-receipt-input hidden" data-expense-id="${exp.id}">
+                                                        </label>
+                                                    </div>
+                                                </div>
                                                 <div class="flex gap-2 justify-end">
                                                     <button class="cancel-inline-edit px-3 py-1 text-xs bg-slate-500 hover:bg-slate-600 text-white rounded transition-colors" data-expense-id="${exp.id}">
                                                         <span class="material-symbols-outlined text-xs mr-1">close</span>Cancelar
@@ -1331,7 +1655,9 @@ export class BudgetManager {
                         
                         if (confirm('¿Estás seguro de que quieres eliminar este gasto?')) {
                             try {
-                                const deleteResult = await this.firebaseManager.deleteExpense(expenseId);
+                                // ↩️ Copia para poder deshacer el borrado
+                                const deletedExpense = { ...stateManager.getState('expenses').find(exp => exp.id === expenseId) };
+                                const deleteResult = await this.storage.deleteExpense(expenseId);
                                 
                                 if (!deleteResult) {
                                     Logger.error(`🚨 DELETE FAILED for expense ID: ${expenseId}`);
@@ -1342,18 +1668,32 @@ export class BudgetManager {
                                     const currentExpenses = stateManager.getState('expenses');
                                     const filteredExpenses = currentExpenses.filter(exp => exp.id !== expenseId);
                                     stateManager.updateState('expenses', filteredExpenses);
+                                    this.saveExpensesToLocalStorage();
+                                    this.recordExpenseCommand({
+                                        label: `Eliminar "${deletedExpense.concept}"`,
+                                        expense: deletedExpense,
+                                        deleted: true,
+                                        receiptsRemoved: receiptStore.deleteForExpense(expenseId),
+                                        localOnly: true
+                                    });
                                     
                                     this.updateSummaryCards();
                                     this.showCategoryContent();
-                                    this.showNotification('⚠️ Gasto eliminado (era solo local)', 'warning');
+                                    undoControls.showToast('⚠️ Gasto eliminado (era solo local)', { actionLabel: 'Deshacer' });
                                     return;
                                 }
                                 
                                 Logger.success(`✅ DELETE CONFIRMED for expense ID: ${expenseId}`);
+                                this.recordExpenseCommand({
+                                    label: `Eliminar "${deletedExpense.concept}"`,
+                                    expense: deletedExpense,
+                                    deleted: true,
+                                    receiptsRemoved: receiptStore.deleteForExpense(expenseId)
+                                });
                                 
                                 // 🎉 DELETE SUCCESSFUL - UI will be updated by onExpenseDeleted callback
                                 Logger.success(`✅ Expense ${expenseId} successfully deleted from Firebase`);
-                                this.showNotification('✅ Gasto eliminado correctamente', 'success');
+                                undoControls.showToast('🗑️ Gasto eliminado', { actionLabel: 'Deshacer' });
                                 
                                 // 🔄 ACTUALIZAR CONTENIDO DE CATEGORÍAS SELECCIONADAS
                                 const selectedCategories = Array.from(document.querySelectorAll('.budget-filter-btn.ring-2'));
@@ -1610,6 +1950,9 @@ export class BudgetManager {
      * 📝 EDICIÓN INLINE: Mostrar/ocultar formulario de edición
      */
     toggleInlineEdit(expenseId) {
+        // Los lectores del viaje no editan gastos
+        if (this.storage.isReadOnly()) return;
+        
         // Ocultar todos los otros formularios inline abiertos
         document.querySelectorAll('.inline-edit-form').forEach(form => {
             if (form.dataset.expenseId !== expenseId) {
@@ -1642,18 +1985,25 @@ export class BudgetManager {
         if (!form) return;
 
         const concept = form.querySelector('.inline-concept').value;
-        const amount = parseFloat(form.querySelector('.inline-amount').value);
+        const originalAmount = parseFloat(form.querySelector('.inline-amount').value);
+        const currency = form.querySelector('.inline-currency').value;
         const category = form.querySelector('.inline-category').value;
 
-        if (concept && amount > 0 && category) {
+        if (concept && originalAmount > 0 && category) {
             try {
-                // 🚀 ACTUALIZACIÓN OPTIMISTA INMEDIATA
+                // 💱 Reconvertir con la tasa de la fecha original del gasto
                 const existingIndex = stateManager.getState('expenses').findIndex(exp => exp.id === expenseId);
+                const existingExpense = stateManager.getState('expenses')[existingIndex];
+                const date = existingExpense?.date || new Date().toISOString();
+                const { fields: currencyFields, final: rateFinal } = this.buildCachedCurrencyFields(originalAmount, currency, date);
+                const previousExpense = { ...existingExpense };
+
+                // 🚀 ACTUALIZACIÓN OPTIMISTA INMEDIATA
                 if (existingIndex !== -1) {
                     stateManager.getState('expenses')[existingIndex] = {
-                        ...stateManager.getState('expenses')[existingIndex],
+                        ...existingExpense,
                         concept,
-                        amount,
+                        ...currencyFields,
                         category
                     };
                 }
@@ -1667,17 +2017,23 @@ export class BudgetManager {
                 this.updateSyncStatus('syncing');
 
                 // 🔥 FIREBASE EN BACKGROUND
-                await this.firebaseManager.updateExpense(expenseId, { concept, amount, category });
+                const updates = { concept, ...currencyFields, category };
+                await conflictResolver.saveExpenseUpdate(expenseId, updates);
+                this.recordExpenseEdit(expenseId, previousExpense, updates);
                 
                 // ✅ Sincronización completada
                 this.updateSyncStatus('connected');
                 this.showNotification('✅ Gasto actualizado correctamente', 'success');
+                
+                if (!rateFinal) {
+                    this.refreshHistoricalRate(expenseId, currencyFields, date);
+                }
 
             } catch (error) {
                 Logger.error('Error updating expense inline:', error);
                 
                 // ❌ REVERTIR CAMBIOS OPTIMISTAS
-                const originalExpense = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]')
+                const originalExpense = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1')) || '[]')
                     .find(exp => exp.id === expenseId);
                 if (originalExpense) {
                     const index = stateManager.getState('expenses').findIndex(exp => exp.id === expenseId);
@@ -1696,8 +2052,10 @@ export class BudgetManager {
 
     /**
      * 🎯 AUTORRELLENAR FORMULARIO: Rellenar formulario con datos del item presupuestado
+     *
+     * @param {Object} extras - { currency, date } opcionales (p. ej. leídos de un ticket)
      */
-    autofillExpenseForm(concept, amount, category) {
+    autofillExpenseForm(concept, amount, category, extras = {}) {
         // Rellenar campos del formulario
         const conceptInput = document.getElementById('expense-concept');
         const amountInput = document.getElementById('expense-amount');
@@ -1706,16 +2064,23 @@ export class BudgetManager {
         const categoryText = document.getElementById('selected-category-text');
         const categoryIcon = document.getElementById('category-icon');
 
+        const currencyInput = document.getElementById('expense-currency');
+        const dateInput = document.getElementById('expense-date');
+
         if (conceptInput) conceptInput.value = concept;
         if (amountInput) amountInput.value = amount;
+        if (currencyInput) currencyInput.value = extras.currency || this.getTripCurrency();
+        if (dateInput && extras.date) dateInput.value = extras.date;
         
         // Actualizar dropdown personalizado de categoría
-        if (categoryInput) categoryInput.value = category;
-        if (categoryText) categoryText.textContent = category;
-        if (categoryIcon) categoryIcon.textContent = getBudgetCategoryIcon(category);
-        if (categoryBtn) {
-            categoryBtn.classList.remove('text-slate-500');
-            categoryBtn.classList.add('text-slate-900', 'dark:text-white');
+        if (category) {
+            if (categoryInput) categoryInput.value = category;
+            if (categoryText) categoryText.textContent = category;
+            if (categoryIcon) categoryIcon.textContent = getBudgetCategoryIcon(category);
+            if (categoryBtn) {
+                categoryBtn.classList.remove('text-slate-500');
+                categoryBtn.classList.add('text-slate-900', 'dark:text-white');
+            }
         }
 
         // Configurar eventos del formulario de gastos
@@ -1816,13 +2181,15 @@ export class BudgetManager {
         if (concept && amount > 0 && category) {
             try {
                 // 🚀 CREAR GASTO AUTOMÁTICAMENTE (Optimistic UI)
+                // Los importes presupuestados ya están en la moneda del viaje
+                const date = new Date().toISOString();
                 const newExpense = {
                     id: Date.now().toString(),
                     concept,
-                    amount,
+                    ...this.buildCachedCurrencyFields(amount, this.getTripCurrency(), date).fields,
                     category,
-                    date: new Date().toISOString(),
-                    deviceId: this.firebaseManager?.getDeviceId() || 'local'
+                    date,
+                    deviceId: this.storage.getDeviceId()
                 };
 
                 // ➕ ADICIÓN OPTIMISTA INMEDIATA
@@ -1837,7 +2204,7 @@ export class BudgetManager {
                 this.updateSyncStatus('syncing');
 
                 // 🔥 FIREBASE EN BACKGROUND
-                const firebaseId = await this.firebaseManager.addExpense(newExpense);
+                const firebaseId = await this.storage.addExpense(newExpense);
                 
                 // Actualizar el ID local con el ID de Firebase si es diferente
                 if (firebaseId && firebaseId !== newExpense.id) {
@@ -1846,6 +2213,11 @@ export class BudgetManager {
                         stateManager.getState('expenses')[localIndex].id = firebaseId;
                     }
                 }
+                this.recordExpenseCommand({
+                    label: `Añadir "${concept}"`,
+                    expense: { ...newExpense, id: firebaseId || newExpense.id },
+                    deleted: false
+                });
 
                 // ✅ Sincronización completada
                 this.updateSyncStatus('connected');
@@ -1874,8 +2246,11 @@ export class BudgetManager {
 
         // Llenar formulario con datos del gasto
         document.getElementById('expense-concept').value = expense.concept;
-        document.getElementById('expense-amount').value = expense.amount;
+        document.getElementById('expense-amount').value = expense.originalAmount ?? expense.amount;
+        document.getElementById('expense-currency').value = expense.originalCurrency || this.getTripCurrency();
+        document.getElementById('expense-date').value = (expense.date || '').split('T')[0] || this.getTodayKey();
         document.getElementById('expense-category').value = expense.category;
+        this.refreshSplitFields(expense);
 
         // Cambiar a modo edición
         const submitBtn = document.querySelector('#expense-form button[type="submit"]');
@@ -1915,6 +2290,15 @@ export class BudgetManager {
             const totalSpent = stateManager.getState('expenses').reduce((sum, exp) => sum + (exp.amount || 0), 0);
             totalSpentElement.textContent = this.formatCurrency(totalSpent, true);
         }
+        
+        // Actualizar desglose por moneda original
+        const spentByCurrencyElement = document.querySelector('[data-summary="spent-by-currency"]');
+        if (spentByCurrencyElement) {
+            spentByCurrencyElement.textContent = this.formatSpentByCurrency();
+        }
+        
+        // Actualizar cuentas del grupo
+        this.renderGroupLedger();
     }
 
     /**
@@ -1923,7 +2307,7 @@ export class BudgetManager {
     saveExpensesToLocalStorage() {
         try {
             const expenses = stateManager.getState('expenses') || [];
-            localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
+            localStorage.setItem(tripManager.getStorageKey('tripExpensesV1'), JSON.stringify(expenses));
             Logger.data('💾 Expenses saved to localStorage');
         } catch (error) {
             Logger.error('❌ Error saving expenses:', error);
@@ -1934,9 +2318,660 @@ export class BudgetManager {
      * 💰 HELPER: Format currency (migrated from window.Utils)
      */
     formatCurrency(amount, showSymbol = false) {
-        if (isNaN(amount)) return showSymbol ? '€0' : '0';
-        const formatted = parseFloat(amount).toFixed(2);
-        return showSymbol ? `€${formatted}` : formatted;
+        const value = isNaN(amount) ? 0 : parseFloat(amount);
+        return showSymbol ? currencyConverter.format(value, this.getTripCurrency()) : value.toFixed(2);
+    }
+
+    // ===== 💱 MONEDAS =====
+
+    /**
+     * 💱 HELPER: Moneda del viaje activo (la de los totales)
+     */
+    getTripCurrency() {
+        return (tripConfig.trip && tripConfig.trip.currency) || 'EUR';
+    }
+
+    /**
+     * 💱 HELPER: Moneda por defecto del formulario (la última usada)
+     */
+    getDefaultExpenseCurrency() {
+        return localStorage.getItem('lastExpenseCurrency') || this.getTripCurrency();
+    }
+
+    /**
+     * 💱 HELPER: Opciones del selector de moneda
+     */
+    buildCurrencyOptions(selected) {
+        return currencyConverter.currencies.map(code => `
+            <option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>
+        `).join('');
+    }
+
+    /**
+     * 💱 HELPER: Campos de moneda de un gasto
+     *
+     * `amount` queda siempre en la moneda del viaje (la que suman todos los
+     * totales) y se guardan la cantidad y moneda originales junto con la
+     * tasa vigente en la fecha del gasto.
+     */
+    async buildCurrencyFields(originalAmount, originalCurrency, date) {
+        const rateInfo = await currencyConverter.getRateOnDate(originalCurrency, this.getTripCurrency(), date);
+        return this.toCurrencyFields(originalAmount, originalCurrency, rateInfo);
+    }
+
+    /**
+     * 💱 HELPER: Campos de moneda sin esperar a la red
+     *
+     * Para el guardado optimista: usa la tasa en caché o la actual y
+     * `final` indica si hay que pedir después la histórica con
+     * refreshHistoricalRate(). Sin tasa para el par nunca es final.
+     *
+     * @returns {Object} { fields, final }
+     */
+    buildCachedCurrencyFields(originalAmount, originalCurrency, date) {
+        const cached = currencyConverter.getCachedRateOnDate(originalCurrency, this.getTripCurrency(), date);
+        if (!cached) {
+            return { fields: this.toCurrencyFields(originalAmount, originalCurrency, null), final: false };
+        }
+        const { final, ...rateInfo } = cached;
+        return { fields: this.toCurrencyFields(originalAmount, originalCurrency, rateInfo), final };
+    }
+
+    /**
+     * Sin tasa para el par el gasto queda pendiente (rateSource 'pending',
+     * importe 0 en la moneda del viaje) en vez de sumarse a 1:1
+     * @private
+     */
+    toCurrencyFields(originalAmount, originalCurrency, rateInfo) {
+        if (!rateInfo) {
+            return {
+                amount: 0,
+                originalAmount,
+                originalCurrency,
+                exchangeRate: null,
+                rateDate: null,
+                rateSource: 'pending'
+            };
+        }
+
+        return {
+            amount: Math.round(originalAmount * rateInfo.rate * 100) / 100,
+            originalAmount,
+            originalCurrency,
+            exchangeRate: rateInfo.rate,
+            rateDate: rateInfo.rateDate,
+            rateSource: rateInfo.rateSource
+        };
+    }
+
+    /**
+     * 💱 Sustituye la tasa provisional de un gasto atrasado por la histórica
+     *
+     * Se lanza sin await tras guardar. Si el gasto se ha borrado o editado
+     * mientras tanto, la tasa pedida ya no le corresponde y se descarta.
+     *
+     * @param {string} expenseId - ID del gasto ya guardado
+     * @param {Object} provisional - Campos de moneda con los que se guardó
+     * @param {string} date - Fecha del gasto
+     */
+    async refreshHistoricalRate(expenseId, provisional, date) {
+        try {
+            const fields = await this.buildCurrencyFields(provisional.originalAmount, provisional.originalCurrency, date);
+            if (fields.exchangeRate === provisional.exchangeRate && fields.rateDate === provisional.rateDate) return;
+
+            const expense = stateManager.getState('expenses').find(exp => exp.id === expenseId);
+            const unchanged = expense
+                && expense.date === date
+                && expense.originalAmount === provisional.originalAmount
+                && expense.originalCurrency === provisional.originalCurrency
+                && expense.exchangeRate === provisional.exchangeRate;
+            if (!unchanged) return;
+
+            Object.assign(expense, fields);
+            this.updateSummaryCards();
+            this.showCategoryContent();
+
+            await conflictResolver.saveExpenseUpdate(expenseId, fields);
+            Logger.budget(`Historical rate applied to expense ${expenseId} (${fields.rateDate})`);
+        } catch (error) {
+            Logger.warning('Could not apply historical rate:', error);
+        }
+    }
+
+    /**
+     * 💱 Reintenta la conversión de los gastos pendientes de tasa
+     *
+     * Una vez por gasto y sesión: si sigue sin tasa, se vuelve a intentar
+     * en la próxima carga.
+     */
+    retryPendingRates(expenses) {
+        this.pendingRateRetries = this.pendingRateRetries || new Set();
+
+        expenses
+            .filter(expense => expense.rateSource === 'pending' && !this.pendingRateRetries.has(expense.id))
+            .forEach(expense => {
+                this.pendingRateRetries.add(expense.id);
+                this.refreshHistoricalRate(expense.id, expense, expense.date);
+            });
+    }
+
+    /**
+     * 💱 HELPER: Cantidad original de un gasto en otra moneda (HTML)
+     */
+    formatOriginalAmountHTML(expense) {
+        const original = currencyConverter.formatOriginal(expense, this.getTripCurrency());
+        if (!original) return '';
+        if (expense.rateSource === 'pending') {
+            return `<span class="text-xs text-amber-600 dark:text-amber-400" title="Tasa de cambio pendiente: no cuenta en los totales">${original} ⏳</span>`;
+        }
+        const rateInfo = expense.exchangeRate
+            ? `1 ${expense.originalCurrency} = ${expense.exchangeRate.toFixed(4)} ${this.getTripCurrency()} (${expense.rateDate})`
+            : '';
+        return `<span class="text-xs text-slate-500 dark:text-slate-400" title="${rateInfo}">${original}</span>`;
+    }
+
+    /**
+     * 💱 HELPER: Desglose del gasto por moneda original
+     */
+    formatSpentByCurrency() {
+        const totals = currencyConverter.summarizeByCurrency(stateManager.getState('expenses'), this.getTripCurrency());
+        return totals.map(total => `${total.formatted} (${this.formatCurrency(total.converted, true)})`).join(' · ');
+    }
+
+    /**
+     * 📅 HELPER: Fecha de hoy (YYYY-MM-DD, hora local)
+     */
+    getTodayKey() {
+        const now = new Date();
+        return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+    }
+
+    /**
+     * 📅 HELPER: Fecha ISO del gasto a partir del campo de fecha
+     */
+    toExpenseDate(dateKey) {
+        if (!dateKey || dateKey === this.getTodayKey()) {
+            return new Date().toISOString();
+        }
+        return `${dateKey}T12:00:00.000Z`;
+    }
+
+    /**
+     * 🔄 HELPER: Restaurar moneda y fecha tras vaciar el formulario
+     */
+    resetExpenseFormDefaults() {
+        const currencyInput = document.getElementById('expense-currency');
+        const dateInput = document.getElementById('expense-date');
+        if (currencyInput) currencyInput.value = this.getDefaultExpenseCurrency();
+        if (dateInput) dateInput.value = this.getTodayKey();
+        this.refreshSplitFields(null);
+    }
+
+    // ===== 🧾 TICKETS =====
+
+    /**
+     * 🧾 Fotos elegidas en el formulario (cámara o galería) antes de guardar
+     * @private
+     */
+    setupReceiptInputListeners() {
+        this.pendingReceiptFiles = [];
+
+        document.querySelectorAll('.expense-receipt-input').forEach(input => {
+            input.addEventListener('change', () => {
+                Array.from(input.files || []).forEach(file => {
+                    this.pendingReceiptFiles.push({ file, url: URL.createObjectURL(file) });
+                });
+                input.value = '';
+                this.renderPendingReceipts();
+            });
+        });
+
+        const preview = document.getElementById('expense-receipts-preview');
+        if (preview) {
+            preview.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-pending-receipt]');
+                if (!button) return;
+
+                const [removed] = this.pendingReceiptFiles.splice(parseInt(button.dataset.pendingReceipt), 1);
+                if (removed) URL.revokeObjectURL(removed.url);
+                this.renderPendingReceipts();
+            });
+        }
+    }
+
+    /**
+     * 🧾 Miniaturas de las fotos pendientes del formulario
+     * @private
+     */
+    renderPendingReceipts() {
+        const preview = document.getElementById('expense-receipts-preview');
+        if (!preview) return;
+
+        preview.innerHTML = this.pendingReceiptFiles.map((pending, index) => `
+            <span class="relative inline-block">
+                <img src="${pending.url}" alt="Ticket" class="w-12 h-12 object-cover rounded border border-slate-200 dark:border-slate-600">
+                <button type="button" data-pending-receipt="${index}" class="absolute -top-1 -right-1 w-5 h-5 bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center" title="Quitar">
+                    <span class="material-symbols-outlined text-xs">close</span>
+                </button>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * 🧾 Vaciar las fotos pendientes tras guardar el gasto
+     * @private
+     */
+    clearPendingReceipts() {
+        (this.pendingReceiptFiles || []).forEach(pending => URL.revokeObjectURL(pending.url));
+        this.pendingReceiptFiles = [];
+        this.renderPendingReceipts();
+    }
+
+    /**
+     * 🔍 Escanear un ticket para rellenar el formulario
+     * @private
+     */
+    setupReceiptScanListeners() {
+        const scanInput = document.getElementById('expense-scan-input');
+        if (scanInput) {
+            scanInput.addEventListener('change', () => {
+                const [file] = Array.from(scanInput.files || []);
+                scanInput.value = '';
+                if (file) this.scanReceipt(file);
+            });
+        }
+
+        const prepareButton = document.getElementById('expense-scan-prepare');
+        if (prepareButton) {
+            prepareButton.addEventListener('click', async () => {
+                prepareButton.disabled = true;
+                try {
+                    await receiptScanner.prepare((progress) => this.setScanStatus(`📥 Descargando escáner... ${progress}%`));
+                    prepareButton.remove();
+                    this.setScanStatus('✅ Escáner listo para usar sin conexión');
+                } catch (error) {
+                    Logger.error('Error preparing receipt scanner:', error);
+                    prepareButton.disabled = false;
+                    this.setScanStatus('❌ No se pudo descargar el escáner. Inténtalo con conexión.');
+                }
+            });
+        }
+    }
+
+    /**
+     * 🔍 LEER UN TICKET Y RELLENAR EL FORMULARIO
+     *
+     * @param {File} file - Foto del ticket
+     */
+    async scanReceipt(file) {
+        this.setScanStatus('🔍 Leyendo ticket...');
+
+        try {
+            const categories = Array.from(document.querySelectorAll('.category-option')).map(option => option.dataset.value);
+            const currencies = Array.from(document.querySelectorAll('#expense-currency option')).map(option => option.value);
+
+            const result = await receiptScanner.scan(file, {
+                categories,
+                onProgress: (progress, status) => this.setScanStatus(status === 'recognizing text'
+                    ? `🔍 Leyendo ticket... ${progress}%`
+                    : `📥 Preparando escáner... ${progress}%`)
+            });
+
+            this.autofillExpenseForm(result.merchant || 'Ticket', result.amount ?? '', result.category, {
+                currency: currencies.includes(result.currency) ? result.currency : null,
+                date: result.date
+            });
+
+            document.getElementById('expense-scan-prepare')?.remove();
+
+            // La foto escaneada se adjunta también como ticket del gasto
+            this.pendingReceiptFiles.push({ file, url: URL.createObjectURL(file) });
+            this.renderPendingReceipts();
+
+            this.setScanStatus(result.amount
+                ? '✅ Ticket leído. Revisa los datos antes de guardar.'
+                : '⚠️ No se encontró el total del ticket: escríbelo a mano.');
+        } catch (error) {
+            Logger.error('Error scanning receipt:', error);
+            this.setScanStatus(receiptScanner.isReady()
+                ? '❌ No se pudo leer el ticket. Prueba con una foto más nítida.'
+                : '❌ El escáner necesita conexión la primera vez para descargarse.');
+        }
+    }
+
+    /**
+     * @private
+     */
+    setScanStatus(text) {
+        const status = document.getElementById('expense-scan-status');
+        if (!status) return;
+
+        status.textContent = text;
+        status.classList.toggle('hidden', !text);
+    }
+
+    // ===== 👥 CUENTAS DEL GRUPO =====
+
+    /**
+     * 👥 HELPER: Campos "Pagado por" y "Reparto" del formulario
+     *
+     * @param {Object|null} expense - Gasto a mostrar (null = valores por defecto)
+     */
+    buildSplitFieldsHTML(expense = null) {
+        const travelers = expenseSplitManager.getTravelers();
+        const split = expense?.split || { mode: 'equal', among: travelers.map(traveler => traveler.id), weights: {} };
+        const lastPayer = localStorage.getItem('lastExpensePaidBy');
+        const paidBy = expense
+            ? expense.paidBy || ''
+            : (expenseSplitManager.getTraveler(lastPayer) ? lastPayer : travelers[0].id);
+        const inputClass = 'px-4 py-3 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 focus:border-blue-500 transition-standard text-slate-900 dark:text-white';
+
+        return `
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                    <label for="expense-paid-by" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Pagado por</label>
+                    <select id="expense-paid-by" class="w-full ${inputClass}">
+                        <option value="" ${paidBy === '' ? 'selected' : ''}>Sin asignar</option>
+                        ${travelers.map(traveler => `
+                            <option value="${traveler.id}" ${traveler.id === paidBy ? 'selected' : ''}>${this.escapeHTML(traveler.name)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label for="expense-split-mode" class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Reparto</label>
+                    <select id="expense-split-mode" class="w-full ${inputClass}">
+                        <option value="equal" ${split.mode === 'equal' ? 'selected' : ''}>A partes iguales</option>
+                        <option value="shares" ${split.mode === 'shares' ? 'selected' : ''}>Por participaciones</option>
+                        <option value="exact" ${split.mode === 'exact' ? 'selected' : ''}>Importes exactos</option>
+                    </select>
+                </div>
+            </div>
+            <div id="expense-split-travelers" class="flex flex-wrap gap-3 mt-3">
+                ${travelers.map(traveler => `
+                    <label class="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-50 dark:bg-slate-700 text-sm text-slate-700 dark:text-slate-300">
+                        <input type="checkbox" class="split-traveler-check" value="${traveler.id}" ${split.among.includes(traveler.id) ? 'checked' : ''}>
+                        <span>${this.escapeHTML(traveler.name)}</span>
+                        <input type="number" step="${split.mode === 'exact' ? '0.01' : '1'}" min="0"
+                               class="split-traveler-weight w-20 px-2 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 text-slate-900 dark:text-white ${split.mode === 'equal' ? 'hidden' : ''}"
+                               data-traveler-id="${traveler.id}" value="${split.weights?.[traveler.id] ?? (split.mode === 'shares' ? 1 : '')}"
+                               placeholder="${split.mode === 'exact' ? '0,00' : '1'}">
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 👥 HELPER: Leer el estado actual de los campos de reparto (sin validar)
+     */
+    getSplitFormState() {
+        const mode = document.getElementById('expense-split-mode')?.value || 'equal';
+        const among = Array.from(document.querySelectorAll('.split-traveler-check:checked')).map(input => input.value);
+        const weights = {};
+
+        if (mode !== 'equal') {
+            document.querySelectorAll('.split-traveler-weight').forEach(input => {
+                if (among.includes(input.dataset.travelerId) && input.value !== '') {
+                    weights[input.dataset.travelerId] = parseFloat(input.value) || 0;
+                }
+            });
+        }
+
+        return {
+            paidBy: document.getElementById('expense-paid-by')?.value || '',
+            split: { mode, among, weights }
+        };
+    }
+
+    /**
+     * 👥 HELPER: Campos de reparto validados para guardar en el gasto
+     *
+     * @param {number} originalAmount - Importe en la moneda original
+     * @throws {Error} Si el reparto no es válido
+     */
+    readSplitFields(originalAmount) {
+        const { paidBy, split } = this.getSplitFormState();
+        if (!paidBy) {
+            return { paidBy: null, split: null };
+        }
+
+        expenseSplitManager.validateSplit(split, originalAmount);
+        localStorage.setItem('lastExpensePaidBy', paidBy);
+        return { paidBy, split };
+    }
+
+    /**
+     * 👥 HELPER: Volver a pintar los campos de reparto
+     *
+     * @param {Object|null} [source] - Gasto a mostrar, null para valores por
+     *        defecto u omitido para conservar lo que ya hay en el formulario
+     */
+    refreshSplitFields(source) {
+        const container = document.getElementById('expense-split-fields');
+        if (!container) return;
+        container.innerHTML = this.buildSplitFieldsHTML(source === undefined ? this.getSplitFormState() : source);
+    }
+
+    /**
+     * 👥 Mostrar/ocultar participaciones o importes según el modo de reparto
+     * @private
+     */
+    setupSplitFieldsListeners() {
+        const container = document.getElementById('expense-split-fields');
+        if (!container) return;
+
+        container.addEventListener('change', (e) => {
+            if (e.target.id !== 'expense-split-mode') return;
+            const mode = e.target.value;
+
+            container.querySelectorAll('.split-traveler-weight').forEach(input => {
+                input.classList.toggle('hidden', mode === 'equal');
+                input.step = mode === 'exact' ? '0.01' : '1';
+                input.placeholder = mode === 'exact' ? '0,00' : '1';
+                input.value = mode === 'shares' ? (input.value || '1') : '';
+            });
+        });
+    }
+
+    /**
+     * 👥 HELPER: Pagador de un gasto en la lista (HTML)
+     */
+    formatPaidByHTML(expense) {
+        if (!expense.paidBy) return '';
+        const among = (expense.split?.among || []).map(id => expenseSplitManager.getTravelerName(id)).join(', ');
+        const title = `Pagado por ${expenseSplitManager.getTravelerName(expense.paidBy)}${among ? ` · Repartido entre ${among}` : ''}`;
+        return `<span class="text-xs px-2 py-0.5 rounded-full bg-slate-100 dark:bg-slate-700 text-slate-600 dark:text-slate-300" title="${this.escapeHTML(title)}">${this.escapeHTML(expenseSplitManager.getTravelerName(expense.paidBy))}</span>`;
+    }
+
+    /**
+     * 👥 HELPER: Tarjeta de cuentas del grupo (viajeros, saldos y pagos)
+     */
+    buildGroupLedgerHTML() {
+        const expenses = stateManager.getState('expenses') || [];
+        const travelers = expenseSplitManager.getTravelers();
+        const { balances, unassigned } = expenseSplitManager.getBalances(expenses);
+        const transactions = expenseSplitManager.getSettleUpTransactions(balances);
+        const settlements = [...expenseSplitManager.getSettlements()].reverse();
+
+        return `
+            <h3 class="font-bold text-lg text-slate-900 dark:text-white flex items-center gap-3 mb-4">
+                <span class="material-symbols-outlined text-slate-600 dark:text-slate-400">group</span>
+                Cuentas del Grupo
+            </h3>
+            
+            <!-- Viajeros -->
+            <div class="flex flex-wrap items-center gap-2 mb-6">
+                ${travelers.map(traveler => `
+                    <div class="flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-${traveler.color}-100 dark:bg-${traveler.color}-900/30">
+                        <input type="text" class="ledger-traveler-name w-28 bg-transparent text-sm font-medium text-slate-800 dark:text-slate-200 focus:outline-none" data-traveler-id="${traveler.id}" value="${this.escapeHTML(traveler.name)}" title="Cambiar nombre">
+                        ${travelers.length > 1 ? `
+                            <button type="button" data-ledger-action="remove-traveler" data-traveler-id="${traveler.id}" class="w-6 h-6 flex items-center justify-center rounded-full text-slate-500 hover:text-red-600 hover:bg-white/60" title="Eliminar viajero">
+                                <span class="material-symbols-outlined text-sm">close</span>
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+                <div class="flex items-center gap-1">
+                    <input type="text" id="ledger-new-traveler" placeholder="Nuevo viajero" class="w-32 px-3 py-1 text-sm rounded-full border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white">
+                    <button type="button" data-ledger-action="add-traveler" class="w-7 h-7 flex items-center justify-center rounded-full bg-blue-600 hover:bg-blue-700 text-white" title="Añadir viajero">
+                        <span class="material-symbols-outlined text-sm">person_add</span>
+                    </button>
+                </div>
+            </div>
+            
+            <!-- Saldos -->
+            <div class="overflow-x-auto mb-2">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                            <th class="py-2 font-medium">Viajero</th>
+                            <th class="py-2 font-medium text-right">Pagado</th>
+                            <th class="py-2 font-medium text-right">Le corresponde</th>
+                            <th class="py-2 font-medium text-right">Saldo</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${balances.map(row => `
+                            <tr class="border-b border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-300">
+                                <td class="py-2">${this.escapeHTML(row.traveler.name)}</td>
+                                <td class="py-2 text-right">${this.formatCurrency(row.paid, true)}</td>
+                                <td class="py-2 text-right">${this.formatCurrency(row.owed, true)}</td>
+                                <td class="py-2 text-right font-semibold ${row.net > 0.005 ? 'text-green-600 dark:text-green-400' : row.net < -0.005 ? 'text-red-600 dark:text-red-400' : ''}">${row.net > 0.005 ? '+' : ''}${this.formatCurrency(row.net, true)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${unassigned > 0 ? `
+                <p class="text-xs text-slate-500 dark:text-slate-400 mb-4">${unassigned} ${unassigned === 1 ? 'gasto sin pagador asignado no cuenta' : 'gastos sin pagador asignado no cuentan'} en los saldos.</p>
+            ` : ''}
+            
+            <!-- Liquidación -->
+            <div class="mt-4">
+                <h4 class="text-sm font-medium text-slate-600 dark:text-slate-400 mb-3 flex items-center gap-2">
+                    <span class="material-symbols-outlined text-lg">handshake</span>
+                    Para quedar en paz
+                </h4>
+                ${transactions.length === 0 ? `
+                    <p class="text-sm text-slate-500 dark:text-slate-400">✅ Nadie debe nada</p>
+                ` : `
+                    <div class="space-y-2">
+                        ${transactions.map(tx => `
+                            <div class="flex items-center justify-between py-2 px-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg">
+                                <span class="text-sm text-slate-700 dark:text-slate-300">
+                                    <strong>${this.escapeHTML(expenseSplitManager.getTravelerName(tx.from))}</strong> paga
+                                    <strong>${this.formatCurrency(tx.amount, true)}</strong> a
+                                    <strong>${this.escapeHTML(expenseSplitManager.getTravelerName(tx.to))}</strong>
+                                </span>
+                                <button type="button" data-ledger-action="settle" data-from="${tx.from}" data-to="${tx.to}" data-amount="${tx.amount}"
+                                        class="px-3 py-1 text-xs bg-green-500 hover:bg-green-600 text-white rounded transition-colors">
+                                    Marcar pagado
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+            
+            ${settlements.length > 0 ? `
+                <!-- Pagos registrados -->
+                <div class="mt-4">
+                    <h4 class="text-sm font-medium text-slate-600 dark:text-slate-400 mb-2">Pagos registrados</h4>
+                    <div class="space-y-1">
+                        ${settlements.map(settlement => `
+                            <div class="group flex items-center justify-between text-xs text-slate-500 dark:text-slate-400">
+                                <span>${new Date(settlement.date).toLocaleDateString('es-ES')} · ${this.escapeHTML(expenseSplitManager.getTravelerName(settlement.from))} → ${this.escapeHTML(expenseSplitManager.getTravelerName(settlement.to))} · ${this.formatCurrency(settlement.amount, true)}</span>
+                                <button type="button" data-ledger-action="undo-settlement" data-settlement-id="${settlement.id}" class="opacity-0 group-hover:opacity-100 text-red-500 hover:text-red-600" title="Deshacer pago">
+                                    <span class="material-symbols-outlined text-sm">undo</span>
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * 👥 Volver a pintar la tarjeta de cuentas del grupo
+     */
+    renderGroupLedger() {
+        const container = document.getElementById('group-ledger');
+        if (container) {
+            container.innerHTML = this.buildGroupLedgerHTML();
+        }
+    }
+
+    /**
+     * 👥 Acciones de la tarjeta de cuentas del grupo (delegadas)
+     * @private
+     */
+    setupGroupLedgerListeners() {
+        const container = document.getElementById('group-ledger');
+        if (!container) return;
+
+        const addTraveler = () => {
+            const input = document.getElementById('ledger-new-traveler');
+            try {
+                const traveler = expenseSplitManager.addTraveler(input.value);
+                this.showNotification(`👥 ${traveler.name} añadido al grupo`, 'success');
+            } catch (error) {
+                this.showNotification(`❌ ${error.message}`, 'error');
+            }
+        };
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-ledger-action]');
+            if (!button) return;
+
+            try {
+                switch (button.dataset.ledgerAction) {
+                    case 'add-traveler':
+                        addTraveler();
+                        break;
+                    case 'remove-traveler': {
+                        const name = expenseSplitManager.getTravelerName(button.dataset.travelerId);
+                        if (confirm(`¿Eliminar a ${name} del grupo?`)) {
+                            expenseSplitManager.removeTraveler(button.dataset.travelerId, stateManager.getState('expenses'));
+                        }
+                        break;
+                    }
+                    case 'settle': {
+                        const { from, to, amount } = button.dataset;
+                        expenseSplitManager.addSettlement({ from, to, amount: parseFloat(amount) });
+                        this.showNotification(`🤝 Pago registrado: ${expenseSplitManager.getTravelerName(from)} → ${expenseSplitManager.getTravelerName(to)}`, 'success');
+                        break;
+                    }
+                    case 'undo-settlement':
+                        expenseSplitManager.removeSettlement(button.dataset.settlementId);
+                        break;
+                }
+            } catch (error) {
+                this.showNotification(`❌ ${error.message}`, 'error');
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.id === 'ledger-new-traveler') {
+                e.preventDefault();
+                addTraveler();
+            }
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('ledger-traveler-name')) {
+                expenseSplitManager.renameTraveler(e.target.dataset.travelerId, e.target.value);
+            }
+        });
+    }
+
+    /**
+     * 🔒 HELPER: Escapar texto introducido por el usuario
+     */
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
     }
 
     /**
@@ -0,0 +1,193 @@
+/**
+ * ConflictDialog - Diálogo de Conflictos de Edición
+ *
+ * Modal que muestra dos versiones de un mismo dato editado a la vez en
+ * dos dispositivos (un gasto, items de la lista de equipaje) para que el
+ * usuario se quede con la suya, con la del otro dispositivo o combine
+ * ambas eligiendo fila a fila.
+ *
+ * No se puede cerrar sin elegir: la resolución la espera ConflictResolver.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+
+export class ConflictDialog {
+    constructor() {
+        this.resolveDecision = null;
+        this.rows = [];
+        Logger.init('⚖️ ConflictDialog initialized');
+    }
+
+    // =================================================================
+    // 🪟 MODAL
+    // =================================================================
+
+    /**
+     * ⚖️ ABRIR DIÁLOGO
+     *
+     * @param {Object} options
+     * @param {string} options.title - Título ("Conflicto en un gasto")
+     * @param {string} options.description - Qué se editó y dónde
+     * @param {Array} options.rows - [{ key, label, mine, theirs, conflict }] con
+     *   los valores ya formateados; las filas sin `conflict` se combinan solas
+     * @returns {Promise<Object>} { choice: 'mine'|'theirs'|'merge', picks: { key: 'mine'|'theirs' } }
+     */
+    open({ title, description = '', rows }) {
+        // Un diálogo abierto sin responder se da por "quedarme con la mía"
+        if (this.resolveDecision) {
+            this.finish('mine');
+        }
+
+        this.rows = rows;
+        this.render(title, description);
+        Logger.ui(`⚖️ Conflict dialog opened: ${title}`);
+
+        return new Promise(resolve => {
+            this.resolveDecision = resolve;
+        });
+    }
+
+    /**
+     * @private
+     */
+    finish(choice) {
+        const picks = {};
+        this.rows.forEach(row => {
+            const selected = document.querySelector(`input[name="conflict-pick-${row.key}"]:checked`);
+            picks[row.key] = choice === 'merge' ? (selected?.value || 'mine') : choice;
+        });
+
+        const resolve = this.resolveDecision;
+        this.resolveDecision = null;
+        this.rows = [];
+
+        const container = document.getElementById('conflict-dialog-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+
+        Logger.ui(`⚖️ Conflict resolved: ${choice}`);
+        if (resolve) {
+            resolve({ choice, picks });
+        }
+    }
+
+    /**
+     * 🎨 RENDERIZAR MODAL
+     *
+     * @private
+     */
+    render(title, description) {
+        let container = document.getElementById('conflict-dialog-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'conflict-dialog-container';
+            document.body.appendChild(container);
+        }
+
+        const hasConflicts = this.rows.some(row => row.conflict);
+
+        container.innerHTML = `
+            <div id="conflict-dialog-overlay" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-[999999] flex items-center justify-center p-4" role="dialog" aria-modal="true">
+                <div class="bg-white dark:bg-slate-900 radius-card w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                    <div class="p-6 border-b border-slate-200 dark:border-slate-700">
+                        <p class="text-sm font-semibold text-amber-600 dark:text-amber-400 flex items-center gap-1">
+                            <span class="material-symbols-outlined text-base">sync_problem</span> CONFLICTO DE EDICIÓN
+                        </p>
+                        <h3 class="text-2xl font-bold text-slate-900 dark:text-white">${this.escape(title)}</h3>
+                        ${description ? `<p class="text-sm text-slate-600 dark:text-slate-400 mt-1">${this.escape(description)}</p>` : ''}
+                    </div>
+
+                    <div class="p-6">
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-slate-500 dark:text-slate-400">
+                                    <th class="pb-2 font-medium"></th>
+                                    <th class="pb-2 font-medium">Tu versión</th>
+                                    <th class="pb-2 font-medium">Otro dispositivo</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${this.rows.map(row => this.buildRowHTML(row)).join('')}
+                            </tbody>
+                        </table>
+                        ${hasConflicts ? `
+                            <p class="text-xs text-slate-500 dark:text-slate-400 mt-3">
+                                Para combinar, elige en cada fila marcada qué valor se queda y pulsa Combinar.
+                            </p>
+                        ` : ''}
+                    </div>
+
+                    <!-- Acciones -->
+                    <div class="flex flex-wrap justify-end gap-2 p-6 border-t border-slate-200 dark:border-slate-700">
+                        <button data-conflict-action="theirs" class="px-4 py-2 rounded-xl bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">Quedarme con la suya</button>
+                        <button data-conflict-action="mine" class="px-4 py-2 rounded-xl bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">Quedarme con la mía</button>
+                        <button data-conflict-action="merge" class="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-700 text-white font-semibold">Combinar</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const overlay = document.getElementById('conflict-dialog-overlay');
+        overlay.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-conflict-action]');
+            if (button) {
+                this.finish(button.dataset.conflictAction);
+            }
+        });
+    }
+
+    /**
+     * 📋 HTML DE UNA FILA
+     *
+     * @private
+     */
+    buildRowHTML(row) {
+        if (!row.conflict) {
+            return `
+                <tr class="border-t border-slate-100 dark:border-slate-800 text-slate-500 dark:text-slate-400">
+                    <td class="py-2 pr-3 font-medium">${this.escape(row.label)}</td>
+                    <td class="py-2 pr-3">${this.escape(row.mine)}</td>
+                    <td class="py-2">${this.escape(row.theirs)}</td>
+                </tr>
+            `;
+        }
+
+        const name = `conflict-pick-${row.key}`;
+        return `
+            <tr class="border-t border-slate-100 dark:border-slate-800 bg-amber-50 dark:bg-amber-900/20">
+                <td class="py-2 px-2 font-semibold text-slate-800 dark:text-slate-200">${this.escape(row.label)}</td>
+                <td class="py-2 pr-3">
+                    <label class="flex items-start gap-2 cursor-pointer text-slate-900 dark:text-white">
+                        <input type="radio" name="${name}" value="mine" checked class="mt-1">
+                        <span>${this.escape(row.mine)}</span>
+                    </label>
+                </td>
+                <td class="py-2 pr-2">
+                    <label class="flex items-start gap-2 cursor-pointer text-slate-900 dark:text-white">
+                        <input type="radio" name="${name}" value="theirs" class="mt-1">
+                        <span>${this.escape(row.theirs)}</span>
+                    </label>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instancia singleton
+export const conflictDialog = new ConflictDialog();
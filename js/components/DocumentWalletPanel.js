@@ -0,0 +1,445 @@
+/**
+ * DocumentWalletPanel - Cartera de Documentos
+ *
+ * Tarjeta de Planificación para guardar tarjetas de embarque, visados,
+ * seguro y bonos de hotel cifrados tras un PIN, y bloque de la vista Hoy
+ * con los documentos que hacen falta ese día. Los documentos se abren en
+ * un visor a pantalla completa (imagen, PDF o código de barras).
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import documentWallet, { DOCUMENT_TYPES } from '../utils/DocumentWallet.js';
+
+const BARCODE_FORMATS = ['PDF417', 'QR', 'Aztec', 'Code 128'];
+
+export class DocumentWalletPanel {
+    constructor() {
+        this.container = null;
+        this.todayContainer = null;
+        this.viewerURL = null;
+
+        stateManager.subscribe('documents.updatedAt', () => this.refresh());
+
+        Logger.init('🎫 DocumentWalletPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA DE PLANIFICACIÓN
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        this.paint();
+
+        if (!container.dataset.walletListeners) {
+            container.dataset.walletListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('🎫 Document wallet panel rendered');
+    }
+
+    /**
+     * 📅 RENDERIZAR DOCUMENTOS DE HOY
+     *
+     * Se oculta si ese día no hace falta ningún documento.
+     *
+     * @param {HTMLElement} container - Contenedor en la vista Hoy
+     */
+    renderToday(container) {
+        this.todayContainer = container;
+        this.paintToday();
+
+        if (!container.dataset.walletListeners) {
+            container.dataset.walletListeners = 'true';
+            this.setupListeners(container);
+        }
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            // No repintar mientras se rellena el formulario
+            if (!(this.container.contains(document.activeElement) && document.activeElement.matches('input, select, textarea'))) {
+                this.paint();
+            }
+        }
+        if (this.todayContainer && document.body.contains(this.todayContainer)) {
+            this.paintToday();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async paint() {
+        const container = this.container;
+        await documentWallet.ready;
+        const documents = await documentWallet.listDocuments();
+        container.innerHTML = this.buildHTML(documents);
+    }
+
+    /**
+     * @private
+     */
+    async paintToday() {
+        const container = this.todayContainer;
+        await documentWallet.ready;
+        const documents = await documentWallet.listDocuments(documentWallet.getDocumentsForDate());
+
+        container.classList.toggle('hidden', documents.length === 0);
+        container.innerHTML = documents.length === 0 ? '' : `
+            <div class="bg-indigo-50 dark:bg-indigo-900/20 radius-card p-6 border border-indigo-200 dark:border-indigo-800">
+                <div class="flex items-center gap-2 mb-3">
+                    <span class="material-symbols-outlined text-lg text-indigo-600 dark:text-indigo-400">wallet</span>
+                    <h4 class="font-semibold text-slate-900 dark:text-white">Documentos para hoy</h4>
+                </div>
+                ${this.buildListHTML(documents, { removable: false })}
+                ${documentWallet.isUnlocked() ? '' : `<div class="mt-3">${this.buildPinFormHTML()}</div>`}
+            </div>
+        `;
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML(documents) {
+        if (!documentWallet.hasPin() || !documentWallet.isUnlocked()) {
+            return `
+                <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                    ${documentWallet.hasPin()
+                        ? `${documents.length} documentos cifrados en este dispositivo. Introduce el PIN para verlos.`
+                        : 'Guarda tarjetas de embarque, visados, seguro y bonos de hotel para tenerlos sin conexión. Se cifran con un PIN que solo conoces tú: si lo olvidas no se pueden recuperar.'}
+                </p>
+                ${this.buildPinFormHTML()}
+                ${documents.length > 0 ? `<div class="mt-4">${this.buildListHTML(documents, { removable: false })}</div>` : ''}
+            `;
+        }
+
+        return `
+            <div class="flex flex-wrap items-center gap-3 mb-4">
+                <p class="flex-1 text-sm text-slate-600 dark:text-slate-400">${documents.length} documentos · se bloquea sola a los 5 minutos</p>
+                <button data-wallet-action="lock" class="px-3 py-1 radius-standard bg-slate-100 dark:bg-slate-700 text-sm text-slate-700 dark:text-slate-300 flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">lock</span>
+                    Bloquear
+                </button>
+            </div>
+            ${documents.length > 0 ? this.buildListHTML(documents, { removable: true }) : ''}
+            ${this.buildAddFormHTML()}
+            <details class="mt-4">
+                <summary class="text-sm text-slate-600 dark:text-slate-400 cursor-pointer">Cambiar PIN</summary>
+                <div class="flex flex-wrap items-end gap-3 mt-3">
+                    <input type="password" inputmode="numeric" autocomplete="off" data-wallet-field="current-pin" placeholder="PIN actual" class="${this.inputClass()} w-32">
+                    <input type="password" inputmode="numeric" autocomplete="off" data-wallet-field="new-pin" placeholder="PIN nuevo" class="${this.inputClass()} w-32">
+                    <button data-wallet-action="change-pin" class="px-3 py-2 radius-standard bg-slate-100 dark:bg-slate-700 text-sm text-slate-700 dark:text-slate-300">Cambiar</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildPinFormHTML() {
+        const creating = !documentWallet.hasPin();
+        return `
+            <div class="flex flex-wrap items-center gap-3">
+                <input type="password" inputmode="numeric" autocomplete="off" data-wallet-field="pin" placeholder="${creating ? 'Nuevo PIN (4-8 cifras)' : 'PIN'}" class="${this.inputClass()} w-44">
+                <button data-wallet-action="${creating ? 'setup-pin' : 'unlock'}" class="px-3 py-2 radius-standard bg-indigo-600 text-white text-sm flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">${creating ? 'key' : 'lock_open'}</span>
+                    ${creating ? 'Crear PIN' : 'Desbloquear'}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildListHTML(documents, { removable }) {
+        return `
+            <ul class="space-y-2">
+                ${documents.map(entry => {
+                    const { label, icon } = DOCUMENT_TYPES[entry.type] || DOCUMENT_TYPES.other;
+                    return `
+                        <li class="flex items-center gap-3 p-3 rounded-lg bg-white/60 dark:bg-slate-700/50 border border-slate-200 dark:border-slate-700">
+                            <span class="material-symbols-outlined text-indigo-600 dark:text-indigo-400">${icon}</span>
+                            <div class="flex-1 min-w-0">
+                                <p class="font-medium text-slate-900 dark:text-white truncate">${entry.title ? this.escape(entry.title) : label}</p>
+                                <p class="text-xs text-slate-500 dark:text-slate-400">
+                                    ${entry.title ? `${label} · ` : ''}${this.formatRange(entry)}${entry.reference ? ` · ${this.escape(entry.reference)}` : ''}
+                                </p>
+                            </div>
+                            ${documentWallet.isUnlocked() ? `
+                                <button data-wallet-action="open" data-document-id="${entry.id}" class="px-3 py-1 radius-standard bg-indigo-50 dark:bg-indigo-900/30 text-sm text-indigo-700 dark:text-indigo-300">Abrir</button>
+                                ${removable && entry.source !== 'accommodation' ? `
+                                    <button data-wallet-action="remove" data-document-id="${entry.id}" class="text-slate-400 hover:text-red-600" title="Borrar">
+                                        <span class="material-symbols-outlined text-base">delete</span>
+                                    </button>
+                                ` : ''}
+                            ` : '<span class="material-symbols-outlined text-slate-400" title="Bloqueada">lock</span>'}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildAddFormHTML() {
+        const inputClass = this.inputClass();
+        const flights = documentWallet.getFlightSegmentOptions();
+
+        return `
+            <div class="mt-6 p-4 rounded-lg bg-slate-50 dark:bg-slate-700/50 space-y-3">
+                <h4 class="font-semibold text-slate-900 dark:text-white">Añadir documento</h4>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <select data-wallet-field="type" class="${inputClass}">
+                        ${Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                    <input type="text" data-wallet-field="title" placeholder="Nombre (p. ej. Tarjeta de embarque MAD → DOH)" class="${inputClass}">
+                    <select data-wallet-field="flight" class="${inputClass}">
+                        <option value="">Vuelo (solo tarjetas de embarque)</option>
+                        ${flights.map(option => `<option value="${this.escape(option.id)}">${this.escape(option.label)}</option>`).join('')}
+                    </select>
+                    <input type="text" data-wallet-field="reference" placeholder="Localizador, nº de póliza o de visado" class="${inputClass}">
+                    <label class="text-xs text-slate-600 dark:text-slate-400">Se necesita desde
+                        <input type="date" data-wallet-field="date" class="${inputClass} w-full">
+                    </label>
+                    <label class="text-xs text-slate-600 dark:text-slate-400">Hasta (opcional)
+                        <input type="date" data-wallet-field="end-date" class="${inputClass} w-full">
+                    </label>
+                    <select data-wallet-field="barcode-format" class="${inputClass}">
+                        <option value="">Sin código de barras</option>
+                        ${BARCODE_FORMATS.map(format => `<option value="${format}">${format}</option>`).join('')}
+                    </select>
+                    <input type="text" data-wallet-field="barcode-payload" placeholder="Contenido del código (de la tarjeta de embarque)" class="${inputClass}">
+                    <input type="file" data-wallet-field="file" accept="application/pdf,image/*" class="text-sm text-slate-600 dark:text-slate-400">
+                    <input type="text" data-wallet-field="notes" placeholder="Notas" class="${inputClass}">
+                </div>
+                <button data-wallet-action="add" class="px-4 py-2 radius-standard bg-indigo-600 text-white text-sm flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">add</span>
+                    Guardar cifrado
+                </button>
+            </div>
+        `;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-wallet-action]');
+            if (!button) return;
+
+            const field = (name) => container.querySelector(`[data-wallet-field="${name}"]`);
+
+            try {
+                switch (button.dataset.walletAction) {
+                    case 'setup-pin':
+                        button.disabled = true;
+                        await documentWallet.setupPin(field('pin').value);
+                        this.notify('🔐 Cartera creada y desbloqueada', 'success');
+                        break;
+                    case 'unlock':
+                        button.disabled = true;
+                        await documentWallet.unlock(field('pin').value);
+                        break;
+                    case 'lock':
+                        documentWallet.lock();
+                        break;
+                    case 'change-pin':
+                        button.disabled = true;
+                        await documentWallet.changePin(field('current-pin').value, field('new-pin').value);
+                        this.notify('🔐 PIN cambiado', 'success');
+                        break;
+                    case 'add': {
+                        button.disabled = true;
+                        const format = field('barcode-format').value;
+                        await documentWallet.addDocument({
+                            type: field('type').value,
+                            title: field('title').value,
+                            flightSegmentId: field('flight').value || null,
+                            reference: field('reference').value.trim() || null,
+                            date: field('date').value || null,
+                            endDate: field('end-date').value || null,
+                            barcode: field('barcode-payload').value ? { format: format || null, payload: field('barcode-payload').value } : null,
+                            notes: field('notes').value.trim() || null,
+                            file: field('file').files[0] || null
+                        });
+                        this.notify('✅ Documento guardado', 'success');
+                        break;
+                    }
+                    case 'open':
+                        await this.openViewer(button.dataset.documentId);
+                        break;
+                    case 'remove':
+                        if (confirm('¿Borrar este documento de la cartera?')) {
+                            await documentWallet.removeDocument(button.dataset.documentId);
+                        }
+                        break;
+                }
+            } catch (error) {
+                this.notify(`❌ ${error.message}`, 'error');
+                button.disabled = false;
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !['pin', 'new-pin'].includes(e.target.dataset.walletField)) return;
+
+            const action = e.target.dataset.walletField === 'pin'
+                ? container.querySelector('[data-wallet-action="setup-pin"], [data-wallet-action="unlock"]')
+                : container.querySelector('[data-wallet-action="change-pin"]');
+            if (action) action.click();
+        });
+    }
+
+    // =================================================================
+    // 🔍 VISOR
+    // =================================================================
+
+    /**
+     * 🔍 ABRIR DOCUMENTO A PANTALLA COMPLETA
+     *
+     * @param {string} documentId - ID del documento
+     */
+    async openViewer(documentId) {
+        const doc = await documentWallet.openDocument(documentId);
+        const { label } = DOCUMENT_TYPES[doc.type] || DOCUMENT_TYPES.other;
+
+        this.closeViewer();
+        if (doc.file) {
+            this.viewerURL = URL.createObjectURL(doc.file.blob);
+        }
+
+        const viewer = document.createElement('div');
+        viewer.id = 'document-viewer';
+        viewer.className = 'fixed inset-0 bg-black/80 z-[999999] flex items-center justify-center p-4';
+        viewer.innerHTML = `
+            <div class="bg-white dark:bg-slate-800 radius-card shadow-2xl w-full max-w-2xl max-h-full overflow-auto p-6">
+                <div class="flex items-start gap-3 mb-4">
+                    <div class="flex-1">
+                        <p class="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">${label}${doc.date ? ` · ${this.formatRange(doc)}` : ''}</p>
+                        <h3 class="text-xl font-bold text-slate-900 dark:text-white">${this.escape(doc.title)}</h3>
+                    </div>
+                    <button type="button" data-wallet-action="close-viewer" class="w-10 h-10 bg-slate-100 dark:bg-slate-700 rounded-full flex items-center justify-center" title="Cerrar">
+                        <span class="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+                ${doc.reference || doc.pinCode ? `
+                    <div class="grid grid-cols-2 gap-3 mb-4">
+                        ${doc.reference ? `
+                            <div class="p-3 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                                <p class="text-xs text-slate-500 dark:text-slate-400">${doc.type === 'hotelVoucher' ? 'Confirmación' : 'Referencia'}</p>
+                                <p class="text-lg font-mono font-bold text-slate-900 dark:text-white">${this.escape(doc.reference)}</p>
+                            </div>
+                        ` : ''}
+                        ${doc.pinCode ? `
+                            <div class="p-3 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                                <p class="text-xs text-slate-500 dark:text-slate-400">PIN</p>
+                                <p class="text-lg font-mono font-bold text-slate-900 dark:text-white">${this.escape(doc.pinCode)}</p>
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                ${doc.barcode ? `
+                    <div class="mb-4 p-3 rounded-lg bg-slate-50 dark:bg-slate-700/50">
+                        <p class="text-xs text-slate-500 dark:text-slate-400 mb-1">Código de barras${doc.barcode.format ? ` (${this.escape(doc.barcode.format)})` : ''}</p>
+                        <p class="font-mono text-sm break-all text-slate-900 dark:text-white select-all">${this.escape(doc.barcode.payload)}</p>
+                    </div>
+                ` : ''}
+                ${doc.notes ? `<p class="mb-4 text-sm text-slate-600 dark:text-slate-400">${this.escape(doc.notes)}</p>` : ''}
+                ${doc.file ? (doc.file.type.startsWith('image/')
+                    ? `<img src="${this.viewerURL}" alt="${this.escape(doc.title)}" class="w-full rounded-lg">`
+                    : `<iframe src="${this.viewerURL}" title="${this.escape(doc.file.name)}" class="w-full h-[60vh] rounded-lg border border-slate-200 dark:border-slate-700"></iframe>
+                       <a href="${this.viewerURL}" download="${this.escape(doc.file.name)}" class="inline-block mt-2 text-sm text-indigo-600 dark:text-indigo-400">Descargar ${this.escape(doc.file.name)}</a>`) : ''}
+            </div>
+        `;
+        viewer.addEventListener('click', (e) => {
+            if (e.target === viewer || e.target.closest('[data-wallet-action="close-viewer"]')) this.closeViewer();
+        });
+        document.body.appendChild(viewer);
+    }
+
+    /**
+     * ❌ CERRAR VISOR
+     */
+    closeViewer() {
+        const viewer = document.getElementById('document-viewer');
+        if (viewer) viewer.remove();
+
+        if (this.viewerURL) {
+            URL.revokeObjectURL(this.viewerURL);
+            this.viewerURL = null;
+        }
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    formatRange(entry) {
+        if (!entry.date) return 'Sin fecha';
+
+        const start = DateUtils.formatDateWithMonthNoYear(new Date(`${entry.date}T12:00:00`));
+        return entry.endDate && entry.endDate !== entry.date
+            ? `${start} – ${DateUtils.formatDateWithMonthNoYear(new Date(`${entry.endDate}T12:00:00`))}`
+            : start;
+    }
+
+    /**
+     * @private
+     */
+    inputClass() {
+        return 'px-3 py-2 radius-standard bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+    }
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const documentWalletPanel = new DocumentWalletPanel();
@@ -0,0 +1,508 @@
+/**
+ * ExpenseImportExportPanel - Exportar e Importar Gastos
+ *
+ * Tarjeta de la vista de Planificación para descargar los gastos en CSV,
+ * JSON u OFX con filtros (fechas, categoría, país y fase), y asistente de
+ * importación: mapeo de columnas, valores por defecto, previsualización
+ * con duplicados marcados y confirmación final mediante
+ * ExpenseOrchestrator.addMultiple.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import tripManager from '../utils/TripManager.js';
+import currencyConverter from '../utils/CurrencyConverter.js';
+import expenseImportExport from '../utils/ExpenseImportExport.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const IMPORT_FIELD_LABELS = {
+    date: 'Fecha',
+    concept: 'Concepto',
+    amount: 'Cantidad',
+    currency: 'Moneda',
+    category: 'Categoría',
+    id: 'ID (duplicados)'
+};
+
+const PREVIEW_LIMIT = 200;
+
+export class ExpenseImportExportPanel {
+    constructor() {
+        this.importState = null;
+
+        // Mantener al día el número de gastos a exportar
+        stateManager.subscribe('expenses', () => this.updateExportCount());
+
+        Logger.init('📤 ExpenseImportExportPanel initialized');
+    }
+
+    // =================================================================
+    // 📤 EXPORTACIÓN
+    // =================================================================
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        const expenses = this.getExpenses();
+        const options = expenseImportExport.getFilterOptions(expenses);
+        const selectClass = 'w-full px-3 py-2 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+        const buildOptions = (values, emptyLabel) => `
+            <option value="">${emptyLabel}</option>
+            ${values.map(value => `<option value="${this.escape(value)}">${this.escape(value)}</option>`).join('')}
+        `;
+
+        container.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4" id="expense-export-filters">
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Desde</label>
+                    <input type="date" data-export-filter="from" class="${selectClass}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Hasta</label>
+                    <input type="date" data-export-filter="to" class="${selectClass}">
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Categoría</label>
+                    <select data-export-filter="category" class="${selectClass}">${buildOptions(options.categories, 'Todas')}</select>
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">País</label>
+                    <select data-export-filter="country" class="${selectClass}">${buildOptions(options.countries, 'Todos')}</select>
+                </div>
+                <div>
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Fase</label>
+                    <select data-export-filter="phase" class="${selectClass}">${buildOptions(options.phases, 'Todas')}</select>
+                </div>
+            </div>
+
+            <div class="flex flex-wrap items-center gap-2">
+                <span id="expense-export-count" class="text-sm text-slate-600 dark:text-slate-400 mr-auto"></span>
+                ${['csv', 'json', 'ofx'].map(format => `
+                    <button type="button" data-export-format="${format}" class="px-4 py-2 bg-sky-600 hover:bg-sky-700 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">download</span>${format.toUpperCase()}
+                    </button>
+                `).join('')}
+                <button type="button" id="expense-import-btn" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">upload</span>Importar
+                </button>
+                <input type="file" id="expense-import-file" accept=".csv,.json,.ofx,.qfx,text/csv,application/json" class="hidden">
+            </div>
+        `;
+
+        container.querySelectorAll('[data-export-filter]').forEach(input => {
+            input.addEventListener('change', () => this.updateExportCount());
+        });
+
+        container.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.handleExport(button.dataset.exportFormat));
+        });
+
+        const fileInput = container.querySelector('#expense-import-file');
+        container.querySelector('#expense-import-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.openImport(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        this.updateExportCount();
+        Logger.ui('📤 Expense import/export panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    getExpenses() {
+        return stateManager.getState('expenses') || [];
+    }
+
+    /**
+     * @private
+     */
+    readFilters() {
+        const filters = {};
+        document.querySelectorAll('[data-export-filter]').forEach(input => {
+            filters[input.dataset.exportFilter] = input.value;
+        });
+        return filters;
+    }
+
+    /**
+     * @private
+     */
+    getFilteredExpenses() {
+        return expenseImportExport.filterExpenses(this.getExpenses(), this.readFilters());
+    }
+
+    /**
+     * 🔢 Número de gastos que se exportarán con los filtros actuales
+     * @private
+     */
+    updateExportCount() {
+        const counter = document.getElementById('expense-export-count');
+        if (!counter) return;
+
+        const count = this.getFilteredExpenses().length;
+        counter.textContent = `${count} ${count === 1 ? 'gasto seleccionado' : 'gastos seleccionados'}`;
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.disabled = count === 0;
+            button.classList.toggle('opacity-50', count === 0);
+        });
+    }
+
+    /**
+     * 💾 EXPORTAR
+     * @private
+     */
+    handleExport(format) {
+        const expenses = this.getFilteredExpenses();
+        if (expenses.length === 0) return;
+
+        try {
+            const filename = expenseImportExport.exportExpenses(expenses, format);
+            this.notify(`📤 ${expenses.length} gastos exportados (${filename})`, 'success');
+        } catch (error) {
+            Logger.error('Error exporting expenses:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // =================================================================
+    // 📥 ASISTENTE DE IMPORTACIÓN
+    // =================================================================
+
+    /**
+     * 📥 ABRIR ASISTENTE CON UN FICHERO
+     *
+     * @param {File} file - Fichero elegido por el usuario
+     */
+    async openImport(file) {
+        try {
+            const parsed = expenseImportExport.parseFile(await file.text(), file.name);
+
+            this.importState = {
+                filename: file.name,
+                ...parsed,
+                defaults: {
+                    currency: localStorage.getItem('lastExpenseCurrency') || tripConfig.trip?.currency || 'EUR',
+                    category: 'Varios'
+                },
+                excluded: new Set(),
+                candidates: [],
+                importing: false
+            };
+
+            this.refreshCandidates();
+            this.renderWizard();
+            Logger.data(`📥 Import file parsed: ${file.name} (${parsed.format}, ${parsed.rows.length} rows)`);
+        } catch (error) {
+            Logger.error('Error reading import file:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * ❌ CERRAR ASISTENTE
+     */
+    closeWizard() {
+        this.importState = null;
+        const container = document.getElementById('expense-import-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * 🔄 Recalcular candidatos con el mapeo y los valores por defecto actuales
+     * @private
+     */
+    refreshCandidates() {
+        const state = this.importState;
+        state.candidates = expenseImportExport.buildCandidates(state.rows, state.mapping, this.getExpenses(), state.defaults);
+    }
+
+    /**
+     * @private
+     */
+    getSelectedCandidates() {
+        return this.importState.candidates.filter((candidate, index) =>
+            candidate.status === 'new' && !this.importState.excluded.has(index)
+        );
+    }
+
+    /**
+     * 🎨 RENDERIZAR ASISTENTE
+     * @private
+     */
+    renderWizard() {
+        let container = document.getElementById('expense-import-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'expense-import-container';
+            document.body.appendChild(container);
+        }
+
+        const state = this.importState;
+        const counts = state.candidates.reduce((acc, candidate) => {
+            acc[candidate.status] = (acc[candidate.status] || 0) + 1;
+            return acc;
+        }, {});
+        const selectedCount = this.getSelectedCandidates().length;
+        const selectClass = 'w-full px-2 py-1 text-sm rounded border border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+
+        container.innerHTML = `
+            <div id="expense-import-overlay" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-[999999] flex items-center justify-center p-4">
+                <div class="bg-white dark:bg-slate-900 radius-card w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between p-6 border-b border-slate-200 dark:border-slate-700">
+                        <div>
+                            <p class="text-sm font-semibold text-sky-600 dark:text-sky-400">${state.format.toUpperCase()} · ${this.escape(state.filename)}</p>
+                            <h3 class="text-2xl font-bold text-slate-900 dark:text-white">Importar gastos</h3>
+                        </div>
+                        <button data-import-action="close" class="p-2 rounded-full hover:bg-slate-100 dark:hover:bg-slate-800" title="Cerrar">
+                            <span class="material-symbols-outlined">close</span>
+                        </button>
+                    </div>
+
+                    <div class="p-6 space-y-6">
+                        <!-- 1. Mapeo de columnas -->
+                        <div>
+                            <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-3">1. Columnas del fichero</h4>
+                            <div class="grid grid-cols-2 md:grid-cols-3 gap-3">
+                                ${Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => `
+                                    <div>
+                                        <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">${label}</label>
+                                        <select data-import-mapping="${field}" class="${selectClass}">
+                                            <option value="">— Sin columna —</option>
+                                            ${state.columns.map(column => `
+                                                <option value="${this.escape(column)}" ${state.mapping[field] === column ? 'selected' : ''}>${this.escape(column)}</option>
+                                            `).join('')}
+                                        </select>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+
+                        <!-- 2. Valores por defecto -->
+                        <div>
+                            <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-3">2. Valores por defecto</h4>
+                            <div class="grid grid-cols-2 gap-3">
+                                <div>
+                                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Moneda (si no hay columna)</label>
+                                    <select data-import-default="currency" class="${selectClass}">
+                                        ${currencyConverter.currencies.map(code => `
+                                            <option value="${code}" ${code === state.defaults.currency ? 'selected' : ''}>${code}</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Categoría (si no hay columna)</label>
+                                    <input type="text" data-import-default="category" value="${this.escape(state.defaults.category)}" class="${selectClass}">
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- 3. Previsualización -->
+                        <div>
+                            <div class="flex items-center justify-between flex-wrap gap-2 mb-3">
+                                <h4 class="font-semibold text-slate-800 dark:text-slate-200">3. Previsualización</h4>
+                                <p class="text-xs text-slate-500 dark:text-slate-400">
+                                    ${counts.new || 0} nuevos · ${counts.duplicate || 0} duplicados · ${counts.invalid || 0} con errores
+                                </p>
+                            </div>
+                            <div class="overflow-x-auto border border-slate-200 dark:border-slate-700 rounded-lg">
+                                <table class="w-full text-sm">
+                                    <thead class="bg-slate-50 dark:bg-slate-800 text-left text-slate-500 dark:text-slate-400">
+                                        <tr>
+                                            <th class="p-2"></th>
+                                            <th class="p-2 font-medium">Fecha</th>
+                                            <th class="p-2 font-medium">Concepto</th>
+                                            <th class="p-2 font-medium">Categoría</th>
+                                            <th class="p-2 font-medium text-right">Cantidad</th>
+                                            <th class="p-2 font-medium">Estado</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${state.candidates.slice(0, PREVIEW_LIMIT).map((candidate, index) => this.buildPreviewRowHTML(candidate, index)).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
+                            ${state.candidates.length > PREVIEW_LIMIT ? `
+                                <p class="text-xs text-slate-500 dark:text-slate-400 mt-2">Mostrando ${PREVIEW_LIMIT} de ${state.candidates.length} filas; el resto se importará igualmente.</p>
+                            ` : ''}
+                        </div>
+                    </div>
+
+                    <div class="flex items-center justify-end gap-3 p-6 border-t border-slate-200 dark:border-slate-700">
+                        <button data-import-action="close" class="px-4 py-2 rounded-lg bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200 text-sm font-medium">Cancelar</button>
+                        <button data-import-action="commit" class="px-4 py-2 rounded-lg bg-sky-600 hover:bg-sky-700 text-white text-sm font-medium disabled:opacity-50" ${selectedCount === 0 || state.importing ? 'disabled' : ''}>
+                            ${state.importing ? 'Importando...' : `Importar ${selectedCount} ${selectedCount === 1 ? 'gasto' : 'gastos'}`}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setupWizardListeners(container);
+    }
+
+    /**
+     * @private
+     */
+    buildPreviewRowHTML(candidate, index) {
+        const { expense, status, reason } = candidate;
+        const badges = {
+            new: '<span class="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300">Nuevo</span>',
+            duplicate: `<span class="px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300">${reason}</span>`,
+            invalid: `<span class="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300">${this.escape(reason)}</span>`
+        };
+
+        return `
+            <tr class="border-t border-slate-100 dark:border-slate-700/50 text-slate-700 dark:text-slate-300 ${status === 'new' ? '' : 'opacity-60'}">
+                <td class="p-2">
+                    <input type="checkbox" data-import-index="${index}" ${status === 'new' && !this.importState.excluded.has(index) ? 'checked' : ''} ${status === 'new' ? '' : 'disabled'}>
+                </td>
+                <td class="p-2 whitespace-nowrap">${expenseImportExport.toDateKey(expense.date) || '—'}</td>
+                <td class="p-2">${this.escape(expense.concept) || '—'}</td>
+                <td class="p-2">${this.escape(expense.category)}</td>
+                <td class="p-2 text-right whitespace-nowrap">${expense.originalAmount ? currencyConverter.format(expense.originalAmount, expense.originalCurrency) : '—'}</td>
+                <td class="p-2">${badges[status]}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    setupWizardListeners(container) {
+        container.querySelectorAll('[data-import-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.importAction === 'close') {
+                    this.closeWizard();
+                } else if (button.dataset.importAction === 'commit') {
+                    this.commitImport();
+                }
+            });
+        });
+
+        container.querySelectorAll('[data-import-mapping]').forEach(select => {
+            select.addEventListener('change', () => {
+                this.importState.mapping[select.dataset.importMapping] = select.value;
+                this.importState.excluded.clear();
+                this.refreshCandidates();
+                this.renderWizard();
+            });
+        });
+
+        container.querySelectorAll('[data-import-default]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.importState.defaults[input.dataset.importDefault] = input.value.trim();
+                this.refreshCandidates();
+                this.renderWizard();
+            });
+        });
+
+        container.querySelectorAll('[data-import-index]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const index = parseInt(checkbox.dataset.importIndex);
+                if (checkbox.checked) {
+                    this.importState.excluded.delete(index);
+                } else {
+                    this.importState.excluded.add(index);
+                }
+                this.renderWizard();
+            });
+        });
+    }
+
+    /**
+     * ✅ CONFIRMAR IMPORTACIÓN
+     *
+     * Con conexión los gastos se añaden en lote con
+     * ExpenseOrchestrator.addMultiple (y se muestran al instante); sin
+     * conexión pasan por addExpense del backend de datos, que los guarda
+     * en localStorage y los encola para sincronizar.
+     *
+     * @private
+     */
+    async commitImport() {
+        const state = this.importState;
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (!state || state.importing) return;
+
+        if (!budgetManager) {
+            this.notify('❌ El presupuesto aún no está cargado', 'error');
+            return;
+        }
+
+        state.importing = true;
+        this.renderWizard();
+
+        const storage = budgetManager.storage;
+        const expenses = await expenseImportExport.prepareExpenses(this.getSelectedCandidates(), storage.getDeviceId());
+        const previousExpenses = this.getExpenses();
+
+        try {
+            if (storage.isConnected) {
+                // 🚀 OPTIMISTIC UI: mostrar los gastos antes de confirmar el lote
+                stateManager.updateState('expenses', [...expenses, ...previousExpenses]);
+                await budgetManager.expenseOrchestrator.addMultiple(expenses);
+            } else {
+                for (const expense of expenses) {
+                    await storage.addExpense(expense, false);
+                }
+                stateManager.updateState('expenses', JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1')) || '[]'));
+                budgetManager.updateBudgetUI();
+                this.notify(`✅ ${expenses.length} gastos importados (se sincronizarán al recuperar la conexión)`, 'success');
+            }
+
+            Logger.success(`📥 ${expenses.length} expenses imported from ${state.filename}`);
+            this.closeWizard();
+        } catch (error) {
+            Logger.error('Error importing expenses:', error);
+            stateManager.updateState('expenses', previousExpenses);
+            budgetManager.updateBudgetUI();
+
+            if (this.importState) {
+                this.importState.importing = false;
+                this.renderWizard();
+            }
+        }
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+export const expenseImportExportPanel = new ExpenseImportExportPanel();
@@ -0,0 +1,264 @@
+/**
+ * FlightStatusPanel - Estado de los Vuelos en Tiempo Real
+ *
+ * Tarjeta de la vista Hoy con los tramos que salen en las próximas horas o
+ * están en curso: estado, retraso, nueva hora, puerta y terminal, con el
+ * último cambio de cada tramo. Sin conexión muestra el último estado
+ * conocido y cuándo se consultó.
+ *
+ * También pinta las etiquetas de estado de los tramos en Resumen y Vuelos
+ * (`buildSegmentStatusHTML`), que se actualizan solas en cada consulta.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import flightStatusManager from '../utils/FlightStatusManager.js';
+import { FLIGHT_STATUSES } from '../utils/FlightStatusProviders.js';
+
+const BADGE_CLASSES = {
+    slate: 'bg-slate-100 dark:bg-slate-700 text-slate-700 dark:text-slate-300',
+    amber: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+    blue: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300',
+    green: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+    red: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+};
+
+export class FlightStatusPanel {
+    constructor() {
+        this.container = null;
+
+        stateManager.subscribe('flightStatus.updatedAt', () => this.refresh());
+
+        Logger.init('✈️ FlightStatusPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * Se oculta si no hay tramos cerca ni proveedor configurado.
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        this.paint();
+
+        if (!container.dataset.flightStatusListeners) {
+            container.dataset.flightStatusListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('✈️ Flight status panel rendered');
+    }
+
+    /**
+     * 🏷️ ETIQUETA DE ESTADO DE UN TRAMO
+     *
+     * @param {Object} segment - Tramo de FlightManager.getFlights()
+     * @returns {string} HTML (vacío si aún no hay estado)
+     */
+    buildSegmentStatusHTML(segment) {
+        const segmentId = flightStatusManager.getSegmentId(segment);
+        return `<span data-flight-status-segment="${this.escape(segmentId)}">${this.buildBadgeHTML(flightStatusManager.getSegmentStatus(segmentId), segment)}</span>`;
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.paint();
+        }
+
+        // Etiquetas sueltas de Resumen y Vuelos
+        const segments = flightStatusManager.getSegments();
+        document.querySelectorAll('[data-flight-status-segment]').forEach(element => {
+            const segment = segments.find(s => s.id === element.dataset.flightStatusSegment);
+            if (segment) {
+                element.innerHTML = this.buildBadgeHTML(segment.status, { fromAirport: segment.fromAirport });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    paint() {
+        const segments = flightStatusManager.getUpcomingSegments();
+        const visible = flightStatusManager.isEnabled() && segments.length > 0;
+
+        this.container.classList.toggle('hidden', !visible);
+        this.container.innerHTML = visible ? this.buildHTML(segments) : '';
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML(segments) {
+        const lastCheckedAt = flightStatusManager.getLastCheckedAt();
+        const lastError = flightStatusManager.getLastError();
+        const notificationsSupported = typeof Notification !== 'undefined';
+
+        return `
+            <div class="bg-white dark:bg-slate-800 radius-card shadow-card border border-slate-200 dark:border-slate-700 p-6">
+                <div class="flex flex-wrap items-center gap-3 mb-4">
+                    <span class="material-symbols-outlined text-2xl text-blue-600 dark:text-blue-400">flight</span>
+                    <h3 class="flex-1 text-xl font-bold text-slate-900 dark:text-white">Estado de tus vuelos</h3>
+                    ${notificationsSupported ? `
+                        <label class="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+                            <input type="checkbox" data-flight-status-field="notify" ${flightStatusManager.isNotifyEnabled() ? 'checked' : ''} class="rounded">
+                            Avisos
+                        </label>
+                    ` : ''}
+                    <button data-flight-status-action="refresh" class="px-3 py-1 radius-standard bg-blue-50 dark:bg-blue-900/20 text-sm text-blue-700 dark:text-blue-300 flex items-center gap-1" ${flightStatusManager.isOffline() ? 'disabled' : ''}>
+                        <span class="material-symbols-outlined text-base">refresh</span>
+                        Actualizar
+                    </button>
+                </div>
+                ${flightStatusManager.isOffline() ? `
+                    <p class="mb-3 p-3 rounded-lg bg-slate-100 dark:bg-slate-700/50 text-sm text-slate-600 dark:text-slate-400 flex items-center gap-2">
+                        <span class="material-symbols-outlined text-base">cloud_off</span>
+                        Sin conexión: se muestra el último estado conocido${lastCheckedAt ? ` (consultado a las ${DateUtils.formatTime24(new Date(lastCheckedAt))})` : ''}
+                    </p>
+                ` : lastError ? `
+                    <p class="mb-3 text-sm text-amber-700 dark:text-amber-300">⚠️ ${this.escape(lastError)}</p>
+                ` : ''}
+                <ul class="space-y-3">
+                    ${segments.map(segment => this.buildSegmentHTML(segment)).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildSegmentHTML(segment) {
+        const { status } = segment;
+        const history = flightStatusManager.getHistory(segment.id);
+        const departureTime = DateUtils.formatInTimeZone(segment.scheduledDeparture, segment.fromAirport.timeZone);
+        const estimatedTime = status?.estimatedDeparture && status.departureDelay > 0
+            ? DateUtils.formatInTimeZone(new Date(status.estimatedDeparture), segment.fromAirport.timeZone)
+            : null;
+
+        const details = [];
+        if (status?.departureTerminal) details.push(`Terminal ${this.escape(status.departureTerminal)}`);
+        if (status?.departureGate) details.push(`Puerta ${this.escape(status.departureGate)}`);
+        if (status?.arrivalTerminal) details.push(`Llegada T${this.escape(status.arrivalTerminal)}`);
+
+        return `
+            <li class="p-4 rounded-lg border ${status?.status === 'cancelled' ? 'border-red-200 dark:border-red-800' : 'border-slate-200 dark:border-slate-700'}">
+                <div class="flex flex-wrap items-center gap-2 mb-1">
+                    <span class="font-bold text-slate-900 dark:text-white">${segment.from} → ${segment.to}</span>
+                    <span class="text-sm text-slate-500 dark:text-slate-400">${this.escape(segment.airline)}${segment.flightNumber ? ` ${this.escape(segment.flightNumber)}` : ''}</span>
+                    <span class="flex-1"></span>
+                    ${this.buildBadgeHTML(status, segment)}
+                </div>
+                <p class="text-sm text-slate-600 dark:text-slate-400">
+                    Sale ${estimatedTime ? `<span class="line-through">${departureTime}</span> <span class="font-semibold text-amber-700 dark:text-amber-300">${estimatedTime}</span>` : departureTime}
+                    (hora de ${this.escape(segment.fromAirport.city)})
+                </p>
+                ${details.length > 0 ? `<p class="text-sm text-slate-600 dark:text-slate-400">${details.join(' · ')}</p>` : ''}
+                ${history.length > 1 ? `
+                    <p class="text-xs text-slate-500 dark:text-slate-500 mt-1">
+                        ${history.length} cambios · último a las ${DateUtils.formatTime24(new Date(status.checkedAt))}
+                    </p>
+                ` : ''}
+                ${!status ? '<p class="text-xs text-slate-500 dark:text-slate-500 mt-1">Sin estado todavía</p>' : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildBadgeHTML(status, segment) {
+        if (!status) return '';
+
+        const { label, icon, color } = FLIGHT_STATUSES[status.status] || FLIGHT_STATUSES.scheduled;
+        const delay = status.status !== 'cancelled' && status.departureDelay > 0
+            ? ` +${DateUtils.formatDuration(status.departureDelay)}`
+            : '';
+        const gate = status.departureGate && ['scheduled', 'delayed', 'boarding'].includes(status.status)
+            ? ` · Puerta ${this.escape(status.departureGate)}`
+            : '';
+
+        return `
+            <span class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${BADGE_CLASSES[color]}" title="Consultado ${DateUtils.formatInTimeZone(new Date(status.checkedAt), segment.fromAirport.timeZone)}">
+                <span class="material-symbols-outlined text-sm">${icon}</span>
+                ${label}${delay}${gate}
+            </span>`;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-flight-status-action="refresh"]');
+            if (!button) return;
+
+            button.disabled = true;
+            const checked = await flightStatusManager.poll();
+            if (checked === 0 && flightStatusManager.getLastError()) {
+                this.notify(`⚠️ ${flightStatusManager.getLastError()}`, 'warning');
+            }
+            this.refresh();
+        });
+
+        container.addEventListener('change', async (e) => {
+            if (e.target.dataset.flightStatusField !== 'notify') return;
+
+            try {
+                const enabled = await flightStatusManager.setNotifyEnabled(e.target.checked);
+                if (e.target.checked && !enabled) {
+                    this.notify('⚠️ El navegador no ha dado permiso para mostrar notificaciones', 'warning');
+                }
+            } catch (error) {
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+        });
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const flightStatusPanel = new FlightStatusPanel();
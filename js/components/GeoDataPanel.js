@@ -0,0 +1,250 @@
+/**
+ * GeoDataPanel - Exportar e Importar Lugares y Rutas
+ *
+ * Tarjeta de la vista Seguimiento, bajo el mapa del viaje: descarga los
+ * lugares, rutas y tracks en GPX, KML o GeoJSON, y añade a un día del
+ * itinerario los waypoints y rutas de un fichero de esos formatos. Lo
+ * importado aparece en el mapa principal y en el mapa del modal del día.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import itineraryManager from '../utils/ItineraryManager.js';
+import geoDataConverter from '../utils/GeoDataConverter.js';
+import trailRecorder from '../utils/TrailRecorder.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const EXPORT_FORMATS = [
+    { id: 'gpx', label: 'GPX' },
+    { id: 'kml', label: 'KML' },
+    { id: 'geojson', label: 'GeoJSON' }
+];
+
+export class GeoDataPanel {
+    constructor() {
+        this.container = null;
+        this.pending = null;
+
+        // Los días del selector cambian al editar el itinerario
+        stateManager.subscribe('trip.updatedAt', () => this.refresh());
+
+        Logger.init('🧭 GeoDataPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        this.pending = null;
+        this.paint();
+
+        if (!container.dataset.geoDataListeners) {
+            container.dataset.geoDataListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('🧭 Geo data panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (!this.container || !document.body.contains(this.container)) return;
+        if (this.container.contains(document.activeElement) && document.activeElement.tagName === 'SELECT') return;
+
+        this.paint();
+    }
+
+    /**
+     * @private
+     */
+    paint() {
+        const days = itineraryManager.getDays();
+        const selectedDay = this.container.querySelector('[data-geo-field="day"]')?.value || this.getDefaultDayId(days);
+        const buttonClass = 'px-4 py-2 bg-sky-600 hover:bg-sky-700 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-1';
+
+        this.container.innerHTML = `
+            <p class="text-sm text-slate-600 dark:text-slate-400 mb-3">
+                Lugares, rutas de cada día, ruta del viaje y recorridos grabados para apps de mapas, GPS o Google Earth.
+            </p>
+            <div class="flex flex-wrap gap-2 mb-6">
+                ${EXPORT_FORMATS.map(format => `
+                    <button type="button" data-geo-action="export" data-geo-format="${format.id}" class="${buttonClass}">
+                        <span class="material-symbols-outlined text-base">download</span>${format.label}
+                    </button>
+                `).join('')}
+            </div>
+
+            <div class="border-t border-slate-200 dark:border-slate-700 pt-4">
+                <h3 class="font-semibold text-slate-900 dark:text-white mb-1">Importar a un día</h3>
+                <p class="text-sm text-slate-600 dark:text-slate-400 mb-3">
+                    Waypoints y rutas de un fichero GPX, KML o GeoJSON (p. ej. la ruta de un trek que te pasa el guía).
+                </p>
+                <div class="flex flex-wrap items-center gap-2">
+                    <button type="button" data-geo-action="choose-file" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">upload_file</span>Elegir fichero
+                    </button>
+                    <input type="file" data-geo-field="file" accept=".gpx,.kml,.geojson,.json,application/gpx+xml,application/vnd.google-earth.kml+xml,application/geo+json,application/json" class="hidden">
+                    <select data-geo-field="day" class="px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white text-sm">
+                        ${days.map((day, index) => `
+                            <option value="${day.id}" ${day.id === selectedDay ? 'selected' : ''}>Día ${index + 1}: ${this.escape(day.title)}</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" data-geo-action="import" class="${buttonClass} ${this.pending ? '' : 'opacity-50'}" ${this.pending ? '' : 'disabled'}>
+                        <span class="material-symbols-outlined text-base">add_location_alt</span>Importar
+                    </button>
+                </div>
+                ${this.pending ? this.buildPendingHTML() : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 🔎 Resumen del fichero elegido antes de importarlo
+     * @private
+     */
+    buildPendingHTML() {
+        const { filename, parsed } = this.pending;
+        const points = parsed.lines.reduce((total, line) => total + line.coords.length, 0);
+
+        return `
+            <div class="mt-3 p-3 rounded-lg bg-slate-50 dark:bg-slate-700/50 text-sm text-slate-700 dark:text-slate-300">
+                <div class="font-medium">${this.escape(filename)} · ${parsed.format.toUpperCase()}</div>
+                <div>${parsed.waypoints.length} ${parsed.waypoints.length === 1 ? 'lugar' : 'lugares'} · ${parsed.lines.length} ${parsed.lines.length === 1 ? 'ruta' : 'rutas'} (${points} puntos)</div>
+                ${parsed.lines.length > 0 ? `<div class="text-xs text-slate-500 dark:text-slate-400 mt-1">${parsed.lines.map(line => this.escape(line.name)).join(' · ')}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-geo-action]');
+            if (!button || button.disabled) return;
+
+            switch (button.dataset.geoAction) {
+                case 'export':
+                    this.handleExport(button.dataset.geoFormat);
+                    break;
+                case 'choose-file':
+                    container.querySelector('[data-geo-field="file"]').click();
+                    break;
+                case 'import':
+                    this.handleImport();
+                    break;
+            }
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.dataset.geoField === 'file' && e.target.files[0]) {
+                this.readFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+    }
+
+    /**
+     * 💾 EXPORTAR
+     * @private
+     */
+    handleExport(format) {
+        try {
+            const filename = geoDataConverter.exportTrip(format, { tracks: trailRecorder.getTracks() });
+            this.notify(`🧭 Mapa exportado (${filename})`, 'success');
+        } catch (error) {
+            Logger.error('Error exporting geo data:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * 📂 LEER FICHERO ELEGIDO
+     * @private
+     */
+    async readFile(file) {
+        try {
+            const parsed = geoDataConverter.parseFile(await file.text(), file.name);
+            this.pending = { filename: file.name, parsed };
+        } catch (error) {
+            Logger.error('Error reading geo file:', error);
+            this.pending = null;
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+        this.paint();
+    }
+
+    /**
+     * 📥 IMPORTAR AL DÍA ELEGIDO
+     * @private
+     */
+    handleImport() {
+        if (!this.pending) return;
+
+        const dayId = this.container.querySelector('[data-geo-field="day"]').value;
+        try {
+            const { filename, parsed } = this.pending;
+            const added = geoDataConverter.importToDay(dayId, parsed, filename);
+
+            this.pending = null;
+            this.paint();
+
+            if (added.places === 0 && added.routes === 0) {
+                this.notify('ℹ️ Ese día ya tenía todos los lugares y rutas del fichero', 'info');
+            } else {
+                this.notify(`✅ Añadidos ${added.places} lugares y ${added.routes} rutas`, 'success');
+            }
+        } catch (error) {
+            Logger.error('Error importing geo data:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * Día de hoy si cae dentro del viaje; si no, el primero
+     * @private
+     */
+    getDefaultDayId(days) {
+        const startDate = tripConfig.trip?.startDate ? new Date(tripConfig.trip.startDate) : null;
+        const todayIndex = startDate ? Math.floor((stateManager.getCurrentDate() - startDate) / 86400000) : -1;
+        return days[todayIndex]?.id || days[0]?.id || '';
+    }
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const geoDataPanel = new GeoDataPanel();
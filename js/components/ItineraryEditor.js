@@ -0,0 +1,466 @@
+/**
+ * ItineraryEditor - Editor del Itinerario
+ *
+ * Modal para editar un día del itinerario desde sus tarjetas: datos del
+ * día, planes, lugares de interés (con coordenadas elegidas en el mapa)
+ * y acciones sobre el día (añadir, duplicar, mover y eliminar).
+ *
+ * Los cambios se guardan a través de ItineraryManager; las vistas se
+ * actualizan solas al escuchar 'trip.updatedAt'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import itineraryManager from '../utils/ItineraryManager.js';
+import { mapRenderer } from './renderers/MapRenderer.js';
+import { undoControls } from './UndoControls.js';
+
+const DAY_TEXT_FIELDS = ['title', 'location', 'country', 'phase', 'icon', 'image', 'description', 'planA', 'planB', 'consejo', 'bocado', 'accommodation'];
+
+export class ItineraryEditor {
+    constructor() {
+        this.draft = null;
+        this.pickerMap = null;
+        this.pickerTarget = null;
+        Logger.init('✏️ ItineraryEditor initialized');
+    }
+
+    // =================================================================
+    // 🪟 MODAL
+    // =================================================================
+
+    /**
+     * ✏️ ABRIR EDITOR DE UN DÍA
+     *
+     * @param {string} dayId - ID del día a editar
+     */
+    open(dayId) {
+        const day = itineraryManager.getDay(dayId);
+        if (!day) {
+            Logger.warning(`ItineraryEditor: day not found: ${dayId}`);
+            return;
+        }
+
+        this.draft = { ...day, places: day.places || [] };
+        this.render();
+        Logger.ui(`✏️ Editing itinerary day: ${dayId}`);
+    }
+
+    /**
+     * ➕ AÑADIR DÍA AL FINAL Y EDITARLO
+     */
+    addDayAndOpen() {
+        this.open(itineraryManager.addDay());
+    }
+
+    /**
+     * ❌ CERRAR EDITOR
+     */
+    close() {
+        this.destroyPicker();
+        this.draft = null;
+
+        const container = document.getElementById('itinerary-editor-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * 🎨 RENDERIZAR MODAL
+     *
+     * @private
+     */
+    render() {
+        this.destroyPicker();
+
+        let container = document.getElementById('itinerary-editor-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'itinerary-editor-container';
+            document.body.appendChild(container);
+        }
+
+        const day = this.draft;
+        const dayNumber = day.id.replace('day-', '');
+        const totalDays = itineraryManager.getDays().length;
+        const phases = [...new Set(itineraryManager.getDays().map(d => d.phase).filter(Boolean))];
+
+        container.innerHTML = `
+            <div id="itinerary-editor-overlay" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-[999999] flex items-center justify-center p-4">
+                <div class="bg-white dark:bg-slate-900 radius-card w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between p-6 border-b border-slate-200 dark:border-slate-700">
+                        <div>
+                            <p class="text-sm font-semibold text-blue-600 dark:text-blue-400">DÍA ${dayNumber} DE ${totalDays}</p>
+                            <h3 class="text-2xl font-bold text-slate-900 dark:text-white">Editar día</h3>
+                        </div>
+                        <button data-editor-action="close" class="p-2 rounded-full hover:bg-slate-100 dark:hover:bg-slate-800" title="Cerrar">
+                            <span class="material-symbols-outlined">close</span>
+                        </button>
+                    </div>
+
+                    <div class="p-6 space-y-6">
+                        <!-- Datos del día -->
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            ${this.buildInput('title', 'Título')}
+                            ${this.buildInput('location', 'Ubicación')}
+                            ${this.buildInput('country', 'País')}
+                            ${this.buildInput('phase', 'Fase', 'itinerary-editor-phases')}
+                            ${this.buildInput('icon', 'Icono (emoji o Material Symbol)')}
+                            ${this.buildInput('image', 'Imagen (URL)')}
+                        </div>
+                        <datalist id="itinerary-editor-phases">
+                            ${phases.map(phase => `<option value="${this.escape(phase)}"></option>`).join('')}
+                        </datalist>
+                        ${this.buildTextarea('description', 'Descripción')}
+
+                        <!-- Ubicación del día en el mapa -->
+                        <div class="bg-slate-50 dark:bg-slate-800 p-4 rounded-xl space-y-3">
+                            <div class="flex items-center justify-between gap-2 flex-wrap">
+                                <div class="flex items-center gap-2">
+                                    <span class="material-symbols-outlined text-blue-600 dark:text-blue-400">location_on</span>
+                                    <span class="font-semibold text-slate-800 dark:text-slate-200">Ubicación en el mapa</span>
+                                    <span id="editor-coords-day" class="text-xs text-slate-500">${this.formatCoords(day.coords)}</span>
+                                </div>
+                                <div class="flex gap-2">
+                                    <button data-editor-action="pick" data-target="day" class="text-sm px-3 py-1 rounded-lg bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">Elegir en el mapa</button>
+                                    <button data-editor-action="clear-coords" data-target="day" class="text-sm px-3 py-1 rounded-lg bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300">Quitar</button>
+                                </div>
+                            </div>
+                            <div data-picker-slot="day"></div>
+                        </div>
+
+                        <!-- Planes del día -->
+                        <div class="space-y-4">
+                            ${this.buildTextarea('planA', 'Itinerario (Plan A)')}
+                            ${this.buildTextarea('planB', 'Tiempo libre (Plan B)')}
+                            ${this.buildTextarea('consejo', 'Consejo del día')}
+                            ${this.buildTextarea('bocado', 'Bocado del día')}
+                            ${this.buildInput('accommodation', 'Alojamiento')}
+                        </div>
+
+                        <!-- Lugares de interés -->
+                        <div class="space-y-3">
+                            <div class="flex items-center justify-between">
+                                <h4 class="font-semibold text-md flex items-center gap-2 text-slate-800 dark:text-slate-200">
+                                    <span class="material-symbols-outlined text-blue-600 dark:text-blue-400">map</span>
+                                    Lugares de interés
+                                </h4>
+                                <button data-editor-action="add-place" class="text-sm px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-1">
+                                    <span class="material-symbols-outlined text-base">add</span> Añadir lugar
+                                </button>
+                            </div>
+                            <div id="itinerary-editor-places" class="space-y-3">
+                                ${this.buildPlacesHTML()}
+                            </div>
+                        </div>
+
+                        <p id="itinerary-editor-error" class="hidden text-sm text-red-600 dark:text-red-400"></p>
+                    </div>
+
+                    <!-- Acciones -->
+                    <div class="flex flex-wrap items-center justify-between gap-3 p-6 border-t border-slate-200 dark:border-slate-700">
+                        <div class="flex flex-wrap gap-2">
+                            ${this.buildDayActionButton('move-up', 'arrow_upward', 'Subir')}
+                            ${this.buildDayActionButton('move-down', 'arrow_downward', 'Bajar')}
+                            ${this.buildDayActionButton('duplicate', 'content_copy', 'Duplicar')}
+                            ${this.buildDayActionButton('add-after', 'add', 'Añadir día después')}
+                            ${this.buildDayActionButton('delete', 'delete', 'Eliminar', 'text-red-600 dark:text-red-400')}
+                        </div>
+                        <div class="flex gap-2">
+                            <button data-editor-action="close" class="px-4 py-2 rounded-xl bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">Cancelar</button>
+                            <button data-editor-action="save" class="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-700 text-white font-semibold">Guardar</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const overlay = document.getElementById('itinerary-editor-overlay');
+        overlay.addEventListener('click', (e) => {
+            if (e.target.id === 'itinerary-editor-overlay') {
+                this.close();
+                return;
+            }
+            const button = e.target.closest('[data-editor-action]');
+            if (button) {
+                this.handleAction(button.dataset.editorAction, button.dataset);
+            }
+        });
+    }
+
+    /**
+     * 📍 HTML DE LA LISTA DE LUGARES
+     *
+     * @private
+     */
+    buildPlacesHTML() {
+        const places = this.draft.places;
+        if (places.length === 0) {
+            return '<p class="text-sm text-slate-500 dark:text-slate-400">Todavía no hay lugares para este día.</p>';
+        }
+
+        return places.map((place, index) => `
+            <div class="border border-slate-200 dark:border-slate-700 rounded-xl p-4 space-y-3" data-place-index="${index}">
+                <div class="grid grid-cols-[4rem,1fr] gap-3">
+                    <input data-place-field="icon" value="${this.escape(place.icon)}" placeholder="📍" class="text-center px-2 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700">
+                    <input data-place-field="name" value="${this.escape(place.name)}" placeholder="Nombre del lugar" class="px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700">
+                </div>
+                <input data-place-field="description" value="${this.escape(place.description)}" placeholder="Descripción" class="w-full px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700">
+                <div class="flex flex-wrap items-center justify-between gap-2">
+                    <span id="editor-coords-${index}" class="text-xs text-slate-500">${this.formatCoords(place.coords)}</span>
+                    <div class="flex gap-1">
+                        <button data-editor-action="pick" data-target="${index}" class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" title="Elegir en el mapa"><span class="material-symbols-outlined text-base">add_location</span></button>
+                        <button data-editor-action="move-place" data-index="${index}" data-offset="-1" class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" title="Subir"><span class="material-symbols-outlined text-base">arrow_upward</span></button>
+                        <button data-editor-action="move-place" data-index="${index}" data-offset="1" class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" title="Bajar"><span class="material-symbols-outlined text-base">arrow_downward</span></button>
+                        <button data-editor-action="duplicate-place" data-index="${index}" class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" title="Duplicar"><span class="material-symbols-outlined text-base">content_copy</span></button>
+                        <button data-editor-action="delete-place" data-index="${index}" class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800 text-red-600" title="Eliminar"><span class="material-symbols-outlined text-base">delete</span></button>
+                    </div>
+                </div>
+                <div data-picker-slot="${index}"></div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * @private
+     */
+    buildInput(field, label, list = '') {
+        return `
+            <label class="block">
+                <span class="text-sm font-medium text-slate-700 dark:text-slate-300">${label}</span>
+                <input data-day-field="${field}" value="${this.escape(this.draft[field])}" ${list ? `list="${list}"` : ''} class="mt-1 w-full px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-900 dark:text-white">
+            </label>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildTextarea(field, label) {
+        return `
+            <label class="block">
+                <span class="text-sm font-medium text-slate-700 dark:text-slate-300">${label}</span>
+                <textarea data-day-field="${field}" rows="3" class="mt-1 w-full px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-slate-900 dark:text-white">${this.escape(this.draft[field])}</textarea>
+            </label>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildDayActionButton(action, icon, label, color = 'text-slate-700 dark:text-slate-300') {
+        return `
+            <button data-editor-action="${action}" class="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200 dark:hover:bg-slate-700 text-sm ${color}">
+                <span class="material-symbols-outlined text-base">${icon}</span> ${label}
+            </button>
+        `;
+    }
+
+    // =================================================================
+    // 🎯 ACCIONES
+    // =================================================================
+
+    /**
+     * 🎯 GESTIONAR ACCIÓN DEL EDITOR
+     *
+     * @param {string} action - Acción (data-editor-action)
+     * @param {DOMStringMap} data - Dataset del botón
+     * @private
+     */
+    handleAction(action, data) {
+        this.collectForm();
+        const index = Number(data.index);
+
+        try {
+            switch (action) {
+                case 'close':
+                    this.close();
+                    break;
+                case 'save':
+                    itineraryManager.saveDay(this.draft.id, this.draft);
+                    this.close();
+                    break;
+                case 'pick':
+                    this.openPicker(data.target);
+                    break;
+                case 'clear-coords':
+                    delete this.draft.coords;
+                    document.getElementById('editor-coords-day').textContent = this.formatCoords(null);
+                    break;
+                case 'add-place':
+                    this.draft.places.push({ name: '', icon: '📍', description: '', coords: this.draft.coords || null });
+                    this.renderPlaces();
+                    break;
+                case 'move-place':
+                    this.movePlace(index, Number(data.offset));
+                    break;
+                case 'duplicate-place':
+                    this.draft.places.splice(index + 1, 0, JSON.parse(JSON.stringify(this.draft.places[index])));
+                    this.renderPlaces();
+                    break;
+                case 'delete-place':
+                    this.draft.places.splice(index, 1);
+                    this.renderPlaces();
+                    break;
+                case 'move-up':
+                case 'move-down':
+                    itineraryManager.saveDay(this.draft.id, this.draft);
+                    this.open(itineraryManager.moveDay(this.draft.id, action === 'move-up' ? -1 : 1));
+                    break;
+                case 'duplicate':
+                    itineraryManager.saveDay(this.draft.id, this.draft);
+                    this.open(itineraryManager.duplicateDay(this.draft.id));
+                    break;
+                case 'add-after':
+                    itineraryManager.saveDay(this.draft.id, this.draft);
+                    this.open(itineraryManager.addDay(this.draft.id));
+                    break;
+                case 'delete':
+                    if (confirm(`¿Eliminar "${this.draft.title}" del itinerario?`)) {
+                        const title = this.draft.title;
+                        itineraryManager.deleteDay(this.draft.id);
+                        this.close();
+                        undoControls.showToast(`🗑️ "${title}" eliminado del itinerario`, { actionLabel: 'Deshacer' });
+                    }
+                    break;
+            }
+        } catch (error) {
+            Logger.error('ItineraryEditor action failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 📥 VOLCAR FORMULARIO EN EL BORRADOR
+     *
+     * @private
+     */
+    collectForm() {
+        const root = document.getElementById('itinerary-editor-overlay');
+        if (!root || !this.draft) return;
+
+        root.querySelectorAll('[data-day-field]').forEach(input => {
+            const field = input.dataset.dayField;
+            if (DAY_TEXT_FIELDS.includes(field)) {
+                this.draft[field] = input.value.trim();
+            }
+        });
+
+        root.querySelectorAll('[data-place-index]').forEach(row => {
+            const place = this.draft.places[Number(row.dataset.placeIndex)];
+            if (!place) return;
+            row.querySelectorAll('[data-place-field]').forEach(input => {
+                place[input.dataset.placeField] = input.value.trim();
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    renderPlaces() {
+        this.destroyPicker();
+        const list = document.getElementById('itinerary-editor-places');
+        if (list) {
+            list.innerHTML = this.buildPlacesHTML();
+        }
+    }
+
+    /**
+     * @private
+     */
+    movePlace(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.draft.places.length) return;
+
+        const [place] = this.draft.places.splice(index, 1);
+        this.draft.places.splice(target, 0, place);
+        this.renderPlaces();
+    }
+
+    /**
+     * 📌 ABRIR SELECTOR DE COORDENADAS
+     *
+     * @param {string} target - 'day' o índice del lugar
+     * @private
+     */
+    openPicker(target) {
+        const wasOpen = this.pickerTarget === target;
+        this.destroyPicker();
+        if (wasOpen) return;
+
+        const slot = document.querySelector(`#itinerary-editor-overlay [data-picker-slot="${target}"]`);
+        if (!slot) return;
+
+        slot.innerHTML = '<div class="h-56 w-full rounded-xl border border-slate-200 dark:border-slate-700 overflow-hidden"></div><p class="text-xs text-slate-500 mt-1">Toca el mapa o arrastra el marcador para fijar la ubicación.</p>';
+
+        const item = target === 'day' ? this.draft : this.draft.places[Number(target)];
+        const initialCoords = item.coords || this.draft.coords || null;
+
+        this.pickerTarget = target;
+        this.pickerMap = mapRenderer.createCoordinatePicker(slot.firstElementChild, initialCoords, (coords) => {
+            item.coords = coords;
+            const label = document.getElementById(`editor-coords-${target}`);
+            if (label) {
+                label.textContent = this.formatCoords(coords);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    destroyPicker() {
+        if (this.pickerMap) {
+            this.pickerMap.remove();
+            this.pickerMap = null;
+        }
+        if (this.pickerTarget !== null) {
+            const slot = document.querySelector(`#itinerary-editor-overlay [data-picker-slot="${this.pickerTarget}"]`);
+            if (slot) {
+                slot.innerHTML = '';
+            }
+        }
+        this.pickerTarget = null;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    showError(message) {
+        const errorElement = document.getElementById('itinerary-editor-error');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * @private
+     */
+    formatCoords(coords) {
+        return Array.isArray(coords) ? `${coords[0]}, ${coords[1]}` : 'Sin ubicación';
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instancia singleton
+export const itineraryEditor = new ItineraryEditor();
@@ -0,0 +1,105 @@
+/**
+ * PackingCarryPanel - Quién Lleva Qué
+ *
+ * Vista combinada del equipaje del grupo dentro de la Lista de Equipaje:
+ * lo que ha empacado cada viajero más el equipo compartido que tiene
+ * asignado, con el peso total por persona (WeightEstimator) y el equipo
+ * compartido que aún no lleva nadie.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+
+export class PackingCarryPanel {
+    constructor() {
+        this.container = null;
+
+        stateManager.subscribe('ledger.updatedAt', () => this.refresh());
+        window.addEventListener('packingListUpdated', () => this.refresh());
+
+        Logger.init('🎒 PackingCarryPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR VISTA COMBINADA
+     *
+     * @param {HTMLElement} container - Contenedor dentro de la lista de equipaje
+     */
+    render(container) {
+        this.container = container;
+        container.innerHTML = this.buildHTML();
+        Logger.ui('🎒 Packing carry summary rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.container.innerHTML = this.buildHTML();
+        }
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        const packingManager = stateManager.getPackingListManager();
+        if (!packingManager || !packingManager.getCarrySummary) return '';
+
+        const { travelers, unassigned } = packingManager.getCarrySummary();
+        const activeTravelerId = packingManager.getTravelerId();
+
+        return `
+            <h4 class="text-lg font-bold text-slate-900 dark:text-white mb-3 flex items-center gap-2">
+                <span class="material-symbols-outlined text-indigo-600 dark:text-indigo-400">groups</span>
+                Quién lleva qué
+            </h4>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                ${travelers.map(({ traveler, items, weight }) => `
+                    <div class="p-3 rounded-lg border ${traveler.id === activeTravelerId ? 'border-indigo-300 dark:border-indigo-700' : 'border-slate-200 dark:border-slate-700'}">
+                        <div class="flex items-center gap-2 mb-2">
+                            <span class="w-2 h-2 rounded-full bg-${traveler.color}-500"></span>
+                            <span class="flex-1 font-medium text-slate-900 dark:text-white">${this.escape(traveler.name)}</span>
+                            <span class="text-sm font-semibold ${['warning', 'critical'].includes(weight.analysis?.status) ? 'text-amber-600 dark:text-amber-400' : 'text-slate-700 dark:text-slate-300'}" title="${this.escape(weight.analysis?.message)}">${weight.totalKg} kg</span>
+                        </div>
+                        ${items.length > 0 ? `
+                            <p class="text-xs text-slate-600 dark:text-slate-400">
+                                ${items.map(item => item.shared
+                                    ? `<span class="text-indigo-600 dark:text-indigo-400">${this.escape(item.name)}</span>`
+                                    : this.escape(item.name)).join(' · ')}
+                            </p>
+                        ` : '<p class="text-xs text-slate-500 dark:text-slate-400">Aún no ha empacado nada.</p>'}
+                    </div>
+                `).join('')}
+            </div>
+            ${unassigned.length > 0 ? `
+                <p class="mt-3 text-sm text-amber-700 dark:text-amber-300 flex items-start gap-1">
+                    <span class="material-symbols-outlined text-base">warning</span>
+                    Equipo compartido sin asignar: ${unassigned.map(item => this.escape(item.name)).join(', ')}
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const packingCarryPanel = new PackingCarryPanel();
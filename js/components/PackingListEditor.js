@@ -0,0 +1,388 @@
+/**
+ * PackingListEditor - Editor de la Lista de Equipaje
+ *
+ * Modal para añadir, editar, eliminar y reordenar categorías e items
+ * (con peso y cantidad) de la lista de equipaje del viaje activo, y para
+ * guardarla como plantilla ("Trekking otoño", "Ciudad verano") o
+ * sustituirla por una plantilla guardada.
+ *
+ * Los cambios se guardan a través de PackingListManager al pulsar Guardar.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+
+export class PackingListEditor {
+    constructor() {
+        this.draft = null;
+        this.onSave = null;
+        Logger.init('✏️ PackingListEditor initialized');
+    }
+
+    // =================================================================
+    // 🪟 MODAL
+    // =================================================================
+
+    /**
+     * ✏️ ABRIR EDITOR
+     *
+     * @param {Object} options
+     * @param {Function} options.onSave - Se llama tras guardar (p. ej. repintar la lista)
+     */
+    open({ onSave = null } = {}) {
+        const packingManager = stateManager.getPackingListManager();
+        if (!packingManager) {
+            Logger.warning('PackingListEditor: PackingListManager not available');
+            return;
+        }
+
+        this.onSave = onSave;
+        this.draft = packingManager.getCategories();
+        this.render();
+        Logger.ui('✏️ Editing packing list');
+    }
+
+    /**
+     * ❌ CERRAR EDITOR
+     */
+    close() {
+        this.draft = null;
+        this.onSave = null;
+
+        const container = document.getElementById('packing-editor-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * 🎨 RENDERIZAR MODAL
+     *
+     * @private
+     */
+    render() {
+        let container = document.getElementById('packing-editor-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'packing-editor-container';
+            document.body.appendChild(container);
+        }
+
+        container.innerHTML = `
+            <div id="packing-editor-overlay" class="fixed inset-0 bg-black/60 backdrop-blur-sm z-[999999] flex items-center justify-center p-4">
+                <div class="bg-white dark:bg-slate-900 radius-card w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                    <div class="flex items-center justify-between p-6 border-b border-slate-200 dark:border-slate-700">
+                        <div>
+                            <p class="text-sm font-semibold text-blue-600 dark:text-blue-400">LISTA DE EQUIPAJE</p>
+                            <h3 class="text-2xl font-bold text-slate-900 dark:text-white">Editar lista</h3>
+                        </div>
+                        <button data-editor-action="close" class="p-2 rounded-full hover:bg-slate-100 dark:hover:bg-slate-800" title="Cerrar">
+                            <span class="material-symbols-outlined">close</span>
+                        </button>
+                    </div>
+
+                    <div class="p-6 space-y-6">
+                        <!-- Plantillas -->
+                        <div id="packing-editor-templates" class="bg-slate-50 dark:bg-slate-800 p-4 rounded-xl space-y-3">
+                            ${this.buildTemplatesHTML()}
+                        </div>
+
+                        <!-- Categorías -->
+                        <div id="packing-editor-categories" class="space-y-4">
+                            ${this.buildCategoriesHTML()}
+                        </div>
+
+                        <button data-editor-action="add-category" class="text-sm px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-1">
+                            <span class="material-symbols-outlined text-base">create_new_folder</span> Añadir categoría
+                        </button>
+
+                        <p id="packing-editor-error" class="hidden text-sm text-red-600 dark:text-red-400"></p>
+                    </div>
+
+                    <!-- Acciones -->
+                    <div class="flex justify-end gap-2 p-6 border-t border-slate-200 dark:border-slate-700">
+                        <button data-editor-action="close" class="px-4 py-2 rounded-xl bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200">Cancelar</button>
+                        <button data-editor-action="save" class="px-4 py-2 rounded-xl bg-blue-600 hover:bg-blue-700 text-white font-semibold">Guardar</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const overlay = document.getElementById('packing-editor-overlay');
+        overlay.addEventListener('click', (e) => {
+            if (e.target.id === 'packing-editor-overlay') {
+                this.close();
+                return;
+            }
+            const button = e.target.closest('[data-editor-action]');
+            if (button) {
+                this.handleAction(button.dataset.editorAction, button.dataset);
+            }
+        });
+    }
+
+    /**
+     * 📑 HTML DE LAS PLANTILLAS
+     *
+     * @private
+     */
+    buildTemplatesHTML() {
+        const inputClass = 'px-3 py-2 rounded-lg bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 text-sm text-slate-900 dark:text-white';
+        const templates = stateManager.getPackingListManager().getTemplates();
+
+        return `
+            <div class="flex items-center gap-2">
+                <span class="material-symbols-outlined text-blue-600 dark:text-blue-400">library_books</span>
+                <span class="font-semibold text-slate-800 dark:text-slate-200">Plantillas</span>
+            </div>
+            ${templates.length > 0 ? `
+                <div class="flex flex-wrap gap-2">
+                    <select data-template-field="template" class="${inputClass} flex-1 min-w-[10rem]">
+                        ${templates.map(template => `<option value="${template.id}">${this.escape(template.name)}</option>`).join('')}
+                    </select>
+                    <button data-editor-action="apply-template" class="text-sm px-3 py-2 rounded-lg bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300">Usar en este viaje</button>
+                    <button data-editor-action="delete-template" class="p-2 rounded-lg text-red-600 hover:bg-slate-100 dark:hover:bg-slate-700" title="Eliminar plantilla">
+                        <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                </div>
+            ` : '<p class="text-sm text-slate-500 dark:text-slate-400">Aún no hay plantillas. Guarda esta lista para reutilizarla en otros viajes.</p>'}
+            <div class="flex flex-wrap gap-2">
+                <input data-template-field="name" placeholder="Ej: Trekking otoño" class="${inputClass} flex-1 min-w-[10rem]">
+                <button data-editor-action="save-template" class="text-sm px-3 py-2 rounded-lg bg-slate-200 text-slate-700 dark:bg-slate-700 dark:text-slate-300 flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">bookmark_add</span> Guardar como plantilla
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * 📂 HTML DE CATEGORÍAS E ITEMS
+     *
+     * @private
+     */
+    buildCategoriesHTML() {
+        if (this.draft.length === 0) {
+            return '<p class="text-sm text-slate-500 dark:text-slate-400">La lista está vacía. Añade una categoría para empezar.</p>';
+        }
+
+        const inputClass = 'px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 text-sm text-slate-900 dark:text-white';
+
+        return this.draft.map((category, categoryIndex) => `
+            <div class="border border-slate-200 dark:border-slate-700 rounded-xl p-4 space-y-3" data-category-index="${categoryIndex}">
+                <div class="flex items-center gap-2">
+                    <input data-category-field="name" value="${this.escape(category.name)}" placeholder="Nombre de la categoría" class="flex-1 px-3 py-2 rounded-lg bg-slate-100 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 font-semibold text-slate-900 dark:text-white">
+                    ${this.buildIconButton('move-category', 'arrow_upward', 'Subir', { index: categoryIndex, offset: -1 })}
+                    ${this.buildIconButton('move-category', 'arrow_downward', 'Bajar', { index: categoryIndex, offset: 1 })}
+                    ${this.buildIconButton('delete-category', 'delete', 'Eliminar categoría', { index: categoryIndex }, 'text-red-600')}
+                </div>
+                <div class="space-y-2">
+                    ${category.items.length > 0 ? `
+                        <div class="hidden md:grid grid-cols-[1fr,6rem,4rem,6rem] gap-2 text-xs text-slate-500 dark:text-slate-400">
+                            <span>Item</span><span>Peso (g/ud.)</span><span>Cant.</span><span></span>
+                        </div>
+                    ` : ''}
+                    ${category.items.map((item, itemIndex) => `
+                        <div class="grid grid-cols-[1fr,6rem,4rem,6rem] gap-2 items-center" data-item-index="${itemIndex}">
+                            <input data-item-field="item" value="${this.escape(item.item)}" placeholder="Nombre del item" class="${inputClass}">
+                            <input data-item-field="weight" type="number" min="0" step="10" value="${item.weight ?? ''}" placeholder="100" class="${inputClass}">
+                            <input data-item-field="quantity" type="number" min="1" step="1" value="${item.quantity || 1}" class="${inputClass}">
+                            <div class="flex">
+                                ${this.buildIconButton('move-item', 'arrow_upward', 'Subir', { index: categoryIndex, item: itemIndex, offset: -1 })}
+                                ${this.buildIconButton('move-item', 'arrow_downward', 'Bajar', { index: categoryIndex, item: itemIndex, offset: 1 })}
+                                ${this.buildIconButton('delete-item', 'close', 'Eliminar', { index: categoryIndex, item: itemIndex }, 'text-red-600')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <button data-editor-action="add-item" data-index="${categoryIndex}" class="text-sm px-3 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200 dark:hover:bg-slate-700 text-slate-700 dark:text-slate-300 flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">add</span> Añadir item
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * @private
+     */
+    buildIconButton(action, icon, title, data, color = '') {
+        const attributes = Object.entries(data).map(([key, value]) => `data-${key}="${value}"`).join(' ');
+        return `
+            <button data-editor-action="${action}" ${attributes} class="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800 ${color}" title="${title}">
+                <span class="material-symbols-outlined text-base">${icon}</span>
+            </button>
+        `;
+    }
+
+    // =================================================================
+    // 🎯 ACCIONES
+    // =================================================================
+
+    /**
+     * 🎯 GESTIONAR ACCIÓN DEL EDITOR
+     *
+     * @param {string} action - Acción (data-editor-action)
+     * @param {DOMStringMap} data - Dataset del botón
+     * @private
+     */
+    async handleAction(action, data) {
+        this.collectForm();
+        const packingManager = stateManager.getPackingListManager();
+        const index = Number(data.index);
+        const itemIndex = Number(data.item);
+
+        try {
+            switch (action) {
+                case 'close':
+                    this.close();
+                    break;
+                case 'save': {
+                    packingManager.saveCategories(this.draft);
+                    const onSave = this.onSave;
+                    this.close();
+                    if (onSave) await onSave();
+                    break;
+                }
+                case 'add-category':
+                    this.draft.push({ name: '', items: [] });
+                    this.renderCategories();
+                    break;
+                case 'move-category':
+                    this.move(this.draft, index, Number(data.offset));
+                    break;
+                case 'delete-category':
+                    if (this.draft[index].items.length === 0 || confirm(`¿Eliminar "${this.draft[index].name}" y todos sus items?`)) {
+                        this.draft.splice(index, 1);
+                        this.renderCategories();
+                    }
+                    break;
+                case 'add-item':
+                    this.draft[index].items.push({ item: '', weight: 100, quantity: 1 });
+                    this.renderCategories();
+                    break;
+                case 'move-item':
+                    this.move(this.draft[index].items, itemIndex, Number(data.offset));
+                    break;
+                case 'delete-item':
+                    this.draft[index].items.splice(itemIndex, 1);
+                    this.renderCategories();
+                    break;
+                case 'save-template': {
+                    const name = document.querySelector('#packing-editor-overlay [data-template-field="name"]').value;
+                    await packingManager.saveTemplate(name, this.draft);
+                    this.renderTemplates();
+                    break;
+                }
+                case 'apply-template': {
+                    const templateId = document.querySelector('#packing-editor-overlay [data-template-field="template"]').value;
+                    const template = packingManager.getTemplate(templateId);
+                    if (template && confirm(`¿Sustituir la lista de este viaje por "${template.name}"? Podrás revisarla antes de guardar.`)) {
+                        this.draft = JSON.parse(JSON.stringify(template.categories));
+                        this.renderCategories();
+                    }
+                    break;
+                }
+                case 'delete-template': {
+                    const templateId = document.querySelector('#packing-editor-overlay [data-template-field="template"]').value;
+                    const template = packingManager.getTemplate(templateId);
+                    if (template && confirm(`¿Eliminar la plantilla "${template.name}"?`)) {
+                        await packingManager.deleteTemplate(templateId);
+                        this.renderTemplates();
+                    }
+                    break;
+                }
+            }
+        } catch (error) {
+            Logger.error('PackingListEditor action failed:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * 📥 VOLCAR FORMULARIO EN EL BORRADOR
+     *
+     * @private
+     */
+    collectForm() {
+        const root = document.getElementById('packing-editor-overlay');
+        if (!root || !this.draft) return;
+
+        root.querySelectorAll('[data-category-index]').forEach(categoryRow => {
+            const category = this.draft[Number(categoryRow.dataset.categoryIndex)];
+            if (!category) return;
+
+            category.name = categoryRow.querySelector('[data-category-field="name"]').value.trim();
+            categoryRow.querySelectorAll('[data-item-index]').forEach(itemRow => {
+                const item = category.items[Number(itemRow.dataset.itemIndex)];
+                if (!item) return;
+                item.item = itemRow.querySelector('[data-item-field="item"]').value.trim();
+                item.weight = Number(itemRow.querySelector('[data-item-field="weight"]').value) || 0;
+                item.quantity = Number(itemRow.querySelector('[data-item-field="quantity"]').value) || 1;
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    renderCategories() {
+        const list = document.getElementById('packing-editor-categories');
+        if (list) {
+            list.innerHTML = this.buildCategoriesHTML();
+        }
+    }
+
+    /**
+     * @private
+     */
+    renderTemplates() {
+        const templates = document.getElementById('packing-editor-templates');
+        if (templates) {
+            templates.innerHTML = this.buildTemplatesHTML();
+        }
+    }
+
+    /**
+     * @private
+     */
+    move(list, index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= list.length) return;
+
+        const [entry] = list.splice(index, 1);
+        list.splice(target, 0, entry);
+        this.renderCategories();
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    showError(message) {
+        const errorElement = document.getElementById('packing-editor-error');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instancia singleton
+export const packingListEditor = new PackingListEditor();
@@ -0,0 +1,169 @@
+/**
+ * PackingSuggestionsPanel - Sugerencias para la Lista de Equipaje
+ *
+ * Bloque dentro de la Lista de Equipaje con los items que faltan según el
+ * itinerario y el clima (PackingSuggestionEngine), cada uno con su motivo.
+ * Un toque lo añade a la lista a través de PackingListManager.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import packingSuggestionEngine from '../utils/PackingSuggestionEngine.js';
+
+export class PackingSuggestionsPanel {
+    constructor() {
+        this.container = null;
+        this.onChange = null;
+
+        stateManager.subscribe('trip.updatedAt', () => this.refresh());
+
+        Logger.init('💡 PackingSuggestionsPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR SUGERENCIAS
+     *
+     * @param {HTMLElement} container - Contenedor dentro de la lista de equipaje
+     * @param {Object} options
+     * @param {Function} options.onChange - Se llama al añadir un item (p. ej. repintar la lista)
+     */
+    render(container, { onChange = null } = {}) {
+        this.container = container;
+        this.onChange = onChange;
+        container.innerHTML = this.buildHTML();
+
+        if (!container.dataset.suggestionsListeners) {
+            container.dataset.suggestionsListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('💡 Packing suggestions rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.container.innerHTML = this.buildHTML();
+        }
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        const suggestions = packingSuggestionEngine.getSuggestions();
+        const dismissedCount = packingSuggestionEngine.getDismissedCount();
+
+        if (suggestions.length === 0 && dismissedCount === 0) return '';
+
+        return `
+            <h4 class="text-lg font-bold text-slate-900 dark:text-white mb-3 flex items-center gap-2">
+                <span class="material-symbols-outlined text-amber-500">lightbulb</span>
+                Sugerencias para este viaje
+            </h4>
+            ${suggestions.length > 0 ? `
+                <ul class="space-y-2">
+                    ${suggestions.map(suggestion => `
+                        <li class="flex items-start gap-3 p-3 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20">
+                            <div class="flex-1 min-w-0">
+                                <p class="font-medium text-slate-900 dark:text-white">${this.escape(suggestion.item.item)}
+                                    <span class="text-xs font-normal text-slate-500 dark:text-slate-400">· ${this.escape(suggestion.category)}</span>
+                                </p>
+                                <p class="text-sm text-slate-600 dark:text-slate-400">${this.escape(suggestion.reason)}</p>
+                            </div>
+                            <button type="button" data-suggestion-action="accept" data-suggestion-id="${suggestion.id}" data-write-only class="px-3 py-1 bg-amber-600 hover:bg-amber-700 text-white text-sm rounded-lg transition-colors flex items-center gap-1">
+                                <span class="material-symbols-outlined text-base">add</span>Añadir
+                            </button>
+                            <button type="button" data-suggestion-action="dismiss" data-suggestion-id="${suggestion.id}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-200" title="Descartar">
+                                <span class="material-symbols-outlined text-base">close</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="text-sm text-slate-500 dark:text-slate-400">La lista ya cubre todo lo que pide el itinerario.</p>'}
+            ${dismissedCount > 0 ? `
+                <button type="button" data-suggestion-action="reset" class="mt-2 text-xs text-slate-500 hover:text-amber-600">Mostrar ${dismissedCount} ${dismissedCount === 1 ? 'sugerencia descartada' : 'sugerencias descartadas'}</button>
+            ` : ''}
+        `;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-suggestion-action]');
+            if (!button) return;
+
+            const suggestionId = button.dataset.suggestionId;
+
+            try {
+                switch (button.dataset.suggestionAction) {
+                    case 'accept': {
+                        const suggestion = packingSuggestionEngine.getSuggestions().find(entry => entry.id === suggestionId);
+                        if (!suggestion) break;
+
+                        stateManager.getPackingListManager().addItem(suggestion.category, suggestion.item);
+                        this.notify(`✅ ${suggestion.item.item} añadido a ${suggestion.category}`, 'success');
+                        if (this.onChange) await this.onChange();
+                        break;
+                    }
+                    case 'dismiss':
+                        packingSuggestionEngine.dismiss(suggestionId);
+                        break;
+                    case 'reset':
+                        packingSuggestionEngine.resetDismissed();
+                        break;
+                }
+            } catch (error) {
+                Logger.error('💡 Suggestion action failed:', error);
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+
+            this.refresh();
+        });
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const packingSuggestionsPanel = new PackingSuggestionsPanel();
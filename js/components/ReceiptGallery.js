@@ -0,0 +1,180 @@
+/**
+ * ReceiptGallery - Miniaturas y Visor de Tickets
+ *
+ * Pinta las miniaturas de los tickets de un gasto (en la lista y en el
+ * editor inline), abre la foto a pantalla completa y gestiona añadir o
+ * quitar fotos desde el editor inline.
+ *
+ * Los contenedores `[data-receipt-thumbs="<expenseId>"]` se refrescan
+ * solos al cambiar 'receipts.updatedAt', sin volver a pintar la lista.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import receiptStore from '../utils/ReceiptStore.js';
+
+const LIST_THUMBNAIL_LIMIT = 3;
+
+export class ReceiptGallery {
+    constructor() {
+        this.viewerURL = null;
+
+        stateManager.subscribe('receipts.updatedAt', () => this.refreshThumbnails());
+        this.setupDelegatedListeners();
+
+        Logger.init('🧾 ReceiptGallery initialized');
+    }
+
+    // =================================================================
+    // 🖼️ MINIATURAS
+    // =================================================================
+
+    /**
+     * 🖼️ CONTENEDOR DE MINIATURAS DE UN GASTO
+     *
+     * @param {Object} expense - Gasto
+     * @param {boolean} editable - true en el editor inline (todas y con botón de quitar)
+     * @returns {string} HTML
+     */
+    buildThumbnailsHTML(expense, editable = false) {
+        return `
+            <span class="flex items-center gap-1 flex-wrap" data-receipt-thumbs="${expense.id}" data-receipt-editable="${editable}">
+                ${this.buildThumbnailItemsHTML(expense, editable)}
+            </span>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildThumbnailItemsHTML(expense, editable) {
+        const thumbnails = receiptStore.getThumbnails(expense);
+        const visible = editable ? thumbnails : thumbnails.slice(0, LIST_THUMBNAIL_LIMIT);
+        const size = editable ? 'w-14 h-14' : 'w-7 h-7';
+
+        return visible.map(thumbnail => `
+            <span class="relative inline-block">
+                <img src="${thumbnail.src}" alt="Ticket" loading="lazy"
+                     data-receipt-action="view" data-expense-id="${expense.id}" data-receipt-id="${thumbnail.id}"
+                     class="${size} object-cover rounded border border-slate-200 dark:border-slate-600 cursor-zoom-in">
+                ${editable ? `
+                    <button type="button" data-receipt-action="remove" data-expense-id="${expense.id}" data-receipt-id="${thumbnail.id}"
+                            class="absolute -top-1 -right-1 w-5 h-5 bg-red-500 hover:bg-red-600 text-white rounded-full flex items-center justify-center" title="Quitar ticket">
+                        <span class="material-symbols-outlined text-xs">close</span>
+                    </button>
+                ` : ''}
+            </span>
+        `).join('') + (!editable && thumbnails.length > LIST_THUMBNAIL_LIMIT
+            ? `<span class="text-xs text-slate-500 dark:text-slate-400">+${thumbnails.length - LIST_THUMBNAIL_LIMIT}</span>`
+            : '');
+    }
+
+    /**
+     * 🔄 Refrescar todas las miniaturas visibles
+     * @private
+     */
+    refreshThumbnails() {
+        const expenses = stateManager.getState('expenses') || [];
+
+        document.querySelectorAll('[data-receipt-thumbs]').forEach(container => {
+            const expense = expenses.find(exp => exp.id === container.dataset.receiptThumbs);
+            if (expense) {
+                container.innerHTML = this.buildThumbnailItemsHTML(expense, container.dataset.receiptEditable === 'true');
+            }
+        });
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * Un único listener en el documento para todas las listas de gastos
+     * @private
+     */
+    setupDelegatedListeners() {
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-receipt-action]');
+            if (!target) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const { expenseId, receiptId } = target.dataset;
+            if (target.dataset.receiptAction === 'view') {
+                this.openViewer(expenseId, receiptId);
+            } else if (target.dataset.receiptAction === 'remove' && confirm('¿Quitar este ticket del gasto?')) {
+                receiptStore.removeReceipt(expenseId, receiptId);
+            } else if (target.dataset.receiptAction === 'close-viewer') {
+                this.closeViewer();
+            }
+        }, true);
+
+        document.addEventListener('change', async (e) => {
+            if (!e.target.classList.contains('inline-receipt-input')) return;
+
+            const expenseId = e.target.dataset.expenseId;
+            const files = Array.from(e.target.files || []);
+            e.target.value = '';
+            if (files.length === 0) return;
+
+            await receiptStore.addReceipts(expenseId, files);
+            receiptStore.syncExpense(expenseId);
+        });
+    }
+
+    // =================================================================
+    // 🔍 VISOR
+    // =================================================================
+
+    /**
+     * 🔍 ABRIR FOTO A PANTALLA COMPLETA
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {string} receiptId - ID del ticket
+     */
+    async openViewer(expenseId, receiptId) {
+        const expense = (stateManager.getState('expenses') || []).find(exp => exp.id === expenseId) || { id: expenseId };
+        const source = await receiptStore.getReceiptURL(expense, receiptId);
+        if (!source) {
+            Logger.warning(`Receipt ${receiptId} not available on this device`);
+            return;
+        }
+
+        this.closeViewer();
+        if (source.revoke) {
+            this.viewerURL = source.url;
+        }
+
+        const viewer = document.createElement('div');
+        viewer.id = 'receipt-viewer';
+        viewer.className = 'fixed inset-0 bg-black/80 z-[999999] flex items-center justify-center p-4';
+        viewer.dataset.receiptAction = 'close-viewer';
+        viewer.innerHTML = `
+            <img src="${source.url}" alt="Ticket" class="max-w-full max-h-full rounded-lg shadow-2xl">
+            <button type="button" data-receipt-action="close-viewer" class="absolute top-4 right-4 w-10 h-10 bg-white/20 hover:bg-white/30 text-white rounded-full flex items-center justify-center" title="Cerrar">
+                <span class="material-symbols-outlined">close</span>
+            </button>
+        `;
+        document.body.appendChild(viewer);
+    }
+
+    /**
+     * ❌ CERRAR VISOR
+     */
+    closeViewer() {
+        const viewer = document.getElementById('receipt-viewer');
+        if (viewer) viewer.remove();
+
+        if (this.viewerURL) {
+            URL.revokeObjectURL(this.viewerURL);
+            this.viewerURL = null;
+        }
+    }
+}
+
+export const receiptGallery = new ReceiptGallery();
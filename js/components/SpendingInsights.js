@@ -12,6 +12,10 @@
 
 import { ANALYTICS } from '../config/DesignTokens.js';
 import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import tripManager from '../utils/TripManager.js';
+import currencyConverter from '../utils/CurrencyConverter.js';
+import { tripConfig } from '../config/tripConfig.js';
 
 export class SpendingInsights {
     constructor(budgetManager) {
@@ -36,6 +40,7 @@ export class SpendingInsights {
                 overview: this.calculateOverview(expenses, budget),
                 categories: this.calculateCategoryInsights(expenses, budget),
                 trends: this.calculateTrends(expenses),
+                currencies: currencyConverter.summarizeByCurrency(expenses, this.getTripCurrency()),
                 recommendations: this.generateRecommendations(expenses, budget)
             };
 
@@ -52,15 +57,23 @@ export class SpendingInsights {
     }
 
     getExpenses() {
-        // Get expenses from budget manager or localStorage
+        // Get expenses from state or the active trip's localStorage
         try {
-            const saved = localStorage.getItem('viaje-expenses');
+            const expenses = stateManager.getState('expenses');
+            if (Array.isArray(expenses) && expenses.length > 0) {
+                return expenses;
+            }
+            const saved = localStorage.getItem(tripManager.getStorageKey('tripExpensesV1'));
             return saved ? JSON.parse(saved) : [];
         } catch {
             return [];
         }
     }
 
+    getTripCurrency() {
+        return (tripConfig.trip && tripConfig.trip.currency) || 'EUR';
+    }
+
     getBudget() {
         // Get budget data from tripConfig or budget manager
         try {
@@ -296,6 +309,27 @@ export class SpendingInsights {
                     <div class="h-3 rounded-full ${this.getProgressBarColor(overview.status)}" 
                          style="width: ${Math.min(100, overview.spentPercentage)}%"></div>
                 </div>
+                
+                ${this.renderCurrencyBreakdown()}
+            </div>
+        `;
+    }
+
+    renderCurrencyBreakdown() {
+        const { currencies } = this.insights;
+        if (!currencies || currencies.length === 0) return '';
+
+        return `
+            <div class="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700">
+                <div class="text-sm font-medium text-slate-600 dark:text-slate-400 mb-2">💱 Pagado en moneda local</div>
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    ${currencies.map(total => `
+                        <div class="flex justify-between p-2 bg-slate-50 dark:bg-slate-700 rounded-lg text-sm">
+                            <span class="font-medium text-slate-900 dark:text-white">${total.formatted}</span>
+                            <span class="text-slate-500">€${total.converted.toFixed(2)}</span>
+                        </div>
+                    `).join('')}
+                </div>
             </div>
         `;
     }
@@ -10,6 +10,10 @@
  * - 🔄 Sincronizando: Azul, con animación
  * - ❌ Error: Rojo, con opción de reintentar
  * 
+ * Debajo, mientras haya cambios sin conexión en cola (SyncOutbox), se
+ * muestra cuántos quedan, el próximo reintento y los que fallaron del todo
+ * con botones para reintentarlos o descartarlos.
+ * 
  * @author David Ferrer Figueroa
  * @version 2.1.0
  * @since 2024
@@ -25,6 +29,7 @@ export class SyncStatusIndicator {
      */
     constructor() {
         this.indicator = null;
+        this.queuePanel = null;
         this.currentStatus = null;
         this.hideTimeout = null;
         
@@ -235,25 +240,85 @@ export class SyncStatusIndicator {
     /**
      * Mostrar estadísticas de sincronización
      * 
-     * @param {Object} stats - Estadísticas de Firebase
+     * @param {Object} stats - Estadísticas del backend y de la cola
+     *   ({ localExpenses, pendingSyncOperations, isConnected, outbox: { pending,
+     *   deadLetters, nextAttemptAt, lastError } })
+     * @param {Object} options - onRetryFailed / onDiscardFailed para los cambios fallidos
      */
-    showStats(stats) {
+    showStats(stats, options = {}) {
         if (!stats) return;
         
+        const outbox = stats.outbox || { pending: 0, deadLetters: 0 };
         const statsText = `
             📊 Estadísticas:
             • Gastos locales: ${stats.localExpenses || 0}
             • Operaciones pendientes: ${stats.pendingSyncOperations || 0}
+            • Cambios sin conexión en cola: ${outbox.pending}
+            • Cambios fallidos: ${outbox.deadLetters}
             • Estado: ${stats.isConnected ? 'Conectado' : 'Desconectado'}
         `;
         
         // Mostrar en consola para debugging
-        Logger.data('Firebase stats:', stats);
+        Logger.data('Sync stats:', stats);
         
         // Opcional: Mostrar tooltip con estadísticas
         if (this.indicator) {
             this.indicator.title = statsText;
         }
+        
+        this.renderQueue(outbox, options);
+    }
+
+    /**
+     * 📤 Cola de cambios sin conexión (oculta si está vacía)
+     * 
+     * @private
+     */
+    renderQueue(outbox, options) {
+        if (!this.queuePanel) {
+            this.queuePanel = document.createElement('div');
+            this.queuePanel.id = 'sync-queue-status';
+            document.body.appendChild(this.queuePanel);
+        }
+        
+        if (!outbox.pending && !outbox.deadLetters) {
+            this.queuePanel.className = 'hidden';
+            this.queuePanel.innerHTML = '';
+            return;
+        }
+        
+        const nextRetry = outbox.nextAttemptAt
+            ? Math.max(Math.ceil((outbox.nextAttemptAt - Date.now()) / 60000), 1)
+            : null;
+        
+        this.queuePanel.className = `
+            fixed top-14 left-4 z-50 max-w-xs
+            px-3 py-2 radius-card
+            text-xs shadow-card border
+            bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 border-slate-200 dark:border-slate-700
+        `.replace(/\s+/g, ' ').trim();
+        this.queuePanel.innerHTML = `
+            ${outbox.pending ? `
+                <div class="flex items-center gap-2">
+                    <span>📤</span>
+                    <span>${outbox.pending} ${outbox.pending === 1 ? 'cambio' : 'cambios'} en cola${nextRetry ? ` · reintento en ${nextRetry} min` : ''}</span>
+                </div>
+                ${outbox.lastError ? `<div class="mt-1 text-slate-500 dark:text-slate-400 truncate" title="${outbox.lastError}">${outbox.lastError}</div>` : ''}
+            ` : ''}
+            ${outbox.deadLetters ? `
+                <div class="flex items-center gap-2 ${outbox.pending ? 'mt-2' : ''} text-red-600 dark:text-red-400">
+                    <span>⚠️</span>
+                    <span>${outbox.deadLetters} ${outbox.deadLetters === 1 ? 'cambio no se pudo' : 'cambios no se pudieron'} enviar</span>
+                </div>
+                <div class="flex gap-3 mt-1">
+                    <button data-queue-action="retry" class="underline hover:no-underline">Reintentar</button>
+                    <button data-queue-action="discard" class="underline hover:no-underline">Descartar</button>
+                </div>
+            ` : ''}
+        `;
+        
+        this.queuePanel.querySelector('[data-queue-action="retry"]')?.addEventListener('click', () => options.onRetryFailed?.());
+        this.queuePanel.querySelector('[data-queue-action="discard"]')?.addEventListener('click', () => options.onDiscardFailed?.());
     }
 
     /**
@@ -266,6 +331,10 @@ export class SyncStatusIndicator {
             this.indicator.parentNode.removeChild(this.indicator);
         }
         
+        if (this.queuePanel && this.queuePanel.parentNode) {
+            this.queuePanel.parentNode.removeChild(this.queuePanel);
+        }
+        
         // Limpiar callback global
         if (window.retryFirebaseConnection) {
             delete window.retryFirebaseConnection;
@@ -0,0 +1,368 @@
+/**
+ * TrailPanel - Recorrido Grabado y Reproducción en el Mapa
+ *
+ * Tarjeta de la vista Seguimiento, bajo el mapa del viaje: activa o
+ * desactiva la grabación del recorrido, lista los días grabados con su
+ * distancia, desnivel y duración, y reproduce el recorrido de un día en el
+ * mapa principal con un control deslizante. Cada día se puede descargar
+ * como GPX.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import trailRecorder from '../utils/TrailRecorder.js';
+import geoDataConverter from '../utils/GeoDataConverter.js';
+import { DateUtils } from '../utils/DateUtils.js';
+import { mapRenderer } from './renderers/MapRenderer.js';
+
+const PLAYBACK_TICK_MS = 50;
+const PLAYBACK_STEPS = 400;
+
+export class TrailPanel {
+    constructor() {
+        this.container = null;
+
+        // { date, points, index, timer }
+        this.playback = null;
+
+        stateManager.subscribe('trails.updatedAt', () => this.refresh());
+
+        Logger.init('🥾 TrailPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.stopPlayback();
+        this.playback = null;
+        this.container = container;
+        this.paint();
+
+        if (!container.dataset.trailListeners) {
+            container.dataset.trailListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        Logger.ui('🥾 Trail panel rendered');
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (!this.container || !document.body.contains(this.container)) return;
+        if (this.container.contains(document.activeElement) && document.activeElement.type === 'range') return;
+
+        this.paint();
+    }
+
+    /**
+     * @private
+     */
+    paint() {
+        const status = trailRecorder.getStatus();
+        const days = trailRecorder.getDays();
+
+        this.container.innerHTML = `
+            <label class="flex items-center gap-3 mb-2 cursor-pointer">
+                <input type="checkbox" data-trail-field="enabled" class="w-5 h-5 rounded" ${status.enabled ? 'checked' : ''}>
+                <span class="font-medium text-slate-900 dark:text-white">Grabar recorrido</span>
+            </label>
+            <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">${this.buildStatusText(status)}</p>
+
+            ${this.playback ? this.buildPlaybackHTML() : ''}
+
+            ${days.length === 0 ? `
+                <p class="text-sm text-slate-500 dark:text-slate-400">Todavía no hay recorridos grabados.</p>
+            ` : `
+                <div class="divide-y divide-slate-200 dark:divide-slate-700">
+                    ${days.map(day => this.buildDayHTML(day)).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildStatusText(status) {
+        if (status.error) {
+            return `⚠️ ${this.escape(status.error)}`;
+        }
+        if (!status.enabled) {
+            return 'Solo se guarda la ubicación en este dispositivo y solo si lo activas.';
+        }
+
+        const battery = status.batteryLevel !== null
+            ? ` · Batería ${Math.round(status.batteryLevel * 100)}%${status.charging ? ' (cargando)' : ''}`
+            : '';
+        return `${status.recording ? '🔴 Grabando' : 'Esperando ubicación'} · Muestreo: ${status.profile.label}${battery}`;
+    }
+
+    /**
+     * @private
+     */
+    buildDayHTML(day) {
+        const active = this.playback?.date === day.date;
+        const iconButton = 'p-2 rounded-lg text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 transition-colors';
+
+        return `
+            <div class="flex items-center gap-3 py-3 ${active ? 'text-green-700 dark:text-green-400' : ''}">
+                <div class="flex-1 min-w-0">
+                    <div class="font-medium truncate ${active ? '' : 'text-slate-900 dark:text-white'}">${this.escape(day.label)}</div>
+                    <div class="text-sm text-slate-600 dark:text-slate-400">
+                        ${this.formatDistance(day.distance)} · +${day.elevationGain.toLocaleString('es-ES')} m · ${DateUtils.formatDuration(day.duration)} · ${day.points} puntos
+                    </div>
+                </div>
+                <button type="button" data-trail-action="play" data-trail-date="${day.date}" class="${iconButton}" title="Reproducir en el mapa">
+                    <span class="material-symbols-outlined">play_circle</span>
+                </button>
+                <button type="button" data-trail-action="export" data-trail-date="${day.date}" class="${iconButton}" title="Descargar GPX">
+                    <span class="material-symbols-outlined">download</span>
+                </button>
+                <button type="button" data-trail-action="delete" data-trail-date="${day.date}" class="${iconButton} hover:text-red-600" title="Borrar recorrido">
+                    <span class="material-symbols-outlined">delete</span>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildPlaybackHTML() {
+        const { points, index, timer } = this.playback;
+
+        return `
+            <div class="mb-4 p-3 rounded-lg bg-green-50 dark:bg-green-900/20">
+                <div class="flex items-center gap-3">
+                    <button type="button" data-trail-action="toggle-playback" class="p-2 rounded-full bg-green-600 hover:bg-green-700 text-white transition-colors" title="${timer ? 'Pausar' : 'Reproducir'}">
+                        <span class="material-symbols-outlined" data-trail-playback-icon>${timer ? 'pause' : 'play_arrow'}</span>
+                    </button>
+                    <input type="range" data-trail-field="position" min="0" max="${points.length - 1}" value="${index}" class="flex-1 accent-green-600">
+                    <button type="button" data-trail-action="close-playback" class="p-2 rounded-lg text-slate-600 dark:text-slate-300 hover:bg-green-100 dark:hover:bg-green-900/40" title="Cerrar">
+                        <span class="material-symbols-outlined">close</span>
+                    </button>
+                </div>
+                <div class="text-sm text-slate-700 dark:text-slate-300 mt-2" data-trail-playback-info>${this.buildPlaybackInfo()}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 🕒 Hora, distancia y altitud en el punto actual
+     * @private
+     */
+    buildPlaybackInfo() {
+        const { points, index } = this.playback;
+        const point = points[index];
+        const { distance } = trailRecorder.computeStats(points.slice(0, index + 1));
+        const altitude = Number.isFinite(point.ele) ? ` · ${point.ele.toLocaleString('es-ES')} m` : '';
+
+        return `${DateUtils.formatTime24(new Date(point.time))} · ${this.formatDistance(distance)}${altitude}`;
+    }
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-trail-action]');
+            if (!button) return;
+
+            const date = button.dataset.trailDate;
+            switch (button.dataset.trailAction) {
+                case 'play':
+                    this.openPlayback(date);
+                    break;
+                case 'toggle-playback':
+                    if (this.playback?.timer) {
+                        this.stopPlayback();
+                    } else {
+                        this.startPlayback();
+                    }
+                    this.updatePlaybackIcon();
+                    break;
+                case 'close-playback':
+                    this.closePlayback();
+                    break;
+                case 'export':
+                    this.handleExport(date);
+                    break;
+                case 'delete':
+                    if (confirm('¿Borrar el recorrido grabado de este día?')) {
+                        if (this.playback?.date === date) this.closePlayback();
+                        await trailRecorder.deleteTrack(date);
+                    }
+                    break;
+            }
+        });
+
+        container.addEventListener('change', async (e) => {
+            if (e.target.dataset.trailField !== 'enabled') return;
+
+            const recording = await trailRecorder.setEnabled(e.target.checked);
+            if (e.target.checked && !recording) {
+                this.notify(`⚠️ ${trailRecorder.getStatus().error || 'No se ha podido empezar a grabar'}`, 'warning');
+            }
+        });
+
+        container.addEventListener('input', (e) => {
+            if (e.target.dataset.trailField !== 'position' || !this.playback) return;
+
+            this.stopPlayback();
+            this.seek(Number(e.target.value));
+        });
+    }
+
+    // =================================================================
+    // ⏯️ REPRODUCCIÓN
+    // =================================================================
+
+    /**
+     * @private
+     */
+    openPlayback(date) {
+        this.stopPlayback();
+        const points = trailRecorder.getTrack(date);
+
+        if (!mapRenderer.showTrail(points)) {
+            this.notify('🗺️ El mapa aún no está listo', 'warning');
+            return;
+        }
+
+        this.playback = { date, points, index: 0, timer: null };
+        this.startPlayback();
+        this.paint();
+        document.getElementById('map-container')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * @private
+     */
+    startPlayback() {
+        if (!this.playback || this.playback.timer) return;
+
+        if (this.playback.index >= this.playback.points.length - 1) {
+            this.seek(0);
+        }
+
+        const step = Math.max(1, Math.ceil(this.playback.points.length / PLAYBACK_STEPS));
+        this.playback.timer = setInterval(() => {
+            // La vista ha cambiado: parar sin tocar el DOM
+            if (!document.body.contains(this.container)) {
+                this.stopPlayback();
+                return;
+            }
+
+            const next = Math.min(this.playback.index + step, this.playback.points.length - 1);
+            this.seek(next);
+
+            if (next === this.playback.points.length - 1) {
+                this.stopPlayback();
+                this.updatePlaybackIcon();
+            }
+        }, PLAYBACK_TICK_MS);
+    }
+
+    /**
+     * @private
+     */
+    stopPlayback() {
+        if (this.playback?.timer) {
+            clearInterval(this.playback.timer);
+            this.playback.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    closePlayback() {
+        this.stopPlayback();
+        this.playback = null;
+        mapRenderer.clearTrail();
+        this.paint();
+    }
+
+    /**
+     * @private
+     */
+    seek(index) {
+        this.playback.index = index;
+        mapRenderer.updateTrailPlayback(index);
+
+        const slider = this.container.querySelector('[data-trail-field="position"]');
+        if (slider && document.activeElement !== slider) slider.value = index;
+
+        const info = this.container.querySelector('[data-trail-playback-info]');
+        if (info) info.textContent = this.buildPlaybackInfo();
+    }
+
+    /**
+     * @private
+     */
+    updatePlaybackIcon() {
+        const icon = this.container.querySelector('[data-trail-playback-icon]');
+        if (icon) icon.textContent = this.playback?.timer ? 'pause' : 'play_arrow';
+    }
+
+    /**
+     * 💾 DESCARGAR GPX DE UN DÍA
+     * @private
+     */
+    handleExport(date) {
+        try {
+            const filename = geoDataConverter.exportTracks(trailRecorder.getTracks([date]), date);
+            this.notify(`🥾 Recorrido exportado (${filename})`, 'success');
+        } catch (error) {
+            Logger.error('Error exporting trail:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    formatDistance(meters) {
+        return meters < 1000
+            ? `${meters} m`
+            : `${(meters / 1000).toLocaleString('es-ES', { maximumFractionDigits: 1 })} km`;
+    }
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const trailPanel = new TrailPanel();
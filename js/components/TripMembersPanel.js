@@ -0,0 +1,299 @@
+/**
+ * TripMembersPanel - Miembros e Invitaciones del Viaje
+ *
+ * Tarjeta de la vista de Planificación con los miembros del viaje activo
+ * y su rol. El dueño crea enlaces de invitación como editor o lector
+ * (por ejemplo, la familia que sigue el itinerario desde casa), los
+ * revoca y cambia o quita a los miembros.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+import { shareManager } from '../utils/ShareManager.js';
+import { authConfig } from '../config/firebaseConfig.js';
+
+const ROLE_OPTIONS = {
+    editor: { label: 'Editor', description: 've el viaje y apunta gastos y equipaje' },
+    viewer: { label: 'Lector', description: 'solo consulta el itinerario y los gastos' }
+};
+
+export class TripMembersPanel {
+    constructor() {
+        this.container = null;
+        this.members = [];
+        this.invites = [];
+        this.loading = false;
+
+        stateManager.subscribe('auth.tripRole', () => this.reload());
+        stateManager.subscribe('trip.activeTripId', () => this.reload());
+
+        Logger.init('👥 TripMembersPanel initialized');
+    }
+
+    /**
+     * 🎨 RENDERIZAR TARJETA
+     *
+     * @param {HTMLElement} container - Contenedor de la tarjeta
+     */
+    render(container) {
+        this.container = container;
+        container.innerHTML = this.buildHTML();
+
+        if (!container.dataset.membersListeners) {
+            container.dataset.membersListeners = 'true';
+            this.setupListeners(container);
+        }
+
+        this.reload();
+        Logger.ui('👥 Trip members panel rendered');
+    }
+
+    /**
+     * Vuelve a leer miembros e invitaciones de Firestore
+     *
+     * @private
+     */
+    async reload() {
+        if (!this.container || !document.body.contains(this.container)) return;
+
+        const firebaseManager = stateManager.getFirebaseManager();
+        if (!firebaseManager || !firebaseManager.auth || !firebaseManager.tripRole) {
+            this.members = [];
+            this.invites = [];
+            this.refresh();
+            return;
+        }
+
+        this.loading = true;
+        this.refresh();
+
+        try {
+            this.members = await firebaseManager.getMembers();
+            this.invites = firebaseManager.tripRole === 'owner' ? await firebaseManager.getInvites() : [];
+        } catch (error) {
+            Logger.error('👥 Error loading trip members:', error);
+            this.notify(`❌ ${error.message}`, 'error');
+        }
+
+        this.loading = false;
+        this.refresh();
+    }
+
+    /**
+     * @private
+     */
+    refresh() {
+        if (this.container && document.body.contains(this.container)) {
+            this.container.innerHTML = this.buildHTML();
+        }
+    }
+
+    // =================================================================
+    // 🎨 HTML
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildHTML() {
+        if (!authConfig.enableAuth) {
+            return '<p class="text-sm text-slate-600 dark:text-slate-400">La autenticación está desactivada: no hay miembros ni invitaciones.</p>';
+        }
+
+        const role = stateManager.getState('auth.tripRole');
+        if (!role) {
+            return '<p class="text-sm text-slate-600 dark:text-slate-400">Conéctate y entra en el viaje para ver quién más lo comparte.</p>';
+        }
+
+        if (this.loading && this.members.length === 0) {
+            return '<p class="text-sm text-slate-500 dark:text-slate-400">Cargando miembros...</p>';
+        }
+
+        const isOwner = role === 'owner';
+
+        return `
+            <ul class="divide-y divide-slate-200 dark:divide-slate-700 mb-4">
+                ${this.members.map(member => this.buildMemberHTML(member, isOwner)).join('')}
+            </ul>
+            ${isOwner ? this.buildInvitesHTML() : `
+                <p class="text-sm text-slate-500 dark:text-slate-400">Solo el dueño del viaje puede invitar a más personas.</p>
+            `}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildMemberHTML(member, isOwner) {
+        const inputClass = 'px-2 py-1 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+        const name = member.name || `Miembro ${member.uid.slice(0, 6)}`;
+        const canManage = isOwner && member.role !== 'owner';
+
+        return `
+            <li class="flex flex-wrap items-center gap-2 py-2">
+                <span class="material-symbols-outlined text-slate-500 dark:text-slate-400">${member.role === 'owner' ? 'shield_person' : 'person'}</span>
+                <span class="flex-1 min-w-0 text-sm text-slate-900 dark:text-white truncate">
+                    ${this.escape(name)}${member.isCurrentUser ? ' <span class="text-xs text-slate-500 dark:text-slate-400">(tú)</span>' : ''}
+                </span>
+                ${canManage ? `
+                    <select data-member-field="role" data-uid="${member.uid}" class="${inputClass}">
+                        ${Object.entries(ROLE_OPTIONS).map(([value, option]) => `
+                            <option value="${value}" ${value === member.role ? 'selected' : ''}>${option.label}</option>
+                        `).join('')}
+                    </select>
+                    <button type="button" data-member-action="remove" data-uid="${member.uid}" class="text-slate-400 hover:text-red-500" title="Quitar del viaje">
+                        <span class="material-symbols-outlined text-base">person_remove</span>
+                    </button>
+                ` : `
+                    <span class="text-xs text-slate-600 dark:text-slate-400">${member.role === 'owner' ? 'Dueño' : ROLE_OPTIONS[member.role]?.label || member.role}</span>
+                `}
+            </li>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    buildInvitesHTML() {
+        const inputClass = 'px-3 py-2 radius-standard bg-slate-50 dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+        const activeInvites = this.invites.filter(invite => !invite.revoked);
+
+        return `
+            <div class="flex flex-wrap items-end gap-2 mb-4">
+                <div class="flex-1 min-w-[12rem]">
+                    <label class="block text-xs font-medium text-slate-600 dark:text-slate-400 mb-1">Invitar como</label>
+                    <select data-member-field="invite-role" class="${inputClass} w-full">
+                        ${Object.entries(ROLE_OPTIONS).map(([value, option]) => `
+                            <option value="${value}">${option.label}: ${option.description}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <button type="button" data-member-action="create-invite" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-colors flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">link</span>Crear enlace
+                </button>
+            </div>
+
+            <h3 class="text-sm font-semibold text-slate-900 dark:text-white mb-2 flex items-center gap-1">
+                <span class="material-symbols-outlined text-base">mail</span>Invitaciones activas
+            </h3>
+            ${activeInvites.length > 0 ? `
+                <ul class="space-y-2">
+                    ${activeInvites.map(invite => `
+                        <li class="flex flex-wrap items-center gap-2 text-sm">
+                            <span class="px-2 py-0.5 rounded-full text-xs font-medium bg-slate-100 text-slate-800 dark:bg-slate-700 dark:text-slate-200">${ROLE_OPTIONS[invite.role]?.label || invite.role}</span>
+                            <span class="flex-1 text-slate-600 dark:text-slate-400">Creada el ${new Date(invite.createdAt).toLocaleDateString('es-ES', { day: '2-digit', month: 'short', year: 'numeric' })}</span>
+                            <button type="button" data-member-action="share-invite" data-token="${invite.token}" class="text-slate-500 hover:text-indigo-600 flex items-center gap-1" title="Compartir enlace">
+                                <span class="material-symbols-outlined text-base">share</span>
+                            </button>
+                            <button type="button" data-member-action="revoke-invite" data-token="${invite.token}" class="text-slate-500 hover:text-red-500 flex items-center gap-1" title="Revocar enlace">
+                                <span class="material-symbols-outlined text-base">link_off</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="text-sm text-slate-500 dark:text-slate-400">No hay enlaces de invitación activos.</p>'}
+        `;
+    }
+
+    // =================================================================
+    // 🖱️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    setupListeners(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-member-action]');
+            if (!button) return;
+
+            const firebaseManager = stateManager.getFirebaseManager();
+            if (!firebaseManager || !firebaseManager.isConnected) {
+                this.notify('❌ Sin conexión con la nube: inténtalo cuando vuelva la conexión.', 'error');
+                return;
+            }
+
+            button.disabled = true;
+
+            try {
+                switch (button.dataset.memberAction) {
+                    case 'create-invite': {
+                        const role = container.querySelector('[data-member-field="invite-role"]').value;
+                        const invite = await firebaseManager.createInvite(role);
+                        this.invites.unshift(invite);
+                        this.refresh();
+                        await shareManager.shareItinerary({ format: 'url', invite });
+                        break;
+                    }
+                    case 'share-invite': {
+                        const invite = this.invites.find(item => item.token === button.dataset.token);
+                        if (invite) await shareManager.shareItinerary({ format: 'url', invite });
+                        break;
+                    }
+                    case 'revoke-invite':
+                        if (!confirm('¿Revocar este enlace? Quien ya se haya unido seguirá en el viaje.')) break;
+                        await firebaseManager.revokeInvite(button.dataset.token);
+                        this.notify('🔗 Enlace revocado', 'success');
+                        await this.reload();
+                        return;
+                    case 'remove':
+                        if (!confirm('¿Quitar a este miembro del viaje? Dejará de ver sus datos.')) break;
+                        await firebaseManager.removeMember(button.dataset.uid);
+                        await this.reload();
+                        return;
+                }
+            } catch (error) {
+                Logger.error('👥 Member action failed:', error);
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+
+            button.disabled = false;
+        });
+
+        container.addEventListener('change', async (e) => {
+            if (e.target.dataset.memberField !== 'role') return;
+
+            try {
+                await stateManager.getFirebaseManager().setMemberRole(e.target.dataset.uid, e.target.value);
+                this.notify('✅ Rol actualizado', 'success');
+            } catch (error) {
+                Logger.error('👥 Error changing member role:', error);
+                this.notify(`❌ ${error.message}`, 'error');
+            }
+            await this.reload();
+        });
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    notify(message, type) {
+        const budgetManager = stateManager.getState('instances.budgetManager');
+        if (budgetManager && budgetManager.showNotification) {
+            budgetManager.showNotification(message, type);
+        } else {
+            Logger.ui(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export const tripMembersPanel = new TripMembersPanel();
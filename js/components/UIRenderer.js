@@ -35,6 +35,10 @@ import { planningRenderer } from './renderers/PlanningRenderer.js';
 import { trackingRenderer } from './renderers/TrackingRenderer.js';
 import { UIHelpers } from '../utils/UIHelpers.js';
 import stateManager from '../utils/StateManager.js';
+import dependencyContainer from '../core/DependencyContainer.js';
+import tripManager from '../utils/TripManager.js';
+import flightManager from '../utils/FlightManager.js';
+import { flightStatusPanel } from './FlightStatusPanel.js';
 
 export class UIRenderer {
     /**
@@ -73,6 +77,20 @@ export class UIRenderer {
         // Registrar esta instancia en StateManager para eliminar window.uiRenderer
         stateManager.updateState('instances.uiRenderer', this);
         
+        // 🧳 Re-renderizar la vista actual al cambiar de viaje
+        stateManager.subscribe('trip.activeTripId', () => this.renderMainContent());
+        
+        // 🗓️ Refrescar las vistas que muestran el itinerario al editarlo
+        stateManager.subscribe('trip.updatedAt', () => {
+            if (this.currentView === VIEWS.TODAY || this.currentView === VIEWS.ITINERARY) {
+                this.renderMainContent();
+            }
+        });
+        
+        // 👀 Modo lectura para quien se unió al viaje como lector
+        stateManager.subscribe('auth.tripRole', () => this.applyReadOnlyMode());
+        this.applyReadOnlyMode();
+        
         Logger.endPerformance('UIRenderer-init');
         Logger.success('UIRenderer initialized successfully', { 
             currentView: this.currentView,
@@ -81,6 +99,32 @@ export class UIRenderer {
         });
     }
 
+    /**
+     * Activa o desactiva el modo lectura
+     * 
+     * Con el rol 'viewer' se añade la clase `read-only-mode` a <html>, que
+     * oculta el formulario de gastos, la edición y borrado de gastos y las
+     * casillas del equipaje (ver css/components.css), y se muestra un
+     * distintivo "Solo lectura".
+     */
+    applyReadOnlyMode() {
+        const readOnly = stateManager.getState('auth.tripRole') === 'viewer';
+        document.documentElement.classList.toggle('read-only-mode', readOnly);
+        
+        let badge = document.getElementById('read-only-badge');
+        if (readOnly && !badge) {
+            badge = document.createElement('div');
+            badge.id = 'read-only-badge';
+            badge.className = 'px-3 py-1 rounded-full bg-slate-800/90 text-white text-xs font-medium shadow-lg flex items-center gap-1';
+            badge.innerHTML = '<span class="material-symbols-outlined text-sm">visibility</span>Solo lectura';
+            document.body.appendChild(badge);
+        } else if (!readOnly && badge) {
+            badge.remove();
+        }
+        
+        Logger.ui(`👀 Read-only mode ${readOnly ? 'enabled' : 'disabled'}`);
+    }
+
     /**
      * Configurar observer para cambios responsive
      * 
@@ -806,17 +850,15 @@ export class UIRenderer {
         try {
             mainContent.innerHTML = `
                 <div class="w-full max-w-none lg:max-w-6xl xl:max-w-7xl mx-auto space-y-6 md:space-y-8 p-3 sm:p-4 md:p-6 lg:p-8 xl:p-12 pb-32">
-                    <div class="flex items-center gap-3 mb-8">
-                        <span class="material-symbols-outlined text-3xl text-blue-600 dark:text-blue-400">flight</span>
-                        <h2 class="text-2xl font-bold text-slate-900 dark:text-white">Información de Vuelos</h2>
-                    </div>
-                    <div class="space-y-8">
+                    <div id="flights-status" class="hidden"></div>
+                    ${this.summaryRenderer.renderFlightsSection() || `
                         <div class="bg-white dark:bg-slate-800 radius-card p-6 shadow-card border border-slate-200 dark:border-slate-700">
-                            <p class="text-slate-600 dark:text-slate-400">Información de vuelos disponible próximamente...</p>
-                        </div>
-                    </div>
+                            <p class="text-slate-600 dark:text-slate-400">El viaje no tiene vuelos.</p>
+                        </div>`}
                 </div>`;
 
+            flightStatusPanel.render(document.getElementById('flights-status'));
+
             Logger.success('✅ Flights information rendered successfully');
         } catch (error) {
             Logger.error('❌ Error rendering flights:', error);
@@ -855,31 +897,11 @@ export class UIRenderer {
                 }
             }
             
-            // Buscar la fecha del primer vuelo internacional (misma lógica que SummaryRenderer)
-            const firstInternationalFlight = tripConfig.flights.find(f => f.type === 'Internacional');
-            if (firstInternationalFlight && firstInternationalFlight.segments && firstInternationalFlight.segments.length > 0) {
-                const firstSegment = firstInternationalFlight.segments[0];
-                // Extraer la fecha del string "9 de Octubre 22:45"
-                const departureDate = firstSegment.fromDateTime;
-                const year = tripConfig.trip.year; // Usar el año del tripConfig
-                
-                // Parsear la fecha (ej. "9 de Octubre 22:45" en 2025)
-                const months = {
-                    'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                    'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-                };
-                
-                const match = departureDate.match(/(\d+) de (\w+)/);
-                if (match) {
-                    const day = parseInt(match[1]);
-                    const monthName = match[2];
-                    const month = months[monthName];
-                    if (month !== undefined) {
-                        const parsedDate = new Date(year, month, day);
-                        Logger.debug(`📅 Trip start date parsed from flight data: ${parsedDate}`);
-                        return parsedDate;
-                    }
-                }
+            // Día de salida del primer vuelo (instantes reales de FlightManager)
+            const flightStartDate = flightManager.getTripStartDate();
+            if (flightStartDate) {
+                Logger.debug(`📅 Trip start date from flight data: ${flightStartDate}`);
+                return flightStartDate;
             }
             
             // Fallback final: fecha del vuelo basada en tripConfig
@@ -1227,11 +1249,8 @@ export class UIRenderer {
                 packingManager = getPackingListManager();
                 stateManager.setPackingListManager(packingManager);
                 
-                // Inicializar con FirebaseManager si está disponible
-                const firebaseManager = stateManager.getFirebaseManager();
-                if (firebaseManager) {
-                    await packingManager.initialize(firebaseManager);
-                }
+                // Inicializar con el backend de datos
+                await packingManager.initialize(await dependencyContainer.resolve('storage'));
             } catch (error) {
                 Logger.warning('PackingListManager not available, using simple implementation');
                 packingManager = null;
@@ -1239,7 +1258,8 @@ export class UIRenderer {
         }
 
         // Priorizar localStorage para carga inmediata
-        let saved = JSON.parse(localStorage.getItem('packingListV2') || '{}');
+        const packingStorageKey = packingManager ? packingManager.localStorageKey : tripManager.getStorageKey('packingListV2');
+        let saved = JSON.parse(localStorage.getItem(packingStorageKey) || '{}');
         Logger.debug('💾 UIRenderer Fallback: Loaded from localStorage:', Object.keys(saved).length, 'items');
         
         // Force some test data if localStorage is empty
@@ -1250,7 +1270,7 @@ export class UIRenderer {
                 'ropa_pantalones': true,
                 'calzado_botas': true
             };
-            localStorage.setItem('packingListV2', JSON.stringify(saved));
+            localStorage.setItem(packingStorageKey, JSON.stringify(saved));
         }
         
         // Merge con PackingManager si está disponible
@@ -1664,57 +1684,19 @@ export class UIRenderer {
             const targetDateFormatted = DateUtils.formatMediumDate(date);
             Logger.debug(`🔍 Looking for flights on: ${targetDateFormatted}`);
             
-            // Buscar en todos los vuelos
-            for (const flight of tripConfig.flights) {
-                if (flight.segments) {
-                    for (const segment of flight.segments) {
-                        if (segment.fromDateTime) {
-                            // Extraer fecha del formato "9 de Octubre 22:45"
-                            const flightDate = this.parseFlightDate(segment.fromDateTime);
-                            if (flightDate && this.isSameDay(date, flightDate)) {
-                                Logger.debug(`✈️ Found matching flight: ${flight.title} on ${segment.fromDateTime}`);
-                                return flight;
-                            }
-                        }
-                    }
-                }
+            // Tramos que salen ese día en la hora local de su aeropuerto
+            const flight = flightManager.getFlightsOnDate(date)[0] || null;
+            if (flight) {
+                Logger.debug(`✈️ Found matching flight: ${flight.title} on ${targetDateFormatted}`);
             }
             
-            return null;
+            return flight;
         } catch (error) {
             Logger.error('Error getting flight for date:', error);
             return null;
         }
     }
 
-    /**
-     * 📅 PARSEAR FECHA DE VUELO
-     */
-    parseFlightDate(dateTimeString) {
-        try {
-            // Parsear "9 de Octubre 22:45" a Date object
-            const months = {
-                'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-            };
-            
-            const parts = dateTimeString.split(' ');
-            const day = parseInt(parts[0]);
-            const monthName = parts[2];
-            const monthIndex = months[monthName];
-            
-            if (monthIndex !== undefined) {
-                const year = tripConfig.trip?.year || 2025;
-                return new Date(year, monthIndex, day);
-            }
-            
-            return null;
-        } catch (error) {
-            Logger.error('Error parsing flight date:', error);
-            return null;
-        }
-    }
-
     /**
      * 📅 VERIFICAR SI DOS FECHAS SON EL MISMO DÍA
      */
@@ -1740,19 +1722,14 @@ export class UIRenderer {
             
             const firstSegment = flight.segments[0];
             const lastSegment = flight.segments[flight.segments.length - 1];
-            
-            // Mapear códigos de aeropuerto a nombres
-            const airportNames = {
-                'MAD': 'Madrid, España',
-                'DOH': 'Doha, Qatar',
-                'KTM': 'Katmandú, Nepal',
-                'PBH': 'Paro, Bután'
-            };
+            const airportName = (airport) => airport.country ? `${airport.city}, ${airport.country}` : airport.city;
             
             return {
-                origin: airportNames[firstSegment.from] || firstSegment.from,
-                destination: airportNames[lastSegment.to] || lastSegment.to,
-                time: firstSegment.fromDateTime,
+                origin: airportName(firstSegment.fromAirport),
+                destination: airportName(lastSegment.toAirport),
+                time: flight.durationMinutes
+                    ? `${flightManager.formatSegmentTime(firstSegment)} (${DateUtils.formatDuration(flight.durationMinutes)})`
+                    : flightManager.formatSegmentTime(firstSegment),
                 airline: flight.airline || 'No especificado'
             };
         } catch (error) {
@@ -1814,7 +1791,7 @@ export class UIRenderer {
                     </div>
                     
                     <div class="flex gap-3">
-                        <button id="add-packing-item" class="px-4 py-2 bg-green-600 hover:bg-green-700 text-white radius-standard transition-standard">
+                        <button id="add-packing-item" data-write-only class="px-4 py-2 bg-green-600 hover:bg-green-700 text-white radius-standard transition-standard">
                             + Agregar Item
                         </button>
                         <button id="save-packing-list" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white radius-standard transition-standard">
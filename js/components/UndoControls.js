@@ -0,0 +1,165 @@
+/**
+ * UndoControls - Deshacer y Rehacer
+ *
+ * Interfaz del historial de comandos de StateManager: aviso con botón
+ * "Deshacer" tras borrar algo y atajos de teclado en escritorio
+ * (Ctrl+Z deshace, Ctrl+Shift+Z o Ctrl+Y rehace; Cmd en Mac).
+ *
+ * Los atajos no actúan mientras se escribe en un campo para no quitarle
+ * al navegador el deshacer del propio texto.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from '../utils/Logger.js';
+import stateManager from '../utils/StateManager.js';
+
+const TOAST_DURATION = 6000;
+
+export class UndoControls {
+    constructor() {
+        this.initialized = false;
+        this.hideTimer = null;
+        Logger.init('↩️ UndoControls initialized');
+    }
+
+    /**
+     * ⌨️ ACTIVAR ATAJOS DE TECLADO
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * @private
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || this.isEditingText(e.target)) return;
+        // Con un diálogo modal abierto (p. ej. un conflicto) se espera a que se cierre
+        if (document.querySelector('[aria-modal="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    /**
+     * @private
+     */
+    isEditingText(target) {
+        if (!target || !target.tagName) return false;
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+
+    // =================================================================
+    // ↩️ ACCIONES
+    // =================================================================
+
+    /**
+     * ↩️ DESHACER EL ÚLTIMO CAMBIO
+     */
+    async undo() {
+        try {
+            const command = await stateManager.undo();
+            if (command) {
+                this.showToast(`↩️ Deshecho: ${command.label}`, { actionLabel: 'Rehacer', action: 'redo' });
+            }
+        } catch (error) {
+            this.showToast('❌ No se pudo deshacer el cambio');
+        }
+    }
+
+    /**
+     * ↪️ REHACER EL ÚLTIMO CAMBIO DESHECHO
+     */
+    async redo() {
+        try {
+            const command = await stateManager.redo();
+            if (command) {
+                this.showToast(`↪️ Rehecho: ${command.label}`, { actionLabel: 'Deshacer', action: 'undo' });
+            }
+        } catch (error) {
+            this.showToast('❌ No se pudo rehacer el cambio');
+        }
+    }
+
+    // =================================================================
+    // 🍞 AVISO
+    // =================================================================
+
+    /**
+     * 🍞 MOSTRAR AVISO CON BOTÓN
+     *
+     * @param {string} message - Texto del aviso
+     * @param {Object} [options]
+     * @param {string} [options.actionLabel] - Texto del botón (sin botón si se omite)
+     * @param {string} [options.action='undo'] - 'undo' o 'redo'
+     */
+    showToast(message, { actionLabel = null, action = 'undo' } = {}) {
+        let container = document.getElementById('undo-toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'undo-toast-container';
+            container.setAttribute('role', 'status');
+            container.setAttribute('aria-live', 'polite');
+            document.body.appendChild(container);
+        }
+
+        container.innerHTML = `
+            <div class="fixed bottom-20 md:bottom-6 left-1/2 -translate-x-1/2 z-[10000] flex items-center gap-4 px-4 py-3 rounded-xl bg-slate-900 dark:bg-slate-700 text-white shadow-lg max-w-[90vw]">
+                <span class="text-sm">${this.escape(message)}</span>
+                ${actionLabel ? `
+                    <button data-undo-action="${action}" class="text-sm font-semibold text-blue-300 hover:text-blue-200 uppercase">${this.escape(actionLabel)}</button>
+                ` : ''}
+            </div>
+        `;
+
+        const button = container.querySelector('[data-undo-action]');
+        if (button) {
+            button.addEventListener('click', () => {
+                this.hideToast();
+                this[button.dataset.undoAction]();
+            });
+        }
+
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hideToast(), TOAST_DURATION);
+    }
+
+    /**
+     * @private
+     */
+    hideToast() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+
+        const container = document.getElementById('undo-toast-container');
+        if (container) {
+            container.innerHTML = '';
+        }
+    }
+
+    /**
+     * @private
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Exportar instancia singleton
+export const undoControls = new UndoControls();
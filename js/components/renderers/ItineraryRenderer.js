@@ -10,6 +10,7 @@
  * - Tarjetas interactivas de días con animaciones
  * - Iconos Material Design contextuales
  * - Event listeners para modales
+ * - Acceso al editor del itinerario (editar y añadir días)
  * - Scroll automático al día actual
  * - Intersection Observer para animaciones
  * 
@@ -30,6 +31,7 @@ import { DateUtils } from '../../utils/DateUtils.js';
 import { FormatUtils } from '../../utils/FormatUtils.js';
 import Logger from '../../utils/Logger.js';
 import stateManager from '../../utils/StateManager.js';
+import { itineraryEditor } from '../ItineraryEditor.js';
 
 export class ItineraryRenderer {
     
@@ -63,16 +65,24 @@ export class ItineraryRenderer {
             
             const timelineHTML = this.buildTimelineHTML(phases);
             
+            const destinations = (tripConfig.trip.destinations || []).join(' y ');
+            
             container.innerHTML = `
                 <div class="w-full max-w-none lg:max-w-6xl xl:max-w-7xl mx-auto space-y-8 md:space-y-12 lg:space-y-16 p-3 sm:p-4 md:p-6 lg:p-8 xl:p-12">
                     <!-- Header del itinerario -->
                     <div class="mb-12 ">
-                        <div class="flex items-center gap-4 mb-4">
-                            <span class="material-symbols-outlined text-6xl text-blue-600 dark:text-blue-400">list_alt</span>
-                            <div>
-                                <h1 class="text-4xl md:text-5xl font-black text-slate-900 dark:text-white">Itinerario del Viaje</h1>
-                                <p class="text-lg text-slate-600 dark:text-slate-400">Descubre día a día la aventura que te espera en Nepal y Bután</p>
+                        <div class="flex flex-wrap items-center justify-between gap-4 mb-4">
+                            <div class="flex items-center gap-4">
+                                <span class="material-symbols-outlined text-6xl text-blue-600 dark:text-blue-400">list_alt</span>
+                                <div>
+                                    <h1 class="text-4xl md:text-5xl font-black text-slate-900 dark:text-white">Itinerario del Viaje</h1>
+                                    <p class="text-lg text-slate-600 dark:text-slate-400">Descubre día a día la aventura que te espera${destinations ? ` en ${destinations}` : ''}</p>
+                                </div>
                             </div>
+                            <button id="itinerary-add-day-btn" class="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-semibold transition-colors">
+                                <span class="material-symbols-outlined">add</span>
+                                Añadir día
+                            </button>
                         </div>
                     </div>
 
@@ -108,7 +118,7 @@ export class ItineraryRenderer {
         return phases.map(phase => {
             Logger.data(`🔄 Processing phase: ${phase.title} with ${phase.days ? phase.days.length : 0} days`);
             
-            const phaseDays = tripConfig.itinerary.filter(day => day.phase === phase.phase);
+            const phaseDays = tripConfig.itinerary.filter(day => (day.phase || '') === phase.phase);
             Logger.data(`📋 Filtered ${phaseDays.length} days for phase ${phase.phase}`);
             
             return `
@@ -253,8 +263,11 @@ export class ItineraryRenderer {
                                 <span class="material-symbols-outlined text-sm">touch_app</span>
                                 <span class="text-xs font-medium">Ver detalles</span>
                             </div>
-                            <div class="opacity-0 group-hover:opacity-100 transition-standard">
-                                <span class="material-symbols-outlined text-sm ${colors.text}">arrow_forward</span>
+                            <div class="flex items-center gap-2">
+                                ${this.buildEditButtonHTML(day.id)}
+                                <div class="opacity-0 group-hover:opacity-100 transition-standard">
+                                    <span class="material-symbols-outlined text-sm ${colors.text}">arrow_forward</span>
+                                </div>
                             </div>
                         </div>
                     </div>
@@ -302,7 +315,7 @@ export class ItineraryRenderer {
 
                         
                         <!-- Footer con acción -->
-                        <div class="flex items-center justify-center pt-4 border-t border-slate-100 dark:border-slate-700">
+                        <div class="flex items-center justify-between pt-4 border-t border-slate-100 dark:border-slate-700">
                             <div class="flex items-center gap-2 text-slate-500 dark:text-slate-400 group-hover:${colors.text} transition-standard">
                                 <span class="material-symbols-outlined text-sm">touch_app</span>
                                 <span class="text-xs font-medium">Ver detalles</span>
@@ -310,6 +323,7 @@ export class ItineraryRenderer {
                                     <span class="material-symbols-outlined text-sm">arrow_forward</span>
                                 </div>
                             </div>
+                            ${this.buildEditButtonHTML(day.id)}
                         </div>
                     </div>
                 </div>
@@ -317,6 +331,22 @@ export class ItineraryRenderer {
         }
     }
 
+    /**
+     * ✏️ CONSTRUIR BOTÓN DE EDICIÓN
+     * 
+     * @param {string} dayId - ID del día
+     * @returns {string} HTML del botón que abre el editor del día
+     * @private
+     */
+    buildEditButtonHTML(dayId) {
+        return `
+            <button data-edit-day-id="${dayId}" class="itinerary-edit-btn flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-700 hover:text-blue-600 transition-standard" title="Editar día">
+                <span class="material-symbols-outlined text-sm">edit</span>
+                Editar
+            </button>
+        `;
+    }
+
     /**
      * 🎭 OBTENER ICONO DE ACTIVIDAD
      * 
@@ -327,8 +357,8 @@ export class ItineraryRenderer {
      * @private
      */
     getActivityIcon(day) {
-        const title = day.title.toLowerCase();
-        const description = day.description.toLowerCase();
+        const title = (day.title || '').toLowerCase();
+        const description = (day.description || '').toLowerCase();
         
         if (title.includes('vuelo') || title.includes('llegada') || title.includes('salida')) return 'flight';
         if (title.includes('trekking') || title.includes('caminata') || description.includes('trekking')) return 'hiking';
@@ -399,6 +429,24 @@ export class ItineraryRenderer {
             Logger.data(`✅ Farewell phase added with ${farewellDays.length} days`);
         }
 
+        // Fases propias (viajes nuevos o fases añadidas en el editor)
+        const knownPhases = ['nepal', 'butan', 'farewell'];
+        const customPhases = [...new Set(tripConfig.itinerary.map(day => day.phase || ''))]
+            .filter(phase => !knownPhases.includes(phase));
+
+        customPhases.forEach(phase => {
+            const days = tripConfig.itinerary.filter(day => (day.phase || '') === phase);
+            phases.push({
+                title: phase ? phase.charAt(0).toUpperCase() + phase.slice(1) : 'Días del viaje',
+                emoji: '📍',
+                icon: 'event',
+                gradient: 'from-blue-500 to-indigo-600',
+                phase,
+                days
+            });
+            Logger.data(`✅ Custom phase '${phase}' added with ${days.length} days`);
+        });
+
         Logger.data(`📋 Total phases generated: ${phases.length}`);
         return phases;
     }
@@ -414,6 +462,14 @@ export class ItineraryRenderer {
         // Event listeners para los modales
         document.querySelectorAll('.itinerary-card').forEach(card => {
             card.addEventListener('click', (e) => {
+                // El botón de edición abre el editor en lugar del modal
+                const editButton = e.target.closest('.itinerary-edit-btn');
+                if (editButton) {
+                    e.stopPropagation();
+                    itineraryEditor.open(editButton.dataset.editDayId);
+                    return;
+                }
+                
                 const dayId = e.currentTarget.dataset.dayId;
                 const uiRenderer = stateManager.getState('instances.uiRenderer');
                 if (uiRenderer && uiRenderer.showItineraryModal) {
@@ -424,6 +480,11 @@ export class ItineraryRenderer {
             });
         });
 
+        const addDayButton = document.getElementById('itinerary-add-day-btn');
+        if (addDayButton) {
+            addDayButton.addEventListener('click', () => itineraryEditor.addDayAndOpen());
+        }
+
         Logger.ui('Event listeners configured for itinerary cards');
     }
 
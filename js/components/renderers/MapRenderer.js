@@ -10,6 +10,9 @@
  * - Gestión de marcadores y popups
  * - Configuración de Leaflet y tiles
  * - Iconos personalizados Material Design
+ * - Selector de coordenadas para el editor de itinerario
+ * - Rutas y lugares importados de GPX/KML/GeoJSON (`day.routes`)
+ * - Reproducción de los recorridos grabados (TrailRecorder)
  * 
  * EXTRACCIÓN REALIZADA: 
  * - ✅ 300+ líneas extraídas de UIRenderer.js  
@@ -39,9 +42,15 @@ export class MapRenderer {
      */
     constructor() {
         this.map = null;
+        this.itineraryLayer = null;
+        this.trail = null;
         this.routeCoords = [];
         this.offlineMapManager = new OfflineMapManager();
         this.offlineMapUI = new OfflineMapUI();
+        
+        // 🗓️ Actualizar marcadores y ruta al editar el itinerario
+        stateManager.subscribe('trip.updatedAt', () => this.refreshItineraryMarkers());
+        
         Logger.init('MapRenderer initialized');
     }
 
@@ -91,6 +100,14 @@ export class MapRenderer {
                 throw new Error('Leaflet library not loaded');
             }
 
+            // Liberar el mapa anterior si la vista se vuelve a renderizar
+            if (this.map) {
+                this.map.remove();
+                this.map = null;
+            }
+            this.trail = null;
+            this.routeCoords = [];
+
             // Crear el mapa centrado en Nepal/Bután
             this.map = L.map('map', { closePopupOnClick: false }).setView([28.3949, 84.1240], 7);
             
@@ -99,12 +116,18 @@ export class MapRenderer {
                 attribution: '&copy; OpenStreetMap &copy; CARTO' 
             }).addTo(this.map);
             
+            // Capa propia para marcadores y ruta (se regenera al editar el itinerario)
+            this.itineraryLayer = L.layerGroup().addTo(this.map);
+            
             // Crear marcadores para cada día del itinerario
             const markers = this.createItineraryMarkers();
             
             // Crear ruta si hay coordenadas
             this.createRoute();
             
+            // Rutas y lugares importados de cada día
+            this.createImportedLayers();
+            
             // Ajustar vista para mostrar todos los marcadores con zoom óptimo
             if (markers.length > 0) {
                 const group = new L.featureGroup(markers);
@@ -151,7 +174,7 @@ export class MapRenderer {
                 
                 // Crear marcador
                 const marker = L.marker(day.coords, { icon: customIcon })
-                    .addTo(this.map)
+                    .addTo(this.itineraryLayer)
                     .bindPopup(popupContent, { 
                         offset: L.point(0, -20), 
                         autoClose: false, 
@@ -290,12 +313,207 @@ export class MapRenderer {
                 weight: 3,
                 opacity: 0.7,
                 smoothFactor: 1
-            }).addTo(this.map);
+            }).addTo(this.itineraryLayer);
             
             Logger.map(`Route created with ${this.routeCoords.length} waypoints`);
         }
     }
 
+    /**
+     * 🧭 CREAR RUTAS Y LUGARES IMPORTADOS
+     * 
+     * Dibuja en el mapa principal las rutas de cada día (`day.routes`) y
+     * los lugares que vienen de un fichero GPX, KML o GeoJSON.
+     * 
+     * @private
+     */
+    createImportedLayers() {
+        tripConfig.itinerary.forEach((day, index) => {
+            const label = `Día ${index + 1}`;
+
+            this.createDayRouteLines(this.itineraryLayer, day, label);
+
+            (day.places || []).filter(place => place.source && place.coords).forEach(place => {
+                L.circleMarker(place.coords, {
+                    radius: 5,
+                    color: '#ffffff',
+                    weight: 2,
+                    fillColor: '#ea580c',
+                    fillOpacity: 0.9
+                })
+                    .addTo(this.itineraryLayer)
+                    .bindPopup(`<b>${this.escapeHTML(place.name)}</b><br><small>${label} · ${this.escapeHTML(place.description || '')}</small>`, { closeButton: false });
+            });
+        });
+    }
+
+    /**
+     * 🥾 DIBUJAR RUTAS DE UN DÍA
+     * 
+     * @param {L.Map|L.LayerGroup} target - Mapa o capa donde dibujar
+     * @param {Object} day - Día del itinerario
+     * @param {string} label - Prefijo del popup (p. ej. "Día 3")
+     * @returns {Array} Polilíneas creadas
+     * @private
+     */
+    createDayRouteLines(target, day, label = '') {
+        return (day?.routes || []).filter(route => route.coords && route.coords.length > 1).map(route => L.polyline(route.coords, {
+            color: '#ea580c',
+            weight: 4,
+            opacity: 0.8,
+            dashArray: '6 6'
+        })
+            .addTo(target)
+            .bindPopup(`<b>${this.escapeHTML(route.name)}</b>${label ? `<br><small>${label}</small>` : ''}`, { closeButton: false }));
+    }
+
+    /**
+     * 🥾 MOSTRAR RECORRIDO GRABADO
+     * 
+     * Dibuja un recorrido en el mapa principal para reproducirlo: el
+     * trazado completo en tenue, la parte ya reproducida encima y un
+     * marcador en la posición actual (ver updateTrailPlayback).
+     * 
+     * @param {Array} points - Puntos [{ lat, lng }] del recorrido
+     * @returns {boolean} false si el mapa principal no está visible
+     */
+    showTrail(points) {
+        this.clearTrail();
+        if (!this.map || !document.getElementById('map') || points.length === 0) {
+            return false;
+        }
+
+        const latLngs = points.map(point => [point.lat, point.lng]);
+        const layer = L.layerGroup().addTo(this.map);
+        const fullPath = L.polyline(latLngs, { color: '#94a3b8', weight: 3, opacity: 0.6 }).addTo(layer);
+
+        this.trail = {
+            layer,
+            latLngs,
+            progressPath: L.polyline([latLngs[0]], { color: '#16a34a', weight: 4, opacity: 0.9 }).addTo(layer),
+            positionMarker: L.circleMarker(latLngs[0], {
+                radius: 7,
+                color: '#ffffff',
+                weight: 2,
+                fillColor: '#16a34a',
+                fillOpacity: 1
+            }).addTo(layer)
+        };
+
+        this.map.fitBounds(fullPath.getBounds(), { padding: [30, 30], maxZoom: 16 });
+        Logger.map(`Trail shown with ${latLngs.length} points`);
+        return true;
+    }
+
+    /**
+     * ⏯️ AVANZAR LA REPRODUCCIÓN DEL RECORRIDO
+     * 
+     * @param {number} index - Índice del punto actual
+     */
+    updateTrailPlayback(index) {
+        if (!this.trail) return;
+
+        const latLngs = this.trail.latLngs.slice(0, index + 1);
+        this.trail.progressPath.setLatLngs(latLngs);
+        this.trail.positionMarker.setLatLng(latLngs[latLngs.length - 1]);
+    }
+
+    /**
+     * 🧹 QUITAR EL RECORRIDO DEL MAPA
+     */
+    clearTrail() {
+        if (this.trail && this.map) {
+            this.map.removeLayer(this.trail.layer);
+        }
+        this.trail = null;
+    }
+
+    /**
+     * 🔄 REFRESCAR MARCADORES DEL ITINERARIO
+     * 
+     * Regenera marcadores y ruta del mapa principal sin recrear el mapa,
+     * conservando el zoom y la posición actuales.
+     */
+    refreshItineraryMarkers() {
+        if (!this.map || !this.itineraryLayer || !document.getElementById('map')) {
+            return;
+        }
+
+        try {
+            this.itineraryLayer.clearLayers();
+            this.routeCoords = [];
+
+            const markers = this.createItineraryMarkers();
+            this.createRoute();
+            this.createImportedLayers();
+
+            Logger.map(`Itinerary markers refreshed (${markers.length} markers)`);
+        } catch (error) {
+            Logger.error('Error refreshing itinerary markers:', error);
+        }
+    }
+
+    /**
+     * 📌 CREAR SELECTOR DE COORDENADAS
+     * 
+     * Crea un mapa pequeño en el contenedor indicado donde un clic (o
+     * arrastrar el marcador) elige unas coordenadas.
+     * 
+     * @param {HTMLElement} container - Contenedor del mapa
+     * @param {Array|null} coords - Coordenadas iniciales [lat, lng]
+     * @param {Function} onPick - Callback con las coordenadas elegidas [lat, lng]
+     * @returns {L.Map|null} Mapa creado (el llamador debe llamar a remove())
+     */
+    createCoordinatePicker(container, coords, onPick) {
+        if (!container || typeof L === 'undefined') {
+            Logger.error('Coordinate picker not available (container or Leaflet missing)');
+            return null;
+        }
+
+        const center = coords || this.getItineraryCenter();
+        const pickerMap = L.map(container).setView(center, coords ? 13 : 7);
+
+        L.tileLayer('https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png', { 
+            attribution: '&copy; OpenStreetMap &copy; CARTO' 
+        }).addTo(pickerMap);
+
+        let marker = null;
+        const placeMarker = (latlng) => {
+            if (!marker) {
+                marker = L.marker(latlng, { draggable: true }).addTo(pickerMap);
+                marker.on('dragend', () => pick(marker.getLatLng()));
+            } else {
+                marker.setLatLng(latlng);
+            }
+        };
+        const pick = (latlng) => {
+            const picked = [Number(latlng.lat.toFixed(4)), Number(latlng.lng.toFixed(4))];
+            placeMarker(picked);
+            onPick(picked);
+        };
+
+        if (coords) {
+            placeMarker(coords);
+        }
+        pickerMap.on('click', (e) => pick(e.latlng));
+
+        // El contenedor suele estar en un modal recién mostrado
+        setTimeout(() => pickerMap.invalidateSize(), 200);
+
+        return pickerMap;
+    }
+
+    /**
+     * 🎯 CENTRO DEL ITINERARIO
+     * 
+     * @returns {Array} Coordenadas del primer día con ubicación o Nepal por defecto
+     * @private
+     */
+    getItineraryCenter() {
+        const dayWithCoords = (tripConfig.itinerary || []).find(day => day.coords);
+        return dayWithCoords ? dayWithCoords.coords : [28.3949, 84.1240];
+    }
+
     /**
      * 🗺️ CREAR MAPA EN MODAL
      * 
@@ -370,6 +588,9 @@ export class MapRenderer {
         // Añadir lugares cercanos
         const markers = this.createNearbyPlaceMarkers(map, dayId);
         
+        // Añadir rutas importadas del día
+        this.createDayRouteLines(map, tripConfig.itinerary.find(day => day.id === dayId));
+        
         // Una sola llamada para ajustar vista después de que el mapa esté listo
         setTimeout(() => {
             map.invalidateSize();
@@ -472,6 +693,9 @@ export class MapRenderer {
             }
         });
         
+        // Agregar el recorrido de las rutas importadas del día
+        (dayData?.routes || []).forEach(route => allDayCoords.push(...(route.coords || [])));
+        
         // Filtrar coordenadas válidas
         const validCoords = allDayCoords.filter(coord => coord && coord.length === 2);
         Logger.debug(`📍 Valid coordinates for day ${dayId}:`, validCoords);
@@ -704,6 +928,16 @@ export class MapRenderer {
         }
     }
 
+    /**
+     * 🔒 HELPER: Escapar texto de lugares y rutas importados
+     * @private
+     */
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * 🧹 LIMPIAR RECURSOS
      * 
@@ -714,6 +948,8 @@ export class MapRenderer {
             this.map.remove();
             this.map = null;
         }
+        this.itineraryLayer = null;
+        this.trail = null;
         this.routeCoords = [];
         Logger.map('MapRenderer resources cleaned up');
     }
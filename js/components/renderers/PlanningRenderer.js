@@ -3,6 +3,20 @@ import { getPackingCategoryIcon } from '../../utils/CategoryUtils.js';
 import { tripConfig } from '../../config/tripConfig.js';
 import { CARD_STYLES } from '../../config/DesignTokens.js';
 import stateManager from '../../utils/StateManager.js';
+import tripManager from '../../utils/TripManager.js';
+import dependencyContainer from '../../core/DependencyContainer.js';
+import { expenseImportExportPanel } from '../ExpenseImportExportPanel.js';
+import { budgetAlertsPanel } from '../BudgetAlertsPanel.js';
+import { authPanel } from '../AuthPanel.js';
+import { tripMembersPanel } from '../TripMembersPanel.js';
+import { packingCarryPanel } from '../PackingCarryPanel.js';
+import { packingListEditor } from '../PackingListEditor.js';
+import { packingSuggestionsPanel } from '../PackingSuggestionsPanel.js';
+import { baggagePanel } from '../BaggagePanel.js';
+import { documentWalletPanel } from '../DocumentWalletPanel.js';
+import { BAG_TYPES } from '../../utils/WeightEstimator.js';
+import expenseSplitManager from '../../utils/ExpenseSplitManager.js';
+import { shareManager } from '../../utils/ShareManager.js';
 
 export class PlanningRenderer {
     constructor() {
@@ -26,10 +40,50 @@ export class PlanningRenderer {
                     </div>
                 </div>
 
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-12">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-teal-600 dark:text-teal-400">travel_explore</span>
+                        Mis Viajes
+                    </h2>
+                    <div id="trips-content"></div>
+                </div>
+
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-12">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-indigo-600 dark:text-indigo-400">lock_person</span>
+                        Cuenta y Acceso
+                    </h2>
+                    <div id="auth-content"></div>
+                </div>
+
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-12">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-violet-600 dark:text-violet-400">group</span>
+                        Miembros del Viaje
+                    </h2>
+                    <div id="trip-members-content"></div>
+                </div>
+
                 <div id="budget-section" class="mb-12">
                     <div id="budget-container"></div>
                 </div>
 
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-12">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-amber-600 dark:text-amber-400">notifications_active</span>
+                        Topes y Avisos de Gasto
+                    </h2>
+                    <div id="budget-alerts-content"></div>
+                </div>
+
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-12">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-sky-600 dark:text-sky-400">import_export</span>
+                        Exportar e Importar Gastos
+                    </h2>
+                    <div id="expense-import-export-content"></div>
+                </div>
+
                 <div id="packing-list-content">
                     <p class="text-slate-600 dark:text-slate-400">Cargando lista de equipaje...</p>
                 </div>
@@ -38,6 +92,14 @@ export class PlanningRenderer {
                     <!-- Container for packing list metrics updates -->
                 </div>
 
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-6">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-indigo-600 dark:text-indigo-400">wallet</span>
+                        Cartera de Documentos
+                    </h2>
+                    <div id="document-wallet-content"></div>
+                </div>
+
                 <div class="bg-white dark:bg-slate-800 rounded-xl shadow-lg border border-slate-200 dark:border-slate-700 hover:shadow-xl transition-all duration-300 p-6 mb-6">
                     <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
                         <span class="material-symbols-outlined text-orange-600 dark:text-orange-400">business</span>
@@ -62,12 +124,184 @@ export class PlanningRenderer {
     }
 
     async loadPlanningContent() {
+        this.loadTrips();
+        this.loadAuth();
+        this.loadTripMembers();
         await this.loadBudgetManager();
+        this.loadBudgetAlerts();
+        this.loadExpenseImportExport();
         await this.loadPackingList();
+        this.loadDocumentWallet();
         this.loadServices();
         await this.loadAccommodations();
     }
 
+    loadTrips() {
+        const tripsContent = document.getElementById('trips-content');
+        if (!tripsContent) return;
+
+        const activeTripId = tripManager.getActiveTripId();
+        const trips = tripManager.getTrips({ includeArchived: true });
+        const activeTrips = trips.filter(trip => trip.status !== 'archived');
+        const archivedTrips = trips.filter(trip => trip.status === 'archived');
+
+        const formatRange = (trip) => {
+            const options = { day: '2-digit', month: 'short', year: 'numeric' };
+            const start = new Date(trip.startDate).toLocaleDateString('es-ES', options);
+            const end = new Date(trip.endDate).toLocaleDateString('es-ES', options);
+            return `${start} – ${end}`;
+        };
+
+        const tripCard = (trip) => {
+            const isActive = trip.id === activeTripId;
+            const isArchived = trip.status === 'archived';
+
+            return `
+                <div class="flex items-center gap-3 p-4 rounded-lg border ${isActive ? 'border-teal-500 bg-teal-50 dark:bg-teal-900/20' : 'border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-700/30'}">
+                    <span class="material-symbols-outlined text-2xl ${isActive ? 'text-teal-600 dark:text-teal-400' : 'text-slate-400'}">${isArchived ? 'inventory_2' : 'flight_takeoff'}</span>
+                    <div class="flex-1 min-w-0">
+                        <div class="font-semibold text-slate-900 dark:text-white truncate">${trip.name}</div>
+                        <div class="text-sm text-slate-600 dark:text-slate-400">${formatRange(trip)}${trip.destinations?.length ? ` · ${trip.destinations.join(', ')}` : ''}</div>
+                    </div>
+                    ${isActive ? `
+                        <span class="px-2 py-1 bg-teal-600 text-white text-xs rounded-full">Activo</span>
+                    ` : ''}
+                    ${!isActive && !isArchived ? `
+                        <button data-trip-action="switch" data-trip-id="${trip.id}" class="px-3 py-1 bg-teal-600 hover:bg-teal-700 text-white text-xs rounded-lg transition-colors">Activar</button>
+                    ` : ''}
+                    ${!isArchived && activeTrips.length > 1 ? `
+                        <button data-trip-action="archive" data-trip-id="${trip.id}" class="px-3 py-1 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-xs rounded-lg transition-colors">Archivar</button>
+                    ` : ''}
+                    ${isArchived ? `
+                        <button data-trip-action="restore" data-trip-id="${trip.id}" class="px-3 py-1 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-xs rounded-lg transition-colors">Restaurar</button>
+                    ` : ''}
+                </div>
+            `;
+        };
+
+        const inputClass = 'w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white';
+        const packingManager = stateManager.getPackingListManager();
+        const packingTemplates = packingManager ? packingManager.getTemplates() : [];
+        const calendarFeedUrl = shareManager.getCalendarFeedUrl();
+
+        tripsContent.innerHTML = `
+            <div class="space-y-3">
+                ${activeTrips.map(tripCard).join('')}
+            </div>
+
+            ${archivedTrips.length > 0 ? `
+                <details class="mt-4">
+                    <summary class="cursor-pointer text-sm text-slate-600 dark:text-slate-400">Viajes archivados (${archivedTrips.length})</summary>
+                    <div class="space-y-3 mt-3">
+                        ${archivedTrips.map(tripCard).join('')}
+                    </div>
+                </details>
+            ` : ''}
+
+            <div class="mt-4 flex flex-wrap items-center gap-3">
+                <button data-trip-action="toggle-form" class="inline-flex items-center gap-2 px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm rounded-lg transition-colors">
+                    <span class="material-symbols-outlined text-base">add</span>
+                    Nuevo viaje
+                </button>
+                <button data-trip-action="export-calendar" class="inline-flex items-center gap-2 px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-sm rounded-lg transition-colors">
+                    <span class="material-symbols-outlined text-base">calendar_add_on</span>
+                    Exportar al calendario
+                </button>
+                ${calendarFeedUrl ? `
+                    <a href="${calendarFeedUrl}" class="text-sm text-teal-700 dark:text-teal-400 underline">Suscribirse al calendario (servidor local)</a>
+                ` : ''}
+            </div>
+
+            <form id="new-trip-form" class="hidden mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div class="md:col-span-2">
+                    <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Nombre</label>
+                    <input name="name" type="text" required placeholder="Ej: Japón 2026" class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Inicio</label>
+                    <input name="startDate" type="date" required class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Fin</label>
+                    <input name="endDate" type="date" required class="${inputClass}">
+                </div>
+                <div class="md:col-span-2">
+                    <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Destinos (separados por comas)</label>
+                    <input name="destinations" type="text" placeholder="Ej: Japón, Corea del Sur" class="${inputClass}">
+                </div>
+                ${packingTemplates.length > 0 ? `
+                    <div class="md:col-span-2">
+                        <label class="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Lista de equipaje</label>
+                        <select name="packingTemplate" class="${inputClass}">
+                            <option value="">Lista por defecto</option>
+                            ${packingTemplates.map(template => `<option value="${template.id}">Plantilla: ${template.name}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <p id="new-trip-error" class="hidden md:col-span-2 text-sm text-red-600 dark:text-red-400"></p>
+                <div class="md:col-span-2">
+                    <button type="submit" class="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm rounded-lg transition-colors">Crear y activar</button>
+                </div>
+            </form>
+        `;
+
+        tripsContent.onclick = (e) => {
+            const button = e.target.closest('[data-trip-action]');
+            if (!button) return;
+
+            const tripId = button.dataset.tripId;
+            try {
+                switch (button.dataset.tripAction) {
+                    case 'toggle-form':
+                        tripsContent.querySelector('#new-trip-form').classList.toggle('hidden');
+                        return;
+                    case 'export-calendar':
+                        shareManager.shareItinerary({ format: 'ics' });
+                        return;
+                    case 'switch':
+                        tripManager.switchTrip(tripId);
+                        return;
+                    case 'archive':
+                        tripManager.archiveTrip(tripId);
+                        break;
+                    case 'restore':
+                        tripManager.restoreTrip(tripId);
+                        break;
+                }
+                this.loadTrips();
+            } catch (error) {
+                Logger.error('❌ Error managing trip:', error);
+            }
+        };
+
+        const form = tripsContent.querySelector('#new-trip-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            const errorElement = form.querySelector('#new-trip-error');
+
+            try {
+                const packingTemplate = formData.get('packingTemplate') && packingManager.getTemplate(formData.get('packingTemplate'));
+                const trip = tripManager.createTrip({
+                    name: formData.get('name'),
+                    startDate: formData.get('startDate'),
+                    endDate: formData.get('endDate'),
+                    destinations: (formData.get('destinations') || '')
+                        .split(',')
+                        .map(destination => destination.trim())
+                        .filter(Boolean),
+                    packingCategories: packingTemplate ? packingTemplate.categories : null
+                });
+                tripManager.switchTrip(trip.id);
+            } catch (error) {
+                errorElement.textContent = error.message;
+                errorElement.classList.remove('hidden');
+            }
+        });
+
+        Logger.ui(`🧳 Trips rendered: ${activeTrips.length} active, ${archivedTrips.length} archived`);
+    }
+
     async loadBudgetManager() {
         try {
             const budgetContainer = document.getElementById('budget-container');
@@ -90,6 +324,41 @@ export class PlanningRenderer {
         }
     }
 
+    loadAuth() {
+        const container = document.getElementById('auth-content');
+        if (!container) return;
+
+        authPanel.render(container);
+    }
+
+    loadTripMembers() {
+        const container = document.getElementById('trip-members-content');
+        if (!container) return;
+
+        tripMembersPanel.render(container);
+    }
+
+    loadBudgetAlerts() {
+        const container = document.getElementById('budget-alerts-content');
+        if (!container) return;
+
+        budgetAlertsPanel.render(container);
+    }
+
+    loadExpenseImportExport() {
+        const container = document.getElementById('expense-import-export-content');
+        if (!container) return;
+
+        expenseImportExportPanel.render(container);
+    }
+
+    loadDocumentWallet() {
+        const container = document.getElementById('document-wallet-content');
+        if (!container) return;
+
+        documentWalletPanel.render(container);
+    }
+
     async loadPackingList() {
         Logger.ui('🎒 Rendering packing list with Firebase integration');
         const container = document.getElementById('packing-list-content');
@@ -101,7 +370,7 @@ export class PlanningRenderer {
         // PASO 1: Cargar datos estáticos desde tripConfig
         Logger.debug('📦 Step 1: Loading static data from tripConfig');
         
-        // PASO 2: Inicializar PackingListManager para Firestore
+        // PASO 2: Inicializar PackingListManager con el backend de datos
         let packingManager = stateManager.getPackingListManager();
         if (!packingManager) {
             try {
@@ -109,11 +378,11 @@ export class PlanningRenderer {
                 packingManager = getPackingListManager();
                 stateManager.setPackingListManager(packingManager);
                 
-                const firebaseManager = stateManager.getFirebaseManager();
-                if (firebaseManager) {
-                    await packingManager.initialize(firebaseManager);
-                    Logger.debug('🔥 Step 2: Firebase initialized for PackingList');
-                }
+                await packingManager.initialize(await dependencyContainer.resolve('storage'));
+                Logger.debug('🔥 Step 2: Storage initialized for PackingList');
+                
+                // Las plantillas de equipaje se ofrecen al crear un viaje
+                this.loadTrips();
             } catch (error) {
                 Logger.error('PackingListManager not available');
                 return;
@@ -121,19 +390,28 @@ export class PlanningRenderer {
         }
 
         // Cargar datos usando solo PackingListManager
-        await packingManager.initialize(stateManager.getFirebaseManager());
+        await packingManager.initialize(await dependencyContainer.resolve('storage'));
         const saved = packingManager.getItems();
+        const categories = packingManager.getCategories();
         
         Logger.debug('🎯 Starting packing list rendering...');
-        Logger.debug('📦 Categories to render:', Object.keys(tripConfig.packingListData).length);
+        Logger.debug('📦 Categories to render:', categories.length);
         Logger.debug('💾 Saved items loaded:', Object.keys(saved).length);
 
         // Calcular estadísticas usando PackingListManager
-        const totalItems = Object.values(tripConfig.packingListData).reduce((sum, items) => sum + items.length, 0);
+        const totalItems = categories.reduce((sum, category) => sum + category.items.length, 0);
         const stats = packingManager.getPackingStats(totalItems);
+        
+        // 👥 Cada viajero tiene su lista; el equipo compartido lo lleva una persona
+        const travelers = expenseSplitManager.getTravelers();
+        const selectClass = 'px-2 py-1 radius-standard bg-white dark:bg-slate-700 border border-slate-200 dark:border-slate-600 text-sm text-slate-900 dark:text-white';
+        const travelerOptions = (selectedId, emptyLabel = null) => `
+            ${emptyLabel ? `<option value="">${emptyLabel}</option>` : ''}
+            ${travelers.map(traveler => `<option value="${traveler.id}" ${traveler.id === selectedId ? 'selected' : ''}>${traveler.name}</option>`).join('')}
+        `;
 
         // UI consistente con el estilo de la app (sin gradientes)
-        const categoriesHTML = Object.entries(tripConfig.packingListData).map(([category, items]) => {
+        const categoriesHTML = categories.map(({ name: category, items }) => {
             const categoryIcon = getPackingCategoryIcon(category);
             const cleanCategoryName = category.replace(/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu, '').trim();
             
@@ -174,14 +452,35 @@ export class PlanningRenderer {
                                 const itemKey = item.key;
                                 const isChecked = saved[itemKey] || false;
                                 
+                                const isShared = packingManager.isSharedItem(itemKey);
+                                const hasCarrier = !isShared || !!packingManager.getSharedEntry(itemKey).assignee;
+                                const itemBag = packingManager.getItemBag(itemKey);
+                                
                                 return `
-                                    <label class="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-600 cursor-pointer transition-colors">
-                                        <input type="checkbox" ${isChecked ? 'checked' : ''} 
-                                               data-item-key="${itemKey}"
-                                               data-category="${category}"
-                                               class="w-4 h-4 text-blue-600 rounded border-slate-300 focus:ring-blue-500">
-                                        <span class="flex-1 text-slate-700 dark:text-slate-300 ${isChecked ? 'line-through opacity-60' : ''}">${itemText}</span>
-                                    </label>
+                                    <div class="flex items-center gap-2">
+                                        <label class="flex-1 flex items-center gap-3 p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-600 cursor-pointer transition-colors">
+                                            <input type="checkbox" ${isChecked ? 'checked' : ''} 
+                                                   data-item-key="${itemKey}"
+                                                   data-category="${category}"
+                                                   class="w-4 h-4 text-blue-600 rounded border-slate-300 focus:ring-blue-500">
+                                            <span class="flex-1 text-slate-700 dark:text-slate-300 ${isChecked ? 'line-through opacity-60' : ''}">${itemText}${item.quantity > 1 ? ` <span class="text-xs text-slate-500 dark:text-slate-400">×${item.quantity}</span>` : ''}</span>
+                                        </label>
+                                        ${isShared ? `
+                                            <select data-packing-field="assignee" data-item-key-ref="${itemKey}" class="${selectClass}" title="Quién lo lleva" data-write-only>
+                                                ${travelerOptions(packingManager.getSharedEntry(itemKey).assignee, 'Sin asignar')}
+                                            </select>
+                                        ` : ''}
+                                        ${hasCarrier ? `
+                                            <select data-packing-field="bag" data-item-key-ref="${itemKey}" class="${selectClass}" title="Bulto" data-write-only>
+                                                ${Object.entries(BAG_TYPES).map(([bag, { label }]) => `<option value="${bag}" ${bag === itemBag ? 'selected' : ''}>${label}</option>`).join('')}
+                                            </select>
+                                        ` : ''}
+                                        <button type="button" data-packing-action="toggle-shared" data-item-key-ref="${itemKey}" data-write-only
+                                                class="${isShared ? 'text-indigo-600 dark:text-indigo-400' : 'text-slate-400'} hover:text-indigo-500"
+                                                title="${isShared ? 'Equipo compartido: lo lleva una persona' : 'Marcar como equipo compartido'}">
+                                            <span class="material-symbols-outlined text-base">${isShared ? 'group' : 'group_add'}</span>
+                                        </button>
+                                    </div>
                                 `;
                             }).join('')}
                         </div>
@@ -202,6 +501,17 @@ export class PlanningRenderer {
                         <h3 class="text-2xl font-bold text-slate-900 dark:text-slate-100">Lista de Equipaje</h3>
                         <p class="text-slate-600 dark:text-slate-400">Organiza tu equipaje por categorías</p>
                     </div>
+                    ${travelers.length > 1 ? `
+                        <label class="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+                            Lista de
+                            <select data-packing-field="traveler" class="${selectClass}">
+                                ${travelerOptions(packingManager.getTravelerId())}
+                            </select>
+                        </label>
+                    ` : ''}
+                    <button type="button" data-packing-action="edit-list" data-write-only class="px-3 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 text-sm rounded-lg transition-colors flex items-center gap-1">
+                        <span class="material-symbols-outlined text-base">edit</span>Editar lista
+                    </button>
                 </div>
                 
                 <!-- Progress Cards -->
@@ -236,11 +546,27 @@ export class PlanningRenderer {
                 
                 <!-- Categories -->
                 ${categoriesHTML}
+                
+                <!-- Sugerencias según itinerario y clima -->
+                <div id="packing-suggestions-content" class="mt-6"></div>
+                
+                <!-- Bultos y franquicias de vuelo -->
+                <div id="packing-baggage-content" class="mt-6"></div>
+                
+                <!-- Quién lleva qué -->
+                <div id="packing-carry-content" class="mt-6"></div>
             </div>
         `;
         
+        // Mantener abiertas las categorías desplegadas al repintar
+        const openCategories = [...container.querySelectorAll('.category-content:not(.hidden)')]
+            .map(content => content.previousElementSibling.dataset.category);
+        
         container.innerHTML = '';
         container.appendChild(packingCard);
+        packingSuggestionsPanel.render(packingCard.querySelector('#packing-suggestions-content'), { onChange: () => this.loadPackingList() });
+        baggagePanel.render(packingCard.querySelector('#packing-baggage-content'));
+        packingCarryPanel.render(packingCard.querySelector('#packing-carry-content'));
 
         // Event listeners para desplegables
         container.querySelectorAll('.category-header').forEach(header => {
@@ -256,10 +582,58 @@ export class PlanningRenderer {
                     chevron.style.transform = 'rotate(0deg)';
                 }
             });
+            
+            if (openCategories.includes(header.dataset.category)) {
+                header.click();
+            }
+        });
+
+        // Los listeners del contenedor se añaden una sola vez (la lista se repinta al cambiar de viajero)
+        if (container.dataset.packingListeners) {
+            Logger.success('✅ Packing list rendered with Firebase integration');
+            return;
+        }
+        container.dataset.packingListeners = 'true';
+
+        // ✏️ Editar categorías, items y plantillas
+        container.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-packing-action="edit-list"]')) return;
+
+            packingListEditor.open({ onSave: () => this.loadPackingList() });
+        });
+
+        // 🤝 Marcar equipo compartido
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-packing-action="toggle-shared"]');
+            if (!button) return;
+
+            const itemKey = button.dataset.itemKeyRef;
+            await packingManager.setItemShared(itemKey, !packingManager.isSharedItem(itemKey));
+            await this.loadPackingList();
         });
 
         // Event listener para checkboxes - solo usar PackingListManager
         container.addEventListener('change', async (e) => {
+            const field = e.target.dataset.packingField;
+            if (field === 'traveler') {
+                packingManager.setTraveler(e.target.value);
+                await this.loadPackingList();
+                return;
+            }
+            if (field === 'assignee') {
+                await packingManager.assignSharedItem(e.target.dataset.itemKeyRef, e.target.value);
+                await this.loadPackingList();
+                return;
+            }
+            if (field === 'bag') {
+                try {
+                    await packingManager.setItemBag(e.target.dataset.itemKeyRef, e.target.value);
+                } catch (error) {
+                    Logger.error('🧳 Error changing bag:', error);
+                }
+                return;
+            }
+
             if (e.target.type === 'checkbox' && e.target.hasAttribute('data-item-key')) {
                 const itemKey = e.target.getAttribute('data-item-key');
                 const isChecked = e.target.checked;
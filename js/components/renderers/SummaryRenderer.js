@@ -28,6 +28,8 @@ import { DateUtils } from '../../utils/DateUtils.js';
 import { FormatUtils } from '../../utils/FormatUtils.js';
 import Logger from '../../utils/Logger.js';
 import stateManager from '../../utils/StateManager.js';
+import flightManager from '../../utils/FlightManager.js';
+import { flightStatusPanel } from '../FlightStatusPanel.js';
 
 export class SummaryRenderer {
     
@@ -487,27 +489,9 @@ export class SummaryRenderer {
     getTripStartDate() {
         try {
             // 1. Intentar obtener desde datos de vuelos (fuente más confiable)
-            if (tripConfig.flights && tripConfig.flights.length > 0) {
-                const firstFlight = tripConfig.flights.find(f => f.type === 'Internacional' && f.title.includes('Ida'));
-                if (firstFlight && firstFlight.segments && firstFlight.segments.length > 0) {
-                    const departureDate = firstFlight.segments[0].fromDateTime;
-                    // Parsear "9 de Octubre 22:45" para obtener año actual
-                    const currentYear = new Date().getFullYear();
-                    const months = {
-                        'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                        'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-                    };
-                    
-                    const match = departureDate.match(/(\d+) de (\w+)/);
-                    if (match) {
-                        const day = parseInt(match[1]);
-                        const monthName = match[2];
-                        const month = months[monthName];
-                        if (month !== undefined) {
-                            return new Date(currentYear, month, day);
-                        }
-                    }
-                }
+            const flightStartDate = flightManager.getTripStartDate();
+            if (flightStartDate) {
+                return flightStartDate;
             }
             
             // 2. Intentar desde trip data
@@ -755,7 +739,8 @@ export class SummaryRenderer {
      */
     renderFlightsSection() {
         try {
-            if (!tripConfig.flightsData || tripConfig.flightsData.length === 0) {
+            const flights = flightManager.getFlights();
+            if (flights.length === 0) {
                 return '';
             }
 
@@ -763,19 +748,23 @@ export class SummaryRenderer {
                 <div class="flex items-center gap-4 p-4 bg-slate-50 dark:bg-slate-700/30 radius-card">
                     <span class="material-symbols-outlined text-2xl text-blue-600 dark:text-blue-400">flight</span>
                     <div class="flex-1">
+                        <div class="flex justify-end mb-1">${flightStatusPanel.buildSegmentStatusHTML(segment)}</div>
                         <div class="flex items-center justify-between">
                             <div>
                                 <p class="font-bold text-lg text-slate-900 dark:text-white">${segment.from}</p>
-                                <p class="text-sm text-slate-500 dark:text-slate-400">${segment.fromDateTime}</p>
+                                <p class="text-sm text-slate-500 dark:text-slate-400">${flightManager.formatSegmentTime(segment, 'departure')}</p>
                             </div>
-                            <div class="flex items-center gap-2 text-slate-400">
-                                <div class="w-8 border-t border-dashed border-slate-300"></div>
-                                <span class="material-symbols-outlined text-slate-400">flight_takeoff</span>
-                                <div class="w-8 border-t border-dashed border-slate-300"></div>
+                            <div class="flex flex-col items-center text-slate-400">
+                                <div class="flex items-center gap-2">
+                                    <div class="w-8 border-t border-dashed border-slate-300"></div>
+                                    <span class="material-symbols-outlined text-slate-400">flight_takeoff</span>
+                                    <div class="w-8 border-t border-dashed border-slate-300"></div>
+                                </div>
+                                <span class="text-xs">${DateUtils.formatDuration(segment.durationMinutes)}</span>
                             </div>
                             <div class="text-right">
                                 <p class="font-bold text-lg text-slate-900 dark:text-white">${segment.to}</p>
-                                <p class="text-sm text-slate-500 dark:text-slate-400">${segment.toDateTime}</p>
+                                <p class="text-sm text-slate-500 dark:text-slate-400">${flightManager.formatSegmentTime(segment, 'arrival')}</p>
                             </div>
                         </div>
                     </div>
@@ -792,11 +781,11 @@ export class SummaryRenderer {
                     </div>
                     <div class="space-y-4">
                         ${flight.segments.map((segment, index) => `
-                            ${index > 0 && flight.segments[index-1].layover ? 
+                            ${index > 0 && flight.segments[index-1].layoverMinutes !== null ? 
                                 `<div class="text-center py-2">
                                     <div class="inline-flex items-center gap-2 bg-orange-50 dark:bg-orange-900/20 text-orange-600 dark:text-orange-400 px-3 py-1 rounded-full text-sm border border-orange-200 dark:border-orange-800">
                                         <span class="material-symbols-outlined text-sm">schedule</span>
-                                        ${flight.segments[index-1].layover}
+                                        Tránsito de ${DateUtils.formatDuration(flight.segments[index-1].layoverMinutes)} en ${segment.fromAirport.city} (${segment.from})
                                     </div>
                                 </div>` : ''}
                             ${flightSegmentHTML(segment)}
@@ -805,8 +794,8 @@ export class SummaryRenderer {
                 </div>`;
 
             // Separar vuelos internacionales y regionales como en el original
-            const internationalFlights = tripConfig.flightsData.filter(f => f.type === 'Internacional');
-            const regionalFlights = tripConfig.flightsData.filter(f => f.type === 'Regional');
+            const internationalFlights = flights.filter(f => f.type === 'Internacional');
+            const regionalFlights = flights.filter(f => f.type === 'Regional');
 
             // Retornar solo el contenido sin el section wrapper extra
             return `
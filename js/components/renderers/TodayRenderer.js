@@ -14,6 +14,9 @@ import { tripConfig } from '../../config/tripConfig.js';
 import { DateUtils } from '../../utils/DateUtils.js';
 import Logger from '../../utils/Logger.js';
 import stateManager from '../../utils/StateManager.js';
+import flightManager from '../../utils/FlightManager.js';
+import { flightStatusPanel } from '../FlightStatusPanel.js';
+import { documentWalletPanel } from '../DocumentWalletPanel.js';
 
 export class TodayRenderer {
     
@@ -46,6 +49,12 @@ export class TodayRenderer {
                     <div class="text-sm text-slate-500 dark:text-slate-500" id="today-date">Cargando fecha...</div>
                 </div>
 
+                <div id="today-flight-status" class="hidden"></div>
+
+                <div id="today-documents" class="hidden"></div>
+
+                <div id="today-baggage-alerts" class="hidden"></div>
+
                 <div class="bg-white dark:bg-slate-800 radius-card shadow-card border border-slate-200 dark:border-slate-700 p-6">
                     <div id="today-main-content" class="min-h-[200px]">
                     </div>
@@ -121,6 +130,64 @@ export class TodayRenderer {
         this.updateTodayMainContent();
         this.updateTodayWeather();
         this.updateTripProgress();
+        this.updateBaggageAlerts();
+        this.updateFlightStatus();
+        this.updateTodayDocuments();
+    }
+
+    /**
+     * 🎫 DOCUMENTOS DE HOY: tarjetas de embarque, bonos de hotel, visados...
+     */
+    updateTodayDocuments() {
+        const documentsContainer = document.getElementById('today-documents');
+        if (!documentsContainer) return;
+
+        documentWalletPanel.renderToday(documentsContainer);
+    }
+
+    /**
+     * ✈️ ESTADO DE LOS VUELOS: retrasos, cancelaciones y puertas de los tramos cercanos
+     */
+    updateFlightStatus() {
+        const statusContainer = document.getElementById('today-flight-status');
+        if (!statusContainer) return;
+
+        flightStatusPanel.render(statusContainer);
+    }
+
+    /**
+     * 🧳 AVISOS DE EQUIPAJE: bultos que superan la franquicia de un vuelo próximo
+     */
+    async updateBaggageAlerts() {
+        const alertsContainer = document.getElementById('today-baggage-alerts');
+        if (!alertsContainer) return;
+
+        try {
+            let packingManager = stateManager.getPackingListManager();
+            if (!packingManager) {
+                const { getPackingListManager } = await import('../../utils/PackingListManager.js');
+                packingManager = getPackingListManager();
+            }
+
+            const warnings = packingManager.getUpcomingFlightWarnings();
+            alertsContainer.classList.toggle('hidden', warnings.length === 0);
+            alertsContainer.innerHTML = warnings.length === 0 ? '' : `
+                <div class="bg-red-50 dark:bg-red-900/20 radius-card p-6 border border-red-200 dark:border-red-800">
+                    <div class="flex items-center gap-2 mb-3">
+                        <span class="material-symbols-outlined text-lg text-red-600 dark:text-red-400">luggage</span>
+                        <h4 class="font-semibold text-slate-900 dark:text-white">Equipaje por encima de la franquicia</h4>
+                    </div>
+                    <ul class="space-y-1 text-slate-600 dark:text-slate-400">
+                        ${warnings.map(({ traveler, flight, exceeded }) => `
+                            <li>${traveler.name} · ${flight.title} (${flight.airline}, ${DateUtils.formatDateWithMonthNoYear(flight.departure)}):
+                                ${exceeded.map(check => `${check.label} ${check.kg} kg de ${check.limit} kg`).join(', ')}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        } catch (error) {
+            Logger.error('❌ Error updating baggage alerts:', error);
+        }
     }
 
     updateTodayDateHeader() {
@@ -463,31 +530,11 @@ export class TodayRenderer {
                 }
             }
             
-            // Buscar la fecha del primer vuelo internacional (misma lógica que SummaryRenderer)
-            const firstInternationalFlight = tripConfig.flights.find(f => f.type === 'Internacional');
-            if (firstInternationalFlight && firstInternationalFlight.segments && firstInternationalFlight.segments.length > 0) {
-                const firstSegment = firstInternationalFlight.segments[0];
-                // Extraer la fecha del string "9 de Octubre 22:45"
-                const departureDate = firstSegment.fromDateTime;
-                const year = tripConfig.trip.year; // Usar el año del tripConfig
-                
-                // Parsear la fecha (ej. "9 de Octubre 22:45" en 2025)
-                const months = {
-                    'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                    'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-                };
-                
-                const match = departureDate.match(/(\d+) de (\w+)/);
-                if (match) {
-                    const day = parseInt(match[1]);
-                    const monthName = match[2];
-                    const month = months[monthName];
-                    if (month !== undefined) {
-                        const parsedDate = new Date(year, month, day);
-                        Logger.debug('📅 Trip start date parsed from flight data:', parsedDate);
-                        return parsedDate;
-                    }
-                }
+            // Día de salida del primer vuelo (instantes reales de FlightManager)
+            const flightStartDate = flightManager.getTripStartDate();
+            if (flightStartDate) {
+                Logger.debug('📅 Trip start date from flight data:', flightStartDate);
+                return flightStartDate;
             }
             
             // Fallback final: fecha del vuelo basada en tripConfig
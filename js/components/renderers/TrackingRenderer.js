@@ -13,6 +13,8 @@
 import Logger from '../../utils/Logger.js';
 import { SummaryRenderer } from './SummaryRenderer.js';
 import { mapRenderer } from './MapRenderer.js';
+import { geoDataPanel } from '../GeoDataPanel.js';
+import { trailPanel } from '../TrailPanel.js';
 
 export class TrackingRenderer {
     
@@ -65,6 +67,22 @@ export class TrackingRenderer {
                     <div id="map-container" class="w-full h-[80vh] min-h-[600px] rounded-xl overflow-hidden relative">
                     </div>
                 </div>
+
+                <div class="bg-white dark:bg-slate-800 radius-card shadow-card border border-slate-200 dark:border-slate-700 p-6">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-green-600 dark:text-green-400">hiking</span>
+                        Recorrido Grabado
+                    </h2>
+                    <div id="trail-content"></div>
+                </div>
+
+                <div class="bg-white dark:bg-slate-800 radius-card shadow-card border border-slate-200 dark:border-slate-700 p-6">
+                    <h2 class="text-2xl font-bold text-slate-900 dark:text-white mb-4 flex items-center gap-3">
+                        <span class="material-symbols-outlined text-blue-600 dark:text-blue-400">route</span>
+                        Lugares y Rutas (GPX, KML, GeoJSON)
+                    </h2>
+                    <div id="geo-data-content"></div>
+                </div>
             </div>
         `;
 
@@ -75,6 +93,8 @@ export class TrackingRenderer {
         this.loadSummaryStats();
         this.loadCurrencyConverter();
         this.loadMap();
+        this.loadTrail();
+        this.loadGeoData();
     }
 
     loadSummaryStats() {
@@ -129,6 +149,7 @@ export class TrackingRenderer {
                                 <option value="EUR">🇪🇺 Euro (EUR)</option>
                                 <option value="NPR">🇳🇵 Rupia Nepalí (NPR)</option>
                                 <option value="BTN">🇧🇹 Ngultrum Butanés (BTN)</option>
+                                <option value="USD">🇺🇸 Dólar (USD)</option>
                             </select>
                         </div>
                         <div>
@@ -137,6 +158,7 @@ export class TrackingRenderer {
                                 <option value="NPR">🇳🇵 Rupia Nepalí (NPR)</option>
                                 <option value="EUR">🇪🇺 Euro (EUR)</option>
                                 <option value="BTN">🇧🇹 Ngultrum Butanés (BTN)</option>
+                                <option value="USD">🇺🇸 Dólar (USD)</option>
                             </select>
                         </div>
                     </div>
@@ -200,6 +222,34 @@ export class TrackingRenderer {
         }
     }
 
+    loadTrail() {
+        const container = document.getElementById('trail-content');
+        if (!container) {
+            Logger.warning('⚠️ Trail container not found');
+            return;
+        }
+
+        try {
+            trailPanel.render(container);
+        } catch (error) {
+            Logger.error('❌ Error loading trail panel:', error);
+        }
+    }
+
+    loadGeoData() {
+        const container = document.getElementById('geo-data-content');
+        if (!container) {
+            Logger.warning('⚠️ Geo data container not found');
+            return;
+        }
+
+        try {
+            geoDataPanel.render(container);
+        } catch (error) {
+            Logger.error('❌ Error loading geo data panel:', error);
+        }
+    }
+
     loadMap() {
         Logger.ui('🗺️ Loading map for tracking view');
         
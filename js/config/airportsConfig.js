@@ -0,0 +1,19 @@
+/**
+ * ✈️ AIRPORTS CONFIGURATION
+ *
+ * Aeropuertos del viaje por código IATA con su zona horaria IANA.
+ * Las horas de los vuelos son locales de cada aeropuerto: la zona permite
+ * convertirlas en instantes reales (Katmandú va a UTC+5:45 y Paro a UTC+6)
+ * y calcular duraciones y escalas sin depender de la zona del dispositivo.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+export const AIRPORTS = {
+    MAD: { name: 'Aeropuerto de Madrid-Barajas', city: 'Madrid', country: 'España', timeZone: 'Europe/Madrid' },
+    DOH: { name: 'Aeropuerto Internacional Hamad', city: 'Doha', country: 'Qatar', timeZone: 'Asia/Qatar' },
+    KTM: { name: 'Aeropuerto Internacional Tribhuvan', city: 'Katmandú', country: 'Nepal', timeZone: 'Asia/Kathmandu' },
+    PBH: { name: 'Aeropuerto Internacional de Paro', city: 'Paro', country: 'Bután', timeZone: 'Asia/Thimphu' }
+};
@@ -48,10 +48,16 @@ export const firestoreConfig = {
     collections: {
         expenses: 'expenses',
         packingList: 'packingList',
+        ledger: 'ledger',
+        receipts: 'receipts',
         trips: 'trips',
+        invites: 'invites',
         users: 'users'
     },
     
+    // Viaje por defecto, al que se migran las colecciones raíz anteriores (DEFAULT_TRIP_ID de TripManager)
+    legacyTripId: 'himalaya-2025',
+    
     // Configuración de cache offline
     settings: {
         cacheSizeBytes: 40000000, // 40MB cache
@@ -59,51 +65,180 @@ export const firestoreConfig = {
     }
 };
 
-// Configuración de autenticación (opcional)
+// Configuración de autenticación
 export const authConfig = {
-    // Si quieres autenticación de usuarios
-    enableAuth: false, // Cambiar a true para habilitar
+    // Cada viaje solo es accesible para sus miembros (trips/{tripId}.members)
+    enableAuth: true,
     
     // Proveedores de autenticación
     providers: {
         google: true,
-        email: true,
-        anonymous: true // Para usuarios sin cuenta
+        email: true,      // Enlace mágico por email (sin contraseña)
+        anonymous: true   // Sesión automática; se convierte en cuenta al entrar con Google o email
+    },
+    
+    // Roles de los miembros de un viaje
+    roles: {
+        write: ['owner', 'editor'],
+        read: ['owner', 'editor', 'viewer'],
+        invitable: ['editor', 'viewer']   // Roles que se pueden dar con un enlace de invitación
     }
 };
 
-// Configuración de reglas de seguridad sugeridas
-export const securityRules = `
-// Reglas de Firestore Security Rules
+/**
+ * 🔒 GENERAR REGLAS DE FIRESTORE
+ * 
+ * Cada subcolección de trips/{tripId} solo la leen los miembros del
+ * viaje y solo la escriben los roles de escritura. Un viaje solo se
+ * reclama como dueño al crearlo: los documentos que ya existen sin
+ * miembros no se pueden reclamar (la sesión anónima es automática y
+ * cualquiera podría quedarse con un ID conocido). Los demás se unen con
+ * una invitación (trips/{tripId}/invites/{token}) que solo gestiona el
+ * dueño. Las colecciones raíz anteriores solo las leen los miembros del
+ * viaje al que se migran.
+ * 
+ * @param {Object} collections - Colecciones de firestoreConfig
+ * @param {Object} roles - Roles de authConfig
+ * @param {string} legacyTripId - Viaje que hereda las colecciones raíz anteriores
+ * @returns {string} Reglas listas para pegar en Firebase Console
+ */
+export function buildFirestoreRules(collections = firestoreConfig.collections, roles = authConfig.roles, legacyTripId = firestoreConfig.legacyTripId) {
+    const tripCollections = Object.values(collections)
+        .filter(name => ![collections.trips, collections.users, collections.invites].includes(name));
+    const list = (values) => `[${values.map(value => `'${value}'`).join(', ')}]`;
+
+    return `
+// Reglas de Firestore Security Rules (generadas desde js/config/firebaseConfig.js)
 // Copia esto en Firebase Console → Firestore → Rules
 
 rules_version = '2';
 service cloud.firestore {
   match /databases/{database}/documents {
-    // Permitir lectura/escritura de gastos para todos (modo público)
-    // NOTA: Para producción, considera añadir autenticación
-    match /expenses/{expenseId} {
-      allow read, write: if true;
+    function signedIn() {
+      return request.auth != null;
+    }
+    
+    function tripDoc(tripId) {
+      return get(/databases/$(database)/documents/${collections.trips}/$(tripId));
+    }
+    
+    function tripRole(tripId) {
+      return tripDoc(tripId).data.members[request.auth.uid];
+    }
+    
+    function canRead(tripId) {
+      return signedIn() && request.auth.uid in tripDoc(tripId).data.memberIds
+        && tripRole(tripId) in ${list(roles.read)};
+    }
+    
+    function canWrite(tripId) {
+      return canRead(tripId) && tripRole(tripId) in ${list(roles.write)};
+    }
+    
+    function claimsAsOwner() {
+      return request.resource.data.members.keys().hasOnly([request.auth.uid])
+        && request.resource.data.members[request.auth.uid] == 'owner'
+        && request.resource.data.memberIds == [request.auth.uid];
+    }
+    
+    function keepsMembers() {
+      return request.resource.data.members == resource.data.members
+        && request.resource.data.memberIds == resource.data.memberIds;
+    }
+    
+    function isOwner(tripId) {
+      return canRead(tripId) && tripRole(tripId) == 'owner';
     }
     
-    // Permitir lectura/escritura de lista de equipaje global
-    match /packingList/global {
-      allow read, write: if true;
+    // Unirse con una invitación: solo se añade uno mismo, con el rol de la invitación
+    function joinsWithInvite(tripId) {
+      let invitePath = /databases/$(database)/documents/${collections.trips}/$(tripId)/${collections.invites}/$(request.resource.data.joinToken);
+      let added = request.resource.data.memberIds.removeAll(resource.data.memberIds);
+      return exists(invitePath) && get(invitePath).data.revoked == false
+        && !(request.auth.uid in resource.data.memberIds)
+        && request.resource.data.diff(resource.data).affectedKeys().hasOnly(['members', 'memberIds', 'memberNames', 'joinToken'])
+        && request.resource.data.members.diff(resource.data.members).affectedKeys().hasOnly([request.auth.uid])
+        && request.resource.data.members[request.auth.uid] == get(invitePath).data.role
+        && added == [request.auth.uid]
+        && resource.data.memberIds.removeAll(request.resource.data.memberIds).size() == 0;
     }
     
-    // Permitir lectura de información del viaje
-    match /trips/{tripId} {
-      allow read: if true;
-      allow write: if false; // Solo lectura para datos del viaje
+    match /${collections.trips}/{tripId} {
+      allow get: if signedIn() && (resource == null || request.auth.uid in resource.data.memberIds);
+      allow list: if signedIn() && request.auth.uid in resource.data.memberIds;
+      allow create: if signedIn() && claimsAsOwner();
+      allow update: if signedIn() && (
+        (canWrite(tripId) && (tripRole(tripId) == 'owner' || keepsMembers()))
+        || joinsWithInvite(tripId)
+      );
+      allow delete: if signedIn() && tripRole(tripId) == 'owner';
+      
+      match /${collections.invites}/{token} {
+        allow get: if signedIn();
+        allow list, delete: if isOwner(tripId);
+        allow create, update: if isOwner(tripId) && request.resource.data.role in ${list(roles.invitable)};
+      }
+${tripCollections.map(name => `
+      match /${name}/{docId} {
+        allow read: if canRead(tripId);
+        allow write: if canWrite(tripId);
+      }`).join('\n')}
     }
     
-    // Si habilitas autenticación:
-    // match /expenses/{expenseId} {
-    //   allow read, write: if request.auth != null;
-    // }
+    match /${collections.users}/{userId} {
+      allow read, write: if signedIn() && request.auth.uid == userId;
+    }
+    
+    // Colecciones anteriores al registro de viajes: solo lectura para migrarlas a ${legacyTripId}
+    match /${collections.expenses}/{expenseId} {
+      allow read: if canRead('${legacyTripId}');
+      allow write: if false;
+    }
+    
+    match /${collections.packingList}/{docId} {
+      allow read: if canRead('${legacyTripId}');
+      allow write: if false;
+    }
+  }
+}
+`;
+}
+
+/**
+ * 🔒 GENERAR REGLAS DE STORAGE (fotos de tickets)
+ * 
+ * @param {Object} collections - Colecciones de firestoreConfig
+ * @param {Object} roles - Roles de authConfig
+ * @returns {string} Reglas listas para pegar en Firebase Console
+ */
+export function buildStorageRules(collections = firestoreConfig.collections, roles = authConfig.roles) {
+    const list = (values) => `[${values.map(value => `'${value}'`).join(', ')}]`;
+
+    return `
+// Reglas de Storage (generadas desde js/config/firebaseConfig.js)
+// Copia esto en Firebase Console → Storage → Rules
+
+rules_version = '2';
+service firebase.storage {
+  match /b/{bucket}/o {
+    function tripRole(tripId) {
+      return firestore.get(/databases/(default)/documents/${collections.trips}/$(tripId)).data.members[request.auth.uid];
+    }
+    
+    match /${collections.trips}/{tripId}/${collections.receipts}/{expenseId}/{fileName} {
+      allow read: if request.auth != null && tripRole(tripId) in ${list(roles.read)};
+      allow write: if request.auth != null && tripRole(tripId) in ${list(roles.write)}
+        && (request.resource == null || (request.resource.size < 5 * 1024 * 1024
+          && request.resource.contentType.matches('image/.*')));
+    }
   }
 }
 `;
+}
+
+// Reglas de seguridad generadas a partir de la configuración
+export const securityRules = buildFirestoreRules();
+export const storageSecurityRules = buildStorageRules();
 
 // Estado de configuración
 export const isConfigured = () => {
@@ -135,9 +270,15 @@ export const setupInstructions = `
 4. 🔒 Configurar Reglas de Seguridad:
    - Firestore → "Reglas"
    - Pegar el contenido de 'securityRules'
+   - Storage → "Reglas" → pegar 'storageSecurityRules'
    - "Publicar"
 
-5. 📱 Probar Conexión:
+5. 🔐 Habilitar Autenticación:
+   - Authentication → "Sign-in method"
+   - Activar "Anónimo", "Google" y "Correo electrónico" con "Vínculo de correo electrónico"
+   - Authentication → "Configuración" → "Dominios autorizados": añadir el dominio de la PWA
+
+6. 📱 Probar Conexión:
    - Recargar la PWA
    - Debería mostrar "✅ Firebase conectado"
    - Los gastos se guardarán automáticamente en la nube
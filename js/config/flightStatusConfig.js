@@ -0,0 +1,38 @@
+/**
+ * ✈️ FLIGHT STATUS CONFIGURATION
+ *
+ * Origen del estado de los vuelos (retrasos, cancelaciones, puertas).
+ *
+ * - 'mock': proveedor local con datos simulados, activo por defecto en
+ *   localhost para desarrollo
+ * - 'http': servicio propio que responde con el formato normalizado de
+ *   FlightStatusProviders (configura `endpoint`)
+ *
+ * Para cambiarlo sin tocar el código:
+ * localStorage.setItem('flightStatusProvider', 'http')
+ * localStorage.setItem('flightStatusEndpoint', 'https://mi-servidor/flight-status')
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+
+export const flightStatusConfig = {
+    // Proveedor activo (null = sin estado en tiempo real)
+    provider: localStorage.getItem('flightStatusProvider') || (isLocalhost ? 'mock' : null),
+
+    // URL del proveedor 'http'
+    endpoint: localStorage.getItem('flightStatusEndpoint') || null,
+
+    // Consulta cada 10 minutos
+    pollInterval: 10 * 60 * 1000,
+
+    // Solo se consultan los tramos desde 24h antes de salir hasta 6h después de llegar
+    windowBefore: 24 * 60 * 60 * 1000,
+    windowAfter: 6 * 60 * 60 * 1000,
+
+    // Retraso a partir del cual se avisa (minutos)
+    delayThreshold: 15
+};
@@ -0,0 +1,34 @@
+/**
+ * 🗄️ STORAGE CONFIGURATION
+ *
+ * Backend donde se guardan los gastos, listas de equipaje, viajes y
+ * fotos de tickets (ver StorageAdapters).
+ *
+ * - 'firestore': Firebase (Firestore + Storage), por defecto
+ * - 'indexeddb': solo en este dispositivo, sin servidor
+ * - 'http': servidor propio con la API de server/StorageServer.js
+ *   (`node server.js` la sirve en http://localhost:8000/storage)
+ * - 'memory': en memoria, se pierde al recargar (pruebas)
+ *
+ * Para cambiarlo sin tocar el código:
+ * localStorage.setItem('storageBackend', 'http')
+ * localStorage.setItem('storageEndpoint', 'https://mi-servidor/storage')
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+export const storageConfig = {
+    // Backend activo
+    backend: localStorage.getItem('storageBackend') || 'firestore',
+
+    // URL de la API del backend 'http' (por defecto, la del propio servidor)
+    endpoint: localStorage.getItem('storageEndpoint') || `${window.location.origin}/storage`,
+
+    // Base de datos del backend 'indexeddb'
+    databaseName: 'ViajeHimalayaStorage',
+
+    // Espera entre reintentos de conexión del backend 'http'
+    reconnectDelay: 5000
+};
@@ -774,10 +774,10 @@ export const tripConfig = {
             { item: 'Gafas de sol', weight: 30, key: 'equipo_gafas_sol' },
             { item: 'Protector solar SPF 50+', weight: 100, key: 'equipo_protector_solar' },
             { item: 'Crema hidratante', weight: 50, key: 'equipo_crema_hidratante' },
-            { item: 'Kit de primeros auxilios', weight: 200, key: 'equipo_kit_primeros_auxilios' },
+            { item: 'Kit de primeros auxilios', weight: 200, key: 'equipo_kit_primeros_auxilios', shared: true },
             { item: 'Cámara fotográfica', weight: 400, key: 'equipo_camara_fotografica' },
             { item: 'Power bank', weight: 300, key: 'equipo_power_bank' },
-            { item: 'Adaptadores de corriente', weight: 150, key: 'equipo_adaptadores_corriente' }
+            { item: 'Adaptadores de corriente', weight: 150, key: 'equipo_adaptadores_corriente', shared: true }
         ],
         'Documentos y Salud': [
             { item: 'Pasaporte válido', weight: 50, key: 'documentos_pasaporte' },
@@ -1137,6 +1137,7 @@ export const tripConfig = {
     },
 
     // === VUELOS COMPLETOS (preservados) ===
+    // Horas locales de cada aeropuerto con su desfase (ISO 8601) y zona IANA
     flights: [
         { 
             type: 'Internacional', 
@@ -1145,16 +1146,19 @@ export const tripConfig = {
             segments: [
                 {
                     from: 'MAD',
-                    fromDateTime: '9 de Octubre 22:45',
-                    to: 'DOH', 
-                    toDateTime: '10 de Octubre 06:30',
-                    layover: 'Tránsito de 2h 55m en Doha (DOH)'
+                    departure: '2025-10-09T22:45:00+02:00',
+                    departureTimeZone: 'Europe/Madrid',
+                    to: 'DOH',
+                    arrival: '2025-10-10T06:30:00+03:00',
+                    arrivalTimeZone: 'Asia/Qatar'
                 },
                 {
                     from: 'DOH',
-                    fromDateTime: '10 de Octubre 09:25', 
+                    departure: '2025-10-10T09:25:00+03:00',
+                    departureTimeZone: 'Asia/Qatar',
                     to: 'KTM',
-                    toDateTime: '10 de Octubre 16:45'
+                    arrival: '2025-10-10T16:45:00+05:45',
+                    arrivalTimeZone: 'Asia/Kathmandu'
                 }
             ]
         },
@@ -1165,16 +1169,19 @@ export const tripConfig = {
             segments: [
                 {
                     from: 'KTM',
-                    fromDateTime: '26 de Octubre 18:00',
-                    to: 'DOH', 
-                    toDateTime: '26 de Octubre 20:15',
-                    layover: 'Tránsito de 2h 30m en Doha (DOH)'
+                    departure: '2025-10-26T18:00:00+05:45',
+                    departureTimeZone: 'Asia/Kathmandu',
+                    to: 'DOH',
+                    arrival: '2025-10-26T20:15:00+03:00',
+                    arrivalTimeZone: 'Asia/Qatar'
                 },
                 {
                     from: 'DOH',
-                    fromDateTime: '26 de Octubre 22:45', 
+                    departure: '2025-10-26T22:45:00+03:00',
+                    departureTimeZone: 'Asia/Qatar',
                     to: 'MAD',
-                    toDateTime: '27 de Octubre 04:30'
+                    arrival: '2025-10-27T04:30:00+01:00',
+                    arrivalTimeZone: 'Europe/Madrid'
                 }
             ]
         },
@@ -1185,9 +1192,11 @@ export const tripConfig = {
             segments: [
                 {
                     from: 'KTM',
-                    fromDateTime: '20 de Octubre 07:15',
-                    to: 'PBH', 
-                    toDateTime: '20 de Octubre 08:15'
+                    departure: '2025-10-20T07:15:00+05:45',
+                    departureTimeZone: 'Asia/Kathmandu',
+                    to: 'PBH',
+                    arrival: '2025-10-20T08:15:00+06:00',
+                    arrivalTimeZone: 'Asia/Thimphu'
                 }
             ]
         },
@@ -1198,9 +1207,11 @@ export const tripConfig = {
             segments: [
                 {
                     from: 'PBH',
-                    fromDateTime: '25 de Octubre 09:00',
-                    to: 'KTM', 
-                    toDateTime: '25 de Octubre 10:00'
+                    departure: '2025-10-25T09:00:00+06:00',
+                    departureTimeZone: 'Asia/Thimphu',
+                    to: 'KTM',
+                    arrival: '2025-10-25T10:00:00+05:45',
+                    arrivalTimeZone: 'Asia/Kathmandu'
                 }
             ]
         }
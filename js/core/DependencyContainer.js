@@ -16,6 +16,8 @@
  */
 
 import Logger from '../utils/Logger.js';
+import { createStorageAdapter } from '../utils/StorageAdapters.js';
+import { storageConfig } from '../config/storageConfig.js';
 
 export class DependencyContainer {
     
@@ -140,6 +142,27 @@ export class DependencyContainer {
         }
     }
 
+    /**
+     * Resuelve un singleton cuya factory es síncrona (para constructores)
+     */
+    resolveSync(name) {
+        const singleton = DependencyContainer.singletons.get(name);
+        if (!singleton) {
+            throw new Error(`Dependency '${name}' not registered`);
+        }
+
+        if (!singleton.instance) {
+            const instance = singleton.factory();
+            if (instance instanceof Promise) {
+                throw new Error(`Dependency '${name}' is async, use resolve()`);
+            }
+            Logger.data(`🔧 Creating singleton: ${name}`);
+            singleton.instance = instance;
+        }
+
+        return singleton.instance;
+    }
+
     /**
      * Inyecta dependencias en una instancia
      */
@@ -192,6 +215,11 @@ export class DependencyContainer {
             import('../utils/WeatherManager.js').then(m => new m.WeatherManager())
         );
 
+        // Trip services
+        this.registerSingleton('tripManager', () =>
+            import('../utils/TripManager.js').then(m => m.default)
+        );
+
         // Budget services  
         this.registerFactory('budgetManager', async () => {
             // Importar managers
@@ -221,6 +249,9 @@ export class DependencyContainer {
             import('../utils/FirebaseManager.js').then(m => new m.FirebaseManager())
         );
 
+        // Storage: backend de datos de storageConfig (síncrono, lo usa el constructor de BudgetManager)
+        this.registerSingleton('storage', () => createStorageAdapter(storageConfig));
+
         // UI services
         this.registerSingleton('uiRenderer', async () => {
             const { UIRenderer } = await import('../components/UIRenderer.js');
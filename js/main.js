@@ -23,6 +23,8 @@
  * @since 2024
  */
 
+// El registro de viajes debe aplicarse antes de que otros módulos lean tripConfig
+import tripManager from './utils/TripManager.js';
 import { UIRenderer } from './components/UIRenderer.js';
 import Logger from './utils/Logger.js';
 import { weatherConfig, checkWeatherConfig } from './config/weatherConfig.js';
@@ -39,6 +41,9 @@ import PerformanceOptimizer from './utils/PerformanceOptimizer.js';
 import AdvancedAnalytics from './components/AdvancedAnalytics.js';
 import dependencyContainer from './core/DependencyContainer.js';
 import { weightEstimator } from './utils/WeightEstimator.js';
+import flightStatusManager from './utils/FlightStatusManager.js';
+import trailRecorder from './utils/TrailRecorder.js';
+import { undoControls } from './components/UndoControls.js';
 
 // Verificar que Logger está disponible y iniciar logging
 if (Logger && typeof Logger.init === 'function') {
@@ -469,6 +474,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Inicializar PackingListManager cuando Firebase esté disponible
         setTimeout(async () => {
             const firebaseManager = stateManager.getFirebaseManager();
+            const storage = await dependencyContainer.resolve('storage');
+            
+            // Sincronizar registro de viajes
+            await tripManager.initialize(storage);
             
             // Inicializar PackingListManager
             const packingManager = await dependencyContainer.resolve('packingListManager');
@@ -479,9 +488,9 @@ document.addEventListener('DOMContentLoaded', () => {
             stateManager.setHotelManager(hotelManager);
             
             if (firebaseManager && packingManager) {
-                await packingManager.initialize(firebaseManager);
+                await packingManager.initialize(storage);
                 stateManager.updateState('instances.packingListManager', packingManager);
-                if (Logger && Logger.success) Logger.success('🎒 PackingListManager initialized with Firebase');
+                if (Logger && Logger.success) Logger.success(`🎒 PackingListManager initialized with ${storage.name} storage`);
                 
                 // Inicializar HotelManager con Firebase y BudgetManager
                 const budgetManager = stateManager.getBudgetManager();
@@ -527,6 +536,16 @@ document.addEventListener('DOMContentLoaded', () => {
         if (Logger && Logger.init) Logger.init('Initializing Service Worker communication');
         initServiceWorkerCommunication();
         if (Logger && Logger.success) Logger.success('Service Worker communication initialized');
+
+        // Estado de los vuelos en tiempo real (retrasos, puertas, cancelaciones)
+        if (Logger && Logger.init) Logger.init('Starting flight status polling');
+        flightStatusManager.start();
+
+        // Grabación del recorrido (solo si el usuario la activó)
+        trailRecorder.start();
+
+        // Deshacer/rehacer con Ctrl+Z y Ctrl+Shift+Z
+        undoControls.init();
         
     } catch (error) {
         if (Logger && Logger.error) {
@@ -1,15 +1,16 @@
 /**
  * BatchManager - Gestor de Operaciones por Lotes
  * 
- * Agrupa múltiples operaciones de Firebase en lotes para
+ * Agrupa múltiples operaciones de gastos en lotes para
  * mejorar el rendimiento y reducir el número de llamadas
- * a la base de datos.
+ * al backend de datos (StorageAdapters).
  * 
  * Funcionalidades:
  * - Agrupación automática de operaciones
  * - Flush automático por tiempo o cantidad
  * - Transacciones atómicas
  * - Retry automático en caso de error
+ * - Detección de ediciones concurrentes por revisión (ConflictResolver)
  * 
  * @author David Ferrer Figueroa
  * @version 1.0.0
@@ -17,10 +18,11 @@
  */
 
 import Logger from './Logger.js';
+import conflictResolver, { isRevisionConflict } from './ConflictResolver.js';
 
 export class BatchManager {
-    constructor(firebaseManager) {
-        this.firebaseManager = firebaseManager;
+    constructor(storage) {
+        this.storage = storage;
         this.pendingOperations = [];
         this.batchTimeout = null;
         this.maxBatchSize = 10; // Máximo 10 operaciones por lote
@@ -36,6 +38,11 @@ export class BatchManager {
      * @returns {Promise} Promise que se resuelve cuando se ejecuta el lote
      */
     addToBatch(type, data) {
+        // ⚖️ Las ediciones llevan la revisión siguiente a la conocida
+        if (type === 'update') {
+            data = { ...data, updates: conflictResolver.stampExpenseUpdate(data.id, data.updates) };
+        }
+
         return new Promise((resolve, reject) => {
             const operation = {
                 type,
@@ -92,31 +99,25 @@ export class BatchManager {
         Logger.data(`Flushing batch with ${operations.length} operations`);
 
         try {
-            // Importar módulos de Firestore
-            const { writeBatch, doc, collection, serverTimestamp } = 
-                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-
-            const batch = writeBatch(this.firebaseManager.db);
-            const results = [];
-
-            // Procesar cada operación
-            for (const operation of operations) {
-                try {
-                    const result = await this.addOperationToBatch(batch, operation);
-                    results.push({ operation, result, success: true });
-                } catch (error) {
-                    results.push({ operation, result: null, success: false, error });
-                }
-            }
-
-            // Ejecutar el lote completo
-            await batch.commit();
+            // El backend agrupa el lote como pueda (una transacción en Firestore)
+            const results = await this.storage.commitExpenses(
+                operations.map(({ type, data }) => ({ type, data }))
+            );
             Logger.success(`Batch committed successfully with ${operations.length} operations`);
 
             // Resolver todas las promesas
-            results.forEach(({ operation, result, success, error }) => {
+            results.forEach(({ result, success, error }, index) => {
+                const operation = operations[index];
+
                 if (success) {
+                    if (operation.type === 'update') {
+                        conflictResolver.confirmExpenseUpdate(operation.data.id, operation.data.updates);
+                    }
                     operation.resolve(result);
+                } else if (isRevisionConflict(error)) {
+                    // Otro dispositivo editó el mismo gasto: combinar o preguntar
+                    Logger.warning(`Concurrent edit detected for expense ${error.expenseId}`);
+                    operation.resolve(conflictResolver.handleExpenseConflict(error));
                 } else {
                     operation.reject(error);
                 }
@@ -135,106 +136,6 @@ export class BatchManager {
         }
     }
 
-    /**
-     * Añade una operación individual al lote de Firestore
-     */
-    async addOperationToBatch(batch, operation) {
-        // Importar todas las funciones de Firestore de una vez
-        const { 
-            collection, 
-            doc, 
-            serverTimestamp, 
-            query, 
-            where, 
-            getDocs 
-        } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-
-        const collectionRef = collection(this.firebaseManager.db, 'expenses');
-
-        switch (operation.type) {
-            case 'add':
-                const addDocRef = doc(collectionRef);
-                const addData = {
-                    ...operation.data,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp(),
-                    deviceId: this.firebaseManager.getDeviceId()
-                };
-                batch.set(addDocRef, addData);
-                return addDocRef.id;
-
-            case 'update':
-                // 🚨 PROBLEMA CRÍTICO: Necesitamos encontrar el documento real por el campo 'id'
-                // No podemos usar operation.data.id como docId directamente
-                
-                const expenseId = operation.data.id;
-                
-                // Buscar el documento por el campo 'id' (usando imports ya disponibles)
-                const existingQuery = query(collectionRef, where('id', '==', expenseId));
-                const existingSnapshot = await getDocs(existingQuery);
-                
-                if (!existingSnapshot.empty) {
-                    // Documento encontrado → usar su docId real
-                    const existingDoc = existingSnapshot.docs[0];
-                    const realDocRef = existingDoc.ref;
-                    
-                    const updateData = {
-                        ...operation.data.updates,
-                        updatedAt: serverTimestamp(),
-                        deviceId: this.firebaseManager.getDeviceId()
-                    };
-                    
-                    batch.update(realDocRef, updateData);
-                    return expenseId;
-                } else {
-                    // Documento no encontrado → crear nuevo con el ID como docId
-                    const newDocRef = doc(collectionRef, expenseId);
-                    
-                    // Obtener datos completos del localStorage
-                    const localExpenses = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
-                    const localExpense = localExpenses.find(exp => exp.id === expenseId);
-                    
-                    if (!localExpense) {
-                        throw new Error(`Local expense ${expenseId} not found for batch update`);
-                    }
-                    
-                    const newExpenseData = {
-                        ...localExpense,
-                        ...operation.data.updates,
-                        createdAt: serverTimestamp(),
-                        updatedAt: serverTimestamp(),
-                        deviceId: this.firebaseManager.getDeviceId()
-                    };
-                    
-                    batch.set(newDocRef, newExpenseData);
-                    return expenseId;
-                }
-
-            case 'delete':
-                // 🚨 PROBLEMA CRÍTICO: Buscar documento real para eliminar
-                const deleteExpenseId = operation.data.id;
-                
-                // Buscar el documento por el campo 'id' (usando imports ya disponibles)
-                const deleteQuery = query(collectionRef, where('id', '==', deleteExpenseId));
-                const deleteSnapshot = await getDocs(deleteQuery);
-                
-                if (!deleteSnapshot.empty) {
-                    // Documento encontrado → eliminar usando su docId real
-                    const docToDelete = deleteSnapshot.docs[0];
-                    batch.delete(docToDelete.ref);
-                    return deleteExpenseId;
-                } else {
-                    // Documento no encontrado → intentar con el ID como docId (fallback)
-                    const fallbackDocRef = doc(collectionRef, deleteExpenseId);
-                    batch.delete(fallbackDocRef);
-                    return deleteExpenseId;
-                }
-
-            default:
-                throw new Error(`Unknown batch operation type: ${operation.type}`);
-        }
-    }
-
     /**
      * Reintenta operaciones fallidas individualmente
      */
@@ -247,13 +148,17 @@ export class BatchManager {
                 
                 switch (operation.type) {
                     case 'add':
-                        result = await this.firebaseManager.addExpense(operation.data, false);
+                        result = await this.storage.addExpense(operation.data, false);
                         break;
                     case 'update':
-                        result = await this.firebaseManager.updateExpense(operation.data.id, operation.data.updates);
+                        result = await this.storage.updateExpense(operation.data.id, operation.data.updates)
+                            .catch(error => {
+                                if (isRevisionConflict(error)) return conflictResolver.handleExpenseConflict(error);
+                                throw error;
+                            });
                         break;
                     case 'delete':
-                        result = await this.firebaseManager.deleteExpense(operation.data.id);
+                        result = await this.storage.deleteExpense(operation.data.id);
                         break;
                 }
 
@@ -0,0 +1,435 @@
+/**
+ * 🔔 BUDGET ALERT MANAGER
+ *
+ * Topes de gasto configurables y avisos al cruzar sus umbrales.
+ *
+ * Modelo (por viaje, en localStorage):
+ * - Tope: { id, scope, target, amount } en la moneda del viaje
+ *   · scope 'category' → gastos de la categoría `target`
+ *   · scope 'country' / 'phase' → gastos de los días del itinerario de ese país o fase
+ *   · scope 'day' → gastos de hoy (`target` vacío)
+ * - Umbrales en % del tope (por defecto 80 y 100)
+ * - `fired`: umbrales ya avisados (se rearman si el gasto vuelve a bajar)
+ * - `log`: historial de avisos, el más reciente primero
+ *
+ * Cada aviso se muestra como toast en la app y, si hay permiso, como
+ * notificación del sistema a través del Service Worker.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import expenseImportExport from './ExpenseImportExport.js';
+import currencyConverter from './CurrencyConverter.js';
+import { deliverNotification } from './ServiceWorkerUtils.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const ALERTS_STORAGE_KEY = 'tripBudgetAlertsV1';
+const DEFAULT_THRESHOLDS = [80, 100];
+const LOG_LIMIT = 100;
+const EVALUATE_DELAY = 500;
+
+export const CAP_SCOPES = {
+    category: 'Categoría',
+    country: 'País',
+    phase: 'Fase',
+    day: 'Por día'
+};
+
+class BudgetAlertManager {
+    constructor() {
+        this.config = this.loadConfig();
+        this.evaluateTimer = null;
+
+        // Revisar los topes cada vez que cambian los gastos
+        stateManager.subscribe('expenses', () => this.scheduleEvaluation());
+        stateManager.subscribe('trip.activeTripId', () => {
+            this.config = this.loadConfig();
+            this.notifyChange();
+        });
+
+        Logger.init('🔔 BudgetAlertManager initialized');
+    }
+
+    // =================================================================
+    // 💾 PERSISTENCIA
+    // =================================================================
+
+    /**
+     * @private
+     */
+    loadConfig() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(tripManager.getStorageKey(ALERTS_STORAGE_KEY)) || 'null');
+            if (stored && Array.isArray(stored.caps)) {
+                return { thresholds: DEFAULT_THRESHOLDS, notify: false, fired: {}, log: [], ...stored };
+            }
+        } catch (error) {
+            Logger.error('🔔 Error loading budget alerts:', error);
+        }
+
+        return { caps: [], thresholds: DEFAULT_THRESHOLDS, notify: false, fired: {}, log: [], updatedAt: null };
+    }
+
+    /**
+     * 💾 Guardar y notificar 'budgetAlerts.updatedAt'
+     * @private
+     */
+    saveConfig() {
+        this.config.updatedAt = new Date().toISOString();
+
+        try {
+            localStorage.setItem(tripManager.getStorageKey(ALERTS_STORAGE_KEY), JSON.stringify(this.config));
+        } catch (error) {
+            Logger.error('🔔 Error saving budget alerts:', error);
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('budgetAlerts.updatedAt', this.config.updatedAt || new Date().toISOString());
+    }
+
+    // =================================================================
+    // 🎚️ TOPES Y UMBRALES
+    // =================================================================
+
+    getCaps() {
+        return this.config.caps;
+    }
+
+    getThresholds() {
+        return this.config.thresholds;
+    }
+
+    isNotifyEnabled() {
+        return this.config.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    }
+
+    /**
+     * ➕ AÑADIR TOPE
+     *
+     * @param {Object} cap - { scope, target, amount }
+     * @returns {Object} Tope creado
+     */
+    addCap({ scope, target = '', amount }) {
+        const cap = this.validateCap({ scope, target, amount });
+        if (this.config.caps.some(existing => existing.scope === cap.scope && existing.target === cap.target)) {
+            throw new Error('Ya hay un tope para ese ámbito');
+        }
+
+        cap.id = `cap-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+        this.config.caps.push(cap);
+        this.saveConfig();
+        this.scheduleEvaluation();
+        return cap;
+    }
+
+    /**
+     * ✏️ CAMBIAR IMPORTE DE UN TOPE
+     */
+    updateCapAmount(capId, amount) {
+        const cap = this.config.caps.find(existing => existing.id === capId);
+        if (!cap) return;
+
+        cap.amount = this.validateCap({ ...cap, amount }).amount;
+        this.saveConfig();
+        this.scheduleEvaluation();
+    }
+
+    /**
+     * 🗑️ QUITAR TOPE
+     */
+    removeCap(capId) {
+        this.config.caps = this.config.caps.filter(cap => cap.id !== capId);
+        Object.keys(this.config.fired)
+            .filter(key => key.startsWith(`${capId}|`))
+            .forEach(key => delete this.config.fired[key]);
+        this.saveConfig();
+    }
+
+    /**
+     * @private
+     */
+    validateCap({ scope, target, amount }) {
+        const value = parseFloat(amount);
+        if (!CAP_SCOPES[scope]) throw new Error('Ámbito de tope no válido');
+        if (scope !== 'day' && !target) throw new Error('Elige a qué se aplica el tope');
+        if (!Number.isFinite(value) || value <= 0) throw new Error('El tope debe ser mayor que 0');
+
+        return { scope, target: scope === 'day' ? '' : target, amount: Math.round(value * 100) / 100 };
+    }
+
+    /**
+     * 🎚️ CAMBIAR UMBRALES DE AVISO
+     *
+     * @param {Array<number>} thresholds - Porcentajes (1-500)
+     */
+    setThresholds(thresholds) {
+        const values = [...new Set(thresholds.map(value => parseInt(value)))]
+            .filter(value => Number.isFinite(value) && value > 0 && value <= 500)
+            .sort((a, b) => a - b);
+
+        if (values.length === 0) throw new Error('Indica al menos un umbral (por ejemplo 80, 100)');
+
+        this.config.thresholds = values;
+        this.saveConfig();
+        this.scheduleEvaluation();
+    }
+
+    /**
+     * 🔔 ACTIVAR/DESACTIVAR NOTIFICACIONES DEL SISTEMA
+     *
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>} Estado final (false si se deniega el permiso)
+     */
+    async setNotifyEnabled(enabled) {
+        let granted = false;
+        if (enabled && typeof Notification !== 'undefined') {
+            granted = Notification.permission === 'granted' || await Notification.requestPermission() === 'granted';
+        }
+
+        this.config.notify = granted;
+        this.saveConfig();
+        return granted;
+    }
+
+    /**
+     * 📋 CREAR TOPES A PARTIR DEL PRESUPUESTO
+     *
+     * Suma el presupuesto por categoría, país y fase del itinerario y
+     * añade los topes que aún no existan.
+     *
+     * @returns {number} Topes añadidos
+     */
+    createCapsFromBudget() {
+        const items = Object.values(tripConfig.budgetData?.budgetData || {}).flat();
+        const { countries, phases } = expenseImportExport.getFilterOptions([]);
+        const totals = {};
+
+        items.forEach(item => {
+            const targets = [
+                ['category', item.category],
+                ['country', countries.includes(item.country) ? item.country : null],
+                ['phase', phases.includes(item.phase) ? item.phase : null]
+            ];
+            targets.filter(([, target]) => target).forEach(([scope, target]) => {
+                const key = `${scope}|${target}`;
+                totals[key] = (totals[key] || 0) + (item.cost || 0);
+            });
+        });
+
+        let added = 0;
+        Object.entries(totals).forEach(([key, total]) => {
+            const [scope, target] = key.split('|');
+            if (total <= 0 || this.config.caps.some(cap => cap.scope === scope && cap.target === target)) return;
+
+            this.config.caps.push({
+                id: `cap-${Date.now()}-${added}`,
+                scope,
+                target,
+                amount: Math.round(total * 100) / 100
+            });
+            added++;
+        });
+
+        if (added > 0) {
+            this.saveConfig();
+            this.scheduleEvaluation();
+        }
+        return added;
+    }
+
+    // =================================================================
+    // 📊 ESTADO DE LOS TOPES
+    // =================================================================
+
+    /**
+     * 📊 GASTO ACTUAL DE UN TOPE
+     *
+     * @param {Object} cap - Tope
+     * @param {Array} expenses - Gastos del viaje
+     * @returns {Object} { cap, spent, percentage, periodKey }
+     */
+    getCapStatus(cap, expenses) {
+        // "Hoy" es el día del calendario del viajero, no el de UTC
+        const today = this.toLocalDateKey(new Date());
+        const matching = cap.scope === 'day'
+            ? expenses.filter(expense => expense.date && this.toLocalDateKey(new Date(expense.date)) === today)
+            : expenseImportExport.filterExpenses(expenses, {
+                category: { category: cap.target },
+                country: { country: cap.target },
+                phase: { phase: cap.target }
+            }[cap.scope]);
+
+        const spent = matching.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+
+        return {
+            cap,
+            spent,
+            percentage: cap.amount > 0 ? (spent / cap.amount) * 100 : 0,
+            // Los topes diarios se rearman cada día
+            periodKey: cap.scope === 'day' ? today : 'trip'
+        };
+    }
+
+    /**
+     * @private
+     */
+    toLocalDateKey(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+    }
+
+    /**
+     * 📊 ESTADO DE TODOS LOS TOPES
+     */
+    getStatuses(expenses = this.getExpenses()) {
+        return this.config.caps.map(cap => this.getCapStatus(cap, expenses));
+    }
+
+    /**
+     * 🏷️ Nombre legible de un tope
+     */
+    getCapLabel(cap) {
+        return cap.scope === 'day' ? 'Gasto diario' : `${CAP_SCOPES[cap.scope]}: ${cap.target}`;
+    }
+
+    // =================================================================
+    // 🔔 AVISOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    scheduleEvaluation() {
+        clearTimeout(this.evaluateTimer);
+        this.evaluateTimer = setTimeout(() => this.evaluate(), EVALUATE_DELAY);
+    }
+
+    /**
+     * 🔔 REVISAR TOPES Y AVISAR DE LOS UMBRALES CRUZADOS
+     *
+     * Solo se avisa una vez por tope, umbral y periodo; si varios umbrales
+     * se cruzan a la vez se avisa del más alto.
+     *
+     * @param {Array} expenses - Gastos del viaje
+     * @returns {Array} Avisos nuevos
+     */
+    evaluate(expenses = this.getExpenses()) {
+        const alerts = [];
+        let changed = false;
+
+        // Sin gastos cargados todavía: no rearmar avisos que volverían a saltar
+        if (expenses.length === 0) return alerts;
+
+        this.getStatuses(expenses).forEach(status => {
+            const crossed = [];
+
+            this.config.thresholds.forEach(threshold => {
+                const key = `${status.cap.id}|${threshold}|${status.periodKey}`;
+                if (status.percentage >= threshold) {
+                    if (!this.config.fired[key]) {
+                        this.config.fired[key] = true;
+                        crossed.push(threshold);
+                        changed = true;
+                    }
+                } else if (this.config.fired[key]) {
+                    // El gasto bajó (gasto borrado o tope ampliado): rearmar
+                    delete this.config.fired[key];
+                    changed = true;
+                }
+            });
+
+            if (crossed.length > 0) {
+                alerts.push(this.createAlert(status, Math.max(...crossed)));
+            }
+        });
+
+        if (alerts.length > 0) {
+            this.config.log = [...alerts.reverse(), ...this.config.log].slice(0, LOG_LIMIT);
+        }
+        if (changed) {
+            this.saveConfig();
+        }
+
+        alerts.forEach(alert => this.deliver(alert));
+        return alerts;
+    }
+
+    /**
+     * @private
+     */
+    createAlert(status, threshold) {
+        const currency = (tripConfig.trip && tripConfig.trip.currency) || 'EUR';
+        const label = this.getCapLabel(status.cap);
+        const spent = currencyConverter.format(status.spent, currency);
+        const amount = currencyConverter.format(status.cap.amount, currency);
+        const message = threshold >= 100
+            ? `${label}: tope superado (${spent} de ${amount})`
+            : `${label}: ${Math.round(status.percentage)}% del tope (${spent} de ${amount})`;
+
+        return {
+            id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+            capId: status.cap.id,
+            threshold,
+            spent: status.spent,
+            amount: status.cap.amount,
+            periodKey: status.periodKey,
+            level: threshold >= 100 ? 'error' : 'warning',
+            message,
+            date: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 📣 Toast en la app y notificación del sistema vía Service Worker
+     * @private
+     */
+    deliver(alert) {
+        Logger.budget(`🔔 ${alert.message}`);
+
+        const exceeded = alert.level === 'error';
+        deliverNotification({
+            message: `${exceeded ? '🚨' : '⚠️'} ${alert.message}`,
+            level: alert.level,
+            notify: this.isNotifyEnabled(),
+            notification: {
+                title: exceeded ? '🚨 Tope de gasto superado' : '⚠️ Aviso de presupuesto',
+                body: alert.message,
+                tag: `budget-${alert.capId}`
+            }
+        });
+    }
+
+    /**
+     * 📜 HISTORIAL DE AVISOS (más reciente primero)
+     */
+    getLog() {
+        return this.config.log;
+    }
+
+    clearLog() {
+        this.config.log = [];
+        this.saveConfig();
+    }
+
+    /**
+     * @private
+     */
+    getExpenses() {
+        return stateManager.getState('expenses') || [];
+    }
+}
+
+const budgetAlertManager = new BudgetAlertManager();
+
+export { BudgetAlertManager };
+export default budgetAlertManager;
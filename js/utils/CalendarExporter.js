@@ -0,0 +1,310 @@
+/**
+ * 📅 CALENDAR EXPORTER - ITINERARIO EN ICALENDAR (.ics)
+ *
+ * Genera un calendario RFC 5545 con:
+ * - Un evento de día completo por cada día del itinerario
+ * - Un evento por tramo de vuelo, en UTC para que cada calendario lo
+ *   muestre a su hora local, con las horas locales de cada aeropuerto en
+ *   la descripción
+ * - El check-in y el check-out de cada reserva de hotel
+ *
+ * Los UID llevan el ID del viaje: los días de todos los viajes creados se
+ * llaman day-1, day-2... y dos calendarios suscritos no deben pisarse.
+ *
+ * Los lugares y coordenadas van en LOCATION y GEO. No incluye códigos de
+ * confirmación ni PIN de las reservas (están en la cartera de documentos).
+ *
+ * No depende del navegador (ni de Logger) para que server.js pueda servir
+ * el mismo calendario como feed suscribible.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import { DateUtils } from './DateUtils.js';
+import { AIRPORTS } from '../config/airportsConfig.js';
+
+const PRODUCT_ID = '-//Viaje Himalaya//Itinerario//ES';
+const UID_DOMAIN = 'viaje-himalaya';
+
+export class CalendarExporter {
+    /**
+     * 📅 GENERAR CALENDARIO
+     *
+     * @param {Object} config - tripConfig del viaje
+     * @param {Object} options - { tripId, now: Date } (now fija el DTSTAMP, para pruebas)
+     * @returns {string} Contenido .ics (líneas CRLF plegadas a 75 octetos)
+     */
+    generate(config, { tripId = null, now = new Date() } = {}) {
+        const stamp = this.formatUTC(now);
+        const uidPrefix = tripId || this.getFileName(config).replace(/\.ics$/, '');
+        const events = [
+            ...this.buildItineraryEvents(config),
+            ...this.buildFlightEvents(config),
+            ...this.buildHotelEvents(config)
+        ];
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(config.trip?.name || 'Viaje')}`,
+            ...events.flatMap(event => this.buildEventLines({ ...event, uid: `${uidPrefix}-${event.uid}` }, stamp)),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Nombre de fichero para el calendario (p. ej. "viaje-himalaya.ics")
+     *
+     * @param {Object} config - tripConfig del viaje
+     */
+    getFileName(config) {
+        const slug = (config.trip?.name || 'viaje')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `${slug || 'viaje'}.ics`;
+    }
+
+    // =================================================================
+    // 🗓️ EVENTOS
+    // =================================================================
+
+    /**
+     * @private
+     */
+    buildItineraryEvents(config) {
+        const start = this.getTripStartKey(config);
+        if (!start) return [];
+
+        return (config.itinerary || []).map((day, index) => {
+            const coords = day.coords || day.places?.find(place => place.coords)?.coords || null;
+            const places = (day.places || []).map(place => `• ${place.name}`);
+
+            return {
+                uid: day.id || `day-${index + 1}`,
+                allDay: true,
+                start: this.addDays(start, index),
+                end: this.addDays(start, index + 1),
+                summary: `Día ${index + 1}: ${day.title || day.location || ''}`.trim(),
+                location: [day.location, day.country].filter(Boolean).join(', '),
+                geo: coords,
+                description: [
+                    day.planA,
+                    places.length > 0 ? `Lugares:\n${places.join('\n')}` : null,
+                    day.accommodation ? `Alojamiento: ${day.accommodation}` : null
+                ].filter(Boolean).join('\n\n')
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    buildFlightEvents(config) {
+        return (config.flights || []).flatMap(flight => (flight.segments || []).map(segment => {
+            const departure = segment.departure ? new Date(segment.departure) : null;
+            const arrival = segment.arrival ? new Date(segment.arrival) : null;
+            if (!departure || !arrival || isNaN(departure) || isNaN(arrival)) return null;
+
+            const from = this.getAirport(segment.from, segment.departureTimeZone);
+            const to = this.getAirport(segment.to, segment.arrivalTimeZone);
+
+            return {
+                uid: `flight-${segment.from}-${segment.to}-${this.formatUTC(departure)}`,
+                start: departure,
+                end: arrival,
+                summary: `✈️ ${segment.from} → ${segment.to}${flight.airline ? ` (${flight.airline})` : ''}`,
+                location: `${from.name} (${segment.from})`,
+                geo: this.findAirportCoords(config, segment.from),
+                description: [
+                    flight.title,
+                    `Salida: ${DateUtils.formatInTimeZone(departure, from.timeZone)} hora de ${from.city}`,
+                    `Llegada: ${DateUtils.formatInTimeZone(arrival, to.timeZone)} hora de ${to.city}`,
+                    `Duración: ${DateUtils.formatDuration((arrival - departure) / 60000)}`
+                ].filter(Boolean).join('\n')
+            };
+        }).filter(Boolean));
+    }
+
+    /**
+     * @private
+     */
+    buildHotelEvents(config) {
+        return (config.accommodations || []).flatMap(hotel => (hotel.reservations || []).flatMap(reservation => {
+            const location = [hotel.name, hotel.location, hotel.country].filter(Boolean).join(', ');
+            const description = [
+                reservation.roomType,
+                reservation.nights ? `${reservation.nights} noches` : null,
+                hotel.contact?.phone ? `Tel. ${hotel.contact.phone}` : null
+            ].filter(Boolean).join(' · ');
+
+            const events = [];
+            if (reservation.checkIn) {
+                events.push({
+                    uid: `checkin-${reservation.id}`,
+                    allDay: true,
+                    start: reservation.checkIn,
+                    end: this.addDays(reservation.checkIn, 1),
+                    summary: `🏨 Check-in: ${hotel.name}`,
+                    location,
+                    geo: hotel.coordinates || null,
+                    description
+                });
+            }
+            if (reservation.checkOut) {
+                events.push({
+                    uid: `checkout-${reservation.id}`,
+                    allDay: true,
+                    start: reservation.checkOut,
+                    end: this.addDays(reservation.checkOut, 1),
+                    summary: `🏨 Check-out: ${hotel.name}`,
+                    location,
+                    geo: hotel.coordinates || null,
+                    description
+                });
+            }
+            return events;
+        }));
+    }
+
+    /**
+     * @private
+     */
+    buildEventLines(event, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}@${UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`
+        ];
+
+        if (event.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${event.start.replace(/-/g, '')}`);
+            lines.push(`DTEND;VALUE=DATE:${event.end.replace(/-/g, '')}`);
+            lines.push('TRANSP:TRANSPARENT');
+        } else {
+            lines.push(`DTSTART:${this.formatUTC(event.start)}`);
+            lines.push(`DTEND:${this.formatUTC(event.end)}`);
+        }
+
+        lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+        if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        if (event.geo) lines.push(`GEO:${event.geo[0]};${event.geo[1]}`);
+        if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        lines.push('END:VEVENT');
+
+        return lines;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * Primer día del viaje (YYYY-MM-DD): salida del primer vuelo en la hora
+     * de su aeropuerto o, si no hay vuelos, `trip.startDate`
+     *
+     * @private
+     */
+    getTripStartKey(config) {
+        const first = (config.flights || [])
+            .flatMap(flight => flight.segments || [])
+            .filter(segment => segment.departure && !isNaN(new Date(segment.departure)))
+            .sort((a, b) => new Date(a.departure) - new Date(b.departure))[0];
+
+        if (first) {
+            const { year, month, day } = DateUtils.getZonedParts(new Date(first.departure), this.getAirport(first.from, first.departureTimeZone).timeZone);
+            return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        }
+
+        return config.trip?.startDate || null;
+    }
+
+    /**
+     * @private
+     */
+    getAirport(code, timeZone) {
+        const airport = AIRPORTS[code] || {};
+        return {
+            name: airport.name || code,
+            city: airport.city || code,
+            timeZone: timeZone || airport.timeZone || 'UTC'
+        };
+    }
+
+    /**
+     * Coordenadas de un aeropuerto a partir de los lugares del itinerario
+     * que lo nombran (p. ej. "Aeropuerto Internacional Tribhuvan (KTM)")
+     *
+     * @private
+     */
+    findAirportCoords(config, code) {
+        const place = (config.itinerary || [])
+            .flatMap(day => day.places || [])
+            .find(p => p.coords && p.name && p.name.includes(`(${code})`));
+        return place ? place.coords : null;
+    }
+
+    /**
+     * YYYY-MM-DD + n días (en calendario, sin horas ni cambios de hora)
+     *
+     * @private
+     */
+    addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    }
+
+    /**
+     * @private
+     */
+    formatUTC(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * @private
+     */
+    escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Pliega una línea a 75 octetos sin partir caracteres UTF-8
+     *
+     * @private
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (size + charSize > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+// Crear instancia singleton
+export const calendarExporter = new CalendarExporter();
@@ -199,4 +199,32 @@ export function getAllCategories(type = 'budget') {
     return categories[type] || [];
 }
 
+/**
+ * 🔎 SUGERIR CATEGORÍA DE GASTO
+ * Deduce la categoría a partir de un texto libre (comercio o ticket escaneado)
+ *
+ * @param {string} text - Texto del comercio o del ticket
+ * @param {Array<string>} available - Categorías entre las que elegir (por defecto todas)
+ * @returns {string} Categoría sugerida
+ */
+export function suggestBudgetCategory(text, available = getAllCategories('budget')) {
+    const keywords = [
+        ['Vuelos', ['airlines', 'airways', 'druk air', 'bhutan airlines', 'buddha air', 'yeti airlines', 'boarding', 'flight', 'vuelo']],
+        ['Alojamiento', ['hotel', 'lodge', 'guest house', 'guesthouse', 'resort', 'homestay', 'hostel', 'inn', 'farmhouse', 'alojamiento']],
+        ['Comida y Bebida', ['restaurant', 'restaurante', 'cafe', 'café', 'coffee', 'bakery', 'kitchen', 'momo', 'bar', 'pub', 'food', 'tea house', 'dining', 'pizza', 'comida']],
+        ['Entradas y Visados', ['entry', 'entrance', 'permit', 'visa', 'ticket', 'museum', 'temple', 'dzong', 'stupa', 'national park', 'conservation', 'entrada', 'visado']],
+        ['Transporte', ['taxi', 'bus', 'jeep', 'transport', 'travels', 'petrol', 'fuel', 'parking', 'rickshaw', 'transporte']],
+        ['Tour', ['tour', 'trek', 'trekking', 'guide', 'rafting', 'excursion', 'excursión']],
+        ['Compras', ['shop', 'store', 'mart', 'supermarket', 'handicraft', 'souvenir', 'emporium', 'tienda']]
+    ];
+
+    const normalized = ` ${(text || '').toLowerCase().replace(/[^a-z0-9áéíóúñ]+/g, ' ')} `;
+    const match = keywords.find(([category, words]) =>
+        available.includes(category) && words.some(word => normalized.includes(` ${word} `))
+    );
+
+    if (match) return match[0];
+    return available.includes('Varios') ? 'Varios' : available[0];
+}
+
 Logger.debug('📦 CategoryUtils module loaded');
@@ -0,0 +1,546 @@
+/**
+ * ConflictResolver - Conflictos de Edición entre Dispositivos
+ *
+ * Cada gasto lleva un número de revisión (`revision`) que sube con cada
+ * edición. Al editar, el dispositivo envía la revisión siguiente a la que
+ * conocía; si el backend ya tiene esa revisión (u otra posterior) escrita
+ * por otro dispositivo, la escritura se rechaza con un error
+ * 'revision-conflict' (ver assertRevision) en vez de pisar el cambio ajeno.
+ *
+ * Para resolverlo se compara campo a campo la versión base (la última que
+ * este dispositivo vio del backend), la nuestra y la del otro dispositivo:
+ * - Si cada uno cambió campos distintos, se combinan sin preguntar
+ * - Si los dos cambiaron el mismo campo a valores distintos, ConflictDialog
+ *   muestra las dos versiones: quedarme con la mía, con la suya o combinar
+ *
+ * El listener en tiempo real detecta lo mismo cuando llega una revisión
+ * ajena de un gasto con cambios pendientes (p. ej. editado sin conexión).
+ * PackingListManager usa el diálogo para sus items (revisión por item).
+ *
+ * Estado por viaje en localStorage:
+ * - `expenseRevisionsV1`: { id: { revision, data } } última versión vista del backend
+ * - `expensePendingEditsV1`: { id: { baseRevision, changes } } ediciones sin confirmar
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import expenseSplitManager from './ExpenseSplitManager.js';
+import { FormatUtils } from './FormatUtils.js';
+import { conflictDialog } from '../components/ConflictDialog.js';
+
+const REVISIONS_STORAGE_KEY = 'expenseRevisionsV1';
+const PENDING_STORAGE_KEY = 'expensePendingEditsV1';
+
+export const REVISION_CONFLICT = 'revision-conflict';
+
+// Campos que no edita el usuario y no se comparan
+const METADATA_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt', 'deviceId', 'isOptimistic'];
+
+// Campos que se muestran y se eligen juntos en el diálogo
+const EXPENSE_FIELD_GROUPS = [
+    { key: 'concept', label: 'Concepto', fields: ['concept'] },
+    { key: 'amount', label: 'Importe', fields: ['amount', 'originalAmount', 'originalCurrency', 'exchangeRate', 'rateDate', 'rateSource'] },
+    { key: 'category', label: 'Categoría', fields: ['category'] },
+    { key: 'date', label: 'Fecha', fields: ['date'] },
+    { key: 'split', label: 'Reparto', fields: ['paidBy', 'split'] }
+];
+
+// Campos que se combinan solos aunque los hayan cambiado los dos
+const FIELD_MERGERS = {
+    // Fotos de tickets: unión por ID, sin las que borró este dispositivo
+    receipts: (base, mine, theirs) => {
+        const removed = new Set((base || []).filter(r => !(mine || []).some(m => m.id === r.id)).map(r => r.id));
+        return [...(theirs || []), ...(mine || []).filter(r => !(theirs || []).some(t => t.id === r.id))]
+            .filter(receipt => !removed.has(receipt.id));
+    }
+};
+
+/**
+ * Error de escritura rechazada por una revisión ajena más nueva
+ * (mismo estilo que los errores de Firebase: se distingue por `code`)
+ */
+export function createRevisionConflict(expenseId, remote) {
+    return Object.assign(new Error(`Expense ${expenseId} was changed on another device`), {
+        code: REVISION_CONFLICT,
+        expenseId,
+        remote
+    });
+}
+
+export function isRevisionConflict(error) {
+    return !!error && error.code === REVISION_CONFLICT;
+}
+
+/**
+ * Comprueba que una edición con `revision` se puede escribir sobre `stored`
+ *
+ * Se rechaza si el backend ya tiene esa revisión o una posterior, salvo que
+ * sea la misma revisión escrita por este dispositivo (dos ediciones seguidas
+ * antes de recibir la confirmación de la primera).
+ *
+ * @throws {Error} 'revision-conflict' con el gasto guardado en `remote`
+ */
+export function assertRevision(expenseId, stored, updates, deviceId) {
+    if (!stored || !updates || updates.revision === undefined) return;
+
+    const storedRevision = stored.revision || 0;
+    const ownRewrite = storedRevision === updates.revision && stored.deviceId === deviceId;
+    if (storedRevision >= updates.revision && !ownRewrite) {
+        throw createRevisionConflict(expenseId, stored);
+    }
+}
+
+export class ConflictResolver {
+    constructor() {
+        this.storage = null;
+
+        // Se llama con el gasto resuelto para actualizar estado y UI
+        this.onExpenseResolved = null;
+
+        // expenseId → Promise de la resolución en curso
+        this.resolving = new Map();
+
+        // Los diálogos se muestran de uno en uno
+        this.dialogQueue = Promise.resolve();
+
+        this.load();
+
+        // 🧳 Cada viaje tiene sus revisiones
+        stateManager.subscribe('trip.activeTripId', () => this.load());
+
+        Logger.init('⚖️ ConflictResolver initialized');
+    }
+
+    /**
+     * 🔌 Backend donde se reescriben los gastos resueltos
+     */
+    connect(storage) {
+        this.storage = storage;
+    }
+
+    // =================================================================
+    // 💰 GASTOS
+    // =================================================================
+
+    /**
+     * ✏️ GUARDAR EDICIÓN de un gasto con control de revisiones
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {Object} updates - Campos editados
+     * @returns {Promise} Resultado de updateExpense (o de resolver el conflicto)
+     */
+    async saveExpenseUpdate(expenseId, updates) {
+        try {
+            return await this.storage.updateExpense(expenseId, this.stampExpenseUpdate(expenseId, updates));
+        } catch (error) {
+            if (isRevisionConflict(error)) {
+                return this.handleExpenseConflict(error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 🏷️ Registra una edición pendiente y le pone la revisión siguiente
+     *
+     * Las ediciones que se hacen antes de confirmar la anterior comparten
+     * revisión base, así que se acumulan en el mismo registro.
+     *
+     * @returns {Object} Cambios con `revision`
+     */
+    stampExpenseUpdate(expenseId, updates) {
+        const { revision, ...changes } = updates;
+        const pending = this.pendingEdits[expenseId];
+        const baseRevision = pending ? pending.baseRevision : this.getKnownRevision(expenseId);
+
+        this.pendingEdits[expenseId] = { baseRevision, changes: { ...pending?.changes, ...changes } };
+        this.save();
+
+        return { ...changes, revision: baseRevision + 1 };
+    }
+
+    /**
+     * ✅ Una edición llegó al backend
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {Object} updates - Cambios escritos (con `revision`)
+     */
+    confirmExpenseUpdate(expenseId, updates) {
+        if (!updates || updates.revision === undefined) return;
+
+        const known = this.revisions[expenseId];
+        if (!known || known.revision <= updates.revision) {
+            this.revisions[expenseId] = { revision: updates.revision, data: { ...known?.data, ...this.pickFields(updates) } };
+        }
+
+        // Si hubo otra edición después, sigue pendiente hasta que llegue también
+        const pending = this.pendingEdits[expenseId];
+        if (pending && updates.revision > pending.baseRevision && this.containsChanges(updates, pending.changes)) {
+            delete this.pendingEdits[expenseId];
+        }
+        this.save();
+    }
+
+    /**
+     * 📥 RECONCILIAR lo que llega del listener en tiempo real
+     *
+     * Guarda cada gasto como versión base y, si tiene cambios pendientes,
+     * los mantiene encima (la escritura aún no ha llegado) o lanza la
+     * resolución si otro dispositivo escribió una revisión más nueva.
+     *
+     * @param {Array} expenses - Gastos del backend
+     * @returns {Array} Gastos a mostrar
+     */
+    reconcileRemoteExpenses(expenses) {
+        const deviceId = this.storage?.getDeviceId();
+
+        const reconciled = expenses.map(remote => {
+            const revision = remote.revision || 0;
+            const pending = this.pendingEdits[remote.id];
+
+            if (!pending) {
+                // Los avisos de RealtimeSync pueden traer solo parte del gasto
+                const known = this.revisions[remote.id];
+                this.revisions[remote.id] = { revision, data: { ...known?.data, ...this.pickFields(remote) } };
+                return remote;
+            }
+
+            if (revision > pending.baseRevision) {
+                // Nuestra escritura ya está en el backend
+                if (this.containsChanges(remote, pending.changes)) {
+                    delete this.pendingEdits[remote.id];
+                    this.revisions[remote.id] = { revision, data: this.pickFields(remote) };
+                    return remote;
+                }
+                if (remote.deviceId !== deviceId) {
+                    this.resolveExpenseConflict(remote.id, remote);
+                }
+            }
+
+            // Mientras tanto se muestran los cambios de este dispositivo
+            return { ...remote, ...pending.changes };
+        });
+
+        this.save();
+        return reconciled;
+    }
+
+    /**
+     * ⚠️ Escritura rechazada por assertRevision
+     *
+     * Si ya no hay cambios pendientes, o el gasto guardado no es más nuevo
+     * que la base de los pendientes, la escritura era antigua (p. ej. de
+     * una cola sin conexión ya resuelta) y se descarta.
+     *
+     * @param {Error} error - Error 'revision-conflict'
+     */
+    async handleExpenseConflict(error) {
+        const { expenseId, remote } = error;
+        const pending = this.pendingEdits[expenseId];
+
+        if (!pending || (remote.revision || 0) <= pending.baseRevision) {
+            Logger.warning(`⚖️ Stale update of expense ${expenseId} discarded`);
+            return false;
+        }
+
+        return this.resolveExpenseConflict(expenseId, remote);
+    }
+
+    /**
+     * Una sola resolución por gasto a la vez
+     *
+     * @private
+     */
+    resolveExpenseConflict(expenseId, remote) {
+        if (!this.resolving.has(expenseId)) {
+            const resolution = this.enqueue(() => this.resolveExpense(expenseId, remote))
+                .catch(error => {
+                    Logger.error(`⚖️ Error resolving conflict of expense ${expenseId}:`, error);
+                    return false;
+                })
+                .finally(() => this.resolving.delete(expenseId));
+            this.resolving.set(expenseId, resolution);
+        }
+        return this.resolving.get(expenseId);
+    }
+
+    /**
+     * ⚖️ RESOLVER: combinar solo o preguntar, y reescribir el resultado
+     *
+     * @private
+     */
+    async resolveExpense(expenseId, remote) {
+        const pending = this.pendingEdits[expenseId];
+        if (!pending) return false;
+
+        const remoteRevision = remote.revision || 0;
+        const base = this.revisions[expenseId]?.data || null;
+        const { merged, conflicts } = this.mergeFields(base, pending.changes, remote);
+
+        let changes = merged;
+        if (conflicts.length > 0) {
+            const decision = await conflictDialog.open({
+                title: `Conflicto en "${remote.concept || pending.changes.concept || 'gasto'}"`,
+                description: 'Este gasto se editó a la vez en otro dispositivo.',
+                rows: this.buildExpenseRows(pending.changes, remote, conflicts)
+            });
+
+            if (decision.choice === 'theirs') {
+                delete this.pendingEdits[expenseId];
+                this.revisions[expenseId] = { revision: remoteRevision, data: this.pickFields(remote) };
+                this.save();
+                this.notifyExpenseResolved(remote);
+                return false;
+            }
+
+            const picks = decision.choice === 'merge'
+                ? decision.picks
+                : Object.fromEntries(EXPENSE_FIELD_GROUPS.map(group => [group.key, 'mine']));
+            changes = this.applyPicks(merged, pending.changes, conflicts, picks);
+        } else {
+            Logger.data(`⚖️ Expense ${expenseId} edited on two devices: changes merged automatically`);
+        }
+
+        // Solo se reescribe lo que difiere de la versión del otro dispositivo
+        const toWrite = Object.fromEntries(
+            Object.entries(changes).filter(([field, value]) => !this.isEqual(remote[field], value))
+        );
+
+        this.revisions[expenseId] = { revision: remoteRevision, data: this.pickFields(remote) };
+        if (Object.keys(toWrite).length === 0) {
+            delete this.pendingEdits[expenseId];
+            this.save();
+            this.notifyExpenseResolved(remote);
+            return true;
+        }
+
+        this.pendingEdits[expenseId] = { baseRevision: remoteRevision, changes: toWrite };
+        this.save();
+        this.notifyExpenseResolved({ ...remote, ...toWrite });
+
+        try {
+            return await this.storage.updateExpense(expenseId, { ...toWrite, revision: remoteRevision + 1 });
+        } catch (error) {
+            // Otro dispositivo volvió a escribir mientras se decidía
+            if (isRevisionConflict(error) && (error.remote.revision || 0) > remoteRevision) {
+                return this.resolveExpense(expenseId, error.remote);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 🔀 Combinación a tres bandas de los campos editados
+     *
+     * @param {Object|null} base - Última versión vista del backend
+     * @param {Object} mine - Cambios pendientes de este dispositivo
+     * @param {Object} theirs - Versión del otro dispositivo
+     * @returns {Object} { merged: cambios sin conflicto, conflicts: [campos] }
+     */
+    mergeFields(base, mine, theirs) {
+        const merged = {};
+        const conflicts = [];
+
+        Object.entries(mine).forEach(([field, value]) => {
+            if (this.isEqual(theirs[field], value)) return;
+
+            // El otro dispositivo no tocó este campo: vale el nuestro
+            const theirsChanged = !base || !this.isEqual(theirs[field], base[field]);
+            if (!theirsChanged) {
+                merged[field] = value;
+            } else if (FIELD_MERGERS[field]) {
+                merged[field] = FIELD_MERGERS[field](base?.[field], value, theirs[field]);
+            } else {
+                conflicts.push(field);
+            }
+        });
+
+        return { merged, conflicts };
+    }
+
+    /**
+     * Cambios finales según las filas elegidas en el diálogo
+     *
+     * Cada grupo de campos se queda entero de una versión, para no mezclar
+     * p. ej. el importe de una con el tipo de cambio de la otra.
+     *
+     * @private
+     */
+    applyPicks(merged, mine, conflicts, picks) {
+        const changes = { ...merged };
+
+        this.getFieldGroups(Object.keys(mine)).forEach(group => {
+            if (picks[group.key] === 'theirs') {
+                group.fields.forEach(field => delete changes[field]);
+            } else {
+                group.fields
+                    .filter(field => conflicts.includes(field))
+                    .forEach(field => { changes[field] = mine[field]; });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Filas del diálogo: una por grupo de campos que difiere
+     *
+     * @private
+     */
+    buildExpenseRows(mine, theirs, conflicts) {
+        const mineVersion = { ...theirs, ...mine };
+
+        return this.getFieldGroups(Object.keys(mine))
+            .filter(group => group.fields.some(field => field in mine && !this.isEqual(theirs[field], mine[field])))
+            .map(group => ({
+                key: group.key,
+                label: group.label,
+                mine: this.formatExpenseGroup(group, mineVersion),
+                theirs: this.formatExpenseGroup(group, theirs),
+                conflict: group.fields.some(field => conflicts.includes(field))
+            }));
+    }
+
+    /**
+     * Grupos conocidos más uno por cada campo que no está en ninguno
+     *
+     * @private
+     */
+    getFieldGroups(fields) {
+        const known = EXPENSE_FIELD_GROUPS.flatMap(group => group.fields);
+        const extra = fields
+            .filter(field => !known.includes(field) && !METADATA_FIELDS.includes(field))
+            .map(field => ({ key: field, label: field, fields: [field] }));
+
+        return [...EXPENSE_FIELD_GROUPS, ...extra];
+    }
+
+    /**
+     * @private
+     */
+    formatExpenseGroup(group, expense) {
+        switch (group.key) {
+            case 'amount':
+                return expense.originalCurrency && expense.originalAmount !== undefined
+                    ? `${FormatUtils.formatNumber(expense.originalAmount)} ${expense.originalCurrency}`
+                    : FormatUtils.formatCurrency(expense.amount || 0);
+            case 'date':
+                return expense.date ? FormatUtils.formatShortDate(new Date(expense.date)) : '—';
+            case 'split':
+                if (!expense.paidBy) return 'Sin repartir';
+                return `Paga ${expenseSplitManager.getTravelerName(expense.paidBy)}, entre ${expense.split?.among?.length || 0}`;
+            case 'receipts':
+                return `${(expense.receipts || []).length} fotos`;
+            default: {
+                const value = expense[group.fields[0]];
+                return value === undefined || value === null ? '—' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    notifyExpenseResolved(expense) {
+        if (this.onExpenseResolved) {
+            this.onExpenseResolved(expense);
+        }
+    }
+
+    /**
+     * @private
+     */
+    getKnownRevision(expenseId) {
+        if (this.revisions[expenseId]) return this.revisions[expenseId].revision;
+
+        const expense = (stateManager.getState('expenses') || []).find(e => e.id === expenseId);
+        return expense?.revision || 0;
+    }
+
+    // =================================================================
+    // 🪟 DIÁLOGO
+    // =================================================================
+
+    /**
+     * ⚖️ PREGUNTAR al usuario (en cola, un diálogo cada vez)
+     *
+     * @param {Object} options - Ver ConflictDialog.open
+     * @returns {Promise<Object>} { choice, picks }
+     */
+    ask(options) {
+        return this.enqueue(() => conflictDialog.open(options));
+    }
+
+    /**
+     * @private
+     */
+    enqueue(task) {
+        const run = this.dialogQueue.then(task);
+        this.dialogQueue = run.catch(() => {});
+        return run;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * Comprueba si `target` ya tiene todos los valores de `changes`
+     */
+    containsChanges(target, changes) {
+        return Object.entries(changes).every(([field, value]) => this.isEqual(target[field], value));
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    /**
+     * @private
+     */
+    pickFields(expense) {
+        return Object.fromEntries(Object.entries(expense).filter(([field]) => !METADATA_FIELDS.includes(field)));
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        this.revisions = this.readJSON(REVISIONS_STORAGE_KEY);
+        this.pendingEdits = this.readJSON(PENDING_STORAGE_KEY);
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(REVISIONS_STORAGE_KEY), JSON.stringify(this.revisions));
+            localStorage.setItem(tripManager.getStorageKey(PENDING_STORAGE_KEY), JSON.stringify(this.pendingEdits));
+        } catch (error) {
+            Logger.error('⚖️ Error saving expense revisions:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    readJSON(baseKey) {
+        try {
+            return JSON.parse(localStorage.getItem(tripManager.getStorageKey(baseKey)) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+// Crear instancia singleton
+const conflictResolver = new ConflictResolver();
+
+export { conflictResolver };
+export default conflictResolver;
@@ -1,8 +1,9 @@
 /**
  * 💱 CURRENCY CONVERTER - CONVERSIÓN DE MONEDAS EN TIEMPO REAL
  * 
- * Convierte entre NPR (Rupia Nepalí), BTN (Ngultrum Butanés) y EUR (Euro)
+ * Convierte entre NPR (Rupia Nepalí), BTN (Ngultrum Butanés), USD (Dólar) y EUR (Euro)
  * Actualiza tasas automáticamente y funciona offline con caché
+ * Tasas históricas por fecha (para gastos) cacheadas en localStorage
  * 
  * @author David Ferrer Figueroa
  * @version 1.0.0
@@ -11,13 +12,16 @@
 
 import Logger from './Logger.js';
 
+// Tasas aproximadas por defecto (1 EUR = X)
+const DEFAULT_EUR_RATES = { NPR: 133.33, BTN: 119.05, USD: 1.08 };
+const HISTORICAL_CACHE_KEY = 'currency_historical_rates';
+const HISTORICAL_API_URL = 'https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@{date}/v1/currencies/eur.json';
+const HISTORICAL_FALLBACK_URL = 'https://{date}.currency-api.pages.dev/v1/currencies/eur.json';
+
 export class CurrencyConverter {
     constructor() {
-        this.rates = {
-            NPR: { EUR: 0.0075, BTN: 0.89 }, // Rupia Nepalí
-            BTN: { EUR: 0.0084, NPR: 1.12 }, // Ngultrum Butanés
-            EUR: { NPR: 133.33, BTN: 119.05 } // Euro
-        };
+        this.currencies = ['EUR', 'NPR', 'BTN', 'USD'];
+        this.rates = this.buildRateMatrix(DEFAULT_EUR_RATES);
         
         this.lastUpdate = null;
         this.updateInterval = 6 * 60 * 60 * 1000; // 6 horas
@@ -38,10 +42,12 @@ export class CurrencyConverter {
             const lastUpdate = localStorage.getItem('currency_last_update');
             
             if (cached && lastUpdate) {
-                this.rates = JSON.parse(cached);
+                // Reconstruir la matriz por si la caché no incluye todas las monedas
+                const cachedRates = JSON.parse(cached);
+                this.rates = this.buildRateMatrix({ ...DEFAULT_EUR_RATES, ...cachedRates.EUR });
                 this.lastUpdate = parseInt(lastUpdate);
                 
-                Logger.info('Loaded cached currency rates');
+                Logger.data('Loaded cached currency rates');
                 
                 // Actualizar si han pasado más de 6 horas
                 if (Date.now() - this.lastUpdate > this.updateInterval) {
@@ -72,17 +78,12 @@ export class CurrencyConverter {
             
             const data = await response.json();
             
-            // Actualizar tasas basadas en EUR
-            this.rates.EUR.NPR = data.rates.NPR || 133.33;
-            this.rates.EUR.BTN = data.rates.BTN || 119.05;
-            
-            // Calcular tasas inversas
-            this.rates.NPR.EUR = 1 / this.rates.EUR.NPR;
-            this.rates.BTN.EUR = 1 / this.rates.EUR.BTN;
-            
-            // Calcular NPR ↔ BTN (vía EUR)
-            this.rates.NPR.BTN = this.rates.NPR.EUR * this.rates.EUR.BTN;
-            this.rates.BTN.NPR = this.rates.BTN.EUR * this.rates.EUR.NPR;
+            // Actualizar tasas basadas en EUR (inversas y cruzadas vía EUR)
+            this.rates = this.buildRateMatrix({
+                NPR: data.rates.NPR || DEFAULT_EUR_RATES.NPR,
+                BTN: data.rates.BTN || DEFAULT_EUR_RATES.BTN,
+                USD: data.rates.USD || DEFAULT_EUR_RATES.USD
+            });
             
             // Guardar en caché
             this.lastUpdate = Date.now();
@@ -95,14 +96,31 @@ export class CurrencyConverter {
             Logger.warning('Failed to update currency rates', error);
             
             // Fallback: usar tasas aproximadas fijas
-            this.rates = {
-                NPR: { EUR: 0.0075, BTN: 0.89 },
-                BTN: { EUR: 0.0084, NPR: 1.12 },
-                EUR: { NPR: 133.33, BTN: 119.05 }
-            };
+            this.rates = this.buildRateMatrix(DEFAULT_EUR_RATES);
         }
     }
     
+    /**
+     * Construye la matriz de tasas a partir de las tasas respecto al EUR
+     * @param {object} eurRates - Tasas 1 EUR = X ({ NPR, BTN, USD })
+     * @returns {object} Matriz rates[from][to]
+     */
+    buildRateMatrix(eurRates) {
+        const perEur = { ...eurRates, EUR: 1 };
+        const matrix = {};
+        
+        this.currencies.forEach(from => {
+            matrix[from] = {};
+            this.currencies.forEach(to => {
+                if (from !== to && perEur[from] && perEur[to]) {
+                    matrix[from][to] = perEur[to] / perEur[from];
+                }
+            });
+        });
+        
+        return matrix;
+    }
+    
     scheduleUpdates() {
         // Actualizar cada 6 horas
         setInterval(() => {
@@ -111,7 +129,7 @@ export class CurrencyConverter {
         
         // Actualizar cuando se recupere la conexión
         window.addEventListener('online', () => {
-            Logger.info('Connection restored - updating currency rates');
+            Logger.data('Connection restored - updating currency rates');
             this.updateRates();
         });
     }
@@ -151,6 +169,7 @@ export class CurrencyConverter {
         const symbols = {
             NPR: '₨',
             BTN: 'Nu.',
+            USD: '$',
             EUR: '€'
         };
         
@@ -174,10 +193,9 @@ export class CurrencyConverter {
      * @returns {object} Objeto con todas las conversiones
      */
     convertAll(amount, from) {
-        const currencies = ['NPR', 'BTN', 'EUR'];
         const result = {};
         
-        currencies.forEach(to => {
+        this.currencies.forEach(to => {
             if (to !== from.toUpperCase()) {
                 const converted = this.convert(amount, from, to);
                 result[to] = {
@@ -205,6 +223,224 @@ export class CurrencyConverter {
         return this.rates[fromUpper]?.[toUpper] || 0;
     }
     
+    // ===== 📅 TASAS HISTÓRICAS =====
+    
+    /**
+     * Obtiene la tasa de cambio vigente en una fecha
+     * 
+     * Usa la caché local si existe; si la fecha es hoy o futura, no hay
+     * conexión o la API falla, devuelve la tasa actual.
+     * 
+     * @param {string} from - Moneda origen
+     * @param {string} to - Moneda destino
+     * @param {string|Date} date - Fecha del gasto
+     * @returns {Promise<object|null>} { rate, rateDate, rateSource: 'historical'|'current' } o null si no hay tasa para el par
+     */
+    async getRateOnDate(from, to, date) {
+        const fromUpper = from.toUpperCase();
+        const toUpper = to.toUpperCase();
+        const dateKey = this.toDateKey(date);
+        
+        if (fromUpper === toUpper) {
+            return { rate: 1, rateDate: dateKey, rateSource: 'historical' };
+        }
+        
+        const eurRates = await this.getHistoricalEurRates(dateKey);
+        if (eurRates) {
+            const rate = this.buildRateMatrix(eurRates)[fromUpper]?.[toUpper];
+            if (rate) {
+                return { rate, rateDate: dateKey, rateSource: 'historical' };
+            }
+        }
+        
+        return this.getCurrentRateInfo(fromUpper, toUpper);
+    }
+    
+    /**
+     * Tasa de una fecha sin esperar a la red
+     * 
+     * Usa la caché histórica o, si el día no está, la tasa actual.
+     * `final` es false cuando getRateOnDate aún podría traer la histórica.
+     * 
+     * @param {string} from - Moneda origen
+     * @param {string} to - Moneda destino
+     * @param {string|Date} date - Fecha del gasto
+     * @returns {object|null} { rate, rateDate, rateSource, final } o null si no hay tasa para el par
+     */
+    getCachedRateOnDate(from, to, date) {
+        const fromUpper = from.toUpperCase();
+        const toUpper = to.toUpperCase();
+        const dateKey = this.toDateKey(date);
+        
+        if (fromUpper === toUpper) {
+            return { rate: 1, rateDate: dateKey, rateSource: 'historical', final: true };
+        }
+        
+        const eurRates = this.loadHistoricalCache()[dateKey];
+        const rate = eurRates && this.buildRateMatrix(eurRates)[fromUpper]?.[toUpper];
+        if (rate) {
+            return { rate, rateDate: dateKey, rateSource: 'historical', final: true };
+        }
+        
+        const current = this.getCurrentRateInfo(fromUpper, toUpper);
+        if (!current) return null;
+        
+        return {
+            ...current,
+            final: dateKey >= this.toDateKey(new Date())
+        };
+    }
+    
+    /**
+     * Tasa actual del par o null si no está disponible (nunca 1:1 por defecto)
+     * @private
+     */
+    getCurrentRateInfo(from, to) {
+        const rate = this.getRate(from, to);
+        if (!rate) {
+            Logger.warning(`Conversion rate not available: ${from} → ${to}`);
+            return null;
+        }
+        
+        return {
+            rate,
+            rateDate: this.toDateKey(this.lastUpdate ? new Date(this.lastUpdate) : new Date()),
+            rateSource: 'current'
+        };
+    }
+    
+    /**
+     * Convierte una cantidad con la tasa vigente en una fecha
+     * @param {number} amount - Cantidad
+     * @param {string} from - Moneda origen
+     * @param {string} to - Moneda destino
+     * @param {string|Date} date - Fecha del gasto
+     * @returns {Promise<object>} { amount, rate, rateDate, rateSource }; sin tasa,
+     *   rateSource 'pending' con amount 0 y rate null
+     */
+    async convertOnDate(amount, from, to, date) {
+        const rateInfo = await this.getRateOnDate(from, to, date);
+        if (!rateInfo) {
+            return { amount: 0, rate: null, rateDate: null, rateSource: 'pending' };
+        }
+        
+        return {
+            ...rateInfo,
+            amount: Math.round(amount * rateInfo.rate * 100) / 100
+        };
+    }
+    
+    /**
+     * Tasas respecto al EUR de un día (caché local o API histórica)
+     * @param {string} dateKey - Fecha YYYY-MM-DD
+     * @returns {Promise<object|null>} { NPR, BTN, USD } o null si no disponible
+     * @private
+     */
+    async getHistoricalEurRates(dateKey) {
+        const cache = this.loadHistoricalCache();
+        if (cache[dateKey]) {
+            return cache[dateKey];
+        }
+        
+        // Hoy (o fechas futuras) se resuelve con las tasas actuales
+        if (dateKey >= this.toDateKey(new Date()) || !navigator.onLine) {
+            return null;
+        }
+        
+        for (const template of [HISTORICAL_API_URL, HISTORICAL_FALLBACK_URL]) {
+            try {
+                const controller = new AbortController();
+                const timeout = setTimeout(() => controller.abort(), 5000);
+                const response = await fetch(template.replace('{date}', dateKey), { signal: controller.signal });
+                clearTimeout(timeout);
+                
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                
+                const data = await response.json();
+                const eurRates = {
+                    NPR: data.eur?.npr,
+                    BTN: data.eur?.btn,
+                    USD: data.eur?.usd
+                };
+                
+                if (!eurRates.NPR || !eurRates.BTN || !eurRates.USD) {
+                    throw new Error('Incomplete historical rates');
+                }
+                
+                cache[dateKey] = eurRates;
+                localStorage.setItem(HISTORICAL_CACHE_KEY, JSON.stringify(cache));
+                Logger.data(`Historical currency rates cached for ${dateKey}`);
+                return eurRates;
+                
+            } catch (error) {
+                Logger.warning(`Failed to fetch historical rates for ${dateKey}`, error);
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * @private
+     */
+    loadHistoricalCache() {
+        try {
+            return JSON.parse(localStorage.getItem(HISTORICAL_CACHE_KEY) || '{}');
+        } catch {
+            return {};
+        }
+    }
+    
+    /**
+     * @private
+     */
+    toDateKey(date) {
+        return new Date(date || Date.now()).toISOString().split('T')[0];
+    }
+    
+    // ===== 🧾 GASTOS EN MONEDA ORIGINAL =====
+    
+    /**
+     * Texto con la cantidad original de un gasto pagado en otra moneda
+     * @param {object} expense - Gasto con originalAmount/originalCurrency
+     * @param {string} tripCurrency - Moneda del viaje
+     * @returns {string} Cantidad original formateada o '' si es la moneda del viaje
+     */
+    formatOriginal(expense, tripCurrency) {
+        if (!expense?.originalCurrency || expense.originalCurrency === tripCurrency) {
+            return '';
+        }
+        return this.format(expense.originalAmount, expense.originalCurrency);
+    }
+    
+    /**
+     * Totales por moneda original (en moneda original y convertidos)
+     * @param {Array} expenses - Gastos
+     * @param {string} tripCurrency - Moneda del viaje
+     * @returns {Array} [{ currency, original, converted, formatted }] sin la moneda del viaje
+     */
+    summarizeByCurrency(expenses, tripCurrency) {
+        const totals = {};
+        
+        (expenses || []).forEach(expense => {
+            const currency = expense.originalCurrency || tripCurrency;
+            if (currency === tripCurrency) return;
+            
+            if (!totals[currency]) {
+                totals[currency] = { currency, original: 0, converted: 0 };
+            }
+            totals[currency].original += expense.originalAmount || 0;
+            totals[currency].converted += expense.amount || 0;
+        });
+        
+        return Object.values(totals).map(total => ({
+            ...total,
+            formatted: this.format(total.original, total.currency)
+        }));
+    }
+    
     /**
      * Obtiene información sobre la última actualización
      * @returns {object} Info de actualización
@@ -244,6 +480,7 @@ export class CurrencyConverter {
                         <option value="EUR">Euro (€)</option>
                         <option value="NPR">Rupia Nepalí (₨)</option>
                         <option value="BTN">Ngultrum Butanés (Nu.)</option>
+                        <option value="USD">Dólar estadounidense ($)</option>
                     </select>
                 </div>
                 
@@ -321,6 +558,7 @@ export class CurrencyConverter {
         const names = {
             NPR: 'Rupia Nepalí',
             BTN: 'Ngultrum Butanés', 
+            USD: 'Dólar estadounidense',
             EUR: 'Euro'
         };
         return names[code] || code;
@@ -1,4 +1,6 @@
 // Utilidades específicas para fechas y cálculos temporales
+import { tripConfig } from '../config/tripConfig.js';
+
 export class DateUtils {
     /**
      * Obtiene la fecha actual en formato ISO
@@ -46,8 +48,8 @@ export class DateUtils {
      * @returns {Date} Fecha correspondiente al día especificado
      */
     static getTripDate(dayNumber) {
-        // Fecha de inicio del viaje: 9 de octubre de 2025
-        const tripStartDate = new Date('2025-10-09');
+        // Fecha de inicio del viaje activo (9 de octubre de 2025 por defecto)
+        const tripStartDate = new Date(tripConfig.trip?.startDate || '2025-10-09');
         
         // Añadir el número de días al inicio del viaje
         const tripDate = new Date(tripStartDate);
@@ -209,6 +211,129 @@ export class DateUtils {
         return `${date.getDate()} ${this.getShortMonthName(date)}`;
     }
 
+    /**
+     * Interpreta una fecha en texto español como la de los vuelos de tripConfig
+     * @param {string} text - Fecha, p. ej. "9 de Octubre 22:45"
+     * @param {number} year - Año (el texto no lo incluye)
+     * @returns {Date|null} Fecha local o null si no se reconoce
+     */
+    static parseSpanishDateTime(text, year) {
+        const months = [
+            'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+            'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+        ];
+
+        const match = String(text || '').match(/(\d{1,2})\s+de\s+([a-záéíóú]+)(?:\s+(\d{1,2}):(\d{2}))?/i);
+        if (!match) return null;
+
+        const month = months.indexOf(match[2].toLowerCase());
+        if (month === -1) return null;
+
+        return new Date(year, month, parseInt(match[1]), parseInt(match[3] || 0), parseInt(match[4] || 0));
+    }
+
+    /**
+     * Desfase de una zona horaria IANA en un instante
+     * @param {Date} date - Instante
+     * @param {string} timeZone - Zona IANA (p. ej. 'Asia/Kathmandu')
+     * @returns {number} Minutos respecto a UTC (Katmandú: 345)
+     */
+    static getTimeZoneOffset(date, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes);
+        return Math.round((asUTC - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+    }
+
+    /**
+     * Fecha y hora locales de un instante en una zona horaria IANA
+     * @param {Date} date - Instante
+     * @param {string} timeZone - Zona IANA
+     * @returns {Object} { year, month (0-11), day, hours, minutes }
+     */
+    static getZonedParts(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = parseInt(value);
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hours: parts.hour,
+            minutes: parts.minute
+        };
+    }
+
+    /**
+     * Instante de una fecha y hora locales de una zona horaria IANA
+     * @param {Object} parts - { year, month (0-11), day, hours, minutes }
+     * @param {string} timeZone - Zona IANA
+     * @returns {Date} Instante real
+     */
+    static zonedTimeToDate({ year, month, day, hours = 0, minutes = 0 }, timeZone) {
+        const asUTC = Date.UTC(year, month, day, hours, minutes);
+        // El desfase se vuelve a calcular en el instante estimado por si cambia (horario de verano)
+        const estimate = asUTC - this.getTimeZoneOffset(new Date(asUTC), timeZone) * 60000;
+
+        return new Date(asUTC - this.getTimeZoneOffset(new Date(estimate), timeZone) * 60000);
+    }
+
+    /**
+     * ISO 8601 con el desfase de una zona horaria IANA
+     * @param {Date} date - Instante
+     * @param {string} timeZone - Zona IANA
+     * @returns {string} P. ej. "2025-10-10T16:45:00+05:45"
+     */
+    static toZonedISOString(date, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        const offset = this.getTimeZoneOffset(date, timeZone);
+        const pad = (value) => String(value).padStart(2, '0');
+        const sign = offset < 0 ? '-' : '+';
+
+        return `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}T${pad(parts.hours)}:${pad(parts.minutes)}:00` +
+            `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    /**
+     * Formatea un instante en la hora local de una zona (p. ej. la del aeropuerto)
+     * @param {Date} date - Instante
+     * @param {string} timeZone - Zona IANA
+     * @returns {string} P. ej. "9 Oct 22:45"
+     */
+    static formatInTimeZone(date, timeZone) {
+        if (!(date instanceof Date)) return '';
+
+        const parts = this.getZonedParts(date, timeZone);
+        const local = new Date(parts.year, parts.month, parts.day);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return `${parts.day} ${this.getShortMonthName(local)} ${pad(parts.hours)}:${pad(parts.minutes)}`;
+    }
+
+    /**
+     * Formatea una duración en minutos
+     * @param {number} minutes - Minutos
+     * @returns {string} P. ej. "2h 55m"
+     */
+    static formatDuration(minutes) {
+        if (!Number.isFinite(minutes)) return '';
+
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        if (hours === 0) return `${rest}m`;
+
+        return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+    }
+
     /**
      * Formatea una hora en formato 24h
      * @param {Date} date - Objeto Date
@@ -6,7 +6,7 @@
  * en diferentes días del itinerario.
  * 
  * Funcionalidades:
- * - Simular cualquier día del viaje (1-18)
+ * - Simular cualquier día del viaje (1-N según el itinerario activo)
  * - Ver información contextual del día
  * - Probar recomendaciones climáticas
  * - Verificar análisis de estilo de viaje
@@ -19,6 +19,8 @@
 
 import Logger from './Logger.js';
 import stateManager from './StateManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+import flightManager from './FlightManager.js';
 
 export class DaySimulator {
     constructor() {
@@ -27,6 +29,11 @@ export class DaySimulator {
         this.isSimulating = false;
         this.tripStartDate = null; // Se calculará dinámicamente
         
+        // 🧳 Recalcular fecha de inicio al cambiar de viaje
+        stateManager.subscribe('trip.activeTripId', () => {
+            this.tripStartDate = null;
+        });
+        
         if (Logger && Logger.info) Logger.info('🎯 DaySimulator initialized');
     }
 
@@ -45,49 +52,33 @@ export class DaySimulator {
                 return this.tripStartDate;
             }
 
-            // Calcular desde los datos de vuelos directamente
-            if (window.tripConfig?.flightsData && window.tripConfig.flightsData.length > 0) {
-                const firstFlight = window.tripConfig.flightsData[0];
-                if (firstFlight.segments && firstFlight.segments.length > 0) {
-                    const dateStr = firstFlight.segments[0].fromDateTime;
-                    const match = dateStr.match(/(\d+) de (\w+)/);
-                    if (match) {
-                        const day = parseInt(match[1]);
-                        const monthName = match[2];
-                        const months = {
-                            'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                            'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-                        };
-                        const month = months[monthName];
-                        if (month !== undefined) {
-                            // Usar el año actual o siguiente según la fecha
-                            const currentYear = new Date().getFullYear();
-                            const currentMonth = new Date().getMonth();
-                            const year = (month < currentMonth) ? currentYear + 1 : currentYear;
-                            
-                            this.tripStartDate = new Date(year, month, day);
-                            Logger.info('🎯 Trip start date calculated from flight data:', {
-                                original: dateStr,
-                                parsed: this.tripStartDate
-                            });
-                            return this.tripStartDate;
-                        }
-                    }
-                }
+            // Calcular desde los datos de vuelos directamente (instantes reales)
+            const flightStartDate = flightManager.getTripStartDate();
+            if (flightStartDate) {
+                this.tripStartDate = flightStartDate;
+                Logger.ui('🎯 Trip start date calculated from flight data:', this.tripStartDate);
+                return this.tripStartDate;
             }
 
-            // Fallback: usar fecha por defecto
-            Logger.warn('🎯 Could not parse trip start date, using fallback');
-            this.tripStartDate = new Date(2025, 9, 9); // 9 de octubre 2025
+            // Fallback: usar la fecha de inicio del viaje activo
+            Logger.warning('🎯 Could not parse trip start date, using trip.startDate');
+            this.tripStartDate = new Date(tripConfig.trip?.startDate || '2025-10-09');
             return this.tripStartDate;
 
         } catch (error) {
             Logger.error('🎯 Error calculating trip start date:', error);
-            this.tripStartDate = new Date(2025, 9, 9);
+            this.tripStartDate = new Date(tripConfig.trip?.startDate || '2025-10-09');
             return this.tripStartDate;
         }
     }
 
+    /**
+     * 📏 DURACIÓN DEL VIAJE: Número de días del itinerario activo
+     */
+    getTripLength() {
+        return tripConfig.itinerary?.length || tripConfig.trip?.duration || 0;
+    }
+
     /**
      * 📅 OBTENER FECHA SIMULADA: Retorna la fecha actual simulada
      */
@@ -107,8 +98,9 @@ export class DaySimulator {
      */
     simulateDay(dayNumber) {
         try {
-            if (dayNumber < 1 || dayNumber > 18) {
-                throw new Error('Day number must be between 1 and 18');
+            const tripLength = this.getTripLength();
+            if (dayNumber < 1 || dayNumber > tripLength) {
+                throw new Error(`Day number must be between 1 and ${tripLength}`);
             }
 
             this.simulatedDay = dayNumber;
@@ -171,7 +163,7 @@ export class DaySimulator {
      * 📊 OBTENER INFO DEL DÍA: Información detallada del día simulado
      */
     getDayInfo(dayNumber) {
-        const itinerary = window.tripConfig?.itineraryData || [];
+        const itinerary = tripConfig.itinerary || [];
         const dayData = itinerary[dayNumber - 1];
         
         if (!dayData) {
@@ -232,7 +224,7 @@ export class DaySimulator {
                         </label>
                         <select id="day-selector" class="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-lg bg-white dark:bg-slate-700 text-slate-900 dark:text-white">
                             <option value="">Seleccionar día...</option>
-                            ${Array.from({length: 18}, (_, i) => {
+                            ${Array.from({length: this.getTripLength()}, (_, i) => {
                                 const dayNum = i + 1;
                                 const dayInfo = this.getDayInfo(dayNum);
                                 return `<option value="${dayNum}">Día ${dayNum}: ${dayInfo.title}</option>`;
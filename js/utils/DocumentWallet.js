@@ -0,0 +1,623 @@
+/**
+ * 🎫 DOCUMENT WALLET - TARJETAS DE EMBARQUE Y DOCUMENTOS DEL VIAJE
+ *
+ * Guarda sin conexión las tarjetas de embarque, visados, el seguro y los
+ * bonos de hotel en IndexedDB, cifrados con AES-GCM con una clave que se
+ * deriva del PIN del usuario (PBKDF2). El PIN no se guarda: solo un
+ * verificador cifrado para saber si es correcto.
+ *
+ * Cada documento tiene una parte en claro (tipo y fechas, para saber qué
+ * toca hoy sin desbloquear) y una cifrada (título, referencias, código de
+ * barras y fichero). Los bonos de hotel se crean solos a partir de
+ * `confirmationCode` y `pinCode` de `tripConfig.accommodations`.
+ *
+ * La cartera se bloquea sola tras unos minutos sin usarla. Los cambios se
+ * notifican mediante 'documents.updatedAt'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import flightManager from './FlightManager.js';
+import { DateUtils } from './DateUtils.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+export const DOCUMENT_TYPES = {
+    boardingPass: { label: 'Tarjeta de embarque', icon: 'airplane_ticket' },
+    visa: { label: 'Visado', icon: 'badge' },
+    insurance: { label: 'Seguro de viaje', icon: 'health_and_safety' },
+    hotelVoucher: { label: 'Bono de hotel', icon: 'hotel' },
+    other: { label: 'Otro documento', icon: 'description' }
+};
+
+const PBKDF2_ITERATIONS = 250000;
+const AUTO_LOCK_MS = 5 * 60 * 1000;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPTS_WAIT_MS = 30 * 1000;
+const VERIFIER_TEXT = 'viaje-himalaya-wallet';
+
+export class DocumentWallet {
+    constructor() {
+        this.dbName = 'ViajeHimalayaDocuments';
+        this.dbVersion = 1;
+        this.db = null;
+
+        this.key = null;
+        this.vault = null;
+        this.autoLockTimer = null;
+        this.failedAttempts = 0;
+        this.blockedUntil = 0;
+
+        // Parte en claro de los documentos: id → { id, tripId, type, date, endDate, source, hasFile, createdAt }
+        this.index = new Map();
+
+        this.ready = this.init();
+
+        stateManager.subscribe('trip.activeTripId', () => {
+            this.notifyChange();
+            if (this.isUnlocked()) this.syncAccommodationVouchers();
+        });
+    }
+
+    async init() {
+        try {
+            await this.initDB();
+            await this.loadIndex();
+            Logger.success('DocumentWallet initialized');
+        } catch (error) {
+            Logger.error('Failed to initialize DocumentWallet', error);
+        }
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('documents')) {
+                    const store = db.createObjectStore('documents', { keyPath: 'id' });
+                    store.createIndex('tripId', 'tripId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    // =================================================================
+    // 💾 INDEXEDDB
+    // =================================================================
+
+    /**
+     * @private
+     */
+    request(storeName, mode, action) {
+        if (!this.db) {
+            return Promise.reject(new Error('IndexedDB no disponible'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction([storeName], mode).objectStore(storeName);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    async loadIndex() {
+        this.vault = await this.request('meta', 'readonly', store => store.get('vault')) || null;
+        const records = await this.request('documents', 'readonly', store => store.getAll());
+
+        this.index.clear();
+        records.forEach(record => this.index.set(record.id, this.describeRecord(record)));
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    describeRecord(record) {
+        return {
+            id: record.id,
+            tripId: record.tripId,
+            type: record.type,
+            date: record.date,
+            endDate: record.endDate,
+            source: record.source,
+            hasFile: !!record.file,
+            createdAt: record.createdAt
+        };
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('documents.updatedAt', new Date().toISOString());
+    }
+
+    // =================================================================
+    // 🔐 PIN Y BLOQUEO
+    // =================================================================
+
+    /**
+     * ¿Hay PIN configurado en este dispositivo?
+     */
+    hasPin() {
+        return !!this.vault;
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    /**
+     * 🔐 CREAR EL PIN DE LA CARTERA
+     *
+     * @param {string} pin - De 4 a 8 cifras
+     */
+    async setupPin(pin) {
+        await this.ready;
+        if (this.vault) {
+            throw new Error('La cartera ya tiene PIN');
+        }
+        this.validatePin(pin);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(pin, salt);
+        const vault = {
+            id: 'vault',
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            verifier: await this.encryptBytes(key, new TextEncoder().encode(VERIFIER_TEXT)),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.request('meta', 'readwrite', store => store.put(vault));
+        this.vault = vault;
+        this.key = key;
+        this.touch();
+
+        Logger.success('🎫 Document wallet PIN created');
+        await this.syncAccommodationVouchers();
+        this.notifyChange();
+    }
+
+    /**
+     * 🔓 DESBLOQUEAR CON EL PIN
+     *
+     * @param {string} pin - PIN de la cartera
+     */
+    async unlock(pin) {
+        await this.ready;
+        if (!this.vault) {
+            throw new Error('Crea primero un PIN para la cartera');
+        }
+        if (Date.now() < this.blockedUntil) {
+            throw new Error('Demasiados intentos fallidos, espera unos segundos');
+        }
+
+        const key = await this.deriveKey(pin, this.vault.salt, this.vault.iterations);
+        try {
+            const verifier = new TextDecoder().decode(await this.decryptBytes(key, this.vault.verifier));
+            if (verifier !== VERIFIER_TEXT) throw new Error('PIN incorrecto');
+        } catch (error) {
+            this.failedAttempts++;
+            if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                this.failedAttempts = 0;
+                this.blockedUntil = Date.now() + FAILED_ATTEMPTS_WAIT_MS;
+            }
+            throw new Error('PIN incorrecto');
+        }
+
+        this.failedAttempts = 0;
+        this.key = key;
+        this.touch();
+
+        Logger.data('🎫 Document wallet unlocked');
+        await this.syncAccommodationVouchers();
+        this.notifyChange();
+    }
+
+    /**
+     * 🔒 BLOQUEAR (olvida la clave de memoria)
+     */
+    lock() {
+        if (!this.key) return;
+
+        this.key = null;
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+
+        Logger.data('🎫 Document wallet locked');
+        this.notifyChange();
+    }
+
+    /**
+     * 🔑 CAMBIAR EL PIN (vuelve a cifrar todos los documentos)
+     *
+     * @param {string} currentPin - PIN actual
+     * @param {string} newPin - PIN nuevo
+     */
+    async changePin(currentPin, newPin) {
+        this.validatePin(newPin);
+        await this.unlock(currentPin);
+
+        const oldKey = this.key;
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const newKey = await this.deriveKey(newPin, salt);
+        const records = await this.request('documents', 'readonly', store => store.getAll());
+
+        for (const record of records) {
+            record.payload = await this.encryptBytes(newKey, await this.decryptBytes(oldKey, record.payload));
+            if (record.file) {
+                record.file = await this.encryptBytes(newKey, await this.decryptBytes(oldKey, record.file));
+            }
+        }
+
+        const vault = {
+            ...this.vault,
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            verifier: await this.encryptBytes(newKey, new TextEncoder().encode(VERIFIER_TEXT))
+        };
+
+        // Todo o nada: documentos y verificador en la misma transacción
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['documents', 'meta'], 'readwrite');
+            records.forEach(record => transaction.objectStore('documents').put(record));
+            transaction.objectStore('meta').put(vault);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        this.vault = vault;
+        this.key = newKey;
+
+        Logger.success(`🎫 Document wallet PIN changed (${records.length} documents re-encrypted)`);
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    validatePin(pin) {
+        if (!/^\d{4,8}$/.test(String(pin || ''))) {
+            throw new Error('El PIN debe tener entre 4 y 8 cifras');
+        }
+    }
+
+    /**
+     * @private
+     */
+    requireKey() {
+        if (!this.key) {
+            throw new Error('La cartera está bloqueada');
+        }
+        this.touch();
+        return this.key;
+    }
+
+    /**
+     * ⏱️ Reinicia la cuenta atrás del bloqueo automático
+     * @private
+     */
+    touch() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = setTimeout(() => this.lock(), AUTO_LOCK_MS);
+    }
+
+    // =================================================================
+    // 🔒 CIFRADO
+    // =================================================================
+
+    /**
+     * @private
+     */
+    async deriveKey(pin, salt, iterations = PBKDF2_ITERATIONS) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * @private
+     */
+    async encryptBytes(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv, data };
+    }
+
+    /**
+     * @private
+     */
+    async decryptBytes(key, { iv, data }) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    }
+
+    // =================================================================
+    // 🎫 DOCUMENTOS
+    // =================================================================
+
+    /**
+     * 📋 DOCUMENTOS DEL VIAJE ACTIVO (sin descifrar)
+     *
+     * @returns {Array} [{ id, type, date, endDate, source, hasFile, createdAt }] por fecha
+     */
+    getDocuments() {
+        const tripId = tripManager.getActiveTripId();
+        return [...this.index.values()]
+            .filter(entry => entry.tripId === tripId)
+            .sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999') || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * 📋 DOCUMENTOS CON TÍTULO Y REFERENCIA
+     *
+     * Descifra solo los campos de texto (no los ficheros). Bloqueada, los
+     * devuelve sin título.
+     *
+     * @param {Array} documents - Entradas de getDocuments()
+     * @returns {Promise<Array>} Entradas con `title` y `reference`
+     */
+    async listDocuments(documents = this.getDocuments()) {
+        await this.ready;
+        if (!this.isUnlocked()) {
+            return documents.map(entry => ({ ...entry, title: null, reference: null }));
+        }
+
+        const key = this.requireKey();
+        return Promise.all(documents.map(async entry => {
+            try {
+                const record = await this.request('documents', 'readonly', store => store.get(entry.id));
+                const fields = JSON.parse(new TextDecoder().decode(await this.decryptBytes(key, record.payload)));
+                return { ...entry, title: fields.title, reference: fields.reference };
+            } catch (error) {
+                Logger.error(`🎫 Error reading document ${entry.id}:`, error);
+                return { ...entry, title: null, reference: null };
+            }
+        }));
+    }
+
+    /**
+     * 📅 DOCUMENTOS QUE HACEN FALTA UN DÍA
+     *
+     * @param {Date} date - Día (por defecto, hoy según el simulador)
+     * @returns {Array} Documentos cuyo rango de fechas incluye ese día
+     */
+    getDocumentsForDate(date = stateManager.getCurrentDate()) {
+        const dateKey = this.toDateKey(date);
+        return this.getDocuments().filter(entry =>
+            entry.date && entry.date <= dateKey && dateKey <= (entry.endDate || entry.date));
+    }
+
+    /**
+     * ➕ GUARDAR DOCUMENTO
+     *
+     * @param {Object} data - { type, title, date, endDate, reference, pinCode,
+     *   notes, barcode: { format, payload }, flightSegmentId, file: File }
+     * @returns {Promise<string>} ID del documento
+     */
+    async addDocument(data) {
+        await this.ready;
+        const key = this.requireKey();
+
+        if (!DOCUMENT_TYPES[data.type]) {
+            throw new Error('Tipo de documento no válido');
+        }
+        if (!String(data.title || '').trim()) {
+            throw new Error('Ponle un nombre al documento');
+        }
+        if (data.file && data.file.size > MAX_FILE_SIZE) {
+            throw new Error('El fichero no puede pasar de 10 MB');
+        }
+
+        const segment = data.flightSegmentId ? this.getFlightSegmentOptions().find(option => option.id === data.flightSegmentId) : null;
+        const date = data.date || segment?.date || null;
+        if (data.endDate && date && data.endDate < date) {
+            throw new Error('La fecha final no puede ser anterior a la inicial');
+        }
+
+        const id = `doc-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        await this.saveRecord(key, {
+            id,
+            tripId: tripManager.getActiveTripId(),
+            type: data.type,
+            date,
+            endDate: data.endDate || null,
+            source: 'manual',
+            createdAt: new Date().toISOString()
+        }, {
+            title: String(data.title).trim(),
+            reference: data.reference || null,
+            pinCode: data.pinCode || null,
+            notes: data.notes || null,
+            barcode: data.barcode && data.barcode.payload ? { format: data.barcode.format || null, payload: data.barcode.payload } : null,
+            flightSegmentId: segment ? segment.id : null
+        }, data.file || null);
+
+        Logger.data(`🎫 Document saved (${data.type})`);
+        this.notifyChange();
+        return id;
+    }
+
+    /**
+     * 🔓 ABRIR DOCUMENTO (descifrado)
+     *
+     * @param {string} documentId - ID del documento
+     * @returns {Promise<Object>} Parte en claro + campos cifrados y `file`
+     *   ({ name, type, blob }) si lo tiene
+     */
+    async openDocument(documentId) {
+        await this.ready;
+        const key = this.requireKey();
+        const record = await this.request('documents', 'readonly', store => store.get(documentId));
+        if (!record) {
+            throw new Error('Documento no encontrado');
+        }
+
+        const fields = JSON.parse(new TextDecoder().decode(await this.decryptBytes(key, record.payload)));
+        const { fileName, fileType, ...rest } = fields;
+
+        return {
+            ...this.describeRecord(record),
+            ...rest,
+            file: record.file
+                ? { name: fileName, type: fileType, blob: new Blob([await this.decryptBytes(key, record.file)], { type: fileType }) }
+                : null
+        };
+    }
+
+    /**
+     * 🗑️ BORRAR DOCUMENTO
+     *
+     * @param {string} documentId - ID del documento
+     */
+    async removeDocument(documentId) {
+        await this.ready;
+        this.requireKey();
+
+        await this.request('documents', 'readwrite', store => store.delete(documentId));
+        this.index.delete(documentId);
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    async saveRecord(key, plain, fields, file = null) {
+        const payload = file ? { ...fields, fileName: file.name, fileType: file.type || 'application/octet-stream' } : fields;
+        const record = {
+            ...plain,
+            payload: await this.encryptBytes(key, new TextEncoder().encode(JSON.stringify(payload))),
+            file: file ? await this.encryptBytes(key, await file.arrayBuffer()) : null
+        };
+
+        await this.request('documents', 'readwrite', store => store.put(record));
+        this.index.set(record.id, this.describeRecord(record));
+    }
+
+    // =================================================================
+    // 🏨 BONOS DE HOTEL
+    // =================================================================
+
+    /**
+     * 🏨 CREAR/ACTUALIZAR LOS BONOS DE LAS RESERVAS DEL VIAJE
+     *
+     * Una entrada por reserva con código de confirmación o PIN, válida del
+     * check-in al check-out. Solo se reescriben las que han cambiado.
+     *
+     * @returns {Promise<number>} Bonos creados o actualizados
+     */
+    async syncAccommodationVouchers() {
+        if (!this.isUnlocked()) return 0;
+
+        const key = this.requireKey();
+        const tripId = tripManager.getActiveTripId();
+        let saved = 0;
+
+        try {
+            for (const hotel of tripConfig.accommodations || []) {
+                for (const reservation of hotel.reservations || []) {
+                    if (!reservation.confirmationCode && !reservation.pinCode) continue;
+
+                    const fields = {
+                        title: hotel.name,
+                        reference: reservation.confirmationCode || null,
+                        pinCode: reservation.pinCode || null,
+                        notes: [
+                            [hotel.location, hotel.country].filter(Boolean).join(', '),
+                            reservation.roomType,
+                            hotel.contact?.phone
+                        ].filter(Boolean).join(' · '),
+                        barcode: null,
+                        flightSegmentId: null,
+                        reservationId: reservation.id
+                    };
+
+                    const id = `voucher-${tripId}-${reservation.id}`;
+                    const existing = await this.request('documents', 'readonly', store => store.get(id));
+                    if (existing && existing.date === (reservation.checkIn || null) && existing.endDate === (reservation.checkOut || null) &&
+                        new TextDecoder().decode(await this.decryptBytes(key, existing.payload)) === JSON.stringify(fields)) continue;
+
+                    await this.saveRecord(key, {
+                        id,
+                        tripId,
+                        type: 'hotelVoucher',
+                        date: reservation.checkIn || null,
+                        endDate: reservation.checkOut || null,
+                        source: 'accommodation',
+                        createdAt: existing?.createdAt || new Date().toISOString()
+                    }, fields);
+                    saved++;
+                }
+            }
+        } catch (error) {
+            Logger.error('🎫 Error saving hotel vouchers:', error);
+        }
+
+        if (saved > 0) {
+            Logger.data(`🎫 ${saved} hotel vouchers saved to the wallet`);
+            this.notifyChange();
+        }
+        return saved;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * ✈️ Tramos de vuelo para asociar tarjetas de embarque
+     *
+     * @returns {Array} [{ id, label, date }] con la fecha de salida en la hora del aeropuerto
+     */
+    getFlightSegmentOptions() {
+        return flightManager.getFlights().flatMap(flight => flight.segments
+            .filter(segment => segment.departureDate)
+            .map(segment => {
+                const parts = DateUtils.getZonedParts(segment.departureDate, segment.fromAirport.timeZone);
+                return {
+                    id: `${segment.from}-${segment.to}-${segment.departure}`,
+                    label: `${segment.from} → ${segment.to} · ${flightManager.formatSegmentTime(segment)} (${flight.airline})`,
+                    date: this.toDateKey(new Date(parts.year, parts.month, parts.day))
+                };
+            }));
+    }
+
+    /**
+     * @private
+     */
+    toDateKey(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+    }
+}
+
+// Crear instancia singleton
+const documentWallet = new DocumentWallet();
+
+export default documentWallet;
@@ -0,0 +1,628 @@
+/**
+ * ExpenseImportExport - Exportación e Importación de Gastos
+ *
+ * Convierte los gastos del viaje activo a CSV (hojas de cálculo), JSON
+ * estructurado y OFX (aplicaciones de finanzas personales), con filtros
+ * por fechas, categoría, país y fase del itinerario.
+ *
+ * En sentido contrario lee ficheros CSV, JSON u OFX y los transforma en
+ * gastos candidatos: detecta columnas, aplica el mapeo elegido por el
+ * usuario y marca los duplicados comparando con los IDs existentes. Las
+ * filas sin ID reciben uno estable derivado de su contenido, de modo que
+ * importar dos veces el mismo fichero no duplica gastos.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import tripManager from './TripManager.js';
+import currencyConverter from './CurrencyConverter.js';
+import expenseSplitManager from './ExpenseSplitManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const CSV_COLUMNS = ['id', 'date', 'concept', 'category', 'amount', 'currency', 'originalAmount', 'originalCurrency', 'exchangeRate', 'country', 'phase', 'paidBy'];
+
+/** Celdas que una hoja de cálculo ejecutaría como fórmula; se exportan con ' delante */
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const CSV_ESCAPED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+/** Campos que se pueden mapear al importar y nombres de columna que los delatan */
+const IMPORT_FIELDS = {
+    date: ['date', 'fecha', 'dtposted', 'día', 'dia'],
+    concept: ['concept', 'concepto', 'descripción', 'descripcion', 'description', 'name', 'nombre'],
+    amount: ['originalamount', 'amount', 'cantidad', 'importe', 'trnamt', 'total'],
+    currency: ['originalcurrency', 'currency', 'moneda', 'divisa'],
+    category: ['category', 'categoría', 'categoria', 'memo'],
+    id: ['id', 'fitid']
+};
+
+const DEFAULT_CATEGORY = 'Varios';
+
+export class ExpenseImportExport {
+    constructor() {
+        Logger.init('📤 ExpenseImportExport initialized');
+    }
+
+    // =================================================================
+    // 🔍 FILTROS
+    // =================================================================
+
+    /**
+     * 📅 DÍA DEL ITINERARIO DE UNA FECHA
+     *
+     * @param {string} date - Fecha ISO o YYYY-MM-DD
+     * @returns {Object|null} Día del itinerario o null si cae fuera del viaje
+     */
+    getItineraryDay(date) {
+        if (!date || !tripConfig.trip?.startDate) return null;
+
+        const start = new Date(`${tripConfig.trip.startDate}T00:00:00Z`);
+        const current = new Date(`${this.toDateKey(date)}T00:00:00Z`);
+        const index = Math.round((current - start) / 86400000);
+
+        return (tripConfig.itinerary || [])[index] || null;
+    }
+
+    /**
+     * 🔍 OPCIONES DE FILTRO DISPONIBLES
+     *
+     * @param {Array} expenses - Gastos del viaje
+     * @returns {Object} { categories, countries, phases }
+     */
+    getFilterOptions(expenses) {
+        const itinerary = tripConfig.itinerary || [];
+        return {
+            categories: [...new Set(expenses.map(expense => expense.category).filter(Boolean))].sort(),
+            countries: [...new Set(itinerary.map(day => day.country).filter(Boolean))],
+            phases: [...new Set(itinerary.map(day => day.phase).filter(Boolean))]
+        };
+    }
+
+    /**
+     * 🔍 FILTRAR GASTOS
+     *
+     * @param {Array} expenses - Gastos del viaje
+     * @param {Object} filters - { from, to, category, country, phase } (vacío = sin filtro)
+     * @returns {Array} Gastos que cumplen todos los filtros
+     */
+    filterExpenses(expenses, filters = {}) {
+        return expenses.filter(expense => {
+            const dateKey = this.toDateKey(expense.date);
+            if (filters.from && (!dateKey || dateKey < filters.from)) return false;
+            if (filters.to && (!dateKey || dateKey > filters.to)) return false;
+            if (filters.category && expense.category !== filters.category) return false;
+
+            if (filters.country || filters.phase) {
+                const day = this.getItineraryDay(expense.date);
+                if (filters.country && day?.country !== filters.country) return false;
+                if (filters.phase && day?.phase !== filters.phase) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // =================================================================
+    // 📤 EXPORTACIÓN
+    // =================================================================
+
+    /**
+     * 📊 CSV
+     *
+     * Separador coma, decimales con punto y BOM para que Excel respete
+     * los acentos.
+     *
+     * @param {Array} expenses - Gastos a exportar
+     * @returns {string} Contenido CSV
+     */
+    toCSV(expenses) {
+        const currency = this.getTripCurrency();
+        const rows = expenses.map(expense => {
+            const day = this.getItineraryDay(expense.date);
+            const values = {
+                id: expense.id,
+                date: this.toDateKey(expense.date),
+                concept: expense.concept,
+                category: expense.category,
+                amount: (expense.amount || 0).toFixed(2),
+                currency,
+                originalAmount: expense.originalAmount ?? (expense.amount || 0).toFixed(2),
+                originalCurrency: expense.originalCurrency || currency,
+                exchangeRate: expense.exchangeRate ?? '',
+                country: day?.country || '',
+                phase: day?.phase || '',
+                paidBy: expense.paidBy ? expenseSplitManager.getTravelerName(expense.paidBy) : ''
+            };
+            return CSV_COLUMNS.map(column => this.escapeCSV(values[column])).join(',');
+        });
+
+        return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    }
+
+    /**
+     * 🧾 JSON estructurado
+     *
+     * @param {Array} expenses - Gastos a exportar
+     * @returns {string} Contenido JSON
+     */
+    toJSON(expenses) {
+        return JSON.stringify({
+            format: 'trip-expenses',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            trip: {
+                id: tripManager.getActiveTripId(),
+                name: tripConfig.trip?.name || '',
+                currency: this.getTripCurrency()
+            },
+            expenses: expenses.map(expense => ({
+                ...expense,
+                date: expense.date || null
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * 🏦 OFX 1.0.2 (SGML con etiquetas cerradas)
+     *
+     * Cada gasto es un cargo (DEBIT) en una cuenta ficticia del viaje.
+     *
+     * @param {Array} expenses - Gastos a exportar
+     * @returns {string} Contenido OFX
+     */
+    toOFX(expenses) {
+        const dates = expenses.map(expense => this.toDateKey(expense.date)).filter(Boolean).sort();
+        const toOFXDate = (dateKey) => (dateKey || this.toDateKey(new Date().toISOString())).replace(/-/g, '');
+        const total = expenses.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+
+        const transactions = expenses.map(expense => [
+            '<STMTTRN>',
+            '<TRNTYPE>DEBIT</TRNTYPE>',
+            `<DTPOSTED>${toOFXDate(this.toDateKey(expense.date))}</DTPOSTED>`,
+            `<TRNAMT>${(-(expense.amount || 0)).toFixed(2)}</TRNAMT>`,
+            `<FITID>${this.escapeXML(expense.id)}</FITID>`,
+            `<NAME>${this.escapeXML((expense.concept || '').slice(0, 32))}</NAME>`,
+            `<MEMO>${this.escapeXML(expense.category || '')}</MEMO>`,
+            '</STMTTRN>'
+        ].join('\n')).join('\n');
+
+        return [
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            'VERSION:102',
+            'SECURITY:NONE',
+            'ENCODING:UTF-8',
+            'CHARSET:NONE',
+            'COMPRESSION:NONE',
+            'OLDFILEUID:NONE',
+            'NEWFILEUID:NONE',
+            '',
+            '<OFX>',
+            '<BANKMSGSRSV1>',
+            '<STMTTRNRS>',
+            '<TRNUID>1</TRNUID>',
+            '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            '<STMTRS>',
+            `<CURDEF>${this.getTripCurrency()}</CURDEF>`,
+            '<BANKACCTFROM>',
+            '<BANKID>TRIP</BANKID>',
+            `<ACCTID>${this.escapeXML(tripManager.getActiveTripId())}</ACCTID>`,
+            '<ACCTTYPE>CHECKING</ACCTTYPE>',
+            '</BANKACCTFROM>',
+            '<BANKTRANLIST>',
+            `<DTSTART>${toOFXDate(dates[0])}</DTSTART>`,
+            `<DTEND>${toOFXDate(dates[dates.length - 1])}</DTEND>`,
+            transactions,
+            '</BANKTRANLIST>',
+            '<LEDGERBAL>',
+            `<BALAMT>${(-total).toFixed(2)}</BALAMT>`,
+            `<DTASOF>${toOFXDate(dates[dates.length - 1])}</DTASOF>`,
+            '</LEDGERBAL>',
+            '</STMTRS>',
+            '</STMTTRNRS>',
+            '</BANKMSGSRSV1>',
+            '</OFX>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * 💾 EXPORTAR Y DESCARGAR
+     *
+     * @param {Array} expenses - Gastos ya filtrados
+     * @param {string} format - 'csv' | 'json' | 'ofx'
+     * @returns {string} Nombre del fichero descargado
+     */
+    exportExpenses(expenses, format) {
+        const exporters = {
+            csv: { build: () => this.toCSV(expenses), mime: 'text/csv;charset=utf-8' },
+            json: { build: () => this.toJSON(expenses), mime: 'application/json' },
+            ofx: { build: () => this.toOFX(expenses), mime: 'application/x-ofx' }
+        };
+
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+
+        const filename = `gastos-${tripManager.getActiveTripId()}-${this.toDateKey(new Date().toISOString())}.${format}`;
+        this.download(exporter.build(), filename, exporter.mime);
+
+        Logger.data(`📤 ${expenses.length} expenses exported as ${format.toUpperCase()}`);
+        return filename;
+    }
+
+    /**
+     * @private
+     */
+    download(content, filename, mime) {
+        const url = URL.createObjectURL(new Blob([content], { type: mime }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // =================================================================
+    // 📥 IMPORTACIÓN
+    // =================================================================
+
+    /**
+     * 📥 LEER FICHERO
+     *
+     * @param {string} text - Contenido del fichero
+     * @param {string} filename - Nombre (para deducir el formato)
+     * @returns {Object} { format, columns, rows, mapping }
+     * @throws {Error} Si el fichero no se puede interpretar
+     */
+    parseFile(text, filename = '') {
+        const content = text.replace(/^\uFEFF/, '');
+        const extension = filename.split('.').pop().toLowerCase();
+
+        let parsed;
+        if (extension === 'json' || /^\s*[[{]/.test(content)) {
+            parsed = { format: 'json', rows: this.parseJSON(content) };
+        } else if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(content)) {
+            parsed = { format: 'ofx', rows: this.parseOFX(content) };
+        } else {
+            parsed = { format: 'csv', rows: this.parseCSV(content) };
+        }
+
+        if (parsed.rows.length === 0) {
+            throw new Error('El fichero no contiene gastos');
+        }
+
+        const columns = [...new Set(parsed.rows.flatMap(row => Object.keys(row)))];
+        return { ...parsed, columns, mapping: this.guessMapping(columns) };
+    }
+
+    /**
+     * 📊 CSV → filas (objetos por cabecera)
+     *
+     * Admite comillas, saltos de línea entre comillas y separador coma,
+     * punto y coma o tabulador (el más frecuente en la cabecera).
+     *
+     * @private
+     */
+    parseCSV(text) {
+        const firstLine = text.split(/\r?\n/)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header = [], ...body] = records.filter(row => row.some(value => value.trim() !== ''));
+        const columns = header.map(column => column.trim());
+
+        return body.map(values => columns.reduce((row, column, index) => {
+            row[column] = (values[index] ?? '').trim().replace(CSV_ESCAPED_FORMULA, '');
+            return row;
+        }, {}));
+    }
+
+    /**
+     * 🧾 JSON → filas (exportación propia o lista de gastos)
+     *
+     * @private
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('El fichero JSON no es válido');
+        }
+
+        const rows = Array.isArray(data) ? data : data.expenses;
+        if (!Array.isArray(rows)) {
+            throw new Error('El JSON no contiene una lista de gastos');
+        }
+
+        const fileCurrency = data.trip?.currency;
+        return rows.filter(row => row && typeof row === 'object').map(row => ({
+            ...row,
+            // Sin moneda original, el importe está en la moneda del viaje exportado
+            originalAmount: row.originalAmount ?? row.amount,
+            originalCurrency: row.originalCurrency || row.currency || fileCurrency || ''
+        }));
+    }
+
+    /**
+     * 🏦 OFX → filas (una por STMTTRN)
+     *
+     * Vale tanto para SGML (etiquetas sin cerrar) como para XML.
+     *
+     * @private
+     */
+    parseOFX(text) {
+        const currency = (text.match(/<CURDEF>\s*([A-Z]{3})/i) || [])[1] || '';
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+        const readTag = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? this.unescapeXML(match[1].trim()) : '';
+        };
+
+        return blocks
+            .map(block => ({
+                FITID: readTag(block, 'FITID'),
+                DTPOSTED: readTag(block, 'DTPOSTED').slice(0, 8),
+                NAME: readTag(block, 'NAME') || readTag(block, 'PAYEE'),
+                TRNAMT: readTag(block, 'TRNAMT'),
+                MEMO: readTag(block, 'MEMO'),
+                CURRENCY: currency
+            }))
+            // Solo cargos: los abonos no son gastos
+            .filter(row => parseFloat(row.TRNAMT) < 0);
+    }
+
+    /**
+     * 🧭 MAPEO AUTOMÁTICO DE COLUMNAS
+     *
+     * @param {Array<string>} columns - Columnas del fichero
+     * @returns {Object} { campo: columna | '' }
+     */
+    guessMapping(columns) {
+        const normalized = columns.map(column => column.toLowerCase().trim());
+
+        return Object.entries(IMPORT_FIELDS).reduce((mapping, [field, aliases]) => {
+            const alias = aliases.find(name => normalized.includes(name));
+            mapping[field] = alias ? columns[normalized.indexOf(alias)] : '';
+            return mapping;
+        }, {});
+    }
+
+    /**
+     * 👀 PREVISUALIZACIÓN DE LA IMPORTACIÓN
+     *
+     * @param {Array} rows - Filas del fichero
+     * @param {Object} mapping - { campo: columna }
+     * @param {Array} existingExpenses - Gastos actuales del viaje
+     * @param {Object} defaults - { currency, category } para columnas sin mapear
+     * @returns {Array} [{ row, expense, status: 'new'|'duplicate'|'invalid', reason }]
+     */
+    buildCandidates(rows, mapping, existingExpenses = [], defaults = {}) {
+        const existingIds = new Set(existingExpenses.map(expense => expense.id));
+        const seenIds = new Set();
+
+        return rows.map(row => {
+            const read = (field) => mapping[field] ? String(row[mapping[field]] ?? '').trim() : '';
+
+            const dateKey = this.parseDate(read('date'));
+            const amount = Math.abs(this.parseAmount(read('amount')));
+            const concept = read('concept');
+            const currency = (read('currency') || defaults.currency || this.getTripCurrency()).toUpperCase();
+
+            const expense = {
+                concept,
+                category: read('category') || defaults.category || DEFAULT_CATEGORY,
+                originalAmount: amount,
+                originalCurrency: currency,
+                date: dateKey ? `${dateKey}T12:00:00.000Z` : null
+            };
+
+            let status = 'new';
+            let reason = '';
+            if (!concept) {
+                status = 'invalid';
+                reason = 'Sin concepto';
+            } else if (!(amount > 0)) {
+                status = 'invalid';
+                reason = 'Cantidad no válida';
+            } else if (!dateKey) {
+                status = 'invalid';
+                reason = 'Fecha no válida';
+            } else if (!currencyConverter.currencies.includes(currency)) {
+                status = 'invalid';
+                reason = `Moneda no soportada: ${currency}`;
+            }
+
+            const sourceId = read('id');
+            expense.id = sourceId || `imp-${this.hash(`${dateKey}|${concept.toLowerCase()}|${amount.toFixed(2)}|${currency}`)}`;
+
+            if (status === 'new' && existingIds.has(expense.id)) {
+                status = 'duplicate';
+                reason = 'Ya existe';
+            } else if (status === 'new' && seenIds.has(expense.id)) {
+                status = 'duplicate';
+                reason = 'Repetido en el fichero';
+            }
+            seenIds.add(expense.id);
+
+            return { row, expense, status, reason };
+        });
+    }
+
+    /**
+     * 💱 GASTOS LISTOS PARA GUARDAR
+     *
+     * Convierte cada gasto a la moneda del viaje con la tasa de su fecha,
+     * igual que el formulario de BudgetManager.
+     *
+     * @param {Array} candidates - Candidatos seleccionados (status 'new')
+     * @param {string} deviceId - Dispositivo que importa
+     * @returns {Promise<Array>} Gastos completos
+     */
+    async prepareExpenses(candidates, deviceId = 'local') {
+        const tripCurrency = this.getTripCurrency();
+
+        return Promise.all(candidates.map(async ({ expense }) => {
+            const conversion = await currencyConverter.convertOnDate(expense.originalAmount, expense.originalCurrency, tripCurrency, expense.date);
+            return {
+                ...expense,
+                amount: conversion.amount,
+                exchangeRate: conversion.rate,
+                rateDate: conversion.rateDate,
+                rateSource: conversion.rateSource,
+                deviceId
+            };
+        }));
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    getTripCurrency() {
+        return tripConfig.trip?.currency || 'EUR';
+    }
+
+    /**
+     * 📅 YYYY-MM-DD de una fecha ISO (o '' si no es válida)
+     */
+    toDateKey(date) {
+        if (!date) return '';
+        if (/^\d{4}-\d{2}-\d{2}/.test(date)) return date.slice(0, 10);
+        const parsed = new Date(date);
+        return isNaN(parsed) ? '' : parsed.toISOString().split('T')[0];
+    }
+
+    /**
+     * 📅 Fecha importada → YYYY-MM-DD
+     *
+     * Acepta YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY y YYYYMMDD (OFX).
+     *
+     * @private
+     */
+    parseDate(value) {
+        if (!value) return '';
+
+        let match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+        match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+        if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+        match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+        return '';
+    }
+
+    /**
+     * 🔢 Cantidad importada → número ("1.234,56", "1,234.56", "€12")
+     *
+     * @private
+     */
+    parseAmount(value) {
+        let cleaned = String(value || '').replace(/[^\d,.-]/g, '');
+        const lastComma = cleaned.lastIndexOf(',');
+        const lastDot = cleaned.lastIndexOf('.');
+
+        if (lastComma > lastDot) {
+            cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+        } else {
+            cleaned = cleaned.replace(/,/g, '');
+        }
+
+        return parseFloat(cleaned) || 0;
+    }
+
+    /**
+     * @private
+     */
+    hash(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * @private
+     */
+    escapeCSV(value) {
+        let text = String(value ?? '');
+        // Evita que Excel o Sheets interpreten la celda como fórmula
+        if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * @private
+     */
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * @private
+     */
+    unescapeXML(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Crear instancia singleton
+const expenseImportExport = new ExpenseImportExport();
+
+export default expenseImportExport;
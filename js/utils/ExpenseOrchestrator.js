@@ -5,7 +5,7 @@
  * - OptimisticUI para cambios instantáneos
  * - BatchManager para operaciones agrupadas
  * - RealtimeSync para sincronización entre dispositivos
- * - Service Worker sync para funcionalidad offline
+ * - SyncOutbox (IndexedDB + Service Worker sync) para funcionalidad offline
  * 
  * @author David Ferrer Figueroa
  * @version 4.0.0
@@ -14,15 +14,20 @@
 
 import Logger from './Logger.js';
 import OptimisticUI from './OptimisticUI.js';
+import syncOutbox, { SYNC_TAG } from './SyncOutbox.js';
+import conflictResolver from './ConflictResolver.js';
 
 export class ExpenseOrchestrator {
     constructor(budgetManager) {
         this.budgetManager = budgetManager;
-        this.firebaseManager = budgetManager.firebaseManager;
+        this.storage = budgetManager.storage;
         this.batchManager = budgetManager.batchManager;
         this.realtimeSync = budgetManager.realtimeSync;
         this.optimisticUI = budgetManager.optimisticUI;
         
+        // Los cambios sin conexión se envían con este backend
+        syncOutbox.connect(this.storage);
+        
         // Configurar notificaciones en tiempo real
         this.setupRealtimeNotifications();
         
@@ -199,10 +204,11 @@ export class ExpenseOrchestrator {
             // Flush batch operations
             await this.batchManager.forceFlush();
             
-            // Trigger service worker sync
+            // Enviar la cola sin conexión y avisar al Service Worker
+            await syncOutbox.flush();
             if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
                 const registration = await navigator.serviceWorker.ready;
-                await registration.sync.register('expense-sync');
+                await registration.sync.register(SYNC_TAG);
             }
 
             this.budgetManager.showNotification('🔄 Sincronización completada', 'success');
@@ -216,10 +222,11 @@ export class ExpenseOrchestrator {
     /**
      * 📊 ESTADÍSTICAS DE RENDIMIENTO
      */
-    getPerformanceStats() {
+    async getPerformanceStats() {
         return {
             pendingOptimisticOps: this.optimisticUI.getPendingCount(),
             pendingBatchOps: this.batchManager.getPendingCount(),
+            offlineQueue: await syncOutbox.getStats(),
             connectionStatus: this.realtimeSync.getConnectionStatus(),
             lastSync: localStorage.getItem('lastSyncTime') || 'Never'
         };
@@ -234,7 +241,7 @@ export class ExpenseOrchestrator {
      * @private
      */
     async performServerAdd(expense) {
-        if (this.firebaseManager.isConnected) {
+        if (this.storage.isConnected) {
             // Usar BatchManager para mejor rendimiento
             return await this.batchManager.addToBatch('add', expense);
         } else {
@@ -248,7 +255,7 @@ export class ExpenseOrchestrator {
      * @private
      */
     async performServerUpdate(id, updates) {
-        if (this.firebaseManager.isConnected) {
+        if (this.storage.isConnected) {
             return await this.batchManager.addToBatch('update', { id, updates });
         } else {
             return await this.addUpdateToOfflineQueue(id, updates);
@@ -260,7 +267,7 @@ export class ExpenseOrchestrator {
      * @private
      */
     async performServerDelete(id) {
-        if (this.firebaseManager.isConnected) {
+        if (this.storage.isConnected) {
             return await this.batchManager.addToBatch('delete', { id });
         } else {
             return await this.addDeleteToOfflineQueue(id);
@@ -268,27 +275,14 @@ export class ExpenseOrchestrator {
     }
 
     /**
-     * Añade operación a la cola offline
+     * Añade operación a la cola offline (SyncOutbox registra el sync del Service Worker)
      * @private
      */
     async addToOfflineQueue(expense) {
-        const offlineOp = {
-            type: 'add',
-            data: expense,
-            timestamp: Date.now(),
-            id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        };
-
-        // Guardar en IndexedDB para Service Worker
-        await this.saveToIndexedDB('pendingExpenses', offlineOp);
-        
-        // Programar sync cuando haya conexión
-        if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-            const registration = await navigator.serviceWorker.ready;
-            await registration.sync.register('expense-sync');
-        }
-
-        return offlineOp.id;
+        // El ID se fija ya para que el gasto optimista y el enviado sean el mismo
+        const expenseData = { ...expense, id: expense.id || `exp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` };
+        await syncOutbox.enqueue('add', expenseData);
+        return expenseData.id;
     }
 
     /**
@@ -296,20 +290,8 @@ export class ExpenseOrchestrator {
      * @private
      */
     async addUpdateToOfflineQueue(id, updates) {
-        const offlineOp = {
-            type: 'update',
-            data: { id, updates },
-            timestamp: Date.now(),
-            id: `offline_update_${Date.now()}`
-        };
-
-        await this.saveToIndexedDB('pendingExpenses', offlineOp);
-        
-        if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-            const registration = await navigator.serviceWorker.ready;
-            await registration.sync.register('expense-sync');
-        }
-
+        // ⚖️ Con revisión, como las ediciones con conexión (BatchManager)
+        await syncOutbox.enqueue('update', { id, updates: conflictResolver.stampExpenseUpdate(id, updates) });
         return id;
     }
 
@@ -318,51 +300,9 @@ export class ExpenseOrchestrator {
      * @private
      */
     async addDeleteToOfflineQueue(id) {
-        const offlineOp = {
-            type: 'delete',
-            data: { id },
-            timestamp: Date.now(),
-            id: `offline_delete_${Date.now()}`
-        };
-
-        await this.saveToIndexedDB('pendingExpenses', offlineOp);
-        
-        if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-            const registration = await navigator.serviceWorker.ready;
-            await registration.sync.register('expense-sync');
-        }
-
+        await syncOutbox.enqueue('delete', { id });
         return id;
     }
-
-    /**
-     * Guarda datos en IndexedDB
-     * @private
-     */
-    async saveToIndexedDB(storeName, data) {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('ViajeHimalayaDB', 1);
-            
-            request.onerror = () => reject(request.error);
-            
-            request.onsuccess = () => {
-                const db = request.result;
-                const transaction = db.transaction([storeName], 'readwrite');
-                const store = transaction.objectStore(storeName);
-                const addRequest = store.add(data);
-                
-                addRequest.onsuccess = () => resolve();
-                addRequest.onerror = () => reject(addRequest.error);
-            };
-            
-            request.onupgradeneeded = () => {
-                const db = request.result;
-                if (!db.objectStoreNames.contains(storeName)) {
-                    db.createObjectStore(storeName, { keyPath: 'id' });
-                }
-            };
-        });
-    }
 }
 
 export default ExpenseOrchestrator;
@@ -0,0 +1,426 @@
+/**
+ * 👥 EXPENSE SPLIT MANAGER
+ *
+ * Gastos compartidos del grupo: perfiles de viajeros, quién pagó cada
+ * gasto y cómo se reparte, saldo de cada persona y la lista mínima de
+ * pagos para quedar en paz.
+ *
+ * Modelo:
+ * - Gasto: `paidBy` (ID de viajero) y `split` { mode, among, weights }
+ *   · mode 'equal'  → partes iguales entre `among`
+ *   · mode 'shares' → `weights` son participaciones (p. ej. 2 y 1)
+ *   · mode 'exact'  → `weights` son importes exactos en la moneda original
+ * - Libro del grupo (por viaje): { travelers, settlements, updatedAt },
+ *   guardado en localStorage y en el backend de datos (trips/{tripId}/ledger/group)
+ *
+ * Los gastos sin `paidBy` (anteriores a esta función) no cuentan en los saldos.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const LEDGER_STORAGE_KEY = 'tripLedgerV1';
+const TRAVELER_COLORS = ['blue', 'purple', 'green', 'orange', 'pink', 'teal'];
+
+class ExpenseSplitManager {
+    constructor() {
+        this.storage = null;
+        this.unsubscribe = null;
+        this.ledger = this.loadLedger();
+
+        // 🧳 Cada viaje tiene su propio grupo
+        stateManager.subscribe('trip.activeTripId', () => this.handleTripChange());
+
+        Logger.init('👥 ExpenseSplitManager initialized');
+    }
+
+    // =================================================================
+    // 💾 PERSISTENCIA Y SINCRONIZACIÓN
+    // =================================================================
+
+    /**
+     * 📥 CARGAR LIBRO DEL VIAJE ACTIVO
+     *
+     * @private
+     */
+    loadLedger() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(tripManager.getStorageKey(LEDGER_STORAGE_KEY)) || 'null');
+            if (stored && Array.isArray(stored.travelers) && stored.travelers.length > 0) {
+                return { settlements: [], ...stored };
+            }
+        } catch (error) {
+            Logger.error('👥 Error loading group ledger:', error);
+        }
+
+        return {
+            travelers: this.createDefaultTravelers(),
+            settlements: [],
+            updatedAt: null
+        };
+    }
+
+    /**
+     * 👤 VIAJEROS POR DEFECTO según tripConfig.trip.travelers
+     *
+     * @private
+     */
+    createDefaultTravelers() {
+        const count = Math.max(1, parseInt(tripConfig.trip?.travelers) || 1);
+        return Array.from({ length: count }, (_, i) => ({
+            id: `traveler-${i + 1}`,
+            name: `Viajero ${i + 1}`,
+            color: TRAVELER_COLORS[i % TRAVELER_COLORS.length]
+        }));
+    }
+
+    /**
+     * 💾 GUARDAR LIBRO (local + backend) y notificar 'ledger.updatedAt'
+     *
+     * @private
+     */
+    saveLedger() {
+        this.ledger.updatedAt = new Date().toISOString();
+        this.persistLocal();
+        this.pushLedger();
+
+        stateManager.updateState('ledger.updatedAt', this.ledger.updatedAt);
+    }
+
+    /**
+     * @private
+     */
+    persistLocal() {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(LEDGER_STORAGE_KEY), JSON.stringify(this.ledger));
+        } catch (error) {
+            Logger.error('👥 Error saving group ledger:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    pushLedger() {
+        if (!this.storage || !this.storage.isConnected) return;
+
+        Promise.resolve(this.storage.saveLedger(this.ledger))
+            .catch(error => Logger.error('👥 Error saving group ledger:', error));
+    }
+
+    /**
+     * 🔗 CONECTAR CON EL BACKEND DE DATOS
+     *
+     * Escucha el libro remoto del viaje activo. Gana la versión con el
+     * `updatedAt` más reciente; si no hay libro remoto se sube el local.
+     *
+     * @param {Object} storage - Adaptador de almacenamiento (ver StorageAdapters)
+     */
+    async connect(storage) {
+        this.storage = storage;
+        this.disconnect();
+
+        if (!storage || !storage.isConnected) return;
+
+        this.unsubscribe = await storage.watchLedger((remoteLedger) => {
+            if (!remoteLedger || (this.ledger.updatedAt || '') > (remoteLedger.updatedAt || '')) {
+                if (this.ledger.updatedAt) {
+                    this.pushLedger();
+                }
+                return;
+            }
+
+            if (remoteLedger.updatedAt !== this.ledger.updatedAt) {
+                const { lastDeviceId, ...ledger } = remoteLedger;
+                this.ledger = { settlements: [], ...ledger };
+                this.persistLocal();
+                stateManager.updateState('ledger.updatedAt', this.ledger.updatedAt);
+                Logger.data('👥 Group ledger updated from another device');
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    disconnect() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * 🧳 CAMBIO DE VIAJE: cargar el libro del nuevo viaje
+     *
+     * BudgetManager vuelve a llamar a connect() al reconfigurar su listener.
+     *
+     * @private
+     */
+    handleTripChange() {
+        this.disconnect();
+        this.ledger = this.loadLedger();
+        stateManager.updateState('ledger.updatedAt', this.ledger.updatedAt);
+    }
+
+    // =================================================================
+    // 👤 VIAJEROS
+    // =================================================================
+
+    getTravelers() {
+        return this.ledger.travelers;
+    }
+
+    getTraveler(travelerId) {
+        return this.ledger.travelers.find(traveler => traveler.id === travelerId) || null;
+    }
+
+    getTravelerName(travelerId) {
+        const traveler = this.getTraveler(travelerId);
+        return traveler ? traveler.name : 'Desconocido';
+    }
+
+    /**
+     * ➕ AÑADIR VIAJERO
+     *
+     * @param {string} name - Nombre del viajero
+     * @returns {Object} Viajero creado
+     */
+    addTraveler(name) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('El viajero necesita un nombre');
+        }
+
+        const traveler = {
+            id: `traveler-${Date.now()}`,
+            name: trimmedName,
+            color: TRAVELER_COLORS[this.ledger.travelers.length % TRAVELER_COLORS.length]
+        };
+
+        this.ledger.travelers.push(traveler);
+        this.saveLedger();
+        return traveler;
+    }
+
+    /**
+     * ✏️ RENOMBRAR VIAJERO
+     */
+    renameTraveler(travelerId, name) {
+        const traveler = this.getTraveler(travelerId);
+        const trimmedName = (name || '').trim();
+        if (!traveler || !trimmedName) return;
+
+        traveler.name = trimmedName;
+        this.saveLedger();
+    }
+
+    /**
+     * 🗑️ ELIMINAR VIAJERO
+     *
+     * Solo si no aparece en ningún gasto ni liquidación.
+     *
+     * @param {string} travelerId - ID del viajero
+     * @param {Array} expenses - Gastos del viaje
+     */
+    removeTraveler(travelerId, expenses = []) {
+        if (this.ledger.travelers.length <= 1) {
+            throw new Error('Debe quedar al menos un viajero');
+        }
+
+        const inExpenses = expenses.some(expense =>
+            expense.paidBy === travelerId || (expense.split?.among || []).includes(travelerId)
+        );
+        const inSettlements = this.ledger.settlements.some(s => s.from === travelerId || s.to === travelerId);
+        if (inExpenses || inSettlements) {
+            throw new Error('No se puede eliminar un viajero con gastos o pagos registrados');
+        }
+
+        this.ledger.travelers = this.ledger.travelers.filter(traveler => traveler.id !== travelerId);
+        this.saveLedger();
+    }
+
+    // =================================================================
+    // ➗ REPARTO DE GASTOS
+    // =================================================================
+
+    /**
+     * ✅ VALIDAR REPARTO
+     *
+     * @param {Object} split - { mode, among, weights }
+     * @param {number} originalAmount - Importe en la moneda original
+     * @throws {Error} Si el reparto no es válido
+     */
+    validateSplit(split, originalAmount) {
+        if (!split || !Array.isArray(split.among) || split.among.length === 0) {
+            throw new Error('Elige al menos una persona para repartir el gasto');
+        }
+
+        if (split.mode === 'shares') {
+            const invalid = split.among.some(id => !(split.weights?.[id] > 0));
+            if (invalid) {
+                throw new Error('Cada persona necesita al menos una participación');
+            }
+        }
+
+        if (split.mode === 'exact') {
+            const total = split.among.reduce((sum, id) => sum + (split.weights?.[id] || 0), 0);
+            if (Math.abs(total - originalAmount) > 0.01) {
+                throw new Error(`Los importes exactos suman ${total.toFixed(2)} y el gasto es ${originalAmount.toFixed(2)}`);
+            }
+        }
+    }
+
+    /**
+     * 🧮 PARTE DE CADA PERSONA (en la moneda del viaje)
+     *
+     * Los tres modos se reducen a pesos; los céntimos sobrantes del
+     * redondeo se asignan a los primeros para que la suma sea exacta.
+     *
+     * @param {Object} expense - Gasto con `amount` y `split`
+     * @returns {Object} { travelerId: importe }
+     */
+    getShares(expense) {
+        const split = expense.split;
+        if (!split || !Array.isArray(split.among) || split.among.length === 0) {
+            return {};
+        }
+
+        const weights = split.among.map(id => split.mode === 'equal' ? 1 : (split.weights?.[id] || 0));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight <= 0) return {};
+
+        const totalCents = Math.round((expense.amount || 0) * 100);
+        const cents = weights.map(weight => Math.floor(totalCents * weight / totalWeight));
+        let remainder = totalCents - cents.reduce((sum, value) => sum + value, 0);
+        for (let i = 0; remainder > 0; i = (i + 1) % cents.length, remainder--) {
+            cents[i]++;
+        }
+
+        return split.among.reduce((shares, id, index) => {
+            shares[id] = cents[index] / 100;
+            return shares;
+        }, {});
+    }
+
+    // =================================================================
+    // ⚖️ SALDOS Y LIQUIDACIÓN
+    // =================================================================
+
+    /**
+     * ⚖️ SALDOS POR PERSONA
+     *
+     * `net` > 0: le deben dinero; `net` < 0: debe dinero.
+     *
+     * @param {Array} expenses - Gastos del viaje
+     * @returns {Object} { balances: [{ traveler, paid, owed, net }], unassigned }
+     */
+    getBalances(expenses = []) {
+        const rows = {};
+        this.ledger.travelers.forEach(traveler => {
+            rows[traveler.id] = { traveler, paid: 0, owed: 0, net: 0 };
+        });
+
+        let unassigned = 0;
+        expenses.forEach(expense => {
+            if (!expense.paidBy || !rows[expense.paidBy]) {
+                unassigned++;
+                return;
+            }
+
+            rows[expense.paidBy].paid += expense.amount || 0;
+            Object.entries(this.getShares(expense)).forEach(([id, share]) => {
+                if (rows[id]) rows[id].owed += share;
+            });
+        });
+
+        // Las liquidaciones compensan los saldos
+        this.ledger.settlements.forEach(settlement => {
+            if (rows[settlement.from]) rows[settlement.from].net += settlement.amount;
+            if (rows[settlement.to]) rows[settlement.to].net -= settlement.amount;
+        });
+
+        const balances = Object.values(rows).map(row => ({
+            ...row,
+            net: Math.round((row.net + row.paid - row.owed) * 100) / 100
+        }));
+
+        return { balances, unassigned };
+    }
+
+    /**
+     * 🤝 LISTA MÍNIMA DE PAGOS
+     *
+     * Empareja al que más debe con al que más se le debe hasta saldar.
+     *
+     * @param {Array} balances - Resultado de getBalances().balances
+     * @returns {Array} [{ from, to, amount }]
+     */
+    getSettleUpTransactions(balances) {
+        const debtors = balances.filter(b => b.net < -0.005).map(b => ({ id: b.traveler.id, amount: -b.net }));
+        const creditors = balances.filter(b => b.net > 0.005).map(b => ({ id: b.traveler.id, amount: b.net }));
+        debtors.sort((a, b) => b.amount - a.amount);
+        creditors.sort((a, b) => b.amount - a.amount);
+
+        const transactions = [];
+        let d = 0;
+        let c = 0;
+        while (d < debtors.length && c < creditors.length) {
+            const amount = Math.min(debtors[d].amount, creditors[c].amount);
+            transactions.push({ from: debtors[d].id, to: creditors[c].id, amount: Math.round(amount * 100) / 100 });
+
+            debtors[d].amount -= amount;
+            creditors[c].amount -= amount;
+            if (debtors[d].amount < 0.005) d++;
+            if (creditors[c].amount < 0.005) c++;
+        }
+
+        return transactions;
+    }
+
+    /**
+     * 💸 REGISTRAR LIQUIDACIÓN
+     *
+     * @param {Object} settlement - { from, to, amount }
+     */
+    addSettlement({ from, to, amount }) {
+        if (!this.getTraveler(from) || !this.getTraveler(to) || !(amount > 0)) {
+            throw new Error('Pago no válido');
+        }
+
+        this.ledger.settlements.push({
+            id: `settle-${Date.now()}`,
+            from,
+            to,
+            amount: Math.round(amount * 100) / 100,
+            date: new Date().toISOString()
+        });
+        this.saveLedger();
+
+        Logger.data(`👥 Settlement recorded: ${from} → ${to} (${amount})`);
+    }
+
+    /**
+     * ↩️ DESHACER LIQUIDACIÓN
+     */
+    removeSettlement(settlementId) {
+        this.ledger.settlements = this.ledger.settlements.filter(s => s.id !== settlementId);
+        this.saveLedger();
+    }
+
+    getSettlements() {
+        return this.ledger.settlements;
+    }
+}
+
+// Crear instancia singleton
+const expenseSplitManager = new ExpenseSplitManager();
+
+export { ExpenseSplitManager };
+export default expenseSplitManager;
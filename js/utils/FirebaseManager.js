@@ -19,8 +19,13 @@
  */
 
 import Logger from './Logger.js';
-import { firebaseConfig, firestoreConfig, isConfigured } from '../config/firebaseConfig.js';
+import { firebaseConfig, firestoreConfig, authConfig, isConfigured } from '../config/firebaseConfig.js';
 import stateManager from './StateManager.js';
+import tripManager, { DEFAULT_TRIP_ID } from './TripManager.js';
+import { assertRevision, isRevisionConflict } from './ConflictResolver.js';
+import syncOutbox from './SyncOutbox.js';
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
 
 export class FirebaseManager {
     /**
@@ -40,9 +45,12 @@ export class FirebaseManager {
         }
         
         this.db = null;
+        this.app = null;
+        this.auth = null;
+        this.authModule = null;
+        this.tripRole = null;
         this.isConnected = false;
         this.isOffline = false;
-        this.syncQueue = [];
         this.listeners = new Map();
         
         // Callbacks para eventos
@@ -106,6 +114,7 @@ export class FirebaseManager {
 
             // Inicializar app SIN Realtime Database
             const app = initializeApp(configOnlyFirestore);
+            this.app = app;
             
             // ✅ NUEVA API: Configurar Firestore con cache settings
             try {
@@ -131,6 +140,29 @@ export class FirebaseManager {
             // Configurar listeners de conexión
             this.setupConnectionListeners();
             
+            // 🔐 Sesión y acceso al viaje activo (sin acceso se trabaja solo en local)
+            if (authConfig.enableAuth) {
+                const user = await this.initializeAuth();
+                if (!user) {
+                    Logger.warning('No user signed in. Using localStorage only until sign-in.');
+                    return;
+                }
+                
+                // Abrir un enlace de invitación une al usuario a ese viaje y lo activa
+                await this.acceptPendingInvite();
+                
+                const role = await this.ensureTripMembership();
+                if (!role) {
+                    Logger.warning(`No access to trip ${tripManager.getActiveTripId()}. Using localStorage only.`);
+                    return;
+                }
+                
+                stateManager.subscribe('trip.activeTripId', () => this.ensureTripMembership());
+            }
+            
+            // Mover gastos de la colección raíz anterior a los viajes múltiples
+            await this.migrateLegacyExpenses();
+            
             // Migrar datos locales si existen
             await this.migrateLocalData();
             
@@ -212,9 +244,7 @@ export class FirebaseManager {
             
             await enableNetwork(this.db);
             
-            // Procesar cola de sincronización
-            await this.processSyncQueue();
-            
+            // SyncOutbox envía la cola al recibir 'online'
             if (this.onSyncStatusChanged) {
                 this.onSyncStatusChanged('online');
             }
@@ -255,7 +285,7 @@ export class FirebaseManager {
      */
     async migrateLocalData() {
         try {
-            const localExpenses = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
+            const localExpenses = JSON.parse(localStorage.getItem(this.getExpensesStorageKey()) || '[]');
             
             if (localExpenses.length > 0) {
                 
@@ -270,7 +300,7 @@ export class FirebaseManager {
                     }
                     
                     // Crear backup de datos locales
-                    localStorage.setItem('tripExpensesV1_backup', JSON.stringify(localExpenses));
+                    localStorage.setItem(`${this.getExpensesStorageKey()}_backup`, JSON.stringify(localExpenses));
                     
                     Logger.success(`Successfully migrated ${localExpenses.length} expenses to Firebase`);
                 } else {
@@ -283,6 +313,47 @@ export class FirebaseManager {
         }
     }
 
+    /**
+     * Migra la colección raíz 'expenses' (anterior al registro de viajes)
+     * a trips/{tripId}/expenses del viaje por defecto
+     * 
+     * Solo copia si la subcolección del viaje está vacía y se ejecuta
+     * una única vez por dispositivo.
+     * 
+     * @private
+     */
+    async migrateLegacyExpenses() {
+        const migrationKey = 'legacyExpensesMigratedV1';
+        if (localStorage.getItem(migrationKey)) return;
+        
+        // Las reglas solo dejan leer las colecciones anteriores a quien edita el viaje por defecto
+        if (authConfig.enableAuth && (tripManager.getActiveTripId() !== DEFAULT_TRIP_ID || !this.canWrite())) return;
+        
+        try {
+            const { collection, doc, getDocs, writeBatch } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            
+            const tripPath = tripManager.getFirestorePath(firestoreConfig.collections.expenses, DEFAULT_TRIP_ID);
+            const legacySnapshot = await getDocs(collection(this.db, firestoreConfig.collections.expenses));
+            const tripSnapshot = await getDocs(collection(this.db, ...tripPath));
+            
+            if (!legacySnapshot.empty && tripSnapshot.empty) {
+                const batch = writeBatch(this.db);
+                legacySnapshot.forEach((legacyDoc) => {
+                    batch.set(doc(this.db, ...tripPath, legacyDoc.id), legacyDoc.data());
+                });
+                await batch.commit();
+                
+                Logger.success(`Migrated ${legacySnapshot.size} legacy expenses to ${tripPath.join('/')}`);
+            }
+            
+            localStorage.setItem(migrationKey, new Date().toISOString());
+            
+        } catch (error) {
+            Logger.error('Error migrating legacy expenses collection:', error);
+        }
+    }
+
     /**
      * Añade un nuevo gasto a Firebase
      * 
@@ -294,9 +365,7 @@ export class FirebaseManager {
         if (!this.isMobile) {
         }
         
-        if (!this.isConnected) {
-            if (!this.isMobile) {
-            }
+        if (!this.isConnected || this.isOffline) {
             return this.addExpenseLocal(expense);
         }
 
@@ -317,7 +386,7 @@ export class FirebaseManager {
             if (!this.isMobile) {
             }
 
-            const docRef = await addDoc(collection(this.db, firestoreConfig.collections.expenses), expenseData);
+            const docRef = await addDoc(collection(this.db, ...this.getExpensesPath()), expenseData);
             
             if (!this.isMobile) {
                 Logger.success('🔥 Document added successfully:', docRef.id);
@@ -351,7 +420,7 @@ export class FirebaseManager {
      * @returns {Promise<boolean>} True si se actualizó correctamente
      */
     async updateExpense(expenseId, updates) {
-        if (!this.isConnected) {
+        if (!this.isConnected || this.isOffline) {
             return this.updateExpenseLocal(expenseId, updates);
         }
 
@@ -359,14 +428,14 @@ export class FirebaseManager {
             const { doc, setDoc, serverTimestamp } = 
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
 
-            const docRef = doc(this.db, firestoreConfig.collections.expenses, expenseId);
+            const docRef = doc(this.db, ...this.getExpensesPath(), expenseId);
             
             // 🚀 UPSERT SIMPLE: setDoc con merge:true
             // Si existe → actualiza solo los campos proporcionados
             // Si no existe → crea el documento completo
             
             // Obtener datos completos del localStorage por si necesitamos crear
-            const localExpenses = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
+            const localExpenses = JSON.parse(localStorage.getItem(this.getExpensesStorageKey()) || '[]');
             const localExpense = localExpenses.find(exp => exp.id === expenseId);
             
             if (!localExpense) {
@@ -377,11 +446,11 @@ export class FirebaseManager {
             // Firebase permite múltiples docs con mismo campo 'id' pero diferente docId
             
             // 1️⃣ Buscar si ya existe un documento con este ID en el campo 'id'
-            const { collection, query, where, getDocs, updateDoc } = 
+            const { collection, query, where, getDocs, runTransaction } = 
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
             
             const existingQuery = query(
-                collection(this.db, firestoreConfig.collections.expenses),
+                collection(this.db, ...this.getExpensesPath()),
                 where('id', '==', expenseId)
             );
             
@@ -397,7 +466,13 @@ export class FirebaseManager {
                     deviceId: this.getDeviceId()
                 };
 
-                await updateDoc(existingDoc.ref, updateData);
+                // ⚖️ No pisar una revisión más nueva de otro dispositivo: la revisión
+                // se comprueba y se escribe en la misma transacción
+                await runTransaction(this.db, async (transaction) => {
+                    const current = await transaction.get(existingDoc.ref);
+                    assertRevision(expenseId, current.exists() ? current.data() : null, updates, this.getDeviceId());
+                    transaction.update(existingDoc.ref, updateData);
+                });
                 Logger.success('✅ Documento existente actualizado:', existingDoc.id);
                 
             } else {
@@ -432,6 +507,11 @@ export class FirebaseManager {
             return true;
             
         } catch (error) {
+            // El conflicto lo resuelve quien llamó (ConflictResolver), no la cola
+            if (isRevisionConflict(error)) {
+                throw error;
+            }
+            
             Logger.error('Error updating expense in Firebase:', error);
             
             // Fallback a localStorage
@@ -447,7 +527,7 @@ export class FirebaseManager {
      */
     async deleteExpense(expenseId) {
         
-        if (!this.isConnected) {
+        if (!this.isConnected || this.isOffline) {
             Logger.warning('Not connected to Firebase, using local delete');
             return this.deleteExpenseLocal(expenseId);
         }
@@ -457,12 +537,12 @@ export class FirebaseManager {
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
 
             
-            // CRITICAL TEST: Verificar si existe usando string literal
-            const testDocRef = doc(this.db, 'expenses', expenseId);
+            // CRITICAL TEST: Verificar si existe en la colección del viaje activo
+            const testDocRef = doc(this.db, ...this.getExpensesPath(), expenseId);
             const testDocSnap = await getDoc(testDocRef);
             
             // ADDITIONAL TEST: Buscar documento en toda la colección
-            const testCollectionRef = collection(this.db, 'expenses');
+            const testCollectionRef = collection(this.db, ...this.getExpensesPath());
             const testCollectionSnap = await getDocs(testCollectionRef);
             // CRITICAL: Buscar el documento específico en toda la colección
             let foundDocument = false;
@@ -510,7 +590,7 @@ export class FirebaseManager {
                 Logger.success(`🎯 USING CORRECT ID: Firebase Document ID="${correctFirebaseId}" for data.id="${expenseId}"`);
                 
                 // Usar el Firebase Document ID correcto
-                const docRef = doc(this.db, firestoreConfig.collections.expenses, correctFirebaseId);
+                const docRef = doc(this.db, ...this.getExpensesPath(), correctFirebaseId);
                 const docSnap = await getDoc(docRef);
                 
                 if (!docSnap.exists()) {
@@ -566,19 +646,12 @@ export class FirebaseManager {
             const { collection, getDocs, orderBy, query } = 
                 await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
 
-            Logger.debug(`🔍 Querying Firebase collection: ${firestoreConfig.collections.expenses}`);
-            Logger.debug(`🔍 Collection name resolved to: "${firestoreConfig.collections.expenses}"`);
+            Logger.debug(`🔍 Querying Firebase collection: ${this.getExpensesPath().join('/')}`);
             Logger.debug(`🔍 Database instance:`, this.db);
             Logger.debug(`🔍 Database type:`, typeof this.db);
             
-            // CRITICAL TEST: usar string literal directamente
-            Logger.debug(`🧪 TESTING: Using literal 'expenses' collection name`);
-            let testCollectionRef = collection(this.db, 'expenses');
-            let testSnapshot = await getDocs(testCollectionRef);
-            Logger.debug(`🧪 TEST RESULT: Found ${testSnapshot.size} documents with literal 'expenses'`);
-            
             // Primero intentar consulta simple sin orderBy
-            let collectionRef = collection(this.db, firestoreConfig.collections.expenses);
+            let collectionRef = collection(this.db, ...this.getExpensesPath());
             Logger.debug(`🔍 Collection reference created`);
             
             let querySnapshot = await getDocs(collectionRef);
@@ -616,7 +689,7 @@ export class FirebaseManager {
             Logger.debug(`🔍 Expense IDs retrieved: ${expenses.map(e => e.id).join(', ')}`);
             
             // Actualizar localStorage como backup
-            localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
+            localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses));
             
             return expenses;
             
@@ -670,7 +743,7 @@ export class FirebaseManager {
                 Logger.debug('🔥 Creating Firestore query...');
             }
             const q = query(
-                collection(this.db, firestoreConfig.collections.expenses),
+                collection(this.db, ...this.getExpensesPath()),
                 orderBy('createdAt', 'desc')
             );
             
@@ -693,7 +766,7 @@ export class FirebaseManager {
                 Logger.data(`Realtime update: ${expenses.length} expenses`);
                 
                 // Actualizar localStorage como backup
-                localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
+                localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses));
                 
                 callback(expenses);
             }, (error) => {
@@ -721,16 +794,562 @@ export class FirebaseManager {
         }
     }
 
+    // ============================================================================
+    // AUTENTICACIÓN Y MIEMBROS DEL VIAJE
+    // ============================================================================
+
+    /**
+     * Inicializa Firebase Auth y recupera la sesión
+     * 
+     * Completa el inicio de sesión por enlace de email si se abrió uno y,
+     * si no hay sesión, entra como anónimo (se convierte en cuenta real al
+     * entrar después con Google o email).
+     * 
+     * @returns {Promise<Object|null>} Usuario de Firebase o null
+     * @private
+     */
+    async initializeAuth() {
+        this.authModule = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js');
+        this.auth = this.authModule.getAuth(this.app);
+        this.auth.languageCode = 'es';
+        
+        await this.auth.authStateReady();
+        await this.completeEmailLinkSignIn();
+        
+        if (!this.auth.currentUser && authConfig.providers.anonymous) {
+            await this.authModule.signInAnonymously(this.auth);
+        }
+        
+        this.authModule.onAuthStateChanged(this.auth, (user) => this.publishAuthState(user));
+        this.publishAuthState(this.auth.currentUser);
+        
+        return this.auth.currentUser;
+    }
+
+    /**
+     * Publica el usuario actual en 'auth.user'
+     * 
+     * @private
+     */
+    publishAuthState(user) {
+        stateManager.updateState('auth.user', user ? {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.displayName,
+            isAnonymous: user.isAnonymous
+        } : null);
+    }
+
+    /**
+     * Usuario con sesión iniciada
+     * 
+     * @returns {Object|null} { uid, email, displayName, isAnonymous }
+     */
+    getCurrentUser() {
+        return stateManager.getState('auth.user');
+    }
+
+    /**
+     * Entra con Google
+     * 
+     * Si la sesión actual es anónima se vincula a la cuenta de Google para
+     * conservar el mismo usuario (y sus viajes). Si esa cuenta ya existía,
+     * se entra con ella.
+     * 
+     * @returns {Promise<Object>} Usuario de Firebase
+     */
+    async signInWithGoogle() {
+        if (!this.auth) throw new Error('La autenticación no está disponible');
+        
+        const { GoogleAuthProvider, signInWithPopup, linkWithPopup, signInWithCredential } = this.authModule;
+        const provider = new GoogleAuthProvider();
+        const current = this.auth.currentUser;
+        
+        if (current && current.isAnonymous) {
+            try {
+                return (await linkWithPopup(current, provider)).user;
+            } catch (error) {
+                if (error.code !== 'auth/credential-already-in-use') throw error;
+                Logger.warning('Google account already exists, signing in with it instead of upgrading');
+                return (await signInWithCredential(this.auth, GoogleAuthProvider.credentialFromError(error))).user;
+            }
+        }
+        
+        return (await signInWithPopup(this.auth, provider)).user;
+    }
+
+    /**
+     * Envía un enlace de acceso por email (sin contraseña)
+     * 
+     * @param {string} email - Dirección del usuario
+     */
+    async sendSignInEmail(email) {
+        if (!this.auth) throw new Error('La autenticación no está disponible');
+        
+        await this.authModule.sendSignInLinkToEmail(this.auth, email, {
+            url: `${window.location.origin}${window.location.pathname}`,
+            handleCodeInApp: true
+        });
+        localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+        Logger.data(`Sign-in link sent to ${email}`);
+    }
+
+    /**
+     * Completa el acceso si la página se abrió desde el enlace del email
+     * 
+     * @private
+     */
+    async completeEmailLinkSignIn() {
+        const { isSignInWithEmailLink, signInWithEmailLink, EmailAuthProvider, linkWithCredential } = this.authModule;
+        const link = window.location.href;
+        if (!isSignInWithEmailLink(this.auth, link)) return;
+        
+        const email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Confirma tu email para entrar');
+        if (!email) return;
+        
+        try {
+            const current = this.auth.currentUser;
+            if (current && current.isAnonymous) {
+                try {
+                    await linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, link));
+                } catch (error) {
+                    if (error.code !== 'auth/email-already-in-use' && error.code !== 'auth/credential-already-in-use') throw error;
+                    await signInWithEmailLink(this.auth, email, link);
+                }
+            } else {
+                await signInWithEmailLink(this.auth, email, link);
+            }
+            Logger.success(`Signed in with email link as ${email}`);
+        } catch (error) {
+            Logger.error('Error completing email link sign-in:', error);
+        } finally {
+            localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`);
+        }
+    }
+
+    /**
+     * Cierra la sesión
+     */
+    async signOut() {
+        if (!this.auth) return;
+        await this.authModule.signOut(this.auth);
+        Logger.data('Signed out');
+    }
+
+    /**
+     * Comprueba el rol del usuario en un viaje
+     * 
+     * Un viaje que aún no existe se crea con el usuario como dueño; en los
+     * demás (también los que existen sin miembros) hay que estar invitado.
+     * Publica el rol del viaje activo en 'auth.tripRole'.
+     * 
+     * @param {string} tripId - ID del viaje (por defecto el activo)
+     * @returns {Promise<string|null>} 'owner', 'editor', 'viewer' o null sin acceso
+     */
+    async ensureTripMembership(tripId = tripManager.getActiveTripId()) {
+        const uid = this.auth?.currentUser?.uid;
+        if (!uid) return null;
+        
+        let role = null;
+        try {
+            const { doc, getDoc, setDoc } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            
+            const tripRef = doc(this.db, firestoreConfig.collections.trips, tripId);
+            const snapshot = await getDoc(tripRef);
+            
+            // Solo se reclama un viaje al crearlo: uno que ya existe necesita invitación
+            if (!snapshot.exists()) {
+                await setDoc(tripRef, {
+                    members: { [uid]: 'owner' },
+                    memberIds: [uid],
+                    memberNames: { [uid]: this.getMemberName() }
+                });
+                role = 'owner';
+                Logger.success(`Trip ${tripId} created and claimed by ${uid}`);
+            } else {
+                role = snapshot.data().members?.[uid] || null;
+            }
+        } catch (error) {
+            Logger.error(`Error checking membership of trip ${tripId}:`, error);
+        }
+        
+        if (tripId === tripManager.getActiveTripId()) {
+            this.tripRole = role;
+            stateManager.updateState('auth.tripRole', role);
+        }
+        return role;
+    }
+
+    /**
+     * Indica si el usuario puede modificar el viaje activo
+     * 
+     * @returns {boolean}
+     */
+    canWrite() {
+        return !authConfig.enableAuth || authConfig.roles.write.includes(this.tripRole);
+    }
+
+    /**
+     * Indica si el viaje activo se abrió como lector (solo consulta)
+     * 
+     * Sin acceso al viaje se sigue trabajando en local, así que solo el
+     * rol 'viewer' bloquea los formularios.
+     * 
+     * @returns {boolean}
+     */
+    isReadOnly() {
+        return authConfig.enableAuth && this.tripRole === 'viewer';
+    }
+
+    // ============================================================================
+    // INVITACIONES Y MIEMBROS DEL VIAJE
+    // ============================================================================
+
+    /**
+     * Une al usuario al viaje del enlace de invitación abierto
+     * 
+     * Los enlaces tienen la forma ?trip=<tripId>&invite=<token>. Tras unirse
+     * se importa el viaje al registro local y se activa. El resultado se
+     * publica en 'auth.invite' para mostrarlo en la tarjeta de cuenta.
+     * 
+     * @returns {Promise<string|null>} Rol obtenido o null
+     * @private
+     */
+    async acceptPendingInvite() {
+        const params = new URLSearchParams(window.location.search);
+        const tripId = params.get('trip');
+        const token = params.get('invite');
+        const uid = this.auth?.currentUser?.uid;
+        if (!tripId || !token || !uid) return null;
+        
+        try {
+            const { doc, getDoc, updateDoc, arrayUnion } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            
+            const tripRef = doc(this.db, firestoreConfig.collections.trips, tripId);
+            const inviteSnap = await getDoc(doc(tripRef, firestoreConfig.collections.invites, token));
+            if (!inviteSnap.exists() || inviteSnap.data().revoked) {
+                throw new Error('La invitación no existe o ha sido revocada');
+            }
+            
+            // Quien aún no es miembro no puede leer el viaje: se une directamente
+            const current = await getDoc(tripRef).catch(() => null);
+            let role = current?.data()?.members?.[uid];
+            
+            if (!role) {
+                role = inviteSnap.data().role;
+                await updateDoc(tripRef, {
+                    [`members.${uid}`]: role,
+                    [`memberNames.${uid}`]: this.getMemberName(),
+                    memberIds: arrayUnion(uid),
+                    joinToken: token
+                });
+                Logger.success(`Joined trip ${tripId} as ${role}`);
+            }
+            
+            const snapshot = await getDoc(tripRef);
+            tripManager.importRemoteTrip(snapshot.data());
+            tripManager.switchTrip(tripId);
+            
+            stateManager.updateState('auth.invite', { tripId, role, error: null });
+            return role;
+        } catch (error) {
+            Logger.error(`Error accepting invite to trip ${tripId}:`, error);
+            stateManager.updateState('auth.invite', { tripId, role: null, error: error.message });
+            return null;
+        } finally {
+            params.delete('trip');
+            params.delete('invite');
+            const query = params.toString();
+            window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+    }
+
+    /**
+     * Crea una invitación al viaje activo (solo el dueño)
+     * 
+     * @param {string} role - 'editor' o 'viewer'
+     * @returns {Promise<Object>} { tripId, token, role, createdAt, revoked }
+     */
+    async createInvite(role) {
+        if (!authConfig.roles.invitable.includes(role)) {
+            throw new Error(`Rol de invitación no válido: ${role}`);
+        }
+        this.assertOwner();
+        
+        const { doc, setDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        const token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        const invite = {
+            role,
+            createdBy: this.auth.currentUser.uid,
+            createdAt: new Date().toISOString(),
+            revoked: false
+        };
+        
+        await setDoc(doc(this.db, ...tripManager.getFirestorePath(firestoreConfig.collections.invites), token), invite);
+        Logger.data(`Invite created for trip ${tripManager.getActiveTripId()} (${role})`);
+        
+        return { tripId: tripManager.getActiveTripId(), token, ...invite };
+    }
+
+    /**
+     * Invitaciones del viaje activo, de la más reciente a la más antigua
+     * 
+     * @returns {Promise<Array<Object>>}
+     */
+    async getInvites() {
+        this.assertOwner();
+        
+        const { collection, getDocs } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        const snapshot = await getDocs(collection(this.db, ...tripManager.getFirestorePath(firestoreConfig.collections.invites)));
+        const tripId = tripManager.getActiveTripId();
+        
+        return snapshot.docs
+            .map(docSnap => ({ tripId, token: docSnap.id, ...docSnap.data() }))
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    }
+
+    /**
+     * Revoca una invitación: el enlace deja de servir para unirse
+     * 
+     * Quien ya se unió sigue siendo miembro hasta que se le quite.
+     * 
+     * @param {string} token - Token de la invitación
+     */
+    async revokeInvite(token) {
+        this.assertOwner();
+        
+        const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        await updateDoc(doc(this.db, ...tripManager.getFirestorePath(firestoreConfig.collections.invites), token), {
+            revoked: true,
+            revokedAt: new Date().toISOString()
+        });
+        Logger.data(`Invite ${token} revoked`);
+    }
+
+    /**
+     * Miembros del viaje activo
+     * 
+     * @returns {Promise<Array<Object>>} [{ uid, role, name, isCurrentUser }]
+     */
+    async getMembers() {
+        if (!this.auth || !this.tripRole) return [];
+        
+        const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        const snapshot = await getDoc(doc(this.db, firestoreConfig.collections.trips, tripManager.getActiveTripId()));
+        const { members = {}, memberNames = {} } = snapshot.data() || {};
+        const order = ['owner', ...authConfig.roles.invitable];
+        
+        return Object.entries(members)
+            .map(([uid, role]) => ({
+                uid,
+                role,
+                name: memberNames[uid] || null,
+                isCurrentUser: uid === this.auth.currentUser?.uid
+            }))
+            .sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role));
+    }
+
+    /**
+     * Cambia el rol de un miembro del viaje activo (solo el dueño)
+     * 
+     * @param {string} uid - Usuario
+     * @param {string} role - 'editor' o 'viewer'
+     */
+    async setMemberRole(uid, role) {
+        if (!authConfig.roles.invitable.includes(role)) {
+            throw new Error(`Rol no válido: ${role}`);
+        }
+        this.assertOwner(uid);
+        
+        const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        await updateDoc(doc(this.db, firestoreConfig.collections.trips, tripManager.getActiveTripId()), {
+            [`members.${uid}`]: role
+        });
+        Logger.data(`Member ${uid} is now ${role}`);
+    }
+
+    /**
+     * Quita a un miembro del viaje activo (solo el dueño)
+     * 
+     * @param {string} uid - Usuario
+     */
+    async removeMember(uid) {
+        this.assertOwner(uid);
+        
+        const { doc, updateDoc, deleteField, arrayRemove } = 
+            await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+        await updateDoc(doc(this.db, firestoreConfig.collections.trips, tripManager.getActiveTripId()), {
+            [`members.${uid}`]: deleteField(),
+            [`memberNames.${uid}`]: deleteField(),
+            memberIds: arrayRemove(uid)
+        });
+        Logger.data(`Member ${uid} removed from trip ${tripManager.getActiveTripId()}`);
+    }
+
+    /**
+     * Exige ser dueño del viaje activo (y no actuar sobre uno mismo)
+     * 
+     * @param {string} targetUid - Miembro afectado, si lo hay
+     * @private
+     */
+    assertOwner(targetUid = null) {
+        if (!this.auth || this.tripRole !== 'owner') {
+            throw new Error('Solo el dueño del viaje puede gestionar los miembros');
+        }
+        if (targetUid && targetUid === this.auth.currentUser?.uid) {
+            throw new Error('No puedes cambiar tu propio rol de dueño');
+        }
+    }
+
+    /**
+     * Nombre con el que el usuario aparece en la lista de miembros
+     * 
+     * @private
+     */
+    getMemberName() {
+        const user = this.auth?.currentUser;
+        if (!user) return null;
+        return user.displayName || user.email || null;
+    }
+
+    // ============================================================================
+    // LIBRO DE CUENTAS DEL GRUPO (viajeros y liquidaciones)
+    // ============================================================================
+
+    /**
+     * Guarda el libro de cuentas del grupo del viaje activo
+     * 
+     * @param {Object} ledger - { travelers, settlements, updatedAt }
+     * @returns {Promise<boolean>} True si se guardó en Firebase
+     */
+    async saveLedger(ledger) {
+        if (!this.isConnected) return false;
+
+        try {
+            const { doc, setDoc } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+
+            await setDoc(doc(this.db, ...this.getLedgerPath()), {
+                ...ledger,
+                lastDeviceId: this.getDeviceId()
+            });
+
+            Logger.data('Group ledger saved to Firebase');
+            return true;
+        } catch (error) {
+            Logger.error('Error saving group ledger to Firebase:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Configura listener en tiempo real del libro de cuentas del grupo
+     * 
+     * @param {Function} callback - Recibe el libro remoto (o null si no existe)
+     * @returns {Promise<Function>} Función para desuscribirse
+     */
+    async setupLedgerListener(callback) {
+        const listenerId = 'ledger-listener';
+
+        if (this.listeners.has(listenerId)) {
+            this.listeners.get(listenerId)();
+            this.listeners.delete(listenerId);
+        }
+
+        if (!this.isConnected) {
+            return () => {};
+        }
+
+        try {
+            const { doc, onSnapshot } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+
+            const unsubscribe = onSnapshot(doc(this.db, ...this.getLedgerPath()), (docSnapshot) => {
+                callback(docSnapshot.exists() ? docSnapshot.data() : null);
+            }, (error) => {
+                Logger.error('Ledger listener error:', error);
+            });
+
+            this.listeners.set(listenerId, unsubscribe);
+
+            return () => {
+                unsubscribe();
+                this.listeners.delete(listenerId);
+            };
+        } catch (error) {
+            Logger.error('Error setting up ledger listener:', error);
+            return () => {};
+        }
+    }
+
+    // ============================================================================
+    // FOTOS DE TICKETS (Firebase Storage)
+    // ============================================================================
+
+    /**
+     * Sube la foto de un ticket a Firebase Storage
+     * 
+     * @param {string} expenseId - ID del gasto
+     * @param {string} receiptId - ID del ticket
+     * @param {Blob} blob - Imagen comprimida (JPEG)
+     * @returns {Promise<string|null>} URL de descarga o null si no se pudo subir
+     */
+    async uploadReceipt(expenseId, receiptId, blob) {
+        if (!this.isConnected || !this.app) return null;
+
+        try {
+            const { getStorage, ref, uploadBytes, getDownloadURL } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+
+            const receiptRef = ref(getStorage(this.app), this.getReceiptStoragePath(expenseId, receiptId));
+            await uploadBytes(receiptRef, blob, { contentType: blob.type || 'image/jpeg' });
+            const url = await getDownloadURL(receiptRef);
+
+            Logger.data(`Receipt ${receiptId} uploaded to Firebase Storage`);
+            return url;
+        } catch (error) {
+            Logger.error('Error uploading receipt to Firebase Storage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Elimina la foto de un ticket de Firebase Storage
+     * 
+     * @param {string} expenseId - ID del gasto
+     * @param {string} receiptId - ID del ticket
+     * @returns {Promise<boolean>} True si se eliminó
+     */
+    async deleteReceipt(expenseId, receiptId) {
+        if (!this.isConnected || !this.app) return false;
+
+        try {
+            const { getStorage, ref, deleteObject } = 
+                await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+
+            await deleteObject(ref(getStorage(this.app), this.getReceiptStoragePath(expenseId, receiptId)));
+            Logger.data(`Receipt ${receiptId} deleted from Firebase Storage`);
+            return true;
+        } catch (error) {
+            Logger.error('Error deleting receipt from Firebase Storage:', error);
+            return false;
+        }
+    }
+
     // ============================================================================
     // MÉTODOS FALLBACK PARA LOCALSTORAGE
     // ============================================================================
 
     /**
-     * Añade gasto a localStorage (fallback)
+     * Añade gasto a localStorage (fallback) y lo encola en SyncOutbox
      * 
      * @private
      */
-    addExpenseLocal(expense) {
+    async addExpenseLocal(expense) {
         const expenses = this.getAllExpensesLocal();
         const newExpense = {
             ...expense,
@@ -739,64 +1358,54 @@ export class FirebaseManager {
             updatedAt: new Date().toISOString()
         };
         
-        expenses.unshift(newExpense);
-        localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
+        await syncOutbox.enqueue('add', newExpense);
         
-        // Añadir a cola de sincronización
-        this.addToSyncQueue('add', newExpense);
+        expenses.unshift(newExpense);
+        localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses));
         
         Logger.data('Expense added to localStorage (will sync when online)');
         return newExpense.id;
     }
 
     /**
-     * Actualiza gasto en localStorage (fallback)
+     * Actualiza gasto en localStorage (fallback) y lo encola en SyncOutbox
      * 
      * @private
      */
-    updateExpenseLocal(expenseId, updates) {
+    async updateExpenseLocal(expenseId, updates) {
+        await syncOutbox.enqueue('update', { id: expenseId, updates });
+        
         const expenses = this.getAllExpensesLocal();
         const index = expenses.findIndex(exp => exp.id === expenseId);
-        
         if (index !== -1) {
             expenses[index] = {
                 ...expenses[index],
                 ...updates,
                 updatedAt: new Date().toISOString()
             };
-            
-            localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
-            
-            // Añadir a cola de sincronización
-            this.addToSyncQueue('update', { id: expenseId, ...updates });
-            
-            Logger.data('Expense updated in localStorage (will sync when online)');
-            return true;
+            localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses));
         }
         
-        return false;
+        Logger.data('Expense updated in localStorage (will sync when online)');
+        return true;
     }
 
     /**
-     * Elimina gasto de localStorage (fallback)
+     * Elimina gasto de localStorage (fallback) y lo encola en SyncOutbox
      * 
      * @private
      */
-    deleteExpenseLocal(expenseId) {
+    async deleteExpenseLocal(expenseId) {
+        await syncOutbox.enqueue('delete', { id: expenseId });
+        
         const expenses = this.getAllExpensesLocal();
-        const filteredExpenses = expenses.filter(exp => exp.id !== expenseId);
+        localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses.filter(exp => exp.id !== expenseId)));
         
-        if (filteredExpenses.length !== expenses.length) {
-            localStorage.setItem('tripExpensesV1', JSON.stringify(filteredExpenses));
-            
-            // Añadir a cola de sincronización
-            this.addToSyncQueue('delete', { id: expenseId });
-            
-            Logger.data('Expense deleted from localStorage (will sync when online)');
-            return true;
+        Logger.data('Expense deleted from localStorage (will sync when online)');
+        if (this.onExpenseDeleted) {
+            this.onExpenseDeleted(expenseId);
         }
-        
-        return false;
+        return true;
     }
 
     /**
@@ -805,7 +1414,7 @@ export class FirebaseManager {
      * @private
      */
     getAllExpensesLocal() {
-        return JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
+        return JSON.parse(localStorage.getItem(this.getExpensesStorageKey()) || '[]');
     }
 
     // ============================================================================
@@ -813,73 +1422,56 @@ export class FirebaseManager {
     // ============================================================================
 
     /**
-     * Añade operación a la cola de sincronización
+     * Actualiza localStorage desde Firebase
      * 
      * @private
      */
-    addToSyncQueue(operation, data) {
-        this.syncQueue.push({
-            operation,
-            data,
-            timestamp: Date.now()
-        });
-        
-        // Guardar cola en localStorage
-        localStorage.setItem('firebaseSyncQueue', JSON.stringify(this.syncQueue));
+    async updateLocalStorage() {
+        try {
+            const expenses = await this.getAllExpenses();
+            localStorage.setItem(this.getExpensesStorageKey(), JSON.stringify(expenses));
+        } catch (error) {
+            Logger.error('Error updating localStorage:', error);
+        }
     }
 
     /**
-     * Procesa la cola de sincronización cuando hay conexión
+     * Clave de localStorage de los gastos del viaje activo
      * 
      * @private
      */
-    async processSyncQueue() {
-        if (this.syncQueue.length === 0) return;
-        
-        Logger.data(`Processing ${this.syncQueue.length} pending operations`);
-        
-        const processedOperations = [];
-        
-        for (const operation of this.syncQueue) {
-            try {
-                switch (operation.operation) {
-                    case 'add':
-                        await this.addExpense(operation.data, false);
-                        break;
-                    case 'update':
-                        await this.updateExpense(operation.data.id, operation.data);
-                        break;
-                    case 'delete':
-                        await this.deleteExpense(operation.data.id);
-                        break;
-                }
-                
-                processedOperations.push(operation);
-                
-            } catch (error) {
-                Logger.error('Error processing sync operation:', error);
-            }
-        }
-        
-        // Remover operaciones procesadas
-        this.syncQueue = this.syncQueue.filter(op => !processedOperations.includes(op));
-        localStorage.setItem('firebaseSyncQueue', JSON.stringify(this.syncQueue));
-        
-        Logger.success(`Processed ${processedOperations.length} sync operations`);
+    getExpensesStorageKey() {
+        return tripManager.getStorageKey('tripExpensesV1');
     }
 
     /**
-     * Actualiza localStorage desde Firebase
+     * Ruta de Firestore de los gastos del viaje activo
      * 
+     * @returns {Array<string>} Segmentos: ['trips', tripId, 'expenses']
      * @private
      */
-    async updateLocalStorage() {
-        try {
-            const expenses = await this.getAllExpenses();
-            localStorage.setItem('tripExpensesV1', JSON.stringify(expenses));
-        } catch (error) {
-            Logger.error('Error updating localStorage:', error);
-        }
+    getExpensesPath() {
+        return tripManager.getFirestorePath(firestoreConfig.collections.expenses);
+    }
+
+    /**
+     * Ruta de Firestore del libro de cuentas del grupo del viaje activo
+     * 
+     * @returns {Array<string>} Segmentos: ['trips', tripId, 'ledger', 'group']
+     * @private
+     */
+    getLedgerPath() {
+        return [...tripManager.getFirestorePath(firestoreConfig.collections.ledger), 'group'];
+    }
+
+    /**
+     * Ruta en Firebase Storage de la foto de un ticket
+     * 
+     * @returns {string} trips/{tripId}/receipts/{expenseId}/{receiptId}.jpg
+     * @private
+     */
+    getReceiptStoragePath(expenseId, receiptId) {
+        return [...tripManager.getFirestorePath(firestoreConfig.collections.receipts), expenseId, `${receiptId}.jpg`].join('/');
     }
 
     /**
@@ -954,7 +1546,6 @@ Mientras tanto, los datos se guardan solo localmente.
         return {
             isConnected: this.isConnected,
             isOffline: this.isOffline,
-            pendingSyncOperations: this.syncQueue.length,
             localExpenses: this.getAllExpensesLocal().length,
             deviceId: this.getDeviceId()
         };
@@ -0,0 +1,245 @@
+/**
+ * FlightManager - Vuelos del Viaje Activo
+ *
+ * Lectura de `tripConfig.flights` con instantes reales: cada tramo guarda
+ * su salida y llegada en ISO 8601 con el desfase del aeropuerto y la zona
+ * IANA (`departureTimeZone`, `arrivalTimeZone`). A partir de ellos calcula
+ * la duración de cada tramo, las escalas y la fecha de inicio del viaje.
+ *
+ * Los vuelos antiguos guardaban textos como '9 de Octubre 22:45' en
+ * `fromDateTime`/`toDateTime`; `migrateFlights` los convierte al modelo
+ * nuevo con la zona horaria de cada aeropuerto (airportsConfig).
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import { DateUtils } from './DateUtils.js';
+import { tripConfig } from '../config/tripConfig.js';
+import { AIRPORTS } from '../config/airportsConfig.js';
+
+export class FlightManager {
+    constructor() {
+        Logger.init('✈️ FlightManager initialized');
+    }
+
+    // =================================================================
+    // 📖 LECTURA
+    // =================================================================
+
+    /**
+     * ✈️ VUELOS CON INSTANTES REALES
+     *
+     * @returns {Array} Vuelos en el orden de tripConfig con `departureDate`,
+     *   `arrivalDate`, `durationMinutes` y sus tramos enriquecidos
+     *   ({ fromAirport, toAirport, departureDate, arrivalDate, durationMinutes, layoverMinutes })
+     */
+    getFlights() {
+        return (tripConfig.flights || []).map((flight, index) => this.describeFlight(flight, index));
+    }
+
+    /**
+     * 📅 FECHA DE INICIO DEL VIAJE SEGÚN LOS VUELOS
+     *
+     * Día (a medianoche local) en que sale el primer tramo, contado en la
+     * zona del aeropuerto de salida.
+     *
+     * @returns {Date|null} Fecha o null si el viaje no tiene vuelos
+     */
+    getTripStartDate() {
+        const first = this.getSegments()
+            .filter(segment => segment.departureDate)
+            .sort((a, b) => a.departureDate - b.departureDate)[0];
+        if (!first) return null;
+
+        const parts = DateUtils.getZonedParts(first.departureDate, first.fromAirport.timeZone);
+        return new Date(parts.year, parts.month, parts.day);
+    }
+
+    /**
+     * 🔍 VUELOS QUE SALEN UN DÍA
+     *
+     * @param {Date} date - Día (calendario local)
+     * @returns {Array} Vuelos con algún tramo que sale ese día en su aeropuerto
+     */
+    getFlightsOnDate(date) {
+        return this.getFlights().filter(flight => flight.segments.some(segment => {
+            if (!segment.departureDate) return false;
+            const parts = DateUtils.getZonedParts(segment.departureDate, segment.fromAirport.timeZone);
+            return parts.year === date.getFullYear() && parts.month === date.getMonth() && parts.day === date.getDate();
+        }));
+    }
+
+    /**
+     * 🛫 AEROPUERTO POR CÓDIGO IATA
+     *
+     * @param {string} code - Código IATA
+     * @param {string} timeZone - Zona del tramo (tiene prioridad sobre la tabla)
+     * @returns {Object} { code, name, city, country, timeZone }
+     */
+    getAirport(code, timeZone = null) {
+        const airport = AIRPORTS[code] || {};
+        return {
+            code,
+            name: airport.name || code,
+            city: airport.city || code,
+            country: airport.country || '',
+            timeZone: timeZone || airport.timeZone || 'UTC'
+        };
+    }
+
+    /**
+     * 🕐 Hora de salida o llegada de un tramo en la hora local de su aeropuerto
+     *
+     * @param {Object} segment - Tramo de getFlights()
+     * @param {string} which - 'departure' o 'arrival'
+     * @returns {string} P. ej. "9 Oct 22:45"
+     */
+    formatSegmentTime(segment, which = 'departure') {
+        return which === 'arrival'
+            ? DateUtils.formatInTimeZone(segment.arrivalDate, segment.toAirport.timeZone)
+            : DateUtils.formatInTimeZone(segment.departureDate, segment.fromAirport.timeZone);
+    }
+
+    // =================================================================
+    // 🧳 MIGRACIÓN DE DATOS ANTIGUOS
+    // =================================================================
+
+    /**
+     * 🔄 MIGRAR VUELOS
+     *
+     * Convierte los tramos con `fromDateTime`/`toDateTime` en texto al
+     * modelo con instantes ISO y zona IANA. Los tramos ya migrados o que
+     * no se pueden interpretar se dejan como están.
+     *
+     * @param {Array} flights - Vuelos de tripConfig
+     * @param {number} year - Año del viaje (los textos antiguos no lo incluyen)
+     * @returns {Array} Vuelos migrados
+     */
+    migrateFlights(flights, year) {
+        let migrated = 0;
+        const result = (flights || []).map(flight => ({
+            ...flight,
+            segments: (flight.segments || []).map(segment => {
+                const converted = this.migrateSegment(segment, year);
+                if (converted !== segment) migrated++;
+                return converted;
+            })
+        }));
+
+        if (migrated > 0) {
+            Logger.data(`✈️ ${migrated} flight segments migrated to ISO date-times`);
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    migrateSegment(segment, year) {
+        if (segment.departure || !segment.fromDateTime) return segment;
+
+        const { fromDateTime, toDateTime, layover, ...rest } = segment;
+        const departureTimeZone = this.getAirport(segment.from).timeZone;
+        const arrivalTimeZone = this.getAirport(segment.to).timeZone;
+
+        const departure = this.parseLegacyDateTime(fromDateTime, year, departureTimeZone);
+        let arrival = this.parseLegacyDateTime(toDateTime, year, arrivalTimeZone);
+        if (!departure || !arrival) {
+            Logger.warning(`✈️ Could not migrate flight segment ${segment.from} → ${segment.to}`);
+            return segment;
+        }
+
+        // Vuelo que llega al año siguiente (p. ej. sale el 31 de diciembre)
+        if (arrival < departure) {
+            arrival = this.parseLegacyDateTime(toDateTime, year + 1, arrivalTimeZone);
+        }
+
+        return {
+            ...rest,
+            departure: DateUtils.toZonedISOString(departure, departureTimeZone),
+            departureTimeZone,
+            arrival: DateUtils.toZonedISOString(arrival, arrivalTimeZone),
+            arrivalTimeZone
+        };
+    }
+
+    /**
+     * @private
+     */
+    parseLegacyDateTime(text, year, timeZone) {
+        const local = DateUtils.parseSpanishDateTime(text, year);
+        if (!local) return null;
+
+        return DateUtils.zonedTimeToDate({
+            year: local.getFullYear(),
+            month: local.getMonth(),
+            day: local.getDate(),
+            hours: local.getHours(),
+            minutes: local.getMinutes()
+        }, timeZone);
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    describeFlight(flight, index) {
+        const segments = (flight.segments || []).map(segment => {
+            const departureDate = this.toDate(segment.departure);
+            const arrivalDate = this.toDate(segment.arrival);
+            return {
+                ...segment,
+                fromAirport: this.getAirport(segment.from, segment.departureTimeZone),
+                toAirport: this.getAirport(segment.to, segment.arrivalTimeZone),
+                departureDate,
+                arrivalDate,
+                durationMinutes: departureDate && arrivalDate ? (arrivalDate - departureDate) / 60000 : null,
+                layoverMinutes: null
+            };
+        });
+
+        segments.forEach((segment, i) => {
+            const next = segments[i + 1];
+            if (next && segment.arrivalDate && next.departureDate) {
+                segment.layoverMinutes = (next.departureDate - segment.arrivalDate) / 60000;
+            }
+        });
+
+        const departureDate = segments.length > 0 ? segments[0].departureDate : null;
+        const arrivalDate = segments.length > 0 ? segments[segments.length - 1].arrivalDate : null;
+
+        return {
+            ...flight,
+            index,
+            segments,
+            departureDate,
+            arrivalDate,
+            durationMinutes: departureDate && arrivalDate ? (arrivalDate - departureDate) / 60000 : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    getSegments() {
+        return this.getFlights().flatMap(flight => flight.segments);
+    }
+
+    /**
+     * @private
+     */
+    toDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
+
+const flightManager = new FlightManager();
+export default flightManager;
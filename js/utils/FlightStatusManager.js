@@ -0,0 +1,401 @@
+/**
+ * ✈️ FLIGHT STATUS MANAGER
+ *
+ * Consulta periódicamente el estado de los tramos de vuelo próximos a un
+ * proveedor intercambiable (FlightStatusProviders) y guarda el historial
+ * de estados de cada tramo.
+ *
+ * Modelo (por viaje, en localStorage):
+ * - `history`: { segmentId: [estado normalizado + checkedAt] }, el más reciente al final
+ * - `notify`: avisos del sistema activados
+ *
+ * Cuando un tramo se retrasa, se cancela o cambia de puerta o terminal se
+ * avisa con un toast en la app y, si hay permiso, con una notificación del
+ * sistema a través del Service Worker. Sin conexión no se consulta nada y
+ * las vistas muestran el último estado conocido.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import flightManager from './FlightManager.js';
+import { DateUtils } from './DateUtils.js';
+import { deliverNotification } from './ServiceWorkerUtils.js';
+import { flightStatusConfig } from '../config/flightStatusConfig.js';
+import { FLIGHT_STATUSES, MockFlightStatusProvider, HttpFlightStatusProvider } from './FlightStatusProviders.js';
+
+const STATUS_STORAGE_KEY = 'flightStatusV1';
+const HISTORY_LIMIT = 20;
+
+class FlightStatusManager {
+    constructor() {
+        this.providers = {};
+        this.registerProvider(new MockFlightStatusProvider());
+        this.registerProvider(new HttpFlightStatusProvider(flightStatusConfig.endpoint));
+
+        this.providerName = flightStatusConfig.provider;
+        this.data = this.loadData();
+        this.pollTimer = null;
+        this.polling = false;
+        this.lastCheckedAt = null;
+        this.lastError = null;
+
+        stateManager.subscribe('trip.activeTripId', () => {
+            this.data = this.loadData();
+            this.notifyChange();
+            this.poll();
+        });
+
+        window.addEventListener('online', () => {
+            this.notifyChange();
+            this.poll();
+        });
+        window.addEventListener('offline', () => this.notifyChange());
+
+        Logger.init('✈️ FlightStatusManager initialized');
+    }
+
+    // =================================================================
+    // 🔌 PROVEEDORES
+    // =================================================================
+
+    /**
+     * Registra un proveedor (ver el contrato en FlightStatusProviders)
+     *
+     * @param {Object} provider - { name, label, getStatus(segment, now) }
+     */
+    registerProvider(provider) {
+        this.providers[provider.name] = provider;
+    }
+
+    /**
+     * Cambia el proveedor activo y consulta de nuevo
+     *
+     * @param {string|null} name - Nombre registrado o null para desactivar
+     */
+    setProvider(name) {
+        if (name && !this.providers[name]) {
+            throw new Error('Proveedor de estado de vuelos no encontrado');
+        }
+
+        this.providerName = name;
+        if (name) {
+            localStorage.setItem('flightStatusProvider', name);
+        } else {
+            localStorage.removeItem('flightStatusProvider');
+        }
+        this.poll();
+    }
+
+    getProvider() {
+        return this.providerName ? this.providers[this.providerName] || null : null;
+    }
+
+    isEnabled() {
+        return !!this.getProvider();
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // =================================================================
+    // 🔄 CONSULTA PERIÓDICA
+    // =================================================================
+
+    /**
+     * ▶️ Empezar a consultar (cada flightStatusConfig.pollInterval)
+     */
+    start() {
+        if (this.pollTimer) return;
+
+        this.pollTimer = setInterval(() => this.poll(), flightStatusConfig.pollInterval);
+        this.poll();
+    }
+
+    stop() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    /**
+     * 🔄 CONSULTAR LOS TRAMOS PRÓXIMOS
+     *
+     * @returns {Promise<number>} Tramos consultados
+     */
+    async poll() {
+        const provider = this.getProvider();
+        if (!provider || this.polling) return 0;
+
+        if (this.isOffline()) {
+            Logger.debug('✈️ Offline: keeping last known flight statuses');
+            return 0;
+        }
+
+        this.polling = true;
+        const now = stateManager.getCurrentDate();
+        let checked = 0;
+
+        try {
+            for (const segment of this.getTrackedSegments(now)) {
+                try {
+                    const status = await provider.getStatus(segment, now);
+                    this.recordStatus(segment, status, provider.name);
+                    checked++;
+                } catch (error) {
+                    this.lastError = error.message;
+                    Logger.warning(`✈️ Flight status not available for ${segment.id}:`, error);
+                }
+            }
+
+            this.lastCheckedAt = new Date().toISOString();
+            if (checked > 0) this.lastError = null;
+            this.saveData();
+        } finally {
+            this.polling = false;
+        }
+
+        return checked;
+    }
+
+    /**
+     * Tramos dentro de la ventana de consulta (24h antes de salir → 6h después de llegar)
+     *
+     * @private
+     */
+    getTrackedSegments(now) {
+        return this.getSegments().filter(segment =>
+            segment.scheduledDeparture.getTime() - flightStatusConfig.windowBefore <= now.getTime() &&
+            now.getTime() <= segment.scheduledArrival.getTime() + flightStatusConfig.windowAfter);
+    }
+
+    // =================================================================
+    // 📖 LECTURA
+    // =================================================================
+
+    /**
+     * ✈️ TRAMOS DEL VIAJE CON SU ESTADO (por hora de salida)
+     *
+     * @returns {Array} [{ id, flight, airline, flightNumber, from, to,
+     *   scheduledDeparture, scheduledArrival, fromAirport, toAirport, status }]
+     */
+    getSegments() {
+        return flightManager.getFlights().flatMap(flight => flight.segments
+            .filter(segment => segment.departureDate && segment.arrivalDate)
+            .map(segment => {
+                const id = this.getSegmentId(segment);
+                return {
+                    id,
+                    flight,
+                    airline: flight.airline,
+                    flightNumber: segment.flightNumber || null,
+                    from: segment.from,
+                    to: segment.to,
+                    scheduledDeparture: segment.departureDate,
+                    scheduledArrival: segment.arrivalDate,
+                    fromAirport: segment.fromAirport,
+                    toAirport: segment.toAirport,
+                    status: this.getSegmentStatus(id)
+                };
+            }))
+            .sort((a, b) => a.scheduledDeparture - b.scheduledDeparture);
+    }
+
+    /**
+     * Tramos que salen pronto o siguen en curso, con su estado
+     */
+    getUpcomingSegments() {
+        return this.getTrackedSegments(stateManager.getCurrentDate());
+    }
+
+    /**
+     * Identificador estable de un tramo (no depende del orden de los vuelos)
+     *
+     * @param {Object} segment - Tramo de FlightManager.getFlights()
+     */
+    getSegmentId(segment) {
+        return `${segment.from}-${segment.to}-${segment.departure}`;
+    }
+
+    /**
+     * Último estado conocido de un tramo
+     *
+     * @returns {Object|null} Estado normalizado con `checkedAt`
+     */
+    getSegmentStatus(segmentId) {
+        const history = this.data.history[segmentId];
+        return history && history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Historial de estados de un tramo (más antiguo primero)
+     */
+    getHistory(segmentId) {
+        return this.data.history[segmentId] || [];
+    }
+
+    getLastCheckedAt() {
+        return this.lastCheckedAt;
+    }
+
+    getLastError() {
+        return this.lastError;
+    }
+
+    // =================================================================
+    // 🔔 AVISOS
+    // =================================================================
+
+    isNotifyEnabled() {
+        return this.data.notify && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+    }
+
+    /**
+     * 🔔 ACTIVAR/DESACTIVAR NOTIFICACIONES DEL SISTEMA
+     *
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>} Estado final (false si se deniega el permiso)
+     */
+    async setNotifyEnabled(enabled) {
+        let granted = false;
+        if (enabled && typeof Notification !== 'undefined') {
+            granted = Notification.permission === 'granted' || await Notification.requestPermission() === 'granted';
+        }
+
+        this.data.notify = granted;
+        this.saveData();
+        return granted;
+    }
+
+    /**
+     * Guarda un estado si cambia respecto al anterior y avisa de los cambios
+     *
+     * @private
+     */
+    recordStatus(segment, status, source) {
+        const previous = this.getSegmentStatus(segment.id);
+        const entry = {
+            status: FLIGHT_STATUSES[status.status] ? status.status : 'scheduled',
+            departureDelay: Math.max(0, Math.round(status.departureDelay || 0)),
+            estimatedDeparture: status.estimatedDeparture || null,
+            estimatedArrival: status.estimatedArrival || null,
+            departureTerminal: status.departureTerminal || null,
+            departureGate: status.departureGate || null,
+            arrivalTerminal: status.arrivalTerminal || null,
+            source,
+            checkedAt: new Date().toISOString()
+        };
+
+        const fields = ['status', 'departureDelay', 'estimatedDeparture', 'departureTerminal', 'departureGate', 'arrivalTerminal'];
+        if (previous && fields.every(field => previous[field] === entry[field])) return;
+
+        const history = this.data.history[segment.id] || [];
+        history.push(entry);
+        this.data.history[segment.id] = history.slice(-HISTORY_LIMIT);
+
+        this.describeChanges(segment, previous, entry).forEach(message => this.deliver(segment, message, entry));
+    }
+
+    /**
+     * Cambios que merecen aviso
+     *
+     * @private
+     */
+    describeChanges(segment, previous, entry) {
+        const messages = [];
+        const route = `${segment.from} → ${segment.to}`;
+
+        if (entry.status === 'cancelled') {
+            if (previous?.status !== 'cancelled') messages.push(`${route} cancelado`);
+            return messages;
+        }
+
+        const threshold = flightStatusConfig.delayThreshold;
+        const previousDelay = previous?.departureDelay || 0;
+        if (entry.departureDelay >= threshold && Math.abs(entry.departureDelay - previousDelay) >= threshold) {
+            const newTime = entry.estimatedDeparture
+                ? DateUtils.formatInTimeZone(new Date(entry.estimatedDeparture), segment.fromAirport.timeZone).split(' ').pop()
+                : null;
+            messages.push(`${route} con ${DateUtils.formatDuration(entry.departureDelay)} de retraso${newTime ? `: sale a las ${newTime}` : ''}`);
+        }
+
+        if (previous?.departureGate && entry.departureGate && previous.departureGate !== entry.departureGate) {
+            messages.push(`${route}: cambio de puerta ${previous.departureGate} → ${entry.departureGate}`);
+        }
+        if (previous?.departureTerminal && entry.departureTerminal && previous.departureTerminal !== entry.departureTerminal) {
+            messages.push(`${route}: cambio de terminal ${previous.departureTerminal} → ${entry.departureTerminal}`);
+        }
+
+        return messages;
+    }
+
+    /**
+     * 📣 Toast en la app y notificación del sistema vía Service Worker
+     * @private
+     */
+    deliver(segment, message, entry) {
+        Logger.data(`✈️ ${message}`);
+
+        const cancelled = entry.status === 'cancelled';
+        deliverNotification({
+            message: `✈️ ${message}`,
+            level: cancelled ? 'error' : 'warning',
+            notify: this.isNotifyEnabled(),
+            notification: {
+                title: cancelled ? '🚨 Vuelo cancelado' : '✈️ Cambio en tu vuelo',
+                body: `${segment.flight.title} (${segment.airline}): ${message}`,
+                tag: `flight-${segment.id}`
+            }
+        });
+    }
+
+    // =================================================================
+    // 💾 PERSISTENCIA
+    // =================================================================
+
+    /**
+     * @private
+     */
+    loadData() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(tripManager.getStorageKey(STATUS_STORAGE_KEY)) || 'null');
+            if (stored && stored.history) {
+                return { notify: false, ...stored };
+            }
+        } catch (error) {
+            Logger.error('✈️ Error loading flight statuses:', error);
+        }
+
+        return { history: {}, notify: false };
+    }
+
+    /**
+     * 💾 Guardar y notificar 'flightStatus.updatedAt'
+     * @private
+     */
+    saveData() {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(STATUS_STORAGE_KEY), JSON.stringify(this.data));
+        } catch (error) {
+            Logger.error('✈️ Error saving flight statuses:', error);
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('flightStatus.updatedAt', new Date().toISOString());
+    }
+}
+
+const flightStatusManager = new FlightStatusManager();
+
+export { FlightStatusManager };
+export default flightStatusManager;
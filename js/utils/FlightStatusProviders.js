@@ -0,0 +1,146 @@
+/**
+ * FlightStatusProviders - Proveedores de Estado de Vuelos
+ *
+ * Un proveedor es cualquier objeto con `name`, `label` y
+ * `getStatus(segment, now)`, que recibe un tramo
+ * { id, airline, flightNumber, from, to, scheduledDeparture, scheduledArrival }
+ * (fechas como Date) y devuelve una promesa con el estado normalizado:
+ *
+ * {
+ *   status: 'scheduled' | 'delayed' | 'boarding' | 'departed' | 'landed' | 'cancelled',
+ *   departureDelay,       // minutos (0 si sale a su hora)
+ *   estimatedDeparture,   // ISO 8601 o null
+ *   estimatedArrival,     // ISO 8601 o null
+ *   departureTerminal, departureGate, arrivalTerminal   // texto o null
+ * }
+ *
+ * FlightStatusManager registra aquí los disponibles y usa el configurado
+ * en flightStatusConfig.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+export const FLIGHT_STATUSES = {
+    scheduled: { label: 'Programado', icon: 'schedule', color: 'slate' },
+    delayed: { label: 'Retrasado', icon: 'update', color: 'amber' },
+    boarding: { label: 'Embarcando', icon: 'airline_seat_recline_normal', color: 'blue' },
+    departed: { label: 'En vuelo', icon: 'flight', color: 'blue' },
+    landed: { label: 'Aterrizado', icon: 'flight_land', color: 'green' },
+    cancelled: { label: 'Cancelado', icon: 'cancel', color: 'red' }
+};
+
+// =================================================================
+// 🧪 PROVEEDOR SIMULADO (desarrollo)
+// =================================================================
+
+/**
+ * Estados verosímiles y estables para cada tramo: algunos se retrasan,
+ * cambian de puerta o se cancelan según un hash del tramo, y el estado
+ * avanza con la hora (embarque, en vuelo, aterrizado). Funciona con el
+ * DaySimulator porque la hora la pasa FlightStatusManager.
+ */
+export class MockFlightStatusProvider {
+    constructor() {
+        this.name = 'mock';
+        this.label = 'Simulado (desarrollo)';
+    }
+
+    async getStatus(segment, now = new Date()) {
+        const hash = this.hash(segment.id);
+        const departure = segment.scheduledDeparture.getTime();
+        const minutesToDeparture = (departure - now.getTime()) / 60000;
+
+        // Cancelación rara, conocida 12h antes
+        if (hash % 17 === 0 && minutesToDeparture < 12 * 60) {
+            return this.build(segment, { status: 'cancelled', hash });
+        }
+
+        // Retraso de 20 a 110 minutos, conocido 6h antes
+        const delay = hash % 4 === 0 && minutesToDeparture < 6 * 60 ? 20 + (hash % 10) * 10 : 0;
+        const estimatedDeparture = departure + delay * 60000;
+        const estimatedArrival = segment.scheduledArrival.getTime() + delay * 60000;
+
+        let status = delay > 0 ? 'delayed' : 'scheduled';
+        if (now.getTime() >= estimatedArrival) {
+            status = 'landed';
+        } else if (now.getTime() >= estimatedDeparture) {
+            status = 'departed';
+        } else if (estimatedDeparture - now.getTime() <= 45 * 60000) {
+            status = 'boarding';
+        }
+
+        // Cambio de puerta 3h antes de salir
+        const gateChanged = hash % 3 === 0 && minutesToDeparture < 3 * 60;
+
+        return this.build(segment, { status, delay, estimatedDeparture, estimatedArrival, hash, gateChanged });
+    }
+
+    /**
+     * @private
+     */
+    build(segment, { status, delay = 0, estimatedDeparture = null, estimatedArrival = null, hash, gateChanged = false }) {
+        const gateLetters = 'ABCDE';
+        const gate = `${gateLetters[(hash + (gateChanged ? 2 : 0)) % gateLetters.length]}${(hash % 30) + 1}`;
+
+        return {
+            status,
+            departureDelay: delay,
+            estimatedDeparture: estimatedDeparture ? new Date(estimatedDeparture).toISOString() : null,
+            estimatedArrival: estimatedArrival ? new Date(estimatedArrival).toISOString() : null,
+            departureTerminal: String((hash % 2) + 1),
+            departureGate: status === 'cancelled' ? null : gate,
+            arrivalTerminal: String((hash % 3) + 1)
+        };
+    }
+
+    /**
+     * @private
+     */
+    hash(text) {
+        let hash = 0;
+        for (const char of text) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return hash;
+    }
+}
+
+// =================================================================
+// 🌐 PROVEEDOR HTTP
+// =================================================================
+
+/**
+ * Consulta un servicio propio con
+ * GET {endpoint}?airline=&flightNumber=&from=&to=&departure=
+ * que responde con el estado normalizado en JSON.
+ */
+export class HttpFlightStatusProvider {
+    constructor(endpoint) {
+        this.name = 'http';
+        this.label = 'Servicio de estado de vuelos';
+        this.endpoint = endpoint;
+    }
+
+    async getStatus(segment) {
+        if (!this.endpoint) {
+            throw new Error('Falta la URL del servicio de estado de vuelos');
+        }
+
+        const params = new URLSearchParams({
+            airline: segment.airline || '',
+            flightNumber: segment.flightNumber || '',
+            from: segment.from,
+            to: segment.to,
+            departure: segment.scheduledDeparture.toISOString()
+        });
+
+        const response = await fetch(`${this.endpoint}?${params}`);
+        if (!response.ok) {
+            throw new Error(`Estado de vuelo no disponible (${response.status})`);
+        }
+
+        return response.json();
+    }
+}
@@ -0,0 +1,614 @@
+/**
+ * GeoDataConverter - Exportación e Importación de Lugares y Rutas (GPX, KML, GeoJSON)
+ *
+ * Exporta los lugares del itinerario, la ruta de cada día (sus rutas
+ * importadas o, si no tiene, sus lugares en orden), la ruta general del
+ * viaje y los tracks grabados como GPX, KML o GeoJSON, para abrirlos en
+ * apps de mapas, GPS o Google Earth.
+ *
+ * En sentido contrario lee waypoints, rutas y tracks de esos formatos (p. ej.
+ * la ruta de un trek que facilita un guía) y los añade a un día: los
+ * puntos como lugares del día y las líneas como `day.routes`, que se dibujan
+ * en el mapa principal y en el mapa del modal del día. Las líneas se
+ * simplifican a MAX_ROUTE_POINTS puntos para no inflar el itinerario.
+ *
+ * Modelo neutro compartido por todos los formatos:
+ * - waypoints: [{ name, description, coords: [lat, lng], ele }]
+ * - routes: [{ name, coords: [[lat, lng], ...] }]
+ * - tracks: [{ name, points: [{ lat, lng, ele, time }] }]
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import tripManager from './TripManager.js';
+import itineraryManager from './ItineraryManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const MAX_ROUTE_POINTS = 500;
+const COORD_DECIMALS = 5;
+const IMPORTED_PLACE_ICON = '📍';
+
+const FORMATS = {
+    gpx: { extension: 'gpx', mime: 'application/gpx+xml' },
+    kml: { extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+    geojson: { extension: 'geojson', mime: 'application/geo+json' }
+};
+
+export class GeoDataConverter {
+    constructor() {
+        Logger.init('🧭 GeoDataConverter initialized');
+    }
+
+    // =================================================================
+    // 📤 EXPORTACIÓN
+    // =================================================================
+
+    /**
+     * 🗂️ DATOS GEOGRÁFICOS DEL VIAJE
+     *
+     * @param {Object} options - { tracks: tracks grabados en el modelo neutro }
+     * @returns {Object} { name, waypoints, routes, tracks }
+     */
+    collectTripData({ tracks = [] } = {}) {
+        const days = itineraryManager.getDays();
+        const waypoints = [];
+        const routes = [];
+
+        days.forEach((day, index) => {
+            const label = `Día ${index + 1}: ${day.title || day.location || ''}`.trim();
+            const places = (day.places || []).filter(place => this.isValidCoords(place.coords));
+
+            places.forEach(place => {
+                waypoints.push({
+                    name: place.name,
+                    description: [label, place.description].filter(Boolean).join(' · '),
+                    coords: place.coords
+                });
+            });
+
+            if (day.routes && day.routes.length > 0) {
+                day.routes.forEach(route => routes.push({ name: `${label} · ${route.name}`, coords: route.coords }));
+            } else if (places.length > 1) {
+                routes.push({ name: label, coords: places.map(place => place.coords) });
+            }
+        });
+
+        const tripRoute = days.map(day => day.coords).filter(coords => this.isValidCoords(coords));
+        if (tripRoute.length > 1) {
+            routes.unshift({ name: 'Ruta del viaje', coords: tripRoute });
+        }
+
+        return {
+            name: tripConfig.trip?.name || 'Viaje',
+            waypoints,
+            routes,
+            tracks: tracks.filter(track => track.points && track.points.length > 0)
+        };
+    }
+
+    /**
+     * 💾 EXPORTAR Y DESCARGAR
+     *
+     * @param {string} format - 'gpx' | 'kml' | 'geojson'
+     * @param {Object} options - { tracks } (ver collectTripData)
+     * @returns {string} Nombre del fichero descargado
+     */
+    exportTrip(format, options = {}) {
+        const target = FORMATS[format];
+        if (!target) {
+            throw new Error(`Formato de exportación no soportado: ${format}`);
+        }
+
+        const data = this.collectTripData(options);
+        if (data.waypoints.length === 0 && data.routes.length === 0 && data.tracks.length === 0) {
+            throw new Error('El itinerario no tiene lugares con coordenadas');
+        }
+
+        const serializers = {
+            gpx: () => this.toGPX(data),
+            kml: () => this.toKML(data),
+            geojson: () => this.toGeoJSON(data)
+        };
+
+        const filename = `mapa-${tripManager.getActiveTripId()}-${new Date().toISOString().split('T')[0]}.${target.extension}`;
+        this.download(serializers[format](), filename, target.mime);
+
+        Logger.data(`🧭 ${data.waypoints.length} places, ${data.routes.length} routes and ${data.tracks.length} tracks exported as ${format.toUpperCase()}`);
+        return filename;
+    }
+
+    /**
+     * 🥾 EXPORTAR TRACKS GRABADOS COMO GPX
+     *
+     * @param {Array} tracks - [{ name, points }] (TrailRecorder.getTracks)
+     * @param {string} label - Sufijo del nombre de fichero (p. ej. la fecha)
+     * @returns {string} Nombre del fichero descargado
+     */
+    exportTracks(tracks, label) {
+        const data = { name: tripConfig.trip?.name || 'Viaje', waypoints: [], routes: [], tracks: tracks.filter(track => track.points.length > 0) };
+        if (data.tracks.length === 0) {
+            throw new Error('No hay recorrido grabado');
+        }
+
+        const filename = `recorrido-${tripManager.getActiveTripId()}-${label}.gpx`;
+        this.download(this.toGPX(data), filename, FORMATS.gpx.mime);
+
+        Logger.data(`🥾 ${data.tracks.length} tracks exported as GPX`);
+        return filename;
+    }
+
+    /**
+     * 🛰️ MODELO NEUTRO → GPX 1.1
+     *
+     * @param {Object} data - { name, waypoints, routes, tracks }
+     * @returns {string} Documento GPX
+     */
+    toGPX(data) {
+        const point = (tag, lat, lng, children) => `<${tag} lat="${lat}" lon="${lng}">${children.filter(Boolean).join('')}</${tag}>`;
+        const ele = value => Number.isFinite(value) ? `<ele>${value}</ele>` : null;
+        const time = value => value ? `<time>${this.escapeXML(new Date(value).toISOString())}</time>` : null;
+        const text = (tag, value) => value ? `<${tag}>${this.escapeXML(value)}</${tag}>` : null;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Viaje Himalaya" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata>${text('name', data.name)}<time>${new Date().toISOString()}</time></metadata>`,
+            ...data.waypoints.map(wpt => `  ${point('wpt', wpt.coords[0], wpt.coords[1], [ele(wpt.ele), text('name', wpt.name), text('desc', wpt.description)])}`),
+            ...data.routes.map(route => [
+                `  <rte>${text('name', route.name)}`,
+                ...route.coords.map(coords => `    ${point('rtept', coords[0], coords[1], [])}`),
+                '  </rte>'
+            ].join('\n')),
+            ...data.tracks.map(track => [
+                `  <trk>${text('name', track.name)}<trkseg>`,
+                ...track.points.map(p => `    ${point('trkpt', p.lat, p.lng, [ele(p.ele), time(p.time)])}`),
+                '  </trkseg></trk>'
+            ].join('\n')),
+            '</gpx>'
+        ];
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 🌍 MODELO NEUTRO → KML 2.2
+     *
+     * @param {Object} data - { name, waypoints, routes, tracks }
+     * @returns {string} Documento KML
+     */
+    toKML(data) {
+        const coordinate = (lat, lng, ele) => Number.isFinite(ele) ? `${lng},${lat},${ele}` : `${lng},${lat}`;
+        const placemark = (name, description, geometry, style) => [
+            '      <Placemark>',
+            `        <name>${this.escapeXML(name)}</name>`,
+            description ? `        <description>${this.escapeXML(description)}</description>` : null,
+            style ? `        <styleUrl>#${style}</styleUrl>` : null,
+            `        ${geometry}`,
+            '      </Placemark>'
+        ].filter(Boolean).join('\n');
+        const folder = (name, placemarks) => placemarks.length > 0
+            ? [`    <Folder><name>${name}</name>`, ...placemarks, '    </Folder>'].join('\n')
+            : null;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${this.escapeXML(data.name)}</name>`,
+            '    <Style id="route"><LineStyle><color>fff6823b</color><width>3</width></LineStyle></Style>',
+            '    <Style id="track"><LineStyle><color>ff2680ea</color><width>3</width></LineStyle></Style>',
+            folder('Lugares', data.waypoints.map(wpt => placemark(wpt.name, wpt.description,
+                `<Point><coordinates>${coordinate(wpt.coords[0], wpt.coords[1], wpt.ele)}</coordinates></Point>`))),
+            folder('Rutas', data.routes.map(route => placemark(route.name, null,
+                `<LineString><tessellate>1</tessellate><coordinates>${route.coords.map(c => coordinate(c[0], c[1])).join(' ')}</coordinates></LineString>`, 'route'))),
+            folder('Tracks', data.tracks.map(track => placemark(track.name, null,
+                `<LineString><tessellate>1</tessellate><coordinates>${track.points.map(p => coordinate(p.lat, p.lng, p.ele)).join(' ')}</coordinates></LineString>`, 'track'))),
+            '  </Document>',
+            '</kml>'
+        ].filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * 🗺️ MODELO NEUTRO → GeoJSON (RFC 7946)
+     *
+     * Las coordenadas van como [lng, lat(, ele)]. Las horas de los tracks
+     * se guardan en `properties.coordTimes`, como hacen otras herramientas.
+     *
+     * @param {Object} data - { name, waypoints, routes, tracks }
+     * @returns {string} FeatureCollection serializada
+     */
+    toGeoJSON(data) {
+        const position = (lat, lng, ele) => Number.isFinite(ele) ? [lng, lat, ele] : [lng, lat];
+
+        const features = [
+            ...data.waypoints.map(wpt => ({
+                type: 'Feature',
+                properties: { kind: 'place', name: wpt.name, description: wpt.description || '' },
+                geometry: { type: 'Point', coordinates: position(wpt.coords[0], wpt.coords[1], wpt.ele) }
+            })),
+            ...data.routes.map(route => ({
+                type: 'Feature',
+                properties: { kind: 'route', name: route.name },
+                geometry: { type: 'LineString', coordinates: route.coords.map(c => position(c[0], c[1])) }
+            })),
+            ...data.tracks.map(track => ({
+                type: 'Feature',
+                properties: {
+                    kind: 'track',
+                    name: track.name,
+                    coordTimes: track.points.map(p => p.time ? new Date(p.time).toISOString() : null)
+                },
+                geometry: { type: 'LineString', coordinates: track.points.map(p => position(p.lat, p.lng, p.ele)) }
+            }))
+        ];
+
+        return JSON.stringify({ type: 'FeatureCollection', name: data.name, features }, null, 2);
+    }
+
+    /**
+     * @private
+     */
+    download(content, filename, mime) {
+        const url = URL.createObjectURL(new Blob([content], { type: mime }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // =================================================================
+    // 📥 IMPORTACIÓN
+    // =================================================================
+
+    /**
+     * 📥 LEER FICHERO
+     *
+     * @param {string} text - Contenido del fichero
+     * @param {string} filename - Nombre (para deducir el formato)
+     * @returns {Object} { format, waypoints, lines: [{ name, coords }] }
+     */
+    parseFile(text, filename = '') {
+        const content = text.replace(/^\uFEFF/, '').trim();
+        const extension = filename.split('.').pop().toLowerCase();
+
+        let parsed;
+        if (extension === 'kmz') {
+            throw new Error('Los ficheros KMZ están comprimidos: descomprímelos y elige el .kml de dentro');
+        } else if (extension === 'geojson' || extension === 'json' || /^[[{]/.test(content)) {
+            parsed = { format: 'geojson', ...this.parseGeoJSON(content) };
+        } else if (extension === 'gpx' || /<gpx[\s>]/i.test(content)) {
+            parsed = { format: 'gpx', ...this.parseGPX(this.parseXML(content)) };
+        } else if (extension === 'kml' || /<kml[\s>]/i.test(content)) {
+            parsed = { format: 'kml', ...this.parseKML(this.parseXML(content)) };
+        } else {
+            throw new Error('Formato no reconocido: usa un fichero GPX, KML o GeoJSON');
+        }
+
+        parsed.lines = parsed.lines.filter(line => line.coords.length > 1);
+        if (parsed.waypoints.length === 0 && parsed.lines.length === 0) {
+            throw new Error('El fichero no contiene lugares ni rutas');
+        }
+
+        return parsed;
+    }
+
+    /**
+     * @private
+     */
+    parseXML(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('El fichero no es un XML válido');
+        }
+        return doc;
+    }
+
+    /**
+     * 🛰️ GPX → waypoints (wpt) y líneas (rte, trk)
+     *
+     * @private
+     */
+    parseGPX(doc) {
+        const toCoords = element => this.toPoint(element.getAttribute('lat'), element.getAttribute('lon'));
+
+        const waypoints = this.findAll(doc, 'wpt')
+            .map(wpt => this.toWaypoint(this.childText(wpt, 'name'), this.childText(wpt, 'desc') || this.childText(wpt, 'cmt'), toCoords(wpt)))
+            .filter(Boolean);
+
+        const routes = this.findAll(doc, 'rte').map(rte => ({
+            name: this.childText(rte, 'name'),
+            coords: this.findAll(rte, 'rtept').map(toCoords).filter(Boolean)
+        }));
+
+        // Cada segmento de un track es una línea independiente (huecos de señal)
+        const tracks = this.findAll(doc, 'trk').flatMap(trk => {
+            const segments = this.findAll(trk, 'trkseg');
+            return segments.map((segment, index) => ({
+                name: segments.length > 1 ? `${this.childText(trk, 'name') || 'Track'} (${index + 1})` : this.childText(trk, 'name'),
+                coords: this.findAll(segment, 'trkpt').map(toCoords).filter(Boolean)
+            }));
+        });
+
+        return { waypoints, lines: this.nameLines([...routes, ...tracks]) };
+    }
+
+    /**
+     * 🌍 KML → waypoints (Point) y líneas (LineString, gx:Track)
+     *
+     * Recorre las geometrías de cada Placemark, incluidas las anidadas en
+     * MultiGeometry.
+     *
+     * @private
+     */
+    parseKML(doc) {
+        const waypoints = [];
+        const lines = [];
+
+        this.findAll(doc, 'Placemark').forEach(placemark => {
+            const name = this.childText(placemark, 'name');
+            const description = this.childText(placemark, 'description');
+
+            this.findAll(placemark, 'Point').forEach(point => {
+                const [coords] = this.parseKMLCoordinates(this.childText(point, 'coordinates'));
+                const waypoint = this.toWaypoint(name, description, coords);
+                if (waypoint) waypoints.push(waypoint);
+            });
+
+            this.findAll(placemark, 'LineString').forEach(lineString => {
+                lines.push({ name, coords: this.parseKMLCoordinates(this.childText(lineString, 'coordinates')) });
+            });
+
+            this.findAll(placemark, 'Track').forEach(track => {
+                const coords = this.findAll(track, 'coord').map(coord => {
+                    const [lng, lat] = coord.textContent.trim().split(/\s+/);
+                    return this.toPoint(lat, lng);
+                });
+                lines.push({ name, coords: coords.filter(Boolean) });
+            });
+        });
+
+        return { waypoints, lines: this.nameLines(lines) };
+    }
+
+    /**
+     * @private
+     */
+    parseKMLCoordinates(text) {
+        return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+            const [lng, lat] = tuple.split(',');
+            return this.toPoint(lat, lng);
+        }).filter(Boolean);
+    }
+
+    /**
+     * 🗺️ GeoJSON → waypoints (Point, MultiPoint) y líneas (LineString, MultiLineString)
+     *
+     * Acepta FeatureCollection, Feature, geometrías sueltas y GeometryCollection.
+     *
+     * @private
+     */
+    parseGeoJSON(content) {
+        let json;
+        try {
+            json = JSON.parse(content);
+        } catch {
+            throw new Error('El fichero no es un JSON válido');
+        }
+
+        const waypoints = [];
+        const lines = [];
+        const position = coordinates => Array.isArray(coordinates) ? this.toPoint(coordinates[1], coordinates[0]) : null;
+
+        const visitGeometry = (geometry, properties = {}) => {
+            if (!geometry) return;
+            const name = properties.name || properties.title || '';
+            const description = properties.description || properties.desc || '';
+
+            switch (geometry.type) {
+                case 'Point':
+                    waypoints.push(this.toWaypoint(name, description, position(geometry.coordinates)));
+                    break;
+                case 'MultiPoint':
+                    (geometry.coordinates || []).forEach(c => waypoints.push(this.toWaypoint(name, description, position(c))));
+                    break;
+                case 'LineString':
+                    lines.push({ name, coords: (geometry.coordinates || []).map(position).filter(Boolean) });
+                    break;
+                case 'MultiLineString':
+                    (geometry.coordinates || []).forEach(part => lines.push({ name, coords: part.map(position).filter(Boolean) }));
+                    break;
+                case 'GeometryCollection':
+                    (geometry.geometries || []).forEach(child => visitGeometry(child, properties));
+                    break;
+                default:
+                    Logger.debug(`🧭 GeoJSON geometry ignored: ${geometry.type}`);
+            }
+        };
+
+        const visit = node => {
+            if (!node || typeof node !== 'object') return;
+            if (node.type === 'FeatureCollection') {
+                (node.features || []).forEach(visit);
+            } else if (node.type === 'Feature') {
+                visitGeometry(node.geometry, node.properties || {});
+            } else {
+                visitGeometry(node);
+            }
+        };
+
+        (Array.isArray(json) ? json : [json]).forEach(visit);
+
+        return { waypoints: waypoints.filter(Boolean), lines: this.nameLines(lines) };
+    }
+
+    /**
+     * 📌 AÑADIR LO IMPORTADO A UN DÍA
+     *
+     * Los puntos se añaden como lugares del día (sin repetir los que ya
+     * tienen el mismo nombre y posición) y las líneas como rutas del día.
+     *
+     * @param {string} dayId - ID del día
+     * @param {Object} parsed - Resultado de parseFile
+     * @param {string} source - Nombre del fichero de origen
+     * @returns {Object} { places, routes } Cantidades realmente añadidas
+     */
+    importToDay(dayId, parsed, source = '') {
+        const day = itineraryManager.getDay(dayId);
+        if (!day) {
+            throw new Error(`Día no encontrado: ${dayId}`);
+        }
+
+        const places = day.places || [];
+        const routes = day.routes || [];
+        const placeKeys = new Set(places.filter(place => place.coords).map(place => this.getPlaceKey(place.name, place.coords)));
+        const routeKeys = new Set(routes.map(route => this.getRouteKey(route.coords)));
+        const added = { places: 0, routes: 0 };
+
+        parsed.waypoints.forEach(waypoint => {
+            const coords = this.roundCoords(waypoint.coords);
+            const key = this.getPlaceKey(waypoint.name, coords);
+            if (placeKeys.has(key)) return;
+
+            placeKeys.add(key);
+            places.push({ name: waypoint.name, icon: IMPORTED_PLACE_ICON, description: waypoint.description, coords, source });
+            added.places++;
+        });
+
+        parsed.lines.forEach(line => {
+            const coords = this.simplify(line.coords).map(point => this.roundCoords(point));
+            const key = this.getRouteKey(coords);
+            if (routeKeys.has(key)) return;
+
+            routeKeys.add(key);
+            routes.push({ name: line.name, coords, source });
+            added.routes++;
+        });
+
+        if (added.places === 0 && added.routes === 0) {
+            return added;
+        }
+
+        itineraryManager.saveDay(dayId, { ...day, places, routes });
+        Logger.data(`🧭 Imported ${added.places} places and ${added.routes} routes into ${dayId}`);
+        return added;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * Reduce una línea a MAX_ROUTE_POINTS puntos conservando el primero y el último
+     *
+     * @private
+     */
+    simplify(coords) {
+        if (coords.length <= MAX_ROUTE_POINTS) return coords;
+
+        const step = (coords.length - 1) / (MAX_ROUTE_POINTS - 1);
+        return Array.from({ length: MAX_ROUTE_POINTS }, (_, index) => coords[Math.round(index * step)]);
+    }
+
+    /**
+     * @private
+     */
+    toPoint(lat, lng) {
+        const point = [parseFloat(lat), parseFloat(lng)];
+        return this.isValidCoords(point) ? point : null;
+    }
+
+    /**
+     * @private
+     */
+    toWaypoint(name, description, coords) {
+        if (!coords) return null;
+        return {
+            name: (name || '').trim() || `Punto ${coords[0].toFixed(4)}, ${coords[1].toFixed(4)}`,
+            description: (description || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim(),
+            coords
+        };
+    }
+
+    /**
+     * Da nombre a las líneas que no lo traen ("Ruta 1", "Ruta 2"...)
+     *
+     * @private
+     */
+    nameLines(lines) {
+        return lines.map((line, index) => ({ ...line, name: (line.name || '').trim() || `Ruta ${index + 1}` }));
+    }
+
+    /**
+     * @private
+     */
+    isValidCoords(coords) {
+        return Array.isArray(coords) && coords.length >= 2
+            && Number.isFinite(coords[0]) && Number.isFinite(coords[1])
+            && Math.abs(coords[0]) <= 90 && Math.abs(coords[1]) <= 180;
+    }
+
+    /**
+     * @private
+     */
+    roundCoords(coords) {
+        const factor = 10 ** COORD_DECIMALS;
+        return [Math.round(coords[0] * factor) / factor, Math.round(coords[1] * factor) / factor];
+    }
+
+    /**
+     * @private
+     */
+    getPlaceKey(name, coords) {
+        return `${(name || '').trim().toLowerCase()}|${coords[0].toFixed(4)},${coords[1].toFixed(4)}`;
+    }
+
+    /**
+     * @private
+     */
+    getRouteKey(coords) {
+        const first = coords[0];
+        const last = coords[coords.length - 1];
+        return `${coords.length}|${first.join(',')}|${last.join(',')}`;
+    }
+
+    /**
+     * Elementos descendientes por nombre local (ignora prefijos como gx:)
+     *
+     * @private
+     */
+    findAll(root, localName) {
+        return Array.from(root.getElementsByTagName('*')).filter(element => element.localName === localName);
+    }
+
+    /**
+     * Texto de un hijo directo (evita tomar el <name> de un punto por el de su ruta)
+     *
+     * @private
+     */
+    childText(element, localName) {
+        const child = Array.from(element.children).find(node => node.localName === localName);
+        return child ? child.textContent.trim() : '';
+    }
+
+    /**
+     * @private
+     */
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Crear instancia singleton
+const geoDataConverter = new GeoDataConverter();
+
+export default geoDataConverter;
@@ -15,6 +15,7 @@
 
 import Logger from './Logger.js';
 import { tripConfig } from '../config/tripConfig.js';
+import stateManager from './StateManager.js';
 
 export class HotelManager {
     constructor() {
@@ -26,6 +27,19 @@ export class HotelManager {
         Logger.init('🏨 HotelManager initialized');
         this.loadHotelsData();
         this.loadReservationsData();
+        
+        // 🧳 Recargar alojamientos al cambiar de viaje
+        stateManager.subscribe('trip.activeTripId', () => this.reloadTripData());
+    }
+
+    /**
+     * Recargar hoteles y reservas del viaje activo
+     */
+    reloadTripData() {
+        this.hotels.clear();
+        this.reservations.clear();
+        this.loadHotelsData();
+        this.loadReservationsData();
     }
 
     /**
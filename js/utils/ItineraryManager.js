@@ -0,0 +1,258 @@
+/**
+ * ItineraryManager - Edición del Itinerario del Viaje Activo
+ *
+ * Operaciones de edición sobre `tripConfig.itinerary`: añadir, duplicar,
+ * reordenar y eliminar días, y guardar los cambios de un día (incluidos
+ * sus lugares). Los cambios se guardan como secciones editadas del viaje
+ * en TripManager, que los persiste en localStorage y en Firestore y
+ * notifica a las vistas mediante 'trip.updatedAt'.
+ *
+ * Los IDs de los días (`day-N`) determinan su número y su fecha, por lo
+ * que se renumeran tras cada cambio de orden o de cantidad de días.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import tripManager from './TripManager.js';
+import stateManager from './StateManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+export class ItineraryManager {
+    constructor() {
+        Logger.init('🗓️ ItineraryManager initialized');
+    }
+
+    // =================================================================
+    // 📖 LECTURA
+    // =================================================================
+
+    /**
+     * 📋 OBTENER COPIA DE LOS DÍAS
+     *
+     * @returns {Array} Copia profunda del itinerario actual
+     */
+    getDays() {
+        return JSON.parse(JSON.stringify(tripConfig.itinerary || []));
+    }
+
+    /**
+     * 📅 OBTENER COPIA DE UN DÍA
+     *
+     * @param {string} dayId - ID del día
+     * @returns {Object|null} Copia del día o null si no existe
+     */
+    getDay(dayId) {
+        return this.getDays().find(day => day.id === dayId) || null;
+    }
+
+    /**
+     * 🆕 CREAR DÍA VACÍO
+     *
+     * Misma estructura que los días generados por TripManager.buildTripConfig.
+     *
+     * @param {Object} base - Día del que heredar fase y país
+     * @returns {Object} Día vacío (sin ID definitivo)
+     */
+    createEmptyDay(base = {}) {
+        return {
+            id: 'day-new',
+            phase: base.phase || '',
+            country: base.country || '',
+            location: base.location || '',
+            title: 'Nuevo día',
+            description: '',
+            places: [],
+            icon: 'event',
+            planA: '',
+            planB: ''
+        };
+    }
+
+    // =================================================================
+    // ✏️ EDICIÓN
+    // =================================================================
+
+    /**
+     * 💾 GUARDAR DÍA
+     *
+     * @param {string} dayId - ID del día
+     * @param {Object} data - Datos completos del día (lugares incluidos)
+     */
+    saveDay(dayId, data) {
+        const days = this.getDays();
+        const index = this.findIndexOrThrow(days, dayId);
+
+        if (!data.title || !data.title.trim()) {
+            throw new Error('El día necesita un título');
+        }
+
+        days[index] = { ...data, id: dayId, places: (data.places || []).filter(place => place.name && place.name.trim()) };
+        this.commit(days, `Editar "${data.title.trim()}"`);
+    }
+
+    /**
+     * ➕ AÑADIR DÍA
+     *
+     * @param {string|null} afterDayId - Día tras el que insertar (null = al final)
+     * @returns {string} ID del nuevo día
+     */
+    addDay(afterDayId = null) {
+        const days = this.getDays();
+        const index = afterDayId ? this.findIndexOrThrow(days, afterDayId) + 1 : days.length;
+        const base = days[index - 1] || days[0] || {};
+
+        days.splice(index, 0, this.createEmptyDay(base));
+        this.commit(days, 'Añadir día');
+
+        return `day-${index + 1}`;
+    }
+
+    /**
+     * 📑 DUPLICAR DÍA
+     *
+     * @param {string} dayId - ID del día a duplicar
+     * @returns {string} ID de la copia (justo después del original)
+     */
+    duplicateDay(dayId) {
+        const days = this.getDays();
+        const index = this.findIndexOrThrow(days, dayId);
+        const copy = JSON.parse(JSON.stringify(days[index]));
+        copy.title = `${copy.title} (copia)`;
+
+        days.splice(index + 1, 0, copy);
+        this.commit(days, `Duplicar "${days[index].title}"`);
+
+        return `day-${index + 2}`;
+    }
+
+    /**
+     * 🗑️ ELIMINAR DÍA
+     *
+     * @param {string} dayId - ID del día
+     */
+    deleteDay(dayId) {
+        const days = this.getDays();
+        const index = this.findIndexOrThrow(days, dayId);
+
+        if (days.length <= 1) {
+            throw new Error('El itinerario debe tener al menos un día');
+        }
+
+        const [removed] = days.splice(index, 1);
+        this.commit(days, `Eliminar "${removed.title}"`);
+    }
+
+    /**
+     * ↕️ MOVER DÍA
+     *
+     * @param {string} dayId - ID del día
+     * @param {number} offset - -1 para subir, 1 para bajar
+     * @returns {string} Nuevo ID del día tras renumerar
+     */
+    moveDay(dayId, offset) {
+        const days = this.getDays();
+        const index = this.findIndexOrThrow(days, dayId);
+        const target = index + offset;
+
+        if (target < 0 || target >= days.length) {
+            return dayId;
+        }
+
+        const [day] = days.splice(index, 1);
+        days.splice(target, 0, day);
+        this.commit(days, `Mover "${day.title}"`);
+
+        return `day-${target + 1}`;
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * @private
+     */
+    findIndexOrThrow(days, dayId) {
+        const index = days.findIndex(day => day.id === dayId);
+        if (index === -1) {
+            throw new Error(`Día ${dayId} no encontrado`);
+        }
+        return index;
+    }
+
+    /**
+     * ✅ CONFIRMAR CAMBIOS
+     *
+     * Renumera los días, ajusta duración y fecha de fin del viaje,
+     * guarda ambas secciones en el viaje activo y registra el cambio en
+     * el historial de StateManager para poder deshacerlo.
+     *
+     * @param {Array} days - Itinerario completo
+     * @param {string} label - Descripción del cambio para deshacer
+     * @private
+     */
+    commit(days, label) {
+        const before = this.getSnapshot();
+        const itinerary = days.map((day, index) => ({ ...day, id: `day-${index + 1}` }));
+
+        const start = new Date(tripConfig.trip.startDate);
+        const end = new Date(start);
+        end.setDate(start.getDate() + itinerary.length - 1);
+
+        const trip = {
+            ...tripConfig.trip,
+            duration: itinerary.length,
+            endDate: end.toISOString().split('T')[0]
+        };
+
+        tripManager.updateActiveTripSections({ itinerary, trip });
+        Logger.data(`🗓️ Itinerary saved (${itinerary.length} days)`);
+
+        // Guardar un día sin cambios no deja nada que deshacer
+        const after = this.getSnapshot();
+        if (JSON.stringify(after.sections) === JSON.stringify(before.sections)) return;
+
+        stateManager.recordCommand({
+            label,
+            undo: () => this.restoreSnapshot(before),
+            redo: () => this.restoreSnapshot(after)
+        });
+    }
+
+    /**
+     * 📸 Copia de lo que toca la edición (días, duración y fecha de fin)
+     * @private
+     */
+    getSnapshot() {
+        return {
+            tripId: tripManager.getActiveTripId(),
+            sections: JSON.parse(JSON.stringify({
+                itinerary: tripConfig.itinerary || [],
+                duration: tripConfig.trip.duration,
+                endDate: tripConfig.trip.endDate
+            }))
+        };
+    }
+
+    /**
+     * ↩️ Vuelve a una copia por el mismo camino que una edición
+     * @private
+     */
+    restoreSnapshot(snapshot) {
+        if (snapshot.tripId !== tripManager.getActiveTripId()) {
+            throw new Error('El cambio pertenece a otro viaje');
+        }
+
+        const { itinerary, duration, endDate } = snapshot.sections;
+        tripManager.updateActiveTripSections({ itinerary, trip: { ...tripConfig.trip, duration, endDate } });
+        Logger.data(`🗓️ Itinerary restored (${snapshot.sections.itinerary.length} days)`);
+    }
+}
+
+// Crear instancia singleton
+const itineraryManager = new ItineraryManager();
+
+export default itineraryManager;
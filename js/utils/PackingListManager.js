@@ -1,16 +1,37 @@
 /**
  * 🎒 PACKING LIST MANAGER
  * 
- * Gestiona la sincronización de la lista de equipaje con Firebase Firestore.
+ * Gestiona la sincronización de la lista de equipaje con el backend de datos
+ * (Firestore, IndexedDB o servidor propio, ver StorageAdapters).
  * Permite guardar y sincronizar el estado de cada item (empacado/no empacado)
  * entre dispositivos en tiempo real.
  * 
+ * Cada viajero del grupo (ExpenseSplitManager) tiene su propia lista en
+ * trips/{tripId}/packingList/{travelerId}. El equipo compartido (botiquín,
+ * adaptadores...) lo lleva una sola persona: se guarda en
+ * trips/{tripId}/packingList/shared como { key: { shared, assignee, packed } }.
+ * 
+ * Las categorías e items (con peso y cantidad) se editan como sección
+ * `packingListData` del viaje en TripManager, y se pueden guardar como
+ * plantillas del usuario en users/{uid}.packingTemplates.
+ * 
+ * Cada viajero reparte lo que lleva en bultos (facturada, cabina, mochila
+ * de día): campo `bags` { itemKey: bulto } de su documento. Con ellos
+ * WeightEstimator compara cada bulto con la franquicia de cada vuelo.
+ * 
+ * Cada item lleva un número de revisión (`revisions` { itemKey: n } en la
+ * lista del viajero, `revision` dentro de cada entrada del equipo
+ * compartido). Los cambios sin confirmar se guardan con la revisión que
+ * tenían al hacerse; si al subirlos o al llegar del backend otro
+ * dispositivo escribió una revisión más nueva con otro valor, se pregunta
+ * con el diálogo de ConflictResolver en vez de pisar uno de los dos.
+ * 
  * Funcionalidades:
- * - Sincronización automática con Firebase
- * - Fallback a localStorage si Firebase no está disponible
+ * - Sincronización automática con el backend de datos
+ * - Fallback a localStorage si el backend no está disponible
  * - Optimistic UI para mejor experiencia de usuario
  * - Real-time updates entre dispositivos
- * - Gestión de conflictos y rollback automático
+ * - Gestión de conflictos (revisión por item) y rollback automático
  * 
  * @author David Ferrer Figueroa
  * @version 3.0.0
@@ -18,61 +39,95 @@
  */
 
 import Logger from './Logger.js';
-import { firestoreConfig } from '../config/firebaseConfig.js';
-import { weightEstimator } from './WeightEstimator.js';
+import { DELETE_FIELD } from './StorageAdapters.js';
+import { weightEstimator, BAG_TYPES, DEFAULT_BAG } from './WeightEstimator.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import expenseSplitManager from './ExpenseSplitManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+import conflictResolver from './ConflictResolver.js';
+
+const LEGACY_STORAGE_KEY = 'packingListV2';
+const TRAVELER_STORAGE_KEY = 'packingTravelerV1';
+const SHARED_STORAGE_KEY = 'packingSharedV1';
+const TEMPLATES_STORAGE_KEY = 'packingTemplatesV1';
+const BAGS_STORAGE_KEY = 'packingBagsV1';
+const REVISIONS_STORAGE_KEY = 'packingRevisionsV1';
+const FLIGHT_WARNING_DAYS = 2;
+const LEGACY_DOCUMENT_ID = 'global';
+const SHARED_DOCUMENT_ID = 'shared';
 
 class PackingListManager {
     constructor() {
-        this.firebaseManager = null;
-        this.localStorageKey = 'packingListV2';
-        this.firestoreCollection = firestoreConfig.collections.packingList;
-        this.documentId = 'global';
+        this.storage = null;
         this.deviceId = this.generateDeviceId();
         this.isInitialized = false;
         this.syncInProgress = false;
-        this.firebaseSetupComplete = false;
+        this.storageSetupComplete = false;
+        
+        // Listas de los demás viajeros (la del viajero activo está en localCache)
+        this.travelerLists = {};
+        
+        // Bulto de cada item por viajero: { travelerId: { itemKey: bulto } }
+        this.bagAssignments = {};
         
         // Cache local para optimistic UI
-        this.localCache = this.loadFromLocalStorage();
+        this.migrateLegacyLocalList();
+        this.applyTraveler(this.loadTravelerId());
+        this.sharedGear = this.loadSharedGear();
+        this.templates = this.loadTemplates();
+        
+        // ⚖️ Revisión vista de cada item y cambios sin confirmar, por documento
+        // ({ documentId: { itemKey: revision } } / { documentId: { itemKey: { baseRevision, base, value } } })
+        this.loadRevisions();
+        this.resolvingDocuments = new Set();
+        
+        // 🧳 Cambiar de lista al cambiar de viaje
+        stateManager.subscribe('trip.activeTripId', () => this.handleTripChange());
+        
+        // 👥 Si se quita el viajero activo del grupo, pasar al primero
+        stateManager.subscribe('ledger.updatedAt', () => this.handleTravelersChange());
         
         if (Logger && Logger.info) Logger.info('🎒 PackingListManager initialized');
     }
 
     /**
-     * 🔧 INICIALIZACIÓN: Configurar Firebase y listeners
+     * 🔧 INICIALIZACIÓN: Configurar el backend de datos y listeners
+     * 
+     * @param {Object} storage - Adaptador de StorageAdapters
      */
-    async initialize(firebaseManager) {
+    async initialize(storage) {
         try {
-            this.firebaseManager = firebaseManager;
+            this.storage = storage;
             
-            // Configurar callback para cuando Firebase se conecte
-            if (this.firebaseManager) {
-                // Configurar el callback para detectar cuando Firebase esté listo
-                const originalCallback = this.firebaseManager.onSyncStatusChanged;
-                this.firebaseManager.onSyncStatusChanged = (status) => {
+            // Configurar callback para cuando el backend se conecte
+            if (this.storage) {
+                // Configurar el callback para detectar cuando el backend esté listo
+                const originalCallback = this.storage.onSyncStatusChanged;
+                this.storage.onSyncStatusChanged = (status) => {
                     // Llamar al callback original si existe
                     if (originalCallback) {
                         originalCallback(status);
                     }
                     
-                    // Configurar PackingList cuando Firebase esté conectado
-                    if (status === 'connected' && !this.firebaseSetupComplete) {
-                        this.setupFirebaseSync();
-                        this.firebaseSetupComplete = true;
+                    // Configurar PackingList cuando el backend esté conectado
+                    if (status === 'connected' && !this.storageSetupComplete) {
+                        this.setupStorageSync();
+                        this.storageSetupComplete = true;
 
                     }
                 };
                 
                 // Si ya está conectado, configurar inmediatamente
-                if (this.firebaseManager.isConnected) {
-                    await this.setupFirebaseSync();
-                    this.firebaseSetupComplete = true;
-                    if (Logger && Logger.success) Logger.success('🎒 PackingListManager initialized with Firebase');
+                if (this.storage.isConnected) {
+                    await this.setupStorageSync();
+                    this.storageSetupComplete = true;
+                    if (Logger && Logger.success) Logger.success(`🎒 PackingListManager initialized with ${this.storage.name} storage`);
                 } else {
-                    if (Logger && Logger.info) Logger.info('🎒 PackingListManager waiting for Firebase connection');
+                    if (Logger && Logger.info) Logger.info('🎒 PackingListManager waiting for storage connection');
                 }
             } else {
-                if (Logger && Logger.warning) Logger.warning('🎒 PackingListManager initialized without Firebase (localStorage only)');
+                if (Logger && Logger.warning) Logger.warning('🎒 PackingListManager initialized without storage (localStorage only)');
             }
             
             this.isInitialized = true;
@@ -85,102 +140,126 @@ class PackingListManager {
     }
 
     /**
-     * 🔥 FIREBASE SYNC: Configurar listeners en tiempo real
+     * 🔥 STORAGE SYNC: Configurar listeners en tiempo real
      */
-    async setupFirebaseSync() {
-        if (!this.firebaseManager) return;
+    async setupStorageSync() {
+        if (!this.storage) return;
 
         try {
-            // Importar módulos de Firebase dinámicamente
-            const { collection, doc, onSnapshot, setDoc, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            // Copiar la lista común anterior a la del primer viajero
+            await this.migrateLegacyDocument();
             
-            const db = this.firebaseManager.db;
-            const docRef = doc(db, this.firestoreCollection, this.documentId);
+            // Cargar datos iniciales del backend
+            await this.loadInitialData();
+            await this.syncTemplatesFromStorage();
             
-            // Cargar datos iniciales de Firebase
-            await this.loadInitialData(docRef);
-            
-            // Listener para cambios en tiempo real
-            this.unsubscribe = onSnapshot(docRef, (docSnapshot) => {
-                if (docSnapshot.exists() && !this.syncInProgress) {
-                    const firebaseData = docSnapshot.data();
-                    if (firebaseData.items) {
-                        this.handleFirebaseUpdate(firebaseData.items);
-                    }
-                }
-            }, (error) => {
-                Logger.error('🎒 Firebase listener error:', error);
-            });
+            // Listener para cambios en tiempo real (listas de todos los viajeros y equipo compartido)
+            this.unsubscribe = await this.storage.watchPackingLists(
+                (documentId, data) => this.handleRemoteDocument(documentId, data)
+            );
             
 
         } catch (error) {
-            if (Logger && Logger.error) Logger.error('🎒 Error setting up Firebase sync:', error);
+            if (Logger && Logger.error) Logger.error('🎒 Error setting up storage sync:', error);
+        }
+    }
+
+    /**
+     * 🧳 MIGRAR DOCUMENTO ANTERIOR: lista común → lista del primer viajero
+     * 
+     * Copia trips/{tripId}/packingList/global (o packingList/global en el
+     * viaje por defecto) cuando la lista del primer viajero aún no existe.
+     */
+    async migrateLegacyDocument() {
+        if (this.travelerId !== this.getDefaultTravelerId()) return;
+        
+        try {
+            if (await this.storage.getPackingList(this.documentId)) return;
+            
+            let legacyData = await this.storage.getPackingList(LEGACY_DOCUMENT_ID);
+            if (!legacyData && tripManager.isDefaultTrip() && this.storage.getLegacyPackingList) {
+                legacyData = await this.storage.getLegacyPackingList(LEGACY_DOCUMENT_ID);
+            }
+            
+            if (legacyData) {
+                await this.storage.savePackingList(this.documentId, legacyData);
+                if (Logger && Logger.success) Logger.success(`🎒 Legacy packing list migrated to traveler ${this.travelerId}`);
+            }
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error migrating legacy packing list:', error);
+        }
+    }
+
+    /**
+     * 🧳 TRIP CHANGE: Cargar la lista del nuevo viaje activo
+     */
+    async handleTripChange() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        this.travelerLists = {};
+        this.bagAssignments = {};
+        this.travelerId = null;
+        this.migrateLegacyLocalList();
+        this.applyTraveler(this.loadTravelerId());
+        this.sharedGear = this.loadSharedGear();
+        this.loadRevisions();
+        
+        if (this.storage && this.storage.isConnected) {
+            await this.setupStorageSync();
         }
+        
+        this.updateUI();
     }
 
     /**
-     * 📥 CARGAR DATOS: Cargar datos de Firebase para sincronización
+     * 📥 CARGAR DATOS: Cargar datos del backend para sincronización
      */
     async loadData() {
         try {
-            if (!this.firebaseManager || !this.firebaseSetupComplete) {
-                Logger.debug('🔥 Firebase not ready, returning empty data');
+            if (!this.storage || !this.storageSetupComplete) {
+                Logger.debug('🔥 Storage not ready, returning empty data');
                 return {};
             }
 
-            const { getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const docRef = this.firebaseManager.getDocumentReference(this.firestoreCollection, this.documentId);
-            const docSnap = await getDoc(docRef);
+            const data = await this.storage.getPackingList(this.documentId);
             
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                Logger.debug('🔥 Firestore data loaded:', data);
-                return data || {};
+            if (data) {
+                Logger.debug('🔥 Storage data loaded:', data);
+                return data;
             } else {
-                Logger.debug('🔥 No Firestore document found');
+                Logger.debug('🔥 No storage document found');
                 return {};
             }
         } catch (error) {
-            Logger.error('Error loading Firestore data:', error);
+            Logger.error('Error loading storage data:', error);
             return {};
         }
     }
 
     /**
-     * 📥 CARGAR DATOS INICIALES: Cargar datos de Firebase al inicializar
+     * 📥 CARGAR DATOS INICIALES: Cargar datos del backend al inicializar
      */
-    async loadInitialData(docRef) {
+    async loadInitialData() {
         try {
-            const { getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            
-            if (Logger && Logger.info) Logger.info('🎒 Loading initial data from Firebase...');
+            if (Logger && Logger.info) Logger.info('🎒 Loading initial data from storage...');
             
-            const docSnapshot = await getDoc(docRef);
-            if (docSnapshot.exists()) {
-                const firebaseData = docSnapshot.data();
-                if (Logger && Logger.info) Logger.info('🎒 Firebase document exists:', firebaseData);
-                
-                if (firebaseData.items && Object.keys(firebaseData.items).length > 0) {
-                    // FIRESTORE TIENE PRIORIDAD: Usar datos de Firebase
-                    this.localCache = firebaseData.items;
-                    this.saveToLocalStorage();
-                    if (Logger && Logger.info) Logger.info('🎒 Loaded Firebase data (Firestore priority)');
-                    this.updateUI();
-                } else {
-                    // Firebase vacío: Limpiar localStorage también
-                    if (Logger && Logger.info) Logger.info('🎒 Firebase is empty, clearing localStorage');
-                    this.localCache = {};
-                    this.saveToLocalStorage();
-                    this.updateUI();
-                }
+            const remoteData = await this.storage.getPackingList(this.documentId);
+            if (remoteData) {
+                if (Logger && Logger.info) Logger.info('🎒 Storage document exists:', remoteData);
             } else {
-                // No existe documento: Limpiar localStorage
-                if (Logger && Logger.info) Logger.info('🎒 No Firebase document found, clearing localStorage');
-                this.localCache = {};
-                this.saveToLocalStorage();
-                this.updateUI();
-                if (Logger && Logger.info) Logger.info('🎒 No local or Firebase data - starting fresh');
+                if (Logger && Logger.info) Logger.info('🎒 No storage document found - starting fresh');
             }
+            
+            // EL BACKEND TIENE PRIORIDAD, salvo los cambios de este dispositivo que aún no ha recibido
+            const { items, conflicts } = this.reconcileDocument(this.documentId, remoteData || {});
+            this.localCache = items;
+            this.saveToLocalStorage();
+            this.updateUI();
+            
+            this.pushOrResolve(this.documentId, remoteData || {}, conflicts);
         } catch (error) {
             if (Logger && Logger.error) Logger.error('🎒 Error loading initial data:', error);
         }
@@ -188,17 +267,73 @@ class PackingListManager {
 
     /**
      * 📦 TOGGLE ITEM: Cambiar estado de un item (empacado/no empacado)
+     * 
+     * El cambio queda en el historial de StateManager para poder deshacerlo.
      */
     async toggleItem(itemKey, isChecked) {
+        const wasChecked = this.getItemStatus(itemKey);
+        const success = await this.applyToggle(itemKey, isChecked);
+        
+        if (success && wasChecked !== isChecked) {
+            this.recordToggle(itemKey, wasChecked, isChecked);
+        }
+        return success;
+    }
+
+    /**
+     * ↩️ Registra un cambio de item como comando reversible
+     * 
+     * Los items propios solo se deshacen en la lista del mismo viajero.
+     * 
+     * @private
+     */
+    recordToggle(itemKey, wasChecked, isChecked) {
+        const documentId = this.isSharedItem(itemKey) ? SHARED_DOCUMENT_ID : this.documentId;
+        const name = this.findItem(itemKey)?.item || itemKey;
+        
+        const apply = async (value) => {
+            const currentDocumentId = this.isSharedItem(itemKey) ? SHARED_DOCUMENT_ID : this.documentId;
+            if (currentDocumentId !== documentId) {
+                throw new Error(`Packing list changed, cannot replay ${itemKey}`);
+            }
+            if (!await this.applyToggle(itemKey, value)) {
+                throw new Error(`Could not update packing item ${itemKey}`);
+            }
+        };
+        
+        stateManager.recordCommand({
+            label: `${isChecked ? 'Marcar' : 'Desmarcar'} "${name}"`,
+            undo: () => apply(wasChecked),
+            redo: () => apply(isChecked)
+        });
+    }
+
+    /**
+     * @private
+     */
+    async applyToggle(itemKey, isChecked) {
+        // 👀 Los lectores del viaje solo consultan la lista
+        if (this.isReadOnly()) {
+            if (Logger && Logger.warning) Logger.warning(`🎒 Read-only trip: item ${itemKey} not changed`);
+            return false;
+        }
+        
+        // 🤝 El equipo compartido tiene un único estado para todo el grupo
+        if (this.isSharedItem(itemKey)) {
+            return this.updateSharedGear(itemKey, { packed: isChecked });
+        }
+        
+        const previousPending = this.pendingEdits[this.documentId]?.[itemKey];
         try {
             // 🚀 OPTIMISTIC UPDATE: Actualizar inmediatamente
             this.localCache[itemKey] = isChecked;
             this.saveToLocalStorage();
+            this.stampItemEdit(this.documentId, itemKey, isChecked);
             
-            // 📡 FIREBASE UPDATE: Sincronizar en background
-            if (this.firebaseManager && this.firebaseManager.isConnected) {
+            // 📡 STORAGE UPDATE: Sincronizar en background
+            if (this.storage && this.storage.isConnected) {
                 this.syncInProgress = true;
-                await this.syncToFirebase();
+                await this.syncToStorage();
                 this.syncInProgress = false;
             }
             
@@ -214,6 +349,7 @@ class PackingListManager {
             // ❌ ROLLBACK: Revertir cambio optimista
             this.localCache[itemKey] = !isChecked;
             this.saveToLocalStorage();
+            this.restorePendingEdit(this.documentId, itemKey, previousPending);
             this.updateUI();
             
             return false;
@@ -222,35 +358,669 @@ class PackingListManager {
 
     /**
      * 📊 GET ITEMS: Obtener estado actual de todos los items
+     * (lista del viajero activo + equipo compartido)
      */
     getItems() {
-        return { ...this.localCache };
+        const items = { ...this.localCache };
+        this.getSharedItemKeys().forEach(key => {
+            items[key] = this.getSharedEntry(key).packed;
+        });
+        return items;
     }
 
     /**
      * 📊 GET ITEM STATUS: Obtener estado de un item específico
      */
     getItemStatus(itemKey) {
+        if (this.isSharedItem(itemKey)) {
+            return this.getSharedEntry(itemKey).packed;
+        }
         return this.localCache[itemKey] || false;
     }
 
+    // =================================================================
+    // 👥 VIAJEROS
+    // =================================================================
+
+    /**
+     * 👤 Viajero cuya lista se muestra en este dispositivo
+     */
+    getTravelerId() {
+        return this.travelerId;
+    }
+
+    /**
+     * 👤 CAMBIAR DE VIAJERO: mostrar y editar la lista de otra persona
+     * 
+     * @param {string} travelerId - ID del viajero (ExpenseSplitManager)
+     */
+    setTraveler(travelerId) {
+        if (!expenseSplitManager.getTraveler(travelerId)) {
+            throw new Error('Viajero no encontrado');
+        }
+        if (travelerId === this.travelerId) return;
+        
+        localStorage.setItem(tripManager.getStorageKey(TRAVELER_STORAGE_KEY), travelerId);
+        this.applyTraveler(travelerId);
+        this.updateUI();
+        
+        if (Logger && Logger.data) Logger.data(`🎒 Packing list switched to traveler ${travelerId}`);
+    }
+
+    /**
+     * Activa la lista de un viajero guardando en memoria la del anterior
+     * 
+     * @private
+     */
+    applyTraveler(travelerId) {
+        if (this.travelerId && this.localCache) {
+            this.travelerLists[this.travelerId] = this.localCache;
+        }
+        
+        this.travelerId = travelerId;
+        this.documentId = travelerId;
+        this.localStorageKey = this.getTravelerStorageKey(travelerId);
+        this.localCache = this.travelerLists[travelerId] || this.loadFromLocalStorage();
+        delete this.travelerLists[travelerId];
+    }
+
+    /**
+     * @private
+     */
+    handleTravelersChange() {
+        if (expenseSplitManager.getTraveler(this.travelerId)) return;
+        
+        this.applyTraveler(this.getDefaultTravelerId());
+        this.updateUI();
+    }
+
+    /**
+     * @private
+     */
+    loadTravelerId() {
+        const stored = localStorage.getItem(tripManager.getStorageKey(TRAVELER_STORAGE_KEY));
+        return expenseSplitManager.getTraveler(stored) ? stored : this.getDefaultTravelerId();
+    }
+
+    /**
+     * @private
+     */
+    getDefaultTravelerId() {
+        return expenseSplitManager.getTravelers()[0].id;
+    }
+
+    /**
+     * @private
+     */
+    getTravelerStorageKey(travelerId) {
+        return tripManager.getStorageKey(`${LEGACY_STORAGE_KEY}:${travelerId}`);
+    }
+
+    /**
+     * 📋 Items empacados de un viajero
+     */
+    getTravelerItems(travelerId) {
+        if (travelerId === this.travelerId) return this.localCache;
+        if (!this.travelerLists[travelerId]) {
+            try {
+                this.travelerLists[travelerId] = JSON.parse(localStorage.getItem(this.getTravelerStorageKey(travelerId)) || '{}');
+            } catch (error) {
+                this.travelerLists[travelerId] = {};
+            }
+        }
+        return this.travelerLists[travelerId];
+    }
+
+    /**
+     * 🧳 MIGRAR LISTA LOCAL ANTERIOR: la lista común pasa al primer viajero
+     * 
+     * @private
+     */
+    migrateLegacyLocalList() {
+        const legacyKey = tripManager.getStorageKey(LEGACY_STORAGE_KEY);
+        const targetKey = this.getTravelerStorageKey(this.getDefaultTravelerId());
+        const legacy = localStorage.getItem(legacyKey);
+        
+        if (legacy && !localStorage.getItem(targetKey)) {
+            localStorage.setItem(targetKey, legacy);
+            if (Logger && Logger.data) Logger.data('🎒 Legacy local packing list moved to the first traveler');
+        }
+    }
+
+    // =================================================================
+    // 📝 EDICIÓN DE LA LISTA
+    // =================================================================
+
+    /**
+     * 📋 CATEGORÍAS EN ORDEN
+     * 
+     * Firestore no conserva el orden de las claves de un mapa, así que el
+     * orden de las categorías se guarda aparte en `packingCategoryOrder`.
+     * 
+     * @returns {Array} [{ name, items: [{ key, item, weight, quantity, shared }] }]
+     */
+    getCategories() {
+        const data = tripConfig.packingListData || {};
+        const order = (tripConfig.packingCategoryOrder || []).filter(name => data[name]);
+        const names = [...new Set([...order, ...Object.keys(data)])];
+        
+        return names.map(name => ({ name, items: JSON.parse(JSON.stringify(data[name])) }));
+    }
+
+    /**
+     * 💾 GUARDAR LISTA: categorías e items editados del viaje activo
+     * 
+     * Se guarda como sección editada del viaje en TripManager (localStorage
+     * + backend de datos). Los items nuevos reciben una clave estable; los que ya
+     * existían conservan la suya y con ella su estado de empacado.
+     * 
+     * @param {Array} categories - [{ name, items: [{ key?, item, weight, quantity }] }]
+     */
+    saveCategories(categories) {
+        if (this.isReadOnly()) {
+            throw new Error('Solo lectura: no puedes editar la lista de este viaje');
+        }
+        
+        const normalized = this.normalizeCategories(categories);
+        tripManager.updateActiveTripSections({
+            packingListData: Object.fromEntries(normalized.map(category => [category.name, category.items])),
+            packingCategoryOrder: normalized.map(category => category.name)
+        });
+        
+        this.updateUI();
+        if (Logger && Logger.data) Logger.data(`🎒 Packing list saved: ${normalized.length} categories`);
+        return normalized;
+    }
+
+    /**
+     * ➕ AÑADIR UN ITEM a una categoría (la crea si no existe)
+     *
+     * @param {string} categoryName - Categoría de destino
+     * @param {Object} item - { item, weight, quantity, key? }
+     * @returns {Object} Item guardado (con su clave)
+     */
+    addItem(categoryName, item) {
+        const categories = this.getCategories();
+        let category = categories.find(entry => entry.name === categoryName);
+        if (!category) {
+            category = { name: categoryName, items: [] };
+            categories.push(category);
+        }
+        category.items.push({ quantity: 1, ...item });
+
+        const saved = this.saveCategories(categories).find(entry => entry.name === categoryName);
+        return saved.items[saved.items.length - 1];
+    }
+
+    /**
+     * Valida categorías e items y asigna claves a los items nuevos
+     * 
+     * @private
+     */
+    normalizeCategories(categories) {
+        const usedKeys = new Set();
+        const names = new Set();
+        
+        return categories.map(category => {
+            const name = String(category.name || '').trim();
+            if (!name) throw new Error('Todas las categorías necesitan un nombre');
+            if (names.has(name.toLowerCase())) throw new Error(`La categoría "${name}" está repetida`);
+            names.add(name.toLowerCase());
+            
+            const items = (category.items || []).map(entry => {
+                const item = String(entry.item || '').trim();
+                const weight = Number(entry.weight) || 0;
+                const quantity = Number(entry.quantity) || 1;
+                
+                if (!item) throw new Error(`Hay un item sin nombre en "${name}"`);
+                if (weight < 0) throw new Error(`El peso de "${item}" no es válido`);
+                if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`La cantidad de "${item}" no es válida`);
+                
+                let key = entry.key;
+                if (!key || usedKeys.has(key)) {
+                    const base = `${this.slugify(name)}_${this.slugify(item)}`;
+                    key = base;
+                    for (let n = 2; usedKeys.has(key); n++) key = `${base}_${n}`;
+                }
+                usedKeys.add(key);
+                
+                return { ...entry, item, weight, quantity, key };
+            });
+            
+            return { name, items };
+        });
+    }
+
+    /**
+     * @private
+     */
+    slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 30) || 'item';
+    }
+
+    // =================================================================
+    // 📑 PLANTILLAS
+    // =================================================================
+
+    /**
+     * 📑 Plantillas guardadas ("Trekking otoño", "Ciudad verano"...)
+     * 
+     * Son del usuario, no del viaje: se guardan en localStorage y en
+     * users/{uid}.packingTemplates (sin cuentas, users/{deviceId}) para
+     * usarlas en cualquier viaje.
+     * 
+     * @returns {Array} [{ id, name, categories, updatedAt }] por nombre
+     */
+    getTemplates() {
+        return Object.values(this.templates).sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+
+    getTemplate(templateId) {
+        return this.templates[templateId] || null;
+    }
+
+    /**
+     * 💾 GUARDAR PLANTILLA (sustituye a la que tenga el mismo nombre)
+     * 
+     * @param {string} name - Nombre de la plantilla
+     * @param {Array} categories - Categorías a guardar; por defecto la lista actual
+     */
+    async saveTemplate(name, categories = this.getCategories()) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) throw new Error('La plantilla necesita un nombre');
+        
+        const template = {
+            id: this.slugify(trimmedName),
+            name: trimmedName,
+            categories: this.normalizeCategories(categories),
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.templates[template.id] = template;
+        this.saveTemplates();
+        await this.syncTemplatesToStorage({ [template.id]: template });
+        
+        if (Logger && Logger.data) Logger.data(`🎒 Packing template saved: ${template.name}`);
+        return template;
+    }
+
+    /**
+     * 🗑️ ELIMINAR PLANTILLA
+     */
+    async deleteTemplate(templateId) {
+        if (!this.templates[templateId]) return;
+        
+        delete this.templates[templateId];
+        this.saveTemplates();
+        
+        await this.syncTemplatesToStorage({ [templateId]: DELETE_FIELD });
+    }
+
+    /**
+     * 📥 APLICAR PLANTILLA a la lista del viaje activo
+     */
+    applyTemplate(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template) throw new Error('Plantilla no encontrada');
+        
+        return this.saveCategories(template.categories);
+    }
+
+    /**
+     * 🔥 Sube plantillas (o DELETE_FIELD) al backend
+     * 
+     * @private
+     */
+    async syncTemplatesToStorage(changes) {
+        if (!this.storage || !this.storage.isConnected) return;
+        
+        try {
+            await this.storage.savePackingTemplates(changes);
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error syncing packing templates:', error);
+        }
+    }
+
+    /**
+     * 🔥 Descarga las plantillas del usuario (el backend tiene prioridad)
+     * 
+     * Si el usuario aún no tiene plantillas guardadas, sube las locales.
+     * 
+     * @private
+     */
+    async syncTemplatesFromStorage() {
+        if (!this.storage) return;
+        
+        try {
+            const remote = await this.storage.getPackingTemplates();
+            
+            if (remote) {
+                this.templates = remote;
+                this.saveTemplates();
+            } else if (Object.keys(this.templates).length > 0) {
+                await this.syncTemplatesToStorage(this.templates);
+            }
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error loading packing templates:', error);
+        }
+    }
+
+    // =================================================================
+    // 🤝 EQUIPO COMPARTIDO
+    // =================================================================
+
+    /**
+     * Indica si un item es equipo compartido (lo lleva una sola persona)
+     * 
+     * Por defecto lo son los items con `shared: true` en tripConfig.packingListData.
+     */
+    isSharedItem(itemKey) {
+        const entry = this.sharedGear[itemKey];
+        return entry ? entry.shared !== false : !!this.findItem(itemKey)?.shared;
+    }
+
+    /**
+     * Estado de un item compartido
+     * 
+     * @returns {Object} { shared, assignee, packed }
+     */
+    getSharedEntry(itemKey) {
+        return { shared: true, assignee: null, packed: false, ...this.sharedGear[itemKey] };
+    }
+
+    /**
+     * Claves de todos los items compartidos
+     */
+    getSharedItemKeys() {
+        const defaults = Object.values(tripConfig.packingListData || {}).flat()
+            .filter(item => item.shared)
+            .map(item => item.key);
+        
+        return [...new Set([...defaults, ...Object.keys(this.sharedGear)])]
+            .filter(key => this.isSharedItem(key));
+    }
+
+    /**
+     * Marca o desmarca un item como equipo compartido
+     */
+    async setItemShared(itemKey, shared) {
+        return this.updateSharedGear(itemKey, { shared });
+    }
+
+    /**
+     * Asigna quién lleva un item compartido
+     * 
+     * @param {string} itemKey - Item
+     * @param {string|null} travelerId - Viajero o null para dejarlo sin asignar
+     */
+    async assignSharedItem(itemKey, travelerId) {
+        if (travelerId && !expenseSplitManager.getTraveler(travelerId)) {
+            throw new Error('Viajero no encontrado');
+        }
+        return this.updateSharedGear(itemKey, { assignee: travelerId || null });
+    }
+
+    /**
+     * Aplica cambios a un item compartido (optimistic UI + backend de datos)
+     * 
+     * @private
+     */
+    async updateSharedGear(itemKey, changes) {
+        if (this.isReadOnly()) return false;
+        
+        const previous = this.sharedGear[itemKey];
+        const previousPending = this.pendingEdits[SHARED_DOCUMENT_ID]?.[itemKey];
+        try {
+            this.sharedGear[itemKey] = { ...this.getSharedEntry(itemKey), ...changes };
+            this.saveSharedGear();
+            this.stampItemEdit(SHARED_DOCUMENT_ID, itemKey, changes, previous || null);
+            
+            if (this.storage && this.storage.isConnected) {
+                await this.flushPendingEdits(SHARED_DOCUMENT_ID);
+            }
+            
+            this.updateUI();
+            return true;
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error updating shared gear:', error);
+            
+            // ❌ ROLLBACK
+            if (previous) {
+                this.sharedGear[itemKey] = previous;
+            } else {
+                delete this.sharedGear[itemKey];
+            }
+            this.saveSharedGear();
+            this.restorePendingEdit(SHARED_DOCUMENT_ID, itemKey, previousPending);
+            this.updateUI();
+            return false;
+        }
+    }
+
+    /**
+     * 🧮 ITEMS QUE LLEVA UN VIAJERO
+     * 
+     * Sus items personales empacados más el equipo compartido que tiene asignado.
+     * 
+     * @returns {Object} { itemKey: true }
+     */
+    getCarriedItems(travelerId) {
+        const carried = {};
+        
+        Object.entries(this.getTravelerItems(travelerId)).forEach(([key, packed]) => {
+            if (packed && this.findItem(key) && !this.isSharedItem(key)) carried[key] = true;
+        });
+        this.getSharedItemKeys().forEach(key => {
+            if (this.getSharedEntry(key).assignee === travelerId) carried[key] = true;
+        });
+        
+        return carried;
+    }
+
+    /**
+     * 📋 QUIÉN LLEVA QUÉ: items y peso de cada viajero
+     * 
+     * @returns {Object} { travelers: [{ traveler, items, weight }], unassigned: [items] }
+     */
+    getCarrySummary() {
+        const describe = (key) => ({
+            key,
+            name: this.findItem(key)?.item || key,
+            weight: weightEstimator.getItemWeight(key),
+            shared: this.isSharedItem(key)
+        });
+        
+        return {
+            travelers: expenseSplitManager.getTravelers().map(traveler => {
+                const carried = this.getCarriedItems(traveler.id);
+                return {
+                    traveler,
+                    items: Object.keys(carried).map(describe),
+                    weight: weightEstimator.calculateTotalWeight(carried)
+                };
+            }),
+            unassigned: this.getSharedItemKeys()
+                .filter(key => !this.getSharedEntry(key).assignee)
+                .map(describe)
+        };
+    }
+
+    // =================================================================
+    // 🧳 BULTOS Y FRANQUICIAS DE VUELO
+    // =================================================================
+
+    /**
+     * Bulto en el que va un item (facturada, cabina o mochila de día)
+     * 
+     * El equipo compartido va en los bultos de quien lo lleva.
+     * 
+     * @param {string} itemKey - Item
+     * @param {string} travelerId - Viajero (por defecto quien lleva el item)
+     */
+    getItemBag(itemKey, travelerId = this.getItemCarrierId(itemKey)) {
+        if (!travelerId) return DEFAULT_BAG;
+        return this.getTravelerBags(travelerId)[itemKey] || DEFAULT_BAG;
+    }
+
+    /**
+     * Cambia el bulto de un item (optimistic UI + backend de datos)
+     * 
+     * @param {string} itemKey - Item
+     * @param {string} bag - checked, carryOn o daypack
+     */
+    async setItemBag(itemKey, bag) {
+        if (this.isReadOnly()) return false;
+        if (!BAG_TYPES[bag]) {
+            throw new Error('Bulto no válido');
+        }
+        
+        const travelerId = this.getItemCarrierId(itemKey);
+        if (!travelerId) {
+            throw new Error('Asigna primero quién lleva este item');
+        }
+        
+        const bags = this.getTravelerBags(travelerId);
+        const previous = bags[itemKey];
+        try {
+            bags[itemKey] = bag;
+            this.saveTravelerBags(travelerId);
+            
+            if (this.storage && this.storage.isConnected) {
+                await this.storage.savePackingList(travelerId, { bags }, { merge: true });
+            }
+            
+            this.updateUI();
+            return true;
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error updating item bag:', error);
+            
+            // ❌ ROLLBACK
+            if (previous) {
+                bags[itemKey] = previous;
+            } else {
+                delete bags[itemKey];
+            }
+            this.saveTravelerBags(travelerId);
+            this.updateUI();
+            return false;
+        }
+    }
+
+    /**
+     * ✈️ EQUIPAJE DE UN VIAJERO: peso por bulto y comprobación en cada vuelo
+     * 
+     * @returns {Object} { bags, flights: [{ ...vuelo, checks, exceeded }] }
+     */
+    getBaggageReport(travelerId = this.travelerId) {
+        const bags = weightEstimator.calculateBagWeights(
+            this.getCarriedItems(travelerId),
+            itemKey => this.getItemBag(itemKey, travelerId)
+        );
+        
+        return {
+            bags,
+            flights: weightEstimator.getFlights().map(flight => {
+                const checks = weightEstimator.checkFlightBaggage(bags, flight);
+                return { ...flight, checks, exceeded: checks.filter(check => check.exceeded) };
+            })
+        };
+    }
+
+    /**
+     * ⚠️ AVISOS ANTES DE VOLAR: bultos que superan la franquicia de un vuelo
+     * que sale en los próximos días (para cualquier viajero)
+     * 
+     * @returns {Array} [{ traveler, flight, exceeded }]
+     */
+    getUpcomingFlightWarnings(daysAhead = FLIGHT_WARNING_DAYS) {
+        const today = stateManager.getCurrentDate();
+        const from = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const until = new Date(from.getFullYear(), from.getMonth(), from.getDate() + daysAhead + 1);
+        
+        const warnings = [];
+        expenseSplitManager.getTravelers().forEach(traveler => {
+            this.getBaggageReport(traveler.id).flights.forEach(flight => {
+                if (!flight.departure || flight.departure < from || flight.departure >= until) return;
+                if (flight.exceeded.length > 0) {
+                    warnings.push({ traveler, flight, exceeded: flight.exceeded });
+                }
+            });
+        });
+        
+        return warnings.sort((a, b) => a.flight.departure - b.flight.departure);
+    }
+
+    /**
+     * Viajero que lleva un item: el activo o, si es compartido, su asignado
+     * 
+     * @private
+     */
+    getItemCarrierId(itemKey) {
+        return this.isSharedItem(itemKey) ? this.getSharedEntry(itemKey).assignee : this.travelerId;
+    }
+
+    /**
+     * @private
+     */
+    getTravelerBags(travelerId) {
+        if (!this.bagAssignments[travelerId]) {
+            try {
+                this.bagAssignments[travelerId] = JSON.parse(localStorage.getItem(tripManager.getStorageKey(`${BAGS_STORAGE_KEY}:${travelerId}`)) || '{}');
+            } catch (error) {
+                this.bagAssignments[travelerId] = {};
+            }
+        }
+        return this.bagAssignments[travelerId];
+    }
+
+    /**
+     * @private
+     */
+    saveTravelerBags(travelerId) {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(`${BAGS_STORAGE_KEY}:${travelerId}`), JSON.stringify(this.getTravelerBags(travelerId)));
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error saving bags:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    findItem(itemKey) {
+        return Object.values(tripConfig.packingListData || {}).flat().find(item => item.key === itemKey) || null;
+    }
+
+    /**
+     * @private
+     */
+    isReadOnly() {
+        return !!(this.storage && this.storage.isReadOnly());
+    }
+
     /**
      * 📊 GET STATS: Obtener estadísticas de empacado con peso
      */
     getPackingStats(totalItems) {
-        console.log(`📊 PackingListManager.getPackingStats called with totalItems: ${totalItems}`);
-        console.log(`📊 Current localCache:`, this.localCache);
+        Logger.debug(`📊 PackingListManager.getPackingStats called with totalItems: ${totalItems}`);
         
-        const packedItems = Object.values(this.localCache).filter(Boolean).length;
+        // Solo cuentan los items que siguen en la lista (se pueden borrar al editarla)
+        const packedItems = Object.entries(this.getItems())
+            .filter(([key, packed]) => packed && this.findItem(key)).length;
         const percentage = totalItems > 0 ? Math.round((packedItems / totalItems) * 100) : 0;
         
-        console.log(`📊 Packed items: ${packedItems}, Total: ${totalItems}, Percentage: ${percentage}%`);
-        console.log(`📊 About to call weightEstimator.calculateTotalWeight with:`, this.localCache);
+        Logger.debug(`📊 Packed items: ${packedItems}, Total: ${totalItems}, Percentage: ${percentage}%`);
         
         // Asegurar que weightEstimator está disponible
         const estimator = window.weightEstimator || weightEstimator;
         if (!estimator) {
-            console.error('❌ WeightEstimator not available');
+            Logger.error('❌ WeightEstimator not available');
             return {
                 packed: packedItems,
                 total: totalItems,
@@ -260,9 +1030,9 @@ class PackingListManager {
             };
         }
         
-        const weightData = estimator.calculateTotalWeight(this.localCache);
+        const weightData = estimator.calculateTotalWeight(this.getCarriedItems(this.travelerId));
         
-        console.log(`📊 Weight calculation result:`, weightData);
+        Logger.debug(`📊 Weight calculation result:`, weightData);
         
         const result = {
             packed: packedItems,
@@ -272,7 +1042,7 @@ class PackingListManager {
             weight: weightData
         };
         
-        console.log(`📊 Final getPackingStats result:`, result);
+        Logger.debug(`📊 Final getPackingStats result:`, result);
         return result;
     }
 
@@ -286,64 +1056,33 @@ class PackingListManager {
     }
 
     /**
-     * 🔄 SYNC TO FIREBASE: Subir datos locales a Firebase
+     * 🔄 SYNC TO STORAGE: Subir al backend los cambios sin confirmar
      */
-    async syncToFirebase() {
-        if (!this.firebaseManager || !this.firebaseManager.isConnected) return;
+    async syncToStorage() {
+        if (!this.storage || !this.storage.isConnected) return;
 
         try {
-            const { doc, setDoc, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            
-            const db = this.firebaseManager.db;
-            const docRef = doc(db, this.firestoreCollection, this.documentId);
-            
-            // Clean data before syncing
-            const cleanedCache = {};
-            Object.entries(this.localCache).forEach(([key, value]) => {
-                if (!key.includes('[object Object]')) {
-                    cleanedCache[key] = value;
-                } else {
-                    Logger.warning('🧹 SYNC: Skipping invalid key:', key);
-                }
-            });
-            
-            const dataToSync = {
-                items: cleanedCache,
-                lastUpdated: serverTimestamp(),
-                lastDeviceId: this.deviceId,
-                version: '3.0.0'
-            };
-            
-            await setDoc(docRef, dataToSync, { merge: true });
-            
-            // Update local cache with cleaned data
-            this.localCache = cleanedCache;
-            this.saveToLocalStorage();
+            await this.flushPendingEdits(this.documentId);
         } catch (error) {
-            if (Logger && Logger.error) Logger.error('🎒 Error syncing to Firebase:', error);
+            if (Logger && Logger.error) Logger.error('🎒 Error syncing to storage:', error);
             throw error;
         }
     }
 
     /**
-     * 📥 SYNC FROM FIREBASE: Obtener datos desde Firebase
+     * 📥 SYNC FROM STORAGE: Obtener datos desde el backend
      */
-    async syncFromFirebase() {
-        if (!this.firebaseManager || !this.firebaseManager.isConnected) return;
+    async syncFromStorage() {
+        if (!this.storage || !this.storage.isConnected) return;
         
         try {
-            const { doc, getDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-            const db = this.firebaseManager.db;
-            const docRef = doc(db, this.firestoreCollection, this.documentId);
-            
-            const docSnap = await getDoc(docRef);
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                const firebaseItems = data.items || {};
+            const data = await this.storage.getPackingList(this.documentId);
+            if (data) {
+                const remoteItems = data.items || {};
                 
                 // Clean invalid keys before using
                 const cleanedItems = {};
-                Object.entries(firebaseItems).forEach(([key, value]) => {
+                Object.entries(remoteItems).forEach(([key, value]) => {
                     if (!key.includes('[object Object]')) {
                         cleanedItems[key] = value;
                     }
@@ -356,81 +1095,401 @@ class PackingListManager {
                 // Force UI update after sync
                 this.updateUI();
                 
-                Logger.debug('🔄 SYNC FROM FIREBASE: Loaded items:', Object.keys(cleanedItems).length);
+                Logger.debug('🔄 SYNC FROM STORAGE: Loaded items:', Object.keys(cleanedItems).length);
             }
         } catch (error) {
-            Logger.error('🔄 ERROR syncing from Firebase:', error);
+            Logger.error('🔄 ERROR syncing from storage:', error);
         }
     }
 
     /**
-     * 🔧 SETUP FIREBASE LISTENER: Configurar listener para cambios en tiempo real
+     * 🔧 SETUP STORAGE LISTENER: Configurar listener para cambios en tiempo real
      */
-    setupFirebaseListener() {
-        if (!this.firebaseManager || !this.firebaseManager.isConnected) {
-            Logger.debug('🔧 Firebase not connected, skipping listener setup');
+    setupStorageListener() {
+        if (!this.storage || !this.storage.isConnected) {
+            Logger.debug('🔧 Storage not connected, skipping listener setup');
             return;
         }
         
-        try {
-            // Import Firebase functions
-            import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js')
-                .then(({ doc, onSnapshot }) => {
-                    const db = this.firebaseManager.db;
-                    const docRef = doc(db, this.firestoreCollection, this.documentId);
-                    
-                    // Setup real-time listener
-                    this.unsubscribe = onSnapshot(docRef, (docSnap) => {
-                        if (docSnap.exists()) {
-                            const data = docSnap.data();
-                            const firebaseItems = data.items || {};
-                            this.handleFirebaseUpdate(firebaseItems);
-                        }
-                    });
-                    
-                    Logger.success('🔧 Firebase listener configured successfully');
-                })
-                .catch(error => {
-                    Logger.error('🔧 Error setting up Firebase listener:', error);
-                });
-        } catch (error) {
-            Logger.error('🔧 Error in setupFirebaseListener:', error);
+        Promise.resolve(this.storage.watchPackingLists((documentId, data) => {
+            if (documentId === this.documentId && data) {
+                this.handleRemoteUpdate(data);
+            }
+        }))
+            .then(unsubscribe => {
+                this.unsubscribe = unsubscribe;
+                Logger.success('🔧 Storage listener configured successfully');
+            })
+            .catch(error => {
+                Logger.error('🔧 Error setting up storage listener:', error);
+            });
+    }
+
+    /**
+     * 📥 HANDLE REMOTE DOCUMENT: Repartir cada documento de la colección
+     * (lista del viajero activo, de otro viajero o equipo compartido)
+     */
+    handleRemoteDocument(documentId, data) {
+        const items = (data && data.items) || {};
+        
+        if (documentId === LEGACY_DOCUMENT_ID) return;
+        
+        if (documentId === SHARED_DOCUMENT_ID) {
+            const { items: sharedGear, conflicts } = this.reconcileDocument(SHARED_DOCUMENT_ID, data || {});
+            if (JSON.stringify(sharedGear) !== JSON.stringify(this.sharedGear)) {
+                this.sharedGear = sharedGear;
+                this.saveSharedGear();
+                this.updateUI();
+            }
+            if (!this.syncInProgress) {
+                this.pushOrResolve(SHARED_DOCUMENT_ID, data || {}, conflicts);
+            }
+            return;
+        }
+        
+        if (data && data.bags && JSON.stringify(data.bags) !== JSON.stringify(this.getTravelerBags(documentId))) {
+            this.bagAssignments[documentId] = data.bags;
+            this.saveTravelerBags(documentId);
+            this.updateUI();
+        }
+        
+        if (documentId === this.travelerId) {
+            if (!this.syncInProgress && data.items) {
+                this.handleRemoteUpdate(data);
+            }
+            return;
+        }
+        
+        if (JSON.stringify(items) !== JSON.stringify(this.travelerLists[documentId])) {
+            this.travelerLists[documentId] = items;
+            try {
+                localStorage.setItem(this.getTravelerStorageKey(documentId), JSON.stringify(items));
+            } catch (error) {
+                if (Logger && Logger.error) Logger.error('🎒 Error saving traveler list:', error);
+            }
+            this.updateUI();
         }
     }
 
     /**
-     * 📥 HANDLE FIREBASE UPDATE: Procesar actualizaciones desde Firebase
+     * 📥 HANDLE REMOTE UPDATE: Procesar actualizaciones desde el backend
+     * 
+     * @param {Object} data - Documento del viajero activo ({ items, revisions })
      */
-    handleFirebaseUpdate(firebaseItems) {
+    handleRemoteUpdate(data) {
         try {
             // Clean invalid keys before processing
             const cleanedItems = {};
-            Object.entries(firebaseItems).forEach(([key, value]) => {
+            Object.entries(data.items || {}).forEach(([key, value]) => {
                 if (!key.includes('[object Object]')) {
                     cleanedItems[key] = value;
                 }
             });
             
+            // ⚖️ Mantener los cambios sin confirmar y detectar los concurrentes
+            const { items, conflicts } = this.reconcileDocument(this.documentId, { ...data, items: cleanedItems });
+            
             // Comparar con cache local para detectar cambios
-            const hasChanges = Object.keys(cleanedItems).some(key => 
-                this.localCache[key] !== cleanedItems[key]
+            const hasChanges = Object.keys(items).some(key => 
+                this.localCache[key] !== items[key]
             );
 
             if (hasChanges) {
-                if (Logger && Logger.init) Logger.init('🎒 Received Firebase update');
+                if (Logger && Logger.init) Logger.init('🎒 Received storage update');
                 
                 // Actualizar cache local
-                this.localCache = { ...this.localCache, ...cleanedItems };
+                this.localCache = { ...this.localCache, ...items };
                 this.saveToLocalStorage();
                 
                 // Actualizar UI
                 this.updateUI();
             }
+            
+            this.pushOrResolve(this.documentId, data, conflicts);
         } catch (error) {
-            if (Logger && Logger.error) Logger.error('🎒 Error handling Firebase update:', error);
+            if (Logger && Logger.error) Logger.error('🎒 Error handling storage update:', error);
+        }
+    }
+
+    // =================================================================
+    // ⚖️ REVISIONES Y CONFLICTOS
+    // =================================================================
+
+    /**
+     * 🏷️ Registra un cambio sin confirmar con la revisión que tenía el item
+     * 
+     * Los cambios que se hacen antes de confirmar el anterior comparten
+     * revisión base. En el equipo compartido `value` son los campos
+     * cambiados y `base` la entrada antes del primer cambio.
+     * 
+     * @private
+     */
+    stampItemEdit(documentId, itemKey, value, base = null) {
+        if (!this.pendingEdits[documentId]) this.pendingEdits[documentId] = {};
+        
+        const pending = this.pendingEdits[documentId][itemKey];
+        const isShared = documentId === SHARED_DOCUMENT_ID;
+        this.pendingEdits[documentId][itemKey] = pending
+            ? { ...pending, value: isShared ? { ...pending.value, ...value } : value }
+            : { baseRevision: this.getItemRevision(documentId, itemKey), base, value };
+        this.saveRevisions();
+    }
+
+    /**
+     * Deja el cambio sin confirmar como estaba antes de un rollback
+     * 
+     * @private
+     */
+    restorePendingEdit(documentId, itemKey, previousPending) {
+        if (!this.pendingEdits[documentId]) return;
+        
+        if (previousPending) {
+            this.pendingEdits[documentId][itemKey] = previousPending;
+        } else {
+            delete this.pendingEdits[documentId][itemKey];
+        }
+        this.saveRevisions();
+    }
+
+    /**
+     * 📥 RECONCILIAR un documento del backend con los cambios sin confirmar
+     * 
+     * - Revisión remota más nueva con nuestro valor: el cambio ya llegó
+     * - Revisión remota más nueva con otro valor: conflicto (en el equipo
+     *   compartido, solo si los dos cambiaron el mismo campo; si no, se combina)
+     * - Si no, se muestra nuestro valor encima del remoto
+     * 
+     * @param {string} documentId - Viajero o 'shared'
+     * @param {Object} data - Documento del backend
+     * @returns {Object} { items: items a mostrar, conflicts: [itemKey] }
+     */
+    reconcileDocument(documentId, data) {
+        const isShared = documentId === SHARED_DOCUMENT_ID;
+        const items = { ...(data.items || {}) };
+        const revisions = this.readRemoteRevisions(documentId, data);
+        const pendingEdits = this.pendingEdits[documentId] || {};
+        const conflicts = [];
+        
+        this.itemRevisions[documentId] = { ...this.itemRevisions[documentId], ...revisions };
+        
+        Object.entries(pendingEdits).forEach(([itemKey, pending]) => {
+            const remoteRevision = revisions[itemKey] || 0;
+            
+            if (remoteRevision > pending.baseRevision) {
+                const remote = items[itemKey];
+                
+                if (isShared) {
+                    const { merged, conflicts: fields } = conflictResolver.mergeFields(pending.base, pending.value, remote || {});
+                    if (fields.length > 0) {
+                        conflicts.push(itemKey);
+                    } else if (Object.keys(merged).length === 0) {
+                        delete pendingEdits[itemKey];
+                        return;
+                    } else {
+                        // Cada uno cambió campos distintos: se combinan
+                        pendingEdits[itemKey] = { baseRevision: remoteRevision, base: remote || null, value: merged };
+                    }
+                } else if (remote === pending.value) {
+                    delete pendingEdits[itemKey];
+                    return;
+                } else {
+                    conflicts.push(itemKey);
+                }
+            }
+            
+            items[itemKey] = isShared
+                ? { ...this.getSharedEntry(itemKey), ...items[itemKey], ...pendingEdits[itemKey].value }
+                : pendingEdits[itemKey].value;
+        });
+        
+        this.saveRevisions();
+        return { items, conflicts };
+    }
+
+    /**
+     * Sube los cambios pendientes o pregunta por los que chocan
+     * 
+     * @private
+     */
+    pushOrResolve(documentId, data, conflicts) {
+        const task = conflicts.length > 0
+            ? this.resolveItemConflicts(documentId, data, conflicts)
+            : this.flushPendingEdits(documentId);
+        
+        task.catch(error => {
+            if (Logger && Logger.error) Logger.error('🎒 Error syncing pending packing changes:', error);
+        });
+    }
+
+    /**
+     * 🔄 SUBIR CAMBIOS SIN CONFIRMAR de un documento
+     * 
+     * Como con los gastos (assertRevision), antes de escribir se lee el
+     * documento para no pisar una revisión más nueva de otro dispositivo.
+     * Solo se escriben los items cambiados, cada uno con su revisión.
+     * 
+     * @param {string} documentId - Viajero o 'shared'
+     */
+    async flushPendingEdits(documentId) {
+        const pendingEdits = this.pendingEdits[documentId] || {};
+        Object.keys(pendingEdits)
+            .filter(key => key.includes('[object Object]'))
+            .forEach(key => {
+                Logger.warning('🧹 SYNC: Skipping invalid key:', key);
+                delete pendingEdits[key];
+            });
+        if (!this.storage || !this.storage.isConnected || Object.keys(pendingEdits).length === 0) return;
+        
+        const remote = await this.storage.getPackingList(documentId) || {};
+        const { conflicts } = this.reconcileDocument(documentId, remote);
+        if (conflicts.length > 0) {
+            return this.resolveItemConflicts(documentId, remote, conflicts);
+        }
+        
+        const writes = Object.entries(this.pendingEdits[documentId] || {})
+            .map(([itemKey, pending]) => ({ itemKey, pending, revision: pending.baseRevision + 1 }));
+        if (writes.length === 0) return;
+        
+        const dataToSync = documentId === SHARED_DOCUMENT_ID
+            ? { items: Object.fromEntries(writes.map(({ itemKey, pending, revision }) => [itemKey, { ...pending.value, revision }])) }
+            : {
+                items: Object.fromEntries(writes.map(({ itemKey, pending }) => [itemKey, pending.value])),
+                revisions: Object.fromEntries(writes.map(({ itemKey, revision }) => [itemKey, revision])),
+                version: '3.0.0'
+            };
+        
+        await this.storage.savePackingList(documentId, dataToSync, { merge: true });
+        
+        // ✅ Confirmados, salvo los que se volvieron a cambiar mientras tanto
+        writes.forEach(({ itemKey, pending, revision }) => {
+            this.itemRevisions[documentId] = { ...this.itemRevisions[documentId], [itemKey]: revision };
+            
+            const current = this.pendingEdits[documentId]?.[itemKey];
+            if (current === pending) {
+                delete this.pendingEdits[documentId][itemKey];
+            } else if (current) {
+                current.baseRevision = revision;
+                current.base = documentId === SHARED_DOCUMENT_ID ? { ...pending.base, ...pending.value } : null;
+            }
+        });
+        this.saveRevisions();
+    }
+
+    /**
+     * ⚖️ RESOLVER CONFLICTOS: mostrar las dos versiones de cada item
+     * 
+     * @private
+     */
+    async resolveItemConflicts(documentId, data, conflicts) {
+        if (this.resolvingDocuments.has(documentId)) return;
+        this.resolvingDocuments.add(documentId);
+        
+        try {
+            const isShared = documentId === SHARED_DOCUMENT_ID;
+            const revisions = this.readRemoteRevisions(documentId, data);
+            const remoteItems = data.items || {};
+            const pendingEdits = this.pendingEdits[documentId] || {};
+            
+            const decision = await conflictResolver.ask({
+                title: 'Conflicto en la lista de equipaje',
+                description: isShared
+                    ? 'El equipo compartido se cambió a la vez en otro dispositivo.'
+                    : `La lista de ${expenseSplitManager.getTravelerName(documentId)} se cambió a la vez en otro dispositivo.`,
+                rows: conflicts.map(itemKey => ({
+                    key: itemKey,
+                    label: this.findItem(itemKey)?.item || itemKey,
+                    mine: this.formatItemValue(documentId, itemKey, isShared
+                        ? { ...remoteItems[itemKey], ...pendingEdits[itemKey]?.value }
+                        : pendingEdits[itemKey]?.value),
+                    theirs: this.formatItemValue(documentId, itemKey, remoteItems[itemKey]),
+                    conflict: true
+                }))
+            });
+            
+            conflicts.forEach(itemKey => {
+                const pending = this.pendingEdits[documentId]?.[itemKey];
+                if (!pending) return;
+                
+                const remote = remoteItems[itemKey];
+                if (decision.picks[itemKey] === 'theirs') {
+                    delete this.pendingEdits[documentId][itemKey];
+                    this.setItemValue(documentId, itemKey, remote);
+                } else {
+                    // La nuestra se vuelve a escribir sobre la revisión del otro dispositivo
+                    pending.baseRevision = revisions[itemKey] || 0;
+                    pending.base = isShared ? remote || null : null;
+                    if (isShared) {
+                        pending.value = { ...this.getSharedEntry(itemKey), ...remote, ...pending.value };
+                        delete pending.value.revision;
+                    }
+                    this.setItemValue(documentId, itemKey, isShared ? { ...remote, ...pending.value } : pending.value);
+                }
+            });
+            this.saveRevisions();
+            this.updateUI();
+            
+            if (Logger && Logger.data) Logger.data(`🎒 Packing conflicts resolved (${decision.choice}): ${conflicts.length} items`);
+        } finally {
+            this.resolvingDocuments.delete(documentId);
+        }
+        
+        await this.flushPendingEdits(documentId);
+    }
+
+    /**
+     * Revisión de cada item en un documento del backend
+     * 
+     * @private
+     */
+    readRemoteRevisions(documentId, data) {
+        if (documentId !== SHARED_DOCUMENT_ID) return { ...(data.revisions || {}) };
+        
+        return Object.fromEntries(
+            Object.entries(data.items || {}).map(([itemKey, entry]) => [itemKey, entry?.revision || 0])
+        );
+    }
+
+    /**
+     * @private
+     */
+    getItemRevision(documentId, itemKey) {
+        return this.itemRevisions[documentId]?.[itemKey] || 0;
+    }
+
+    /**
+     * @private
+     */
+    setItemValue(documentId, itemKey, value) {
+        if (documentId === SHARED_DOCUMENT_ID) {
+            if (value) {
+                this.sharedGear[itemKey] = value;
+            } else {
+                delete this.sharedGear[itemKey];
+            }
+            this.saveSharedGear();
+        } else if (documentId === this.documentId) {
+            this.localCache[itemKey] = !!value;
+            this.saveToLocalStorage();
         }
     }
 
+    /**
+     * Texto de un item para el diálogo de conflictos
+     * 
+     * @private
+     */
+    formatItemValue(documentId, itemKey, value) {
+        if (documentId !== SHARED_DOCUMENT_ID) {
+            return value ? 'Empacado' : 'Sin empacar';
+        }
+        
+        const entry = { shared: true, assignee: null, packed: false, ...value };
+        if (entry.shared === false) return 'No compartido';
+        
+        const carrier = entry.assignee ? `lo lleva ${expenseSplitManager.getTravelerName(entry.assignee)}` : 'sin asignar';
+        return `${entry.packed ? 'Empacado' : 'Sin empacar'}, ${carrier}`;
+    }
+
     /**
      * 🔄 UPDATE UI: Actualizar interfaz de usuario
      */
@@ -441,7 +1500,7 @@ class PackingListManager {
         // También emitir evento para compatibilidad
         if (typeof window !== 'undefined' && window.dispatchEvent) {
             window.dispatchEvent(new CustomEvent('packingListUpdated', {
-                detail: { items: this.localCache }
+                detail: { items: this.localCache, travelerId: this.travelerId }
             }));
         }
     }
@@ -450,27 +1509,26 @@ class PackingListManager {
      * 📊 UPDATE METRICS ONLY: Actualizar solo las métricas sin re-renderizar
      */
     updateMetricsOnly() {
-        console.log('🔧 PackingListManager.updateMetricsOnly called');
+        Logger.debug('🔧 PackingListManager.updateMetricsOnly called');
         const container = document.querySelector('#packing-list-content');
         if (!container) {
-            console.log('❌ No planning-content container found');
+            Logger.debug('❌ No planning-content container found');
             return;
         }
 
         // Calcular estadísticas actualizadas - usar el total correcto
-        const totalItems = Object.keys(this.localCache).length;
-        console.log('🔧 Total items from localCache keys:', totalItems);
-        console.log('🔧 Current localCache:', this.localCache);
+        const totalItems = this.getCategories().reduce((sum, category) => sum + category.items.length, 0);
+        Logger.debug('🔧 Total items from packing list:', totalItems);
         
         const stats = this.getPackingStats(totalItems);
-        console.log('🔧 Calculated stats:', stats);
+        Logger.debug('🔧 Calculated stats:', stats);
 
         // Actualizar elementos de métricas
         const packedCount = container.querySelector('#packed-count');
         const progressPercent = container.querySelector('#progress-percent');
         const totalWeight = container.querySelector('#total-weight');
 
-        console.log('🔧 DOM elements found:', {
+        Logger.debug('🔧 DOM elements found:', {
             packedCount: !!packedCount,
             progressPercent: !!progressPercent,
             totalWeight: !!totalWeight
@@ -480,7 +1538,7 @@ class PackingListManager {
         if (progressPercent) progressPercent.textContent = `${stats.percentage}%`;
         if (totalWeight) {
             const weightText = stats.weight.totalGrams ? (stats.weight.totalGrams / 1000).toFixed(1) : '0.0';
-            console.log('🔧 Setting weight to:', `${weightText}kg`);
+            Logger.debug('🔧 Setting weight to:', `${weightText}kg`);
             totalWeight.textContent = `${weightText}kg`;
         }
     }
@@ -509,6 +1567,72 @@ class PackingListManager {
         }
     }
 
+    /**
+     * 💾 Equipo compartido del viaje activo
+     */
+    saveSharedGear() {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(SHARED_STORAGE_KEY), JSON.stringify(this.sharedGear));
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error saving shared gear:', error);
+        }
+    }
+
+    loadSharedGear() {
+        try {
+            return JSON.parse(localStorage.getItem(tripManager.getStorageKey(SHARED_STORAGE_KEY)) || '{}');
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error loading shared gear:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 💾 Revisiones y cambios sin confirmar del viaje activo
+     */
+    saveRevisions() {
+        try {
+            localStorage.setItem(tripManager.getStorageKey(REVISIONS_STORAGE_KEY), JSON.stringify({
+                revisions: this.itemRevisions,
+                pending: this.pendingEdits
+            }));
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error saving packing revisions:', error);
+        }
+    }
+
+    loadRevisions() {
+        try {
+            const data = JSON.parse(localStorage.getItem(tripManager.getStorageKey(REVISIONS_STORAGE_KEY)) || '{}');
+            this.itemRevisions = data.revisions || {};
+            this.pendingEdits = data.pending || {};
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error loading packing revisions:', error);
+            this.itemRevisions = {};
+            this.pendingEdits = {};
+        }
+    }
+
+    /**
+     * 💾 Plantillas del usuario (comunes a todos los viajes)
+     */
+    saveTemplates() {
+        try {
+            localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(this.templates));
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error saving packing templates:', error);
+        }
+    }
+
+    loadTemplates() {
+        try {
+            return JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY) || '{}');
+        } catch (error) {
+            if (Logger && Logger.error) Logger.error('🎒 Error loading packing templates:', error);
+            return {};
+        }
+    }
+
     /**
      * 🔧 GENERATE DEVICE ID: Generar ID único del dispositivo
      */
@@ -533,21 +1657,14 @@ class PackingListManager {
             ];
             
             // Limpiar localStorage
-            const localData = JSON.parse(localStorage.getItem('packingListV2') || '{}');
+            const localData = JSON.parse(localStorage.getItem(this.localStorageKey) || '{}');
             keysToRemove.forEach(key => delete localData[key]);
-            localStorage.setItem('packingListV2', JSON.stringify(localData));
+            localStorage.setItem(this.localStorageKey, JSON.stringify(localData));
             
-            // Limpiar Firestore
-            if (this.firebaseManager && this.firebaseManager.isConnected) {
-                const { doc, updateDoc, deleteField } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-                const docRef = doc(this.firebaseManager.db, this.firestoreCollection, this.documentId);
-                
-                const updates = {};
-                keysToRemove.forEach(key => {
-                    updates[`items.${key}`] = deleteField();
-                });
-                
-                await updateDoc(docRef, updates);
+            // Limpiar el backend
+            if (this.storage && this.storage.isConnected) {
+                const items = Object.fromEntries(keysToRemove.map(key => [key, DELETE_FIELD]));
+                await this.storage.savePackingList(this.documentId, { items }, { merge: true });
             }
             
             // Actualizar cache local
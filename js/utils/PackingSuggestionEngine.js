@@ -0,0 +1,360 @@
+/**
+ * 💡 PACKING SUGGESTION ENGINE
+ *
+ * Propone items que faltan en la lista de equipaje a partir del itinerario
+ * del viaje activo, cada uno con el motivo:
+ * - Altitud máxima (cotas como "Trekking a Ghandruk (1.940m)")
+ * - Temperaturas nocturnas y diurnas de `tripConfig.weather.locations`
+ *   en los lugares por los que pasa el itinerario
+ * - Actividades de cada día (rafting, trekking, safari, aguas termales)
+ * - Templos y monasterios con código de vestimenta
+ * - Lluvia prevista en `tripConfig.weather`
+ *
+ * Un item se considera ya incluido si la lista tiene su clave o un item
+ * cuyo nombre contiene alguno de sus alias. Las sugerencias descartadas
+ * se recuerdan por viaje.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import tripManager from './TripManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+const DISMISSED_STORAGE_KEY = 'packingSuggestionsDismissedV1';
+const COLD_NIGHT = 5;
+const HOT_DAY = 28;
+
+const DRESS_CODE_KEYWORDS = ['templo', 'monasterio', 'dzong', 'estupa', 'lhakhang', 'gompa', 'pagoda'];
+
+/**
+ * Reglas de sugerencia: `check(context)` devuelve el motivo o null
+ */
+const SUGGESTION_RULES = [
+    {
+        category: 'Documentos y Salud',
+        item: { key: 'documentos_pastillas_altura', item: 'Pastillas para el mal de altura', weight: 30 },
+        aliases: ['mal de altura', 'acetazolamida'],
+        check: ({ maxAltitude }) => maxAltitude && maxAltitude.altitude >= 2500
+            ? `Subes a ${formatAltitude(maxAltitude.altitude)} el ${describeDay(maxAltitude.day)}`
+            : null
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_chaqueta_plumas', item: 'Chaqueta de plumas', weight: 350 },
+        aliases: ['plumas', 'plumifero'],
+        check: ({ maxAltitude }) => maxAltitude && maxAltitude.altitude >= 1500
+            ? `Subes a ${formatAltitude(maxAltitude.altitude)} el ${describeDay(maxAltitude.day)}: refresca mucho al caer el sol`
+            : null
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_forro_polar', item: 'Forro polar', weight: 400 },
+        aliases: ['polar'],
+        check: ({ coldNights }) => coldNights.length > 0 ? `Noches frías: ${describeTemperatures(coldNights, 'nightTemp')}` : null
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_interior_termica', item: 'Ropa interior térmica', weight: 360 },
+        aliases: ['termica'],
+        check: ({ coldNights }) => coldNights.length > 0 ? `Noches frías: ${describeTemperatures(coldNights, 'nightTemp')}` : null
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_gorros_lana', item: 'Gorro de lana', weight: 60 },
+        aliases: ['gorro'],
+        check: ({ coldNights }) => coldNights.some(location => location.min <= 0)
+            ? `Noches bajo cero: ${describeTemperatures(coldNights.filter(location => location.min <= 0), 'nightTemp')}`
+            : null
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_gorra_sol', item: 'Gorra o sombrero', weight: 80 },
+        aliases: ['gorra', 'sombrero'],
+        check: ({ hotDays }) => hotDays.length > 0 ? `Días de calor: ${describeTemperatures(hotDays, 'dayTemp')}` : null
+    },
+    {
+        category: 'Equipo',
+        item: { key: 'equipo_protector_solar', item: 'Protector solar SPF 50+', weight: 100 },
+        aliases: ['protector solar', 'crema solar'],
+        check: ({ hotDays, maxAltitude }) => {
+            if (hotDays.length > 0) return `Días de calor: ${describeTemperatures(hotDays, 'dayTemp')}`;
+            if (maxAltitude && maxAltitude.altitude >= 2500) return `El sol quema más en altura (${formatAltitude(maxAltitude.altitude)})`;
+            return null;
+        }
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_chubasquero', item: 'Chubasquero o poncho', weight: 300 },
+        aliases: ['chubasquero', 'impermeable', 'poncho'],
+        check: ({ rain }) => rain ? `Se espera lluvia: ${rain}` : null
+    },
+    {
+        category: 'Equipo',
+        item: { key: 'equipo_bolsa_estanca', item: 'Bolsa estanca', weight: 150 },
+        aliases: ['estanca', 'dry bag'],
+        keywords: ['rafting', 'kayak', 'barranquismo'],
+        check: ({ matchedDays }) => `Para no mojar el móvil y la documentación: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_secado_rapido', item: 'Muda de ropa de secado rápido', weight: 250 },
+        aliases: ['secado rapido'],
+        keywords: ['rafting', 'kayak', 'barranquismo'],
+        check: ({ matchedDays }) => `Acabarás empapado: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_templos', item: 'Ropa que cubra hombros y rodillas', weight: 300 },
+        aliases: ['hombros', 'rodillas', 'falda larga'],
+        keywords: DRESS_CODE_KEYWORDS,
+        check: ({ matchedDays }) => `Templos con código de vestimenta: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Equipo',
+        item: { key: 'equipo_bastones_trekking', item: 'Bastones de trekking', weight: 500 },
+        aliases: ['bastones'],
+        keywords: ['trekking', 'senderismo'],
+        check: ({ matchedDays }) => `Trekking: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Documentos y Salud',
+        item: { key: 'documentos_apositos_ampollas', item: 'Apósitos para ampollas', weight: 30 },
+        aliases: ['ampollas', 'compeed'],
+        keywords: ['trekking', 'senderismo'],
+        check: ({ matchedDays }) => `Trekking: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Equipo',
+        item: { key: 'equipo_prismaticos', item: 'Prismáticos', weight: 300 },
+        aliases: ['prismaticos'],
+        keywords: ['safari', 'parque nacional', 'avistamiento'],
+        check: ({ matchedDays }) => `Para ver fauna: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Documentos y Salud',
+        item: { key: 'documentos_repelente_mosquitos', item: 'Repelente de mosquitos', weight: 80 },
+        aliases: ['repelente'],
+        keywords: ['selva', 'jungla', 'safari', 'parque nacional'],
+        check: ({ matchedDays }) => `Zonas de mosquitos: ${describeDays(matchedDays)}`
+    },
+    {
+        category: 'Ropa',
+        item: { key: 'ropa_banador', item: 'Bañador', weight: 150 },
+        aliases: ['banador', 'bikini'],
+        keywords: ['aguas termales', 'spa', 'piscina'],
+        check: ({ matchedDays }) => describeDays(matchedDays)
+    }
+];
+
+class PackingSuggestionEngine {
+    constructor() {
+        Logger.init('💡 PackingSuggestionEngine initialized');
+    }
+
+    // =================================================================
+    // 💡 SUGERENCIAS
+    // =================================================================
+
+    /**
+     * 💡 ITEMS QUE FALTAN EN LA LISTA
+     *
+     * @returns {Array} [{ id, category, item: { key, item, weight }, reason }]
+     */
+    getSuggestions() {
+        const context = this.buildContext();
+        const dismissed = this.loadDismissed();
+        const listItems = Object.values(tripConfig.packingListData || {}).flat();
+
+        return SUGGESTION_RULES
+            .filter(rule => !dismissed.includes(rule.item.key))
+            .filter(rule => !this.isInList(rule, listItems))
+            .map(rule => {
+                const matchedDays = rule.keywords ? this.findDays(context.days, rule) : null;
+                if (matchedDays && matchedDays.length === 0) return null;
+
+                const reason = rule.check({ ...context, matchedDays });
+                return reason ? { id: rule.item.key, category: rule.category, item: { ...rule.item }, reason } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * 🙈 DESCARTAR SUGERENCIA en el viaje activo
+     */
+    dismiss(suggestionId) {
+        const dismissed = this.loadDismissed();
+        if (!dismissed.includes(suggestionId)) {
+            dismissed.push(suggestionId);
+            localStorage.setItem(tripManager.getStorageKey(DISMISSED_STORAGE_KEY), JSON.stringify(dismissed));
+        }
+        Logger.data(`💡 Packing suggestion dismissed: ${suggestionId}`);
+    }
+
+    /**
+     * 🔄 Volver a mostrar las sugerencias descartadas
+     */
+    resetDismissed() {
+        localStorage.removeItem(tripManager.getStorageKey(DISMISSED_STORAGE_KEY));
+    }
+
+    getDismissedCount() {
+        return this.loadDismissed().length;
+    }
+
+    // =================================================================
+    // 🔍 ANÁLISIS DEL VIAJE
+    // =================================================================
+
+    /**
+     * Datos del itinerario y del clima que usan las reglas
+     *
+     * @private
+     */
+    buildContext() {
+        const days = (tripConfig.itinerary || []).map((day, index) => {
+            const text = [day.title, day.location, day.description, day.planA, day.consejo, ...(day.places || []).map(place => place.name)]
+                .filter(Boolean)
+                .join(' ');
+
+            return {
+                number: index + 1,
+                title: day.title || `Día ${index + 1}`,
+                location: day.location || '',
+                text: this.normalize(text)
+            };
+        });
+
+        const visitedLocations = (tripConfig.weather?.locations || []).filter(location =>
+            days.some(day => day.text.includes(this.normalize(location.location)))
+        );
+        const withRange = (location, field) => ({ ...location, ...this.parseTemperatureRange(location[field]) });
+
+        return {
+            days,
+            maxAltitude: this.findMaxAltitude(days),
+            coldNights: visitedLocations.map(location => withRange(location, 'nightTemp')).filter(location => location.min !== null && location.min <= COLD_NIGHT),
+            hotDays: visitedLocations.map(location => withRange(location, 'dayTemp')).filter(location => location.max !== null && location.max >= HOT_DAY),
+            rain: this.findRain()
+        };
+    }
+
+    /**
+     * Días cuyo texto menciona alguna palabra clave de la regla
+     *
+     * @private
+     */
+    findDays(days, rule) {
+        const pattern = new RegExp(`\\b(${rule.keywords.map(keyword => this.normalize(keyword)).join('|')})`);
+        return days.filter(day => pattern.test(day.text));
+    }
+
+    /**
+     * Cota más alta citada en el itinerario ("1.940m", "3.120 m", "2500 metros")
+     *
+     * @private
+     */
+    findMaxAltitude(days) {
+        let max = null;
+
+        days.forEach(day => {
+            for (const match of day.text.matchAll(/(\d{1,2}[.,]?\d{3})\s?(m|metros|msnm)\b/g)) {
+                const altitude = Number(match[1].replace(/[.,]/g, ''));
+                if (altitude >= 500 && altitude <= 9000 && (!max || altitude > max.altitude)) {
+                    max = { altitude, day };
+                }
+            }
+        });
+
+        return max;
+    }
+
+    /**
+     * Lluvia en el clima del viaje (estado actual o clima por día)
+     *
+     * @private
+     */
+    findRain() {
+        const current = Object.values(tripConfig.weather?.current || {});
+        const daily = Array.isArray(tripConfig.weatherData) ? tripConfig.weatherData : [];
+        const rainy = [...current, ...daily].find(entry =>
+            /lluvi|tormenta|monzon|rain/.test(this.normalize(`${entry.condition || ''} ${entry.description || ''}`))
+        );
+
+        return rainy ? (rainy.description || rainy.condition) : null;
+    }
+
+    /**
+     * "5-10°C" → { min: 5, max: 10 }; "-3°C" → { min: -3, max: -3 }
+     *
+     * @private
+     */
+    parseTemperatureRange(value) {
+        const numbers = String(value || '').match(/-?\d+/g);
+        if (!numbers) return { min: null, max: null };
+
+        const [min, max = min] = numbers.map(Number);
+        return { min, max };
+    }
+
+    /**
+     * @private
+     */
+    isInList(rule, listItems) {
+        return listItems.some(entry =>
+            entry.key === rule.item.key ||
+            rule.aliases.some(alias => this.normalize(entry.item).includes(this.normalize(alias)))
+        );
+    }
+
+    /**
+     * @private
+     */
+    loadDismissed() {
+        try {
+            return JSON.parse(localStorage.getItem(tripManager.getStorageKey(DISMISSED_STORAGE_KEY)) || '[]');
+        } catch (error) {
+            Logger.error('💡 Error loading dismissed suggestions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Minúsculas y sin acentos para comparar textos
+     *
+     * @private
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+}
+
+// =================================================================
+// 🔧 TEXTOS DE LOS MOTIVOS
+// =================================================================
+
+function formatAltitude(altitude) {
+    return `${altitude.toLocaleString('es-ES')} m`;
+}
+
+function describeDay(day) {
+    return `día ${day.number} (${day.title})`;
+}
+
+function describeDays(days) {
+    const [first, ...rest] = days;
+    return `Día ${first.number}: ${first.title}${rest.length > 0 ? ` y ${rest.length} ${rest.length === 1 ? 'día' : 'días'} más` : ''}`;
+}
+
+function describeTemperatures(locations, field) {
+    return locations.map(location => `${location.location} ${location[field]}`).join(', ');
+}
+
+const packingSuggestionEngine = new PackingSuggestionEngine();
+
+export default packingSuggestionEngine;
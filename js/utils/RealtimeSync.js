@@ -10,6 +10,11 @@
  * - Detección automática de conexión
  * - Reconexión automática
  * - Compresión de datos
+ * - Salas por viaje y reenvío de cambios perdidos al reconectar (server.js)
+ * 
+ * En local, server.js sirve el protocolo en ws://localhost:8000/sync: cada
+ * cambio recibe un número (seq) y el cliente guarda el último que ha visto
+ * de cada viaje para pedir en 'identify' solo lo que se perdió.
  * 
  * @author David Ferrer Figueroa
  * @version 1.0.0
@@ -17,10 +22,14 @@
  */
 
 import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+
+const LAST_SEQ_STORAGE_KEY = 'realtimeSyncLastSeq';
 
 export class RealtimeSync {
-    constructor(firebaseManager) {
-        this.firebaseManager = firebaseManager;
+    constructor(storage) {
+        this.storage = storage;
         this.websocket = null;
         this.isWebSocketConnected = false;
         this.reconnectAttempts = 0;
@@ -35,6 +44,11 @@ export class RealtimeSync {
         this.onExpenseDeleted = null;
         this.onConnectionStatusChanged = null;
         
+        // Cambiar de viaje es cambiar de sala
+        stateManager.subscribe('trip.activeTripId', () => {
+            if (this.isWebSocketConnected) this.identify();
+        });
+        
         if (Logger && Logger.init) Logger.init('RealtimeSync initialized');
         this.initializeConnection();
     }
@@ -43,15 +57,14 @@ export class RealtimeSync {
      * Inicializa la conexión de tiempo real
      */
     async initializeConnection() {
-        // Skip WebSocket en localhost para evitar errores molestos
+        // En localhost solo si el servidor es server.js (evita errores con otros servidores estáticos)
         const isLocalhost = window.location.hostname === 'localhost' || 
                            window.location.hostname === '127.0.0.1';
         
-        if (!isLocalhost) {
-            // Intentar WebSocket primero en producción
+        if (!isLocalhost || await this.isLocalSyncServerAvailable()) {
             await this.tryWebSocketConnection();
         } else {
-            if (Logger && Logger.data) Logger.data('Localhost detected, skipping WebSocket connection');
+            if (Logger && Logger.data) Logger.data('Localhost without sync server, skipping WebSocket connection');
         }
         
         if (!this.isWebSocketConnected) {
@@ -62,6 +75,19 @@ export class RealtimeSync {
         }
     }
 
+    /**
+     * Comprueba si el servidor local atiende el protocolo en /sync
+     */
+    async isLocalSyncServerAvailable() {
+        try {
+            const response = await fetch('/sync', { cache: 'no-store' });
+            const status = response.ok ? await response.json() : null;
+            return status?.protocol === 'realtime-sync';
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Intenta establecer conexión WebSocket
      */
@@ -84,18 +110,14 @@ export class RealtimeSync {
                 this.isWebSocketConnected = true;
                 this.reconnectAttempts = 0;
                 this.startHeartbeat();
+                
+                // Identificarse antes de vaciar la cola: el servidor necesita saber el viaje
+                this.identify();
                 this.flushMessageQueue();
                 
                 if (this.onConnectionStatusChanged) {
                     this.onConnectionStatusChanged('websocket_connected');
                 }
-
-                // Enviar identificación del dispositivo
-                this.sendMessage({
-                    type: 'identify',
-                    deviceId: this.firebaseManager.getDeviceId(),
-                    timestamp: Date.now()
-                });
             };
 
             this.websocket.onmessage = (event) => {
@@ -134,14 +156,40 @@ export class RealtimeSync {
             return 'wss://viaje-himalaya-ws.railway.app';
         }
         
-        // En desarrollo local
+        // En desarrollo local, el propio server.js
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            return 'ws://localhost:8080';
+            return `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/sync`;
         }
         
         return null;
     }
 
+    /**
+     * Envía la identificación del dispositivo y el último cambio visto del viaje activo
+     */
+    identify() {
+        const tripId = tripManager.getActiveTripId();
+        this.sendMessage({
+            type: 'identify',
+            deviceId: this.storage.getDeviceId(),
+            tripId,
+            lastSeq: this.getLastSeq(tripId),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Último seq recibido de un viaje (0 si nunca se ha sincronizado)
+     */
+    getLastSeq(tripId) {
+        return parseInt(localStorage.getItem(tripManager.getStorageKey(LAST_SEQ_STORAGE_KEY, tripId)), 10) || 0;
+    }
+
+    saveLastSeq(tripId, seq) {
+        if (!tripId || !Number.isInteger(seq) || seq <= this.getLastSeq(tripId)) return;
+        localStorage.setItem(tripManager.getStorageKey(LAST_SEQ_STORAGE_KEY, tripId), String(seq));
+    }
+
     /**
      * Configura Firebase Realtime como fallback
      * 
@@ -167,6 +215,12 @@ export class RealtimeSync {
             const message = JSON.parse(event.data);
             if (Logger && Logger.data) Logger.data('WebSocket message received:', message.type);
 
+            // Cambios de otro viaje (p. ej. llegados justo al cambiar de viaje)
+            if (message.type.startsWith('expense_') && message.tripId && message.tripId !== tripManager.getActiveTripId()) {
+                this.saveLastSeq(message.tripId, message.seq);
+                return;
+            }
+
             switch (message.type) {
                 case 'expense_added':
                     if (this.onExpenseAdded) {
@@ -186,6 +240,19 @@ export class RealtimeSync {
                     }
                     break;
                 
+                case 'identified':
+                    if (Logger && Logger.data) Logger.data(`Sync room ${message.tripId}: ${message.replayed} missed changes replayed`);
+                    this.saveLastSeq(message.tripId, message.seq);
+                    break;
+                
+                case 'ack':
+                    this.saveLastSeq(message.tripId, message.seq);
+                    break;
+                
+                case 'error':
+                    if (Logger && Logger.warning) Logger.warning('Sync server error:', message.message);
+                    break;
+                
                 case 'pong':
                     // Heartbeat response
                     break;
@@ -194,6 +261,10 @@ export class RealtimeSync {
                     if (Logger && Logger.warning) Logger.warning('Unknown WebSocket message type:', message.type);
             }
 
+            if (message.seq) {
+                this.saveLastSeq(message.tripId, message.seq);
+            }
+
         } catch (error) {
             if (Logger && Logger.error) Logger.error('Error parsing WebSocket message:', error);
         }
@@ -204,7 +275,7 @@ export class RealtimeSync {
      */
     handleRealtimeChange(change) {
         // Ignorar cambios de nuestro propio dispositivo
-        if (change.deviceId === this.firebaseManager.getDeviceId()) {
+        if (change.deviceId === this.storage.getDeviceId()) {
             return;
         }
 
@@ -251,8 +322,9 @@ export class RealtimeSync {
     notifyExpenseChange(type, expenseData) {
         const message = {
             type: `expense_${type}`,
+            tripId: tripManager.getActiveTripId(),
             data: expenseData,
-            deviceId: this.firebaseManager.getDeviceId(),
+            deviceId: this.storage.getDeviceId(),
             timestamp: Date.now()
         };
 
@@ -340,7 +412,7 @@ export class RealtimeSync {
     getConnectionStatus() {
         return {
             websocket: this.isWebSocketConnected,
-            firebase: this.firebaseManager.isConnected,
+            storage: this.storage.isConnected,
             pendingMessages: this.messageQueue.length
         };
     }
@@ -0,0 +1,333 @@
+/**
+ * ReceiptScanner - Lectura de Tickets sin Conexión
+ *
+ * Reconoce el texto de la foto de un ticket con Tesseract.js (OCR en el
+ * propio navegador) y extrae importe total, moneda, comercio y fecha para
+ * rellenar el formulario de gastos.
+ *
+ * El motor (~10 MB) se descarga del CDN la primera vez que se usa: el
+ * Service Worker guarda el código y el propio Tesseract guarda el idioma
+ * en IndexedDB, así que a partir de ahí funciona sin conexión.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import { suggestBudgetCategory } from './CategoryUtils.js';
+
+const TESSERACT_VERSION = '5.1.1';
+const TESSERACT_URL = `https://cdn.jsdelivr.net/npm/tesseract.js@${TESSERACT_VERSION}/dist/tesseract.esm.min.js`;
+const TESSERACT_WORKER_URL = `https://cdn.jsdelivr.net/npm/tesseract.js@${TESSERACT_VERSION}/dist/worker.min.js`;
+const TESSERACT_CORE_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5';
+const TESSERACT_LANG_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int';
+const READY_STORAGE_KEY = 'receiptScannerReady';
+const MAX_SCAN_DIMENSION = 2000;
+
+// De más a menos fiable: la primera etiqueta que aparezca en el ticket manda
+const TOTAL_KEYWORDS = [
+    ['grand total', 'net payable', 'amount payable', 'total a pagar', 'importe total'],
+    ['net total', 'net amount', 'total amount', 'amount due', 'total due', 'balance due', 'to pay'],
+    ['total']
+];
+const TOTAL_EXCLUDED = /sub\s*-?\s*total|total\s*(qty|quantity|items?|tax|vat|gst|discount)/i;
+
+const CURRENCY_PATTERNS = {
+    NPR: /\b(?:npr|n?rs)(?![a-z])|रु|₨/gi,
+    BTN: /\b(?:nu|btn|ngultrum)(?![a-z])/gi,
+    USD: /\$|\busd\b/gi,
+    EUR: /€|\beur\b/gi
+};
+
+const MONTHS = {
+    jan: 1, ene: 1, feb: 2, mar: 3, apr: 4, abr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, ago: 8, sep: 9, oct: 10, nov: 11, dec: 12, dic: 12
+};
+
+const MERCHANT_EXCLUDED = /\b(?:invoice|factura|bill|receipt|recibo|tax|vat|pan|tpn|gstin|date|fecha|time|tel|phone|mobile|cash|order|table|mesa)\b|www|@/i;
+
+export class ReceiptScanner {
+    constructor() {
+        this.workerPromise = null;
+        this.progressCallback = null;
+
+        Logger.init('🔍 ReceiptScanner initialized');
+    }
+
+    // =================================================================
+    // ⚙️ MOTOR OCR
+    // =================================================================
+
+    /**
+     * ✅ ¿El motor ya se descargó en este dispositivo?
+     * @returns {boolean}
+     */
+    isReady() {
+        return localStorage.getItem(READY_STORAGE_KEY) === TESSERACT_VERSION;
+    }
+
+    /**
+     * 📥 DESCARGAR EL MOTOR PARA USARLO SIN CONEXIÓN
+     *
+     * @param {Function} onProgress - (porcentaje, estado)
+     */
+    async prepare(onProgress = null) {
+        await this.getWorker(onProgress);
+    }
+
+    /**
+     * @private
+     */
+    getWorker(onProgress) {
+        this.progressCallback = onProgress;
+
+        if (!this.workerPromise) {
+            if (!navigator.onLine && !this.isReady()) {
+                return Promise.reject(new Error('El escáner de tickets aún no se ha descargado. Conéctate a internet una vez para prepararlo.'));
+            }
+
+            this.workerPromise = (async () => {
+                const module = await import(TESSERACT_URL);
+                const Tesseract = module.default || module;
+
+                const worker = await Tesseract.createWorker('eng', 1, {
+                    workerPath: TESSERACT_WORKER_URL,
+                    corePath: TESSERACT_CORE_URL,
+                    langPath: TESSERACT_LANG_URL,
+                    logger: (message) => {
+                        if (this.progressCallback && typeof message.progress === 'number') {
+                            this.progressCallback(Math.round(message.progress * 100), message.status);
+                        }
+                    }
+                });
+
+                localStorage.setItem(READY_STORAGE_KEY, TESSERACT_VERSION);
+                Logger.success('🔍 OCR engine ready');
+                return worker;
+            })().catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+
+        return this.workerPromise;
+    }
+
+    // =================================================================
+    // 🧾 ESCANEO
+    // =================================================================
+
+    /**
+     * 🧾 LEER UN TICKET
+     *
+     * @param {File|Blob} file - Foto del ticket
+     * @param {Object} options - { categories: categorías disponibles, onProgress }
+     * @returns {Promise<Object>} { amount, currency, merchant, date, category, confidence, text }
+     */
+    async scan(file, { categories, onProgress = null } = {}) {
+        const worker = await this.getWorker(onProgress);
+        const image = await this.prepareImage(file);
+        const { data } = await worker.recognize(image);
+
+        const result = this.parseReceiptText(data.text || '');
+        result.category = suggestBudgetCategory(`${result.merchant || ''}\n${data.text || ''}`, categories);
+        result.confidence = Math.round(data.confidence || 0);
+
+        Logger.data(`🔍 Receipt scanned: ${result.amount ?? '?'} ${result.currency ?? ''} · ${result.merchant ?? '?'} · ${result.date ?? '?'}`);
+        return result;
+    }
+
+    /**
+     * 🖼️ Reducir y pasar a grises las fotos grandes del móvil (acelera el OCR)
+     * @private
+     */
+    async prepareImage(file) {
+        if (typeof createImageBitmap !== 'function') return file;
+
+        try {
+            const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+            const scale = Math.min(1, MAX_SCAN_DIMENSION / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+
+            const context = canvas.getContext('2d');
+            context.filter = 'grayscale(1) contrast(1.2)';
+            context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return canvas;
+        } catch (error) {
+            Logger.warning('Could not preprocess receipt image, using original:', error);
+            return file;
+        }
+    }
+
+    // =================================================================
+    // 🔤 INTERPRETACIÓN DEL TEXTO
+    // =================================================================
+
+    /**
+     * 🔤 EXTRAER DATOS DEL TEXTO RECONOCIDO
+     *
+     * @param {string} text - Texto del OCR
+     * @returns {Object} { amount, currency, merchant, date, text }
+     */
+    parseReceiptText(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+        return {
+            amount: this.findTotal(lines),
+            currency: this.detectCurrency(text),
+            merchant: this.findMerchant(lines),
+            date: this.findDate(text),
+            text
+        };
+    }
+
+    /**
+     * 💰 Convertir "1,234.50", "1.234,50" o "850" en número
+     */
+    parseAmount(raw) {
+        const value = raw.replace(/\s/g, '');
+        const lastDot = value.lastIndexOf('.');
+        const lastComma = value.lastIndexOf(',');
+        const separator = Math.max(lastDot, lastComma);
+
+        let normalized = value;
+        if (separator !== -1) {
+            const decimals = value.length - separator - 1;
+            const mixed = lastDot !== -1 && lastComma !== -1;
+            const single = value.split(value[separator]).length === 2;
+
+            if (mixed || (single && decimals <= 2)) {
+                normalized = value.slice(0, separator).replace(/[.,]/g, '') + '.' + value.slice(separator + 1);
+            } else {
+                normalized = value.replace(/[.,]/g, '');
+            }
+        }
+
+        const amount = parseFloat(normalized);
+        return Number.isFinite(amount) ? amount : null;
+    }
+
+    /**
+     * @private
+     */
+    extractAmounts(line) {
+        return (line.match(/\d{1,3}(?:[.,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?/g) || [])
+            .map(raw => this.parseAmount(raw))
+            .filter(amount => amount !== null && amount > 0);
+    }
+
+    /**
+     * 💰 Importe total: la línea de total más fiable o, si no hay, el mayor importe con decimales
+     * @private
+     */
+    findTotal(lines) {
+        for (const keywords of TOTAL_KEYWORDS) {
+            const candidates = [];
+
+            lines.forEach((line, index) => {
+                const lower = line.toLowerCase();
+                if (!keywords.some(keyword => lower.includes(keyword)) || TOTAL_EXCLUDED.test(line)) return;
+
+                // El importe puede estar en la misma línea o en la siguiente
+                const amounts = this.extractAmounts(line);
+                const source = amounts.length > 0 ? amounts : this.extractAmounts(lines[index + 1] || '');
+                if (source.length > 0) candidates.push(source[source.length - 1]);
+            });
+
+            if (candidates.length > 0) {
+                return Math.max(...candidates);
+            }
+        }
+
+        const decimals = lines
+            .flatMap(line => line.match(/\d+(?:[.,]\d{3})*[.,]\d{2}\b/g) || [])
+            .map(raw => this.parseAmount(raw))
+            .filter(amount => amount !== null && amount > 0);
+
+        return decimals.length > 0 ? Math.max(...decimals) : null;
+    }
+
+    /**
+     * 💱 Moneda más repetida en el ticket (Rs, Nu, $, €...)
+     * @private
+     */
+    detectCurrency(text) {
+        let best = null;
+        let bestCount = 0;
+
+        Object.entries(CURRENCY_PATTERNS).forEach(([currency, pattern]) => {
+            const count = (text.match(pattern) || []).length;
+            if (count > bestCount) {
+                best = currency;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 🏪 Comercio: primera línea de cabecera que parezca un nombre
+     * @private
+     */
+    findMerchant(lines) {
+        const candidate = lines.slice(0, 6).find(line => {
+            const letters = (line.match(/[a-záéíóúñ]/gi) || []).length;
+            return letters >= 3 && letters / line.length > 0.5 && !MERCHANT_EXCLUDED.test(line);
+        });
+
+        return candidate
+            ? candidate.replace(/^[^a-záéíóúñ0-9]+|[^a-záéíóúñ0-9.)]+$/gi, '').replace(/\s+/g, ' ')
+            : null;
+    }
+
+    /**
+     * 📅 Fecha del ticket en formato YYYY-MM-DD (día antes que mes, como en Nepal y Bután)
+     * @private
+     */
+    findDate(text) {
+        const candidates = [];
+
+        for (const match of text.matchAll(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g)) {
+            candidates.push({ index: match.index, year: +match[1], month: +match[2], day: +match[3] });
+        }
+
+        for (const match of text.matchAll(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/g)) {
+            let [day, month] = [+match[1], +match[2]];
+            if (month > 12 && day <= 12) [day, month] = [month, day];
+            const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+            candidates.push({ index: match.index, year, month, day });
+        }
+
+        for (const match of text.matchAll(/\b(\d{1,2})[\s-]*([a-z]{3})[a-z]*[\s,.-]*(\d{4})\b/gi)) {
+            candidates.push({ index: match.index, year: +match[3], month: MONTHS[match[2].toLowerCase()], day: +match[1] });
+        }
+
+        for (const match of text.matchAll(/\b([a-z]{3})[a-z]*[\s.-]*(\d{1,2}),?[\s-]*(\d{4})\b/gi)) {
+            candidates.push({ index: match.index, year: +match[3], month: MONTHS[match[1].toLowerCase()], day: +match[2] });
+        }
+
+        // Descarta fechas imposibles y las del calendario nepalí (Bikram Sambat, año 20xx+57)
+        const maxYear = new Date().getFullYear() + 1;
+        const valid = candidates
+            .filter(({ year, month, day }) => {
+                if (!month || year < 2000 || year > maxYear) return false;
+                const date = new Date(Date.UTC(year, month - 1, day));
+                return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+            })
+            .sort((a, b) => a.index - b.index);
+
+        if (valid.length === 0) return null;
+
+        const { year, month, day } = valid[0];
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+}
+
+const receiptScanner = new ReceiptScanner();
+
+export default receiptScanner;
@@ -0,0 +1,457 @@
+/**
+ * 🧾 RECEIPT STORE - FOTOS DE TICKETS DE LOS GASTOS
+ *
+ * Guarda las fotos de los tickets comprimidas en IndexedDB para que se
+ * puedan adjuntar sin conexión, y las sube al backend de datos (Firebase
+ * Storage o el servidor propio, ver StorageAdapters) cuando hay conexión. Al subirse, el gasto guarda la lista `receipts`
+ * ([{ id, url, createdAt }]) para que el resto de dispositivos las vean.
+ *
+ * Mantiene en memoria un índice de miniaturas por gasto para pintar las
+ * listas sin esperar a IndexedDB; los cambios se notifican mediante
+ * 'receipts.updatedAt'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import conflictResolver from './ConflictResolver.js';
+
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.7;
+const THUMBNAIL_SIZE = 160;
+
+export class ReceiptStore {
+    constructor() {
+        this.dbName = 'ViajeHimalayaReceipts';
+        this.dbVersion = 1;
+        this.db = null;
+        this.storage = null;
+
+        // expenseId → [{ id, thumbnail, uploaded, remoteUrl, createdAt }]
+        this.index = new Map();
+
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            await this.initDB();
+            await this.loadIndex();
+            Logger.success('ReceiptStore initialized');
+        } catch (error) {
+            Logger.error('Failed to initialize ReceiptStore', error);
+        }
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('receipts')) {
+                    const store = db.createObjectStore('receipts', { keyPath: 'id' });
+                    store.createIndex('expenseId', 'expenseId', { unique: false });
+                }
+            };
+        });
+    }
+
+    // =================================================================
+    // 💾 INDEXEDDB
+    // =================================================================
+
+    /**
+     * @private
+     */
+    request(mode, action) {
+        if (!this.db) {
+            return Promise.reject(new Error('IndexedDB no disponible'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(['receipts'], mode).objectStore('receipts');
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 📋 Índice de miniaturas en memoria
+     * @private
+     */
+    async loadIndex() {
+        const records = await this.request('readonly', store => store.getAll());
+
+        this.index.clear();
+        records
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .forEach(record => this.indexRecord(record));
+
+        stateManager.updateState('receipts.updatedAt', new Date().toISOString());
+    }
+
+    /**
+     * @private
+     */
+    indexRecord(record) {
+        const entries = (this.index.get(record.expenseId) || []).filter(entry => entry.id !== record.id);
+        entries.push({
+            id: record.id,
+            thumbnail: record.thumbnail,
+            uploaded: record.uploaded,
+            remoteUrl: record.remoteUrl,
+            createdAt: record.createdAt
+        });
+        this.index.set(record.expenseId, entries);
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('receipts.updatedAt', new Date().toISOString());
+    }
+
+    // =================================================================
+    // 📷 TICKETS
+    // =================================================================
+
+    /**
+     * 📷 ADJUNTAR FOTOS A UN GASTO
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {Array<File>} files - Fotos de la cámara o la galería
+     * @returns {Promise<Array<string>>} IDs de los tickets guardados
+     */
+    async addReceipts(expenseId, files) {
+        await this.ready;
+        const ids = [];
+
+        for (const file of files) {
+            try {
+                const { blob, thumbnail, width, height } = await this.compressImage(file);
+                const record = {
+                    id: `receipt-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+                    expenseId,
+                    tripId: tripManager.getActiveTripId(),
+                    blob,
+                    thumbnail,
+                    width,
+                    height,
+                    size: blob.size,
+                    uploaded: false,
+                    remoteUrl: null,
+                    createdAt: new Date().toISOString()
+                };
+
+                await this.request('readwrite', store => store.put(record));
+                this.indexRecord(record);
+                ids.push(record.id);
+
+                Logger.data(`🧾 Receipt saved (${Math.round(file.size / 1024)}KB → ${Math.round(blob.size / 1024)}KB)`);
+            } catch (error) {
+                Logger.error(`Error saving receipt ${file.name}:`, error);
+            }
+        }
+
+        this.notifyChange();
+        return ids;
+    }
+
+    /**
+     * 🖼️ MINIATURAS DE UN GASTO
+     *
+     * Combina las fotos guardadas en este dispositivo con las subidas desde
+     * otros (campo `receipts` del gasto).
+     *
+     * @param {Object} expense - Gasto
+     * @returns {Array} [{ id, src }]
+     */
+    getThumbnails(expense) {
+        const local = this.index.get(expense.id) || [];
+        const localIds = new Set(local.map(entry => entry.id));
+        const remote = (expense.receipts || []).filter(receipt => !localIds.has(receipt.id) && receipt.url);
+
+        return [
+            ...local.map(entry => ({ id: entry.id, src: entry.thumbnail })),
+            ...remote.map(receipt => ({ id: receipt.id, src: receipt.url }))
+        ];
+    }
+
+    /**
+     * 🔍 URL DE LA FOTO COMPLETA
+     *
+     * @param {Object} expense - Gasto
+     * @param {string} receiptId - ID del ticket
+     * @returns {Promise<{url: string, revoke: boolean}|null>} URL (objeto local o remota)
+     */
+    async getReceiptURL(expense, receiptId) {
+        await this.ready;
+        const record = await this.request('readonly', store => store.get(receiptId));
+
+        if (record) {
+            return { url: URL.createObjectURL(record.blob), revoke: true };
+        }
+
+        const remote = (expense.receipts || []).find(receipt => receipt.id === receiptId);
+        return remote ? { url: remote.url, revoke: false } : null;
+    }
+
+    /**
+     * 🗑️ QUITAR UN TICKET DE UN GASTO
+     *
+     * @param {string} expenseId - ID del gasto
+     * @param {string} receiptId - ID del ticket
+     */
+    async removeReceipt(expenseId, receiptId) {
+        await this.ready;
+        await this.request('readwrite', store => store.delete(receiptId));
+        this.index.set(expenseId, (this.index.get(expenseId) || []).filter(entry => entry.id !== receiptId));
+
+        if (this.storage) {
+            this.storage.deleteAttachment(expenseId, receiptId);
+        }
+
+        const expense = this.findExpense(expenseId);
+        if (expense && (expense.receipts || []).some(receipt => receipt.id === receiptId)) {
+            expense.receipts = expense.receipts.filter(receipt => receipt.id !== receiptId);
+            await this.saveExpenseReceipts(expenseId, expense.receipts);
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * 🗑️ BORRAR TODOS LOS TICKETS DE UN GASTO ELIMINADO
+     *
+     * @param {string} expenseId - ID del gasto
+     * @returns {Promise<Array>} Registros borrados (para deshacer con restoreReceipts)
+     */
+    async deleteForExpense(expenseId) {
+        await this.ready;
+        const records = await this.request('readonly', store => store.index('expenseId').getAll(expenseId));
+
+        for (const record of records) {
+            await this.request('readwrite', store => store.delete(record.id));
+            if (record.uploaded && this.storage) {
+                this.storage.deleteAttachment(expenseId, record.id);
+            }
+        }
+
+        if (records.length > 0) {
+            this.index.delete(expenseId);
+            this.notifyChange();
+        }
+        return records;
+    }
+
+    /**
+     * ♻️ RECUPERAR TICKETS BORRADOS
+     *
+     * Vuelve a guardar los registros que devolvió deleteForExpense; se marcan
+     * como pendientes porque sus ficheros del backend ya se borraron.
+     *
+     * @param {string} expenseId - ID del gasto recuperado (puede ser nuevo)
+     * @param {Array} records - Registros de deleteForExpense
+     */
+    async restoreReceipts(expenseId, records) {
+        await this.ready;
+        if (records.length === 0) return;
+
+        for (const record of records) {
+            const restored = { ...record, expenseId, uploaded: false, remoteUrl: null };
+            await this.request('readwrite', store => store.put(restored));
+            this.indexRecord(restored);
+        }
+
+        this.notifyChange();
+        await this.syncExpense(expenseId);
+    }
+
+    // =================================================================
+    // 🔥 SUBIDA AL BACKEND DE DATOS
+    // =================================================================
+
+    /**
+     * 🔥 CONECTAR Y SUBIR LO PENDIENTE
+     *
+     * @param {Object} storage - Adaptador de StorageAdapters
+     */
+    async connect(storage) {
+        this.storage = storage;
+        await this.uploadPending();
+    }
+
+    /**
+     * ⬆️ SUBIR TODOS LOS TICKETS PENDIENTES
+     */
+    async uploadPending() {
+        await this.ready;
+        if (!this.canUpload()) return;
+
+        const pendingExpenseIds = [...this.index.entries()]
+            .filter(([, entries]) => entries.some(entry => !entry.uploaded))
+            .map(([expenseId]) => expenseId);
+
+        for (const expenseId of pendingExpenseIds) {
+            await this.syncExpense(expenseId);
+        }
+    }
+
+    /**
+     * ⬆️ SUBIR LOS TICKETS DE UN GASTO Y ACTUALIZAR SU CAMPO `receipts`
+     *
+     * Solo sube tickets de gastos del viaje activo que ya existen.
+     *
+     * @param {string} expenseId - ID del gasto
+     */
+    async syncExpense(expenseId) {
+        await this.ready;
+        const expense = this.findExpense(expenseId);
+        if (!this.canUpload() || !expense) return;
+
+        const records = await this.request('readonly', store => store.index('expenseId').getAll(expenseId));
+        let changed = false;
+
+        for (const record of records.filter(r => !r.uploaded)) {
+            const url = await this.storage.uploadAttachment(expenseId, record.id, record.blob);
+            if (!url) continue;
+
+            record.uploaded = true;
+            record.remoteUrl = url;
+            await this.request('readwrite', store => store.put(record));
+            this.indexRecord(record);
+            changed = true;
+        }
+
+        const uploaded = records.filter(record => record.uploaded);
+        const known = new Set((expense.receipts || []).map(receipt => receipt.id));
+        if (!changed && uploaded.every(record => known.has(record.id))) return;
+
+        const receipts = [
+            ...(expense.receipts || []).filter(receipt => !uploaded.some(record => record.id === receipt.id)),
+            ...uploaded.map(record => ({ id: record.id, url: record.remoteUrl, createdAt: record.createdAt }))
+        ];
+
+        expense.receipts = receipts;
+        await this.saveExpenseReceipts(expenseId, receipts);
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    async saveExpenseReceipts(expenseId, receipts) {
+        if (!this.storage) return;
+
+        try {
+            await conflictResolver.saveExpenseUpdate(expenseId, { receipts });
+        } catch (error) {
+            Logger.error(`Error saving receipts of expense ${expenseId}:`, error);
+        }
+    }
+
+    /**
+     * Con el backend solo en este dispositivo las fotos se quedan aquí
+     * @private
+     */
+    canUpload() {
+        return !!this.storage?.isConnected && this.storage.supportsAttachments;
+    }
+
+    /**
+     * @private
+     */
+    findExpense(expenseId) {
+        return (stateManager.getState('expenses') || []).find(expense => expense.id === expenseId) || null;
+    }
+
+    // =================================================================
+    // 🗜️ COMPRESIÓN
+    // =================================================================
+
+    /**
+     * 🗜️ COMPRIMIR FOTO
+     *
+     * Redimensiona a MAX_DIMENSION px como máximo, recodifica en JPEG y
+     * genera una miniatura cuadrada para las listas.
+     *
+     * @param {File} file - Imagen original
+     * @returns {Promise<Object>} { blob, thumbnail, width, height }
+     * @private
+     */
+    async compressImage(file) {
+        const image = await this.loadImage(file);
+        const scale = Math.min(1, MAX_DIMENSION / Math.max(image.width, image.height));
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('No se pudo comprimir la imagen')), 'image/jpeg', JPEG_QUALITY);
+        });
+
+        // Miniatura recortada al centro
+        const side = Math.min(image.width, image.height);
+        const thumbCanvas = document.createElement('canvas');
+        thumbCanvas.width = THUMBNAIL_SIZE;
+        thumbCanvas.height = THUMBNAIL_SIZE;
+        thumbCanvas.getContext('2d').drawImage(
+            image,
+            (image.width - side) / 2, (image.height - side) / 2, side, side,
+            0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE
+        );
+
+        if (image.close) image.close();
+
+        return { blob, thumbnail: thumbCanvas.toDataURL('image/jpeg', 0.6), width, height };
+    }
+
+    /**
+     * 🖼️ Cargar imagen respetando la orientación EXIF de la cámara
+     * @private
+     */
+    async loadImage(file) {
+        if (window.createImageBitmap) {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                Logger.warning('createImageBitmap failed, falling back to <img>', error);
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+        try {
+            return await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('La imagen no se puede leer'));
+                img.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
+// Crear instancia singleton
+const receiptStore = new ReceiptStore();
+
+export default receiptStore;
@@ -9,6 +9,9 @@
  * @since 2024
  */
 
+import tripManager from './TripManager.js';
+import stateManager from './StateManager.js';
+
 // ============================================================================
 // COMUNICACIÓN CON SERVICE WORKER
 // ============================================================================
@@ -113,6 +116,30 @@ function showUpdateNotification() {
   }, 1000);
 }
 
+/**
+ * Avisa al usuario con un toast en la app y, si se pide, con una
+ * notificación del sistema que muestra el Service Worker
+ *
+ * @param {Object} options
+ * @param {string} options.message - Texto del toast
+ * @param {string} [options.level='warning'] - Nivel del toast
+ * @param {boolean} [options.notify=false] - Mostrar también la notificación del sistema
+ * @param {Object} [options.notification] - { title, body, tag } de la notificación
+ */
+export function deliverNotification({ message, level = 'warning', notify = false, notification = null }) {
+  const budgetManager = stateManager.getState('instances.budgetManager');
+  if (budgetManager && budgetManager.showNotification) {
+    budgetManager.showNotification(message, level);
+  }
+  
+  if (!notify || !notification || !('serviceWorker' in navigator)) return;
+  
+  navigator.serviceWorker.ready.then(registration => {
+    if (!registration.active) return;
+    registration.active.postMessage({ type: 'SHOW_NOTIFICATION', payload: notification });
+  }).catch(error => console.warn('🔔 No se pudo mostrar la notificación del sistema:', error));
+}
+
 /**
  * Actualiza el estado de sincronización
  */
@@ -414,7 +441,7 @@ async function initializeBudgetAlerts() {
  */
 async function checkBudgetAlerts() {
   try {
-    const expenses = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
+    const expenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1')) || '[]');
     const totalSpent = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
     const totalBudget = 5000;
     const spentPercentage = (totalSpent / totalBudget) * 100;
@@ -10,6 +10,8 @@
  * - Compartir gastos y presupuesto
  * - Compartir ubicaciones y mapas
  * - Compartir fotos y documentos
+ * - Exportar el viaje al calendario (.ics)
+ * - Enlaces de invitación a un viaje (editor o lector)
  * - Fallbacks para navegadores sin soporte nativo
  * 
  * @author David Ferrer Figueroa
@@ -20,6 +22,10 @@
 import Logger from './Logger.js';
 import { tripConfig } from '../config/tripConfig.js';
 import { FormatUtils } from './FormatUtils.js';
+import tripManager from './TripManager.js';
+import currencyConverter from './CurrencyConverter.js';
+import { calendarExporter } from './CalendarExporter.js';
+import { storageConfig } from '../config/storageConfig.js';
 
 export class ShareManager {
     /**
@@ -32,7 +38,7 @@ export class ShareManager {
      */
     constructor() {
         this.isWebShareSupported = this.checkWebShareSupport();
-        this.isWebShareFilesSupported = this.checkWebShareFilesSupport();
+        this.isWebShareFilesSupported = this.checkWebShareFilesSupported();
         
         Logger.init('ShareManager initialized', {
             webShareSupported: this.isWebShareSupported,
@@ -62,11 +68,12 @@ export class ShareManager {
      * Comparte el itinerario completo del viaje
      * 
      * @param {Object} options - Opciones de compartir
-     * @param {string} options.format - Formato: 'text', 'url', 'json'
+     * @param {string} options.format - Formato: 'text', 'url', 'json', 'ics'
+     * @param {Object} options.invite - Invitación para el formato 'url' (ver FirebaseManager.createInvite)
      * @returns {Promise<boolean>} True si se compartió exitosamente
      */
     async shareItinerary(options = {}) {
-        const { format = 'text' } = options;
+        const { format = 'text', invite = null } = options;
         
         try {
             let shareData;
@@ -76,16 +83,24 @@ export class ShareManager {
                     shareData = this.generateItineraryText();
                     break;
                 case 'url':
-                    shareData = this.generateItineraryUrl();
+                    shareData = this.generateItineraryUrl(invite);
                     break;
                 case 'json':
                     shareData = this.generateItineraryJson();
                     break;
+                case 'ics':
+                    shareData = this.generateItineraryCalendar();
+                    break;
                 default:
                     shareData = this.generateItineraryText();
             }
 
             Logger.event('Sharing itinerary', { format, dataLength: shareData.text?.length });
+
+            // Los ficheros solo se comparten si el navegador lo admite; si no, se descargan
+            if (shareData.files && !(this.isWebShareFilesSupported && navigator.canShare({ files: shareData.files }))) {
+                return this.fallbackShareFiles(shareData.files);
+            }
             
             if (this.isWebShareSupported) {
                 await navigator.share(shareData);
@@ -102,7 +117,10 @@ export class ShareManager {
             }
             
             Logger.error('Error sharing itinerary:', error);
-            return this.fallbackShare(this.generateItineraryText());
+            if (format === 'ics') {
+                return this.fallbackShareFiles(this.generateItineraryCalendar().files);
+            }
+            return this.fallbackShare(invite ? this.generateItineraryUrl(invite) : this.generateItineraryText());
         }
     }
 
@@ -290,19 +308,38 @@ export class ShareManager {
     /**
      * Genera URL para compartir el itinerario
      * 
+     * Con una invitación el enlace lleva el viaje y su token
+     * (?trip=<tripId>&invite=<token>): quien lo abre se une al viaje con
+     * el rol de la invitación y lo ve directamente.
+     * 
      * @private
+     * @param {Object} invite - Invitación { tripId, token, role } (opcional)
      * @returns {Object} Datos para compartir
      */
-    generateItineraryUrl() {
+    generateItineraryUrl(invite = null) {
         const baseUrl = window.location.origin + window.location.pathname;
+        const tripId = invite ? invite.tripId : tripManager.getActiveTripId();
+        const tripName = tripManager.getTrip(tripId)?.name || 'Mi Aventura en el Himalaya';
         const params = new URLSearchParams({
             view: 'itinerario',
-            shared: 'true'
+            trip: tripId
         });
 
+        if (!invite) {
+            return {
+                title: `${tripName} - Itinerario`,
+                text: `🏔️ Mira el itinerario completo de ${tripName}`,
+                url: `${baseUrl}?${params.toString()}`
+            };
+        }
+
+        params.set('invite', invite.token);
+
         return {
-            title: 'Mi Aventura en el Himalaya - Itinerario',
-            text: '🏔️ Mira mi itinerario completo para la aventura en el Himalaya',
+            title: `${tripName} - Invitación`,
+            text: invite.role === 'editor'
+                ? `✈️ Únete a ${tripName} para ver el itinerario y apuntar gastos`
+                : `🏔️ Sigue el itinerario de ${tripName} (solo lectura)`,
             url: `${baseUrl}?${params.toString()}`
         };
     }
@@ -339,6 +376,44 @@ export class ShareManager {
         };
     }
 
+    /**
+     * Genera el calendario del viaje (.ics) con días, vuelos y hoteles
+     * 
+     * @private
+     * @returns {Object} Datos para compartir
+     */
+    generateItineraryCalendar() {
+        const calendarBlob = new Blob([calendarExporter.generate(tripConfig, { tripId: tripManager.getActiveTripId() })], {
+            type: 'text/calendar'
+        });
+
+        return {
+            title: `Calendario - ${tripConfig.trip?.name || 'Mi Aventura en el Himalaya'}`,
+            text: 'Itinerario, vuelos y hoteles para añadir al calendario',
+            files: [new File([calendarBlob], calendarExporter.getFileName(tripConfig), {
+                type: 'text/calendar'
+            })]
+        };
+    }
+
+    /**
+     * URL del calendario suscribible que sirve server.js (solo en local)
+     * 
+     * server.js solo ve los viajes guardados en su propia API de datos
+     * (backend 'http'); con otro backend solo sirve el viaje por defecto.
+     * 
+     * @returns {string|null} URL webcal:// o null si server.js no puede servir el viaje activo
+     */
+    getCalendarFeedUrl() {
+        const { hostname, host } = window.location;
+        if (hostname !== 'localhost' && hostname !== '127.0.0.1') return null;
+
+        const tripId = tripManager.getActiveTripId();
+        if (storageConfig.backend !== 'http' && !tripManager.isDefaultTrip(tripId)) return null;
+
+        return `webcal://${host}/calendar.ics?trip=${encodeURIComponent(tripId)}`;
+    }
+
     /**
      * Genera datos para compartir un día específico
      * 
@@ -392,7 +467,7 @@ export class ShareManager {
      * @returns {Object} Datos para compartir
      */
     generateBudgetShareData(options = {}) {
-        const expenses = JSON.parse(localStorage.getItem('tripExpensesV1') || '[]');
+        const expenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey('tripExpensesV1')) || '[]');
         const totalSpent = expenses.reduce((sum, exp) => sum + (exp.amount || 0), 0);
         
         // Calcular presupuesto total
@@ -416,7 +491,8 @@ export class ShareManager {
         if (options.includeDetails && expenses.length > 0) {
             text += `\n💳 Últimos gastos:\n`;
             expenses.slice(0, 5).forEach(expense => {
-                text += `• ${expense.concept}: ${FormatUtils.formatCurrency(expense.amount)}\n`;
+                const original = currencyConverter.formatOriginal(expense, tripConfig.trip.currency);
+                text += `• ${expense.concept}: ${FormatUtils.formatCurrency(expense.amount)}${original ? ` (${original})` : ''}\n`;
             });
         }
 
@@ -580,3 +656,6 @@ export class ShareManager {
         Logger.data('ShareManager destroyed');
     }
 }
+
+// Crear instancia singleton
+export const shareManager = new ShareManager();
@@ -38,6 +38,44 @@ class StateManager {
             expenses: [],
             budgetData: null,
             
+            // 🧳 Estado del Viaje Activo
+            trip: {
+                activeTripId: null,
+                name: null,
+                updatedAt: null
+            },
+            
+            // 👥 Libro de cuentas del grupo (viajeros y liquidaciones)
+            ledger: {
+                updatedAt: null
+            },
+            
+            // 🧾 Fotos de tickets guardadas en este dispositivo
+            receipts: {
+                updatedAt: null
+            },
+            
+            // 🔔 Topes de gasto y avisos de presupuesto
+            budgetAlerts: {
+                updatedAt: null
+            },
+            
+            // ↩️ Historial de deshacer/rehacer
+            history: {
+                canUndo: false,
+                canRedo: false,
+                undoLabel: null,
+                redoLabel: null,
+                updatedAt: null
+            },
+            
+            // 🔐 Sesión y rol en el viaje activo
+            auth: {
+                user: null,
+                tripRole: null,
+                invite: null
+            },
+            
             // 🌅 Estado de Simulación de Fechas
             daySimulator: {
                 isSimulating: false,
@@ -89,6 +127,12 @@ class StateManager {
         // 🎧 Listeners para cambios de estado
         this.listeners = new Map();
         
+        // ↩️ Comandos reversibles (deshacer/rehacer)
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.historyBusy = false;
+        
         // 🔍 Debug mode
         this.debugMode = false;
         
@@ -121,6 +165,9 @@ class StateManager {
         window.addEventListener('offline', () => {
             this.updateState('firebase.isOnline', false);
         });
+
+        // Los comandos de un viaje no se pueden deshacer desde otro
+        this.subscribe('trip.activeTripId', () => this.clearHistory());
     }
 
     /**
@@ -284,6 +331,105 @@ class StateManager {
         return current;
     }
 
+    // =================================================================
+    // ↩️ HISTORIAL DE DESHACER/REHACER
+    // =================================================================
+
+    /**
+     * 📝 REGISTRAR COMANDO
+     * 
+     * Guarda un cambio ya aplicado para poder deshacerlo. `undo` y `redo`
+     * deben aplicar el cambio por el mismo camino que la edición original
+     * (adaptador de almacenamiento, TripManager...) para que se sincronice.
+     * 
+     * @param {Object} command
+     * @param {string} command.label - Descripción corta ("Eliminar gasto")
+     * @param {Function} command.undo - Revierte el cambio (puede ser async)
+     * @param {Function} command.redo - Lo vuelve a aplicar (puede ser async)
+     */
+    recordCommand(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emitHistoryChange();
+    }
+
+    /**
+     * ↩️ DESHACER
+     * 
+     * @returns {Promise<Object|null>} Comando deshecho o null si no había ninguno
+     */
+    async undo() {
+        return this.replayCommand(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * ↪️ REHACER
+     * 
+     * @returns {Promise<Object|null>} Comando rehecho o null si no había ninguno
+     */
+    async redo() {
+        return this.replayCommand(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Un comando que falla se descarta: el estado ya no es el que esperaba
+     * @private
+     */
+    async replayCommand(source, target, action) {
+        if (this.historyBusy || source.length === 0) {
+            return null;
+        }
+
+        const command = source.pop();
+        this.historyBusy = true;
+
+        try {
+            await command[action]();
+            target.push(command);
+            Logger.data(`↩️ ${action} "${command.label}"`);
+            return command;
+        } catch (error) {
+            Logger.error(`Error in ${action} "${command.label}":`, error);
+            throw error;
+        } finally {
+            this.historyBusy = false;
+            this.emitHistoryChange();
+        }
+    }
+
+    /**
+     * 🧹 VACIAR HISTORIAL
+     */
+    clearHistory() {
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            return;
+        }
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitHistoryChange();
+    }
+
+    /**
+     * @private
+     */
+    emitHistoryChange() {
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+        this.updateState('history', {
+            canUndo: !!lastUndo,
+            canRedo: !!lastRedo,
+            undoLabel: lastUndo?.label || null,
+            redoLabel: lastRedo?.label || null,
+            updatedAt: this.getState('history.updatedAt')
+        }, true);
+        this.updateState('history.updatedAt', new Date().toISOString());
+    }
+
     // =================================================================
     // 💰 MÉTODOS ESPECÍFICOS PARA GASTOS Y PRESUPUESTO
     // =================================================================
@@ -0,0 +1,1165 @@
+/**
+ * StorageAdapters - Backends de Almacenamiento
+ *
+ * Un adaptador guarda los datos del viaje en un backend concreto. Todos
+ * exponen la misma interfaz, así que BudgetManager, BatchManager,
+ * ExpenseOrchestrator, PackingListManager, TripManager y ReceiptStore no
+ * saben si hablan con Firestore, con IndexedDB o con un servidor propio:
+ *
+ * - Estado: `name`, `label`, `isConnected`, `supportsAttachments`,
+ *   `getDeviceId()`, `isReadOnly()` y los callbacks `onSyncStatusChanged`,
+ *   `onExpenseAdded`, `onExpenseUpdated`, `onExpenseDeleted`
+ * - Gastos: `getExpenses()`, `addExpense(expense)`, `updateExpense(id, updates)`,
+ *   `deleteExpense(id)`, `commitExpenses(operations)` (lote de BatchManager).
+ *   Si `updates` lleva `revision`, la edición se rechaza con un error
+ *   'revision-conflict' cuando otro dispositivo ya escribió esa revisión
+ *   (ver ConflictResolver)
+ * - Equipaje: `getPackingList(documentId)`, `savePackingList(documentId, data, { merge })`,
+ *   `getPackingTemplates()`, `savePackingTemplates(changes)`
+ * - Viajes: `getTrips()`, `saveTrip(trip)`
+ * - Libro de cuentas del grupo: `saveLedger(ledger)`, `watchLedger(callback)`
+ *   (el callback recibe el libro o null si aún no existe)
+ * - Adjuntos: `uploadAttachment(expenseId, attachmentId, blob)` (URL o null),
+ *   `deleteAttachment(expenseId, attachmentId)`
+ * - Cambios en tiempo real: `watchExpenses(callback)` y
+ *   `watchPackingLists(callback)`, que llaman al callback con el contenido
+ *   actual y después con cada cambio, y devuelven (o resuelven) la función
+ *   para dejar de escuchar
+ *
+ * Todo se refiere al viaje activo de TripManager. Con `{ merge: true }` los
+ * objetos se combinan campo a campo como en Firestore, y un campo con el
+ * valor DELETE_FIELD se borra.
+ *
+ * El backend se elige en storageConfig y DependencyContainer registra el
+ * adaptador como 'storage'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import tripManager from './TripManager.js';
+import stateManager from './StateManager.js';
+import { FirebaseManager } from './FirebaseManager.js';
+import { firestoreConfig, authConfig } from '../config/firebaseConfig.js';
+import { assertRevision } from './ConflictResolver.js';
+import syncOutbox from './SyncOutbox.js';
+
+const FIRESTORE_MODULE_URL = 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+const EXPENSES_STORAGE_KEY = 'tripExpensesV1';
+const LEDGER_DOCUMENT_ID = 'group';
+
+/**
+ * Valor que borra un campo al guardar con `{ merge: true }`
+ * (se serializa tal cual para el backend 'http')
+ */
+export const DELETE_FIELD = Object.freeze({ $delete: true });
+
+export function isDeleteField(value) {
+    return !!value && typeof value === 'object' && value.$delete === true;
+}
+
+/**
+ * Combina `patch` sobre `target` como setDoc(..., { merge: true }):
+ * los objetos se combinan recursivamente, los arrays se reemplazan y
+ * DELETE_FIELD borra el campo. Devuelve un objeto nuevo.
+ */
+export function mergeDocument(target, patch) {
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    Object.entries(patch || {}).forEach(([key, value]) => {
+        if (isDeleteField(value)) {
+            delete result[key];
+        } else if (isPlainObject(value)) {
+            result[key] = mergeDocument(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+
+    return result;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function cloneDocument(data) {
+    return data === null || data === undefined ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Mismo ID de dispositivo que FirebaseManager
+ */
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+// =================================================================
+// 🔥 FIRESTORE
+// =================================================================
+
+/**
+ * Firestore y Firebase Storage a través de FirebaseManager, que sigue
+ * ocupándose de la conexión, la sesión, los miembros del viaje y la copia
+ * en localStorage cuando no hay conexión.
+ */
+export class FirestoreStorageAdapter {
+    constructor(firebaseManager = new FirebaseManager()) {
+        this.name = 'firestore';
+        this.label = 'Firebase (Firestore)';
+        this.supportsAttachments = true;
+        this.firebaseManager = firebaseManager;
+
+        this.onExpenseAdded = null;
+        this.onExpenseUpdated = null;
+        this.onExpenseDeleted = null;
+        this.onSyncStatusChanged = null;
+
+        // Reenviar los eventos de FirebaseManager a quien escuche el adaptador
+        firebaseManager.onExpenseAdded = (expense) => this.onExpenseAdded?.(expense);
+        firebaseManager.onExpenseUpdated = (expenseId, updates) => this.onExpenseUpdated?.(expenseId, updates);
+        firebaseManager.onExpenseDeleted = (expenseId) => this.onExpenseDeleted?.(expenseId);
+        firebaseManager.onSyncStatusChanged = (status) => this.onSyncStatusChanged?.(status);
+    }
+
+    get isConnected() {
+        return this.firebaseManager.isConnected;
+    }
+
+    getDeviceId() {
+        return this.firebaseManager.getDeviceId();
+    }
+
+    isReadOnly() {
+        return this.firebaseManager.isReadOnly();
+    }
+
+    // -----------------------------------------------------------------
+    // 💰 Gastos
+    // -----------------------------------------------------------------
+
+    getExpenses() {
+        return this.firebaseManager.getAllExpenses();
+    }
+
+    addExpense(expense, triggerCallbacks = true) {
+        return this.firebaseManager.addExpense(expense, triggerCallbacks);
+    }
+
+    updateExpense(expenseId, updates) {
+        return this.firebaseManager.updateExpense(expenseId, updates);
+    }
+
+    deleteExpense(expenseId) {
+        return this.firebaseManager.deleteExpense(expenseId);
+    }
+
+    watchExpenses(callback) {
+        return this.firebaseManager.setupRealtimeListener(callback);
+    }
+
+    /**
+     * Ejecuta un lote de BatchManager en una única transacción
+     *
+     * Las ediciones vuelven a leer su documento dentro de la transacción
+     * antes de comprobar la revisión: si otro dispositivo escribe entre
+     * medias, Firestore repite la transacción y assertRevision ve su cambio.
+     *
+     * @param {Array} operations - [{ type: 'add'|'update'|'delete', data }]
+     * @returns {Promise<Array>} [{ success, result, error }] en el mismo orden
+     * @throws Si falla el commit del lote
+     */
+    async commitExpenses(operations) {
+        const { runTransaction } = await import(FIRESTORE_MODULE_URL);
+
+        // Las consultas por el campo 'id' no caben en una transacción: antes se localiza cada documento
+        const plans = await Promise.all(operations.map(operation =>
+            this.planBatchOperation(operation).catch(error => ({ error }))
+        ));
+
+        return runTransaction(this.firebaseManager.db, async (transaction) => {
+            // Todas las lecturas van antes que las escrituras
+            const snapshots = await Promise.all(plans.map(plan => plan.readRef ? transaction.get(plan.readRef) : null));
+
+            return plans.map((plan, index) => {
+                if (plan.error) return { success: false, error: plan.error };
+                try {
+                    return { success: true, result: plan.write(transaction, snapshots[index]) };
+                } catch (error) {
+                    return { success: false, error };
+                }
+            });
+        });
+    }
+
+    /**
+     * Prepara una operación del lote: documento a leer en la transacción
+     * (`readRef`) y escritura a partir de lo leído (`write`)
+     * @private
+     */
+    async planBatchOperation(operation) {
+        const { collection, doc, serverTimestamp, query, where, getDocs } = await import(FIRESTORE_MODULE_URL);
+        const collectionRef = collection(this.firebaseManager.db, ...this.firebaseManager.getExpensesPath());
+        const deviceId = this.getDeviceId();
+
+        switch (operation.type) {
+            case 'add': {
+                const addDocRef = doc(collectionRef);
+                return {
+                    write: (transaction) => {
+                        transaction.set(addDocRef, {
+                            ...operation.data,
+                            createdAt: serverTimestamp(),
+                            updatedAt: serverTimestamp(),
+                            deviceId
+                        });
+                        return addDocRef.id;
+                    }
+                };
+            }
+
+            case 'update': {
+                // El docId de Firestore no siempre coincide con el campo 'id' del gasto
+                const expenseId = operation.data.id;
+                const { updates } = operation.data;
+                const existingSnapshot = await getDocs(query(collectionRef, where('id', '==', expenseId)));
+
+                // No existe: se crea con el ID como docId a partir de la copia local
+                const localExpense = existingSnapshot.empty ? this.findLocalExpense(expenseId) : null;
+                if (existingSnapshot.empty && !localExpense) {
+                    throw new Error(`Local expense ${expenseId} not found for batch update`);
+                }
+
+                return {
+                    readRef: existingSnapshot.empty ? doc(collectionRef, expenseId) : existingSnapshot.docs[0].ref,
+                    write: (transaction, snapshot) => {
+                        if (snapshot.exists()) {
+                            assertRevision(expenseId, snapshot.data(), updates, deviceId);
+                            transaction.update(snapshot.ref, { ...updates, updatedAt: serverTimestamp(), deviceId });
+                        } else {
+                            transaction.set(snapshot.ref, {
+                                ...localExpense,
+                                ...updates,
+                                createdAt: serverTimestamp(),
+                                updatedAt: serverTimestamp(),
+                                deviceId
+                            });
+                        }
+                        return expenseId;
+                    }
+                };
+            }
+
+            case 'delete': {
+                const expenseId = operation.data.id;
+                const deleteSnapshot = await getDocs(query(collectionRef, where('id', '==', expenseId)));
+                const deleteRef = deleteSnapshot.empty ? doc(collectionRef, expenseId) : deleteSnapshot.docs[0].ref;
+
+                return {
+                    write: (transaction) => {
+                        transaction.delete(deleteRef);
+                        return expenseId;
+                    }
+                };
+            }
+
+            default:
+                throw new Error(`Unknown batch operation type: ${operation.type}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    findLocalExpense(expenseId) {
+        const localExpenses = JSON.parse(localStorage.getItem(this.firebaseManager.getExpensesStorageKey()) || '[]');
+        return localExpenses.find(expense => expense.id === expenseId) || null;
+    }
+
+    // -----------------------------------------------------------------
+    // 🎒 Equipaje (trips/{tripId}/packingList/{documentId})
+    // -----------------------------------------------------------------
+
+    async getPackingList(documentId) {
+        const { doc, getDoc } = await import(FIRESTORE_MODULE_URL);
+        const snapshot = await getDoc(doc(this.firebaseManager.db, ...this.getPackingPath(), documentId));
+        return snapshot.exists() ? snapshot.data() : null;
+    }
+
+    /**
+     * Lista común anterior a los viajes (packingList/global en la raíz)
+     */
+    async getLegacyPackingList(documentId) {
+        const { doc, getDoc } = await import(FIRESTORE_MODULE_URL);
+        const snapshot = await getDoc(doc(this.firebaseManager.db, firestoreConfig.collections.packingList, documentId));
+        return snapshot.exists() ? snapshot.data() : null;
+    }
+
+    async savePackingList(documentId, data, { merge = false } = {}) {
+        const { doc, setDoc, serverTimestamp } = await import(FIRESTORE_MODULE_URL);
+        const docRef = doc(this.firebaseManager.db, ...this.getPackingPath(), documentId);
+
+        await setDoc(docRef, await this.toFirestoreData({
+            ...data,
+            lastUpdated: serverTimestamp(),
+            lastDeviceId: this.getDeviceId()
+        }), { merge });
+    }
+
+    async watchPackingLists(callback) {
+        const { collection, onSnapshot } = await import(FIRESTORE_MODULE_URL);
+        const collectionRef = collection(this.firebaseManager.db, ...this.getPackingPath());
+
+        return onSnapshot(collectionRef, (snapshot) => {
+            snapshot.forEach(docSnapshot => callback(docSnapshot.id, docSnapshot.data()));
+        }, (error) => {
+            Logger.error('🎒 Firebase listener error:', error);
+        });
+    }
+
+    /**
+     * Plantillas del usuario (users/{uid}.packingTemplates)
+     *
+     * @returns {Promise<Object|null>} null si no hay sesión o aún no tiene
+     */
+    async getPackingTemplates() {
+        const user = this.firebaseManager.getCurrentUser();
+        if (!user) return null;
+
+        const { doc, getDoc } = await import(FIRESTORE_MODULE_URL);
+        const snapshot = await getDoc(doc(this.firebaseManager.db, firestoreConfig.collections.users, user.uid));
+        return snapshot.exists() ? snapshot.data().packingTemplates || null : null;
+    }
+
+    async savePackingTemplates(changes) {
+        const user = this.firebaseManager.getCurrentUser();
+        if (!user) return;
+
+        const { doc, setDoc } = await import(FIRESTORE_MODULE_URL);
+        await setDoc(doc(this.firebaseManager.db, firestoreConfig.collections.users, user.uid), {
+            packingTemplates: await this.toFirestoreData(changes)
+        }, { merge: true });
+    }
+
+    /**
+     * @private
+     */
+    getPackingPath() {
+        return tripManager.getFirestorePath(firestoreConfig.collections.packingList);
+    }
+
+    /**
+     * Cambia DELETE_FIELD por deleteField() de Firestore
+     * @private
+     */
+    async toFirestoreData(data) {
+        const { deleteField } = await import(FIRESTORE_MODULE_URL);
+        const convert = (value) => {
+            if (isDeleteField(value)) return deleteField();
+            if (!isPlainObject(value) || Object.getPrototypeOf(value) !== Object.prototype) return value;
+            return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, convert(nested)]));
+        };
+        return convert(data);
+    }
+
+    // -----------------------------------------------------------------
+    // 🧳 Viajes (trips/{tripId})
+    // -----------------------------------------------------------------
+
+    /**
+     * Viajes visibles: con autenticación, solo aquellos de los que se es miembro
+     */
+    async getTrips() {
+        const { collection, getDocs, query, where } = await import(FIRESTORE_MODULE_URL);
+        const tripsRef = collection(this.firebaseManager.db, firestoreConfig.collections.trips);
+        const user = this.firebaseManager.getCurrentUser();
+
+        const snapshot = await getDocs(authConfig.enableAuth && user
+            ? query(tripsRef, where('memberIds', 'array-contains', user.uid))
+            : tripsRef);
+
+        const trips = [];
+        snapshot.forEach(docSnap => trips.push(docSnap.data()));
+        return trips;
+    }
+
+    async saveTrip(trip) {
+        // Los viajes nuevos se reclaman como dueño; los ajenos solo se suben con permiso de escritura
+        if (authConfig.enableAuth) {
+            const role = await this.firebaseManager.ensureTripMembership(trip.id);
+            if (!authConfig.roles.write.includes(role)) return false;
+        }
+
+        const { doc, setDoc } = await import(FIRESTORE_MODULE_URL);
+
+        // Los miembros solo se cambian desde FirebaseManager (las reglas lo exigen)
+        const { members, memberIds, memberNames, joinToken, ...tripData } = trip;
+
+        await setDoc(doc(this.firebaseManager.db, firestoreConfig.collections.trips, trip.id), {
+            ...tripData,
+            config: trip.config || null,
+            overrides: trip.overrides || {},
+            lastDeviceId: this.getDeviceId()
+        }, { merge: true });
+        return true;
+    }
+
+    // -----------------------------------------------------------------
+    // 👥 Libro de cuentas del grupo (trips/{tripId}/ledger/group)
+    // -----------------------------------------------------------------
+
+    saveLedger(ledger) {
+        return this.firebaseManager.saveLedger(ledger);
+    }
+
+    watchLedger(callback) {
+        return this.firebaseManager.setupLedgerListener(callback);
+    }
+
+    // -----------------------------------------------------------------
+    // 🧾 Adjuntos (Firebase Storage)
+    // -----------------------------------------------------------------
+
+    uploadAttachment(expenseId, attachmentId, blob) {
+        return this.firebaseManager.uploadReceipt(expenseId, attachmentId, blob);
+    }
+
+    deleteAttachment(expenseId, attachmentId) {
+        return this.firebaseManager.deleteReceipt(expenseId, attachmentId);
+    }
+}
+
+// =================================================================
+// 📄 BASE PARA BACKENDS DE DOCUMENTOS
+// =================================================================
+
+/**
+ * Implementa la interfaz sobre colecciones de documentos con las mismas
+ * rutas que Firestore (trips/{tripId}/expenses...). Las subclases solo
+ * implementan readDocs, readDoc, writeDoc, removeDoc, putFile y removeFile,
+ * y llaman a notifyChange(path) cuando cambia una colección.
+ */
+export class DocumentStorageAdapter {
+    constructor() {
+        this.isConnected = false;
+        this.status = null;
+        this.supportsAttachments = true;
+
+        this.onExpenseAdded = null;
+        this.onExpenseUpdated = null;
+        this.onExpenseDeleted = null;
+        this.onSyncStatusChanged = null;
+
+        // Ruta de colección ('trips/abc/expenses') → callbacks
+        this.watchers = new Map();
+    }
+
+    getDeviceId() {
+        return getDeviceId();
+    }
+
+    // Sin miembros ni roles: quien tiene acceso al backend puede escribir
+    isReadOnly() {
+        return false;
+    }
+
+    /**
+     * @protected
+     */
+    setStatus(status) {
+        if (status === this.status) return;
+
+        this.status = status;
+        this.isConnected = status === 'connected';
+        if (this.onSyncStatusChanged) {
+            this.onSyncStatusChanged(status);
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // 💰 Gastos
+    // -----------------------------------------------------------------
+
+    async getExpenses() {
+        const docs = await this.readDocs(this.getCollectionPath(firestoreConfig.collections.expenses));
+        return this.toExpenses(docs);
+    }
+
+    async addExpense(expense, triggerCallbacks = true) {
+        const now = new Date().toISOString();
+        const expenseData = {
+            ...expense,
+            id: expense.id || this.generateId(),
+            createdAt: now,
+            updatedAt: now,
+            deviceId: this.getDeviceId()
+        };
+
+        await this.writeDoc(this.getCollectionPath(firestoreConfig.collections.expenses), expenseData.id, expenseData);
+        Logger.data(`Expense added to ${this.name} storage:`, expenseData.id);
+
+        if (triggerCallbacks && this.onExpenseAdded) {
+            this.onExpenseAdded(expenseData);
+        }
+        return expenseData.id;
+    }
+
+    async updateExpense(expenseId, updates) {
+        const path = this.getCollectionPath(firestoreConfig.collections.expenses);
+
+        // Como en Firestore: si aún no está en el backend se crea con la copia local
+        const stored = await this.readDoc(path, expenseId);
+        const current = stored || this.findLocalExpense(expenseId);
+        if (!current) {
+            throw new Error(`Expense ${expenseId} not found`);
+        }
+        assertRevision(expenseId, stored, updates, this.getDeviceId());
+
+        await this.writeDoc(path, expenseId, {
+            ...current,
+            ...updates,
+            id: expenseId,
+            updatedAt: new Date().toISOString(),
+            deviceId: this.getDeviceId()
+        });
+        Logger.data(`Expense updated in ${this.name} storage:`, expenseId);
+
+        if (this.onExpenseUpdated) {
+            this.onExpenseUpdated(expenseId, updates);
+        }
+        return true;
+    }
+
+    async deleteExpense(expenseId) {
+        const path = this.getCollectionPath(firestoreConfig.collections.expenses);
+        if (!await this.readDoc(path, expenseId)) {
+            return false;
+        }
+
+        await this.removeDoc(path, expenseId);
+        Logger.data(`Expense deleted from ${this.name} storage:`, expenseId);
+
+        if (this.onExpenseDeleted) {
+            this.onExpenseDeleted(expenseId);
+        }
+        return true;
+    }
+
+    /**
+     * Sin transacciones: las operaciones se aplican una a una
+     */
+    async commitExpenses(operations) {
+        const results = [];
+
+        for (const { type, data } of operations) {
+            try {
+                let result;
+                switch (type) {
+                    case 'add':
+                        result = await this.addExpense(data, false);
+                        break;
+                    case 'update':
+                        await this.updateExpense(data.id, data.updates);
+                        result = data.id;
+                        break;
+                    case 'delete':
+                        await this.deleteExpense(data.id);
+                        result = data.id;
+                        break;
+                    default:
+                        throw new Error(`Unknown batch operation type: ${type}`);
+                }
+                results.push({ success: true, result });
+            } catch (error) {
+                results.push({ success: false, error });
+            }
+        }
+
+        return results;
+    }
+
+    watchExpenses(callback) {
+        return this.watchDocs(this.getCollectionPath(firestoreConfig.collections.expenses), docs => callback(this.toExpenses(docs)));
+    }
+
+    // -----------------------------------------------------------------
+    // 🎒 Equipaje
+    // -----------------------------------------------------------------
+
+    getPackingList(documentId) {
+        return this.readDoc(this.getCollectionPath(firestoreConfig.collections.packingList), documentId);
+    }
+
+    savePackingList(documentId, data, { merge = false } = {}) {
+        return this.writeDoc(this.getCollectionPath(firestoreConfig.collections.packingList), documentId, {
+            ...data,
+            lastUpdated: new Date().toISOString(),
+            lastDeviceId: this.getDeviceId()
+        }, { merge });
+    }
+
+    watchPackingLists(callback) {
+        return this.watchDocs(this.getCollectionPath(firestoreConfig.collections.packingList), docs => {
+            docs.forEach(({ id, data }) => callback(id, data));
+        });
+    }
+
+    /**
+     * Sin cuentas de usuario: las plantillas son del dispositivo
+     */
+    async getPackingTemplates() {
+        const userData = await this.readDoc([firestoreConfig.collections.users], this.getDeviceId());
+        return userData?.packingTemplates || null;
+    }
+
+    savePackingTemplates(changes) {
+        return this.writeDoc([firestoreConfig.collections.users], this.getDeviceId(), { packingTemplates: changes }, { merge: true });
+    }
+
+    // -----------------------------------------------------------------
+    // 🧳 Viajes
+    // -----------------------------------------------------------------
+
+    async getTrips() {
+        const docs = await this.readDocs([firestoreConfig.collections.trips]);
+        return docs.map(({ data }) => data);
+    }
+
+    async saveTrip(trip) {
+        await this.writeDoc([firestoreConfig.collections.trips], trip.id, {
+            ...trip,
+            config: trip.config || null,
+            overrides: trip.overrides || {},
+            lastDeviceId: this.getDeviceId()
+        }, { merge: true });
+        return true;
+    }
+
+    // -----------------------------------------------------------------
+    // 👥 Libro de cuentas del grupo
+    // -----------------------------------------------------------------
+
+    async saveLedger(ledger) {
+        await this.writeDoc(this.getCollectionPath(firestoreConfig.collections.ledger), LEDGER_DOCUMENT_ID, {
+            ...ledger,
+            lastDeviceId: this.getDeviceId()
+        });
+        return true;
+    }
+
+    watchLedger(callback) {
+        return this.watchDocs(this.getCollectionPath(firestoreConfig.collections.ledger), docs => {
+            callback(docs.find(({ id }) => id === LEDGER_DOCUMENT_ID)?.data || null);
+        });
+    }
+
+    // -----------------------------------------------------------------
+    // 🧾 Adjuntos
+    // -----------------------------------------------------------------
+
+    async uploadAttachment(expenseId, attachmentId, blob) {
+        try {
+            return await this.putFile(this.getAttachmentPath(expenseId, attachmentId), blob);
+        } catch (error) {
+            Logger.error(`Error uploading attachment ${attachmentId}:`, error);
+            return null;
+        }
+    }
+
+    async deleteAttachment(expenseId, attachmentId) {
+        try {
+            await this.removeFile(this.getAttachmentPath(expenseId, attachmentId));
+            return true;
+        } catch (error) {
+            Logger.error(`Error deleting attachment ${attachmentId}:`, error);
+            return false;
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // 🔔 Cambios en tiempo real
+    // -----------------------------------------------------------------
+
+    /**
+     * Escucha una colección: el callback recibe [{ id, data }] ahora y
+     * cada vez que cambie
+     *
+     * @protected
+     */
+    watchDocs(path, callback) {
+        const key = path.join('/');
+        if (!this.watchers.has(key)) {
+            this.watchers.set(key, new Set());
+            this.handleWatch(key);
+        }
+        this.watchers.get(key).add(callback);
+
+        this.readDocs(path)
+            .then(docs => callback(docs))
+            .catch(error => Logger.error(`Error reading ${key}:`, error));
+
+        return () => {
+            const callbacks = this.watchers.get(key);
+            if (!callbacks) return;
+
+            callbacks.delete(callback);
+            if (callbacks.size === 0) {
+                this.watchers.delete(key);
+                this.handleUnwatch(key);
+            }
+        };
+    }
+
+    /**
+     * Vuelve a leer una colección y avisa a quien la escucha
+     *
+     * @protected
+     */
+    async notifyChange(key) {
+        const callbacks = this.watchers.get(key);
+        if (!callbacks || callbacks.size === 0) return;
+
+        try {
+            const docs = await this.readDocs(key.split('/'));
+            callbacks.forEach(callback => callback(docs));
+        } catch (error) {
+            Logger.error(`Error reading ${key}:`, error);
+        }
+    }
+
+    // Ganchos para los backends que avisan de los cambios de otros dispositivos
+    handleWatch() {}
+    handleUnwatch() {}
+
+    // -----------------------------------------------------------------
+    // 🔧 Auxiliares
+    // -----------------------------------------------------------------
+
+    /**
+     * @protected
+     */
+    getCollectionPath(collectionName) {
+        return tripManager.getFirestorePath(collectionName);
+    }
+
+    /**
+     * @protected
+     */
+    getAttachmentPath(expenseId, attachmentId) {
+        return [...this.getCollectionPath(firestoreConfig.collections.receipts), expenseId, `${attachmentId}.jpg`];
+    }
+
+    /**
+     * Más recientes primero, como la consulta de FirebaseManager
+     * @private
+     */
+    toExpenses(docs) {
+        return docs
+            .map(({ id, data }) => ({ id, ...data }))
+            .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    }
+
+    /**
+     * @protected
+     */
+    findLocalExpense(expenseId) {
+        const localExpenses = JSON.parse(localStorage.getItem(tripManager.getStorageKey(EXPENSES_STORAGE_KEY)) || '[]');
+        return localExpenses.find(expense => expense.id === expenseId) || null;
+    }
+
+    /**
+     * @protected
+     */
+    generateId() {
+        return 'exp_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// =================================================================
+// 🧪 MEMORIA (pruebas)
+// =================================================================
+
+/**
+ * Todo en memoria: se pierde al recargar. Sirve para probar los managers
+ * sin red ni base de datos registrándolo en el contenedor:
+ * container.registerSingleton('storage', () => new MemoryStorageAdapter())
+ */
+export class MemoryStorageAdapter extends DocumentStorageAdapter {
+    constructor() {
+        super();
+        this.name = 'memory';
+        this.label = 'Memoria (pruebas)';
+
+        // 'trips/abc/expenses' → Map(id → data)
+        this.collections = new Map();
+        this.files = new Map();
+
+        this.setStatus('connected');
+    }
+
+    async readDocs(path) {
+        const docs = this.collections.get(path.join('/')) || new Map();
+        return [...docs.entries()].map(([id, data]) => ({ id, data: cloneDocument(data) }));
+    }
+
+    async readDoc(path, id) {
+        return cloneDocument(this.collections.get(path.join('/'))?.get(id));
+    }
+
+    async writeDoc(path, id, data, { merge = false } = {}) {
+        const key = path.join('/');
+        if (!this.collections.has(key)) this.collections.set(key, new Map());
+
+        const docs = this.collections.get(key);
+        docs.set(id, cloneDocument(merge ? mergeDocument(docs.get(id), data) : mergeDocument({}, data)));
+        this.notifyChange(key);
+    }
+
+    async removeDoc(path, id) {
+        const key = path.join('/');
+        this.collections.get(key)?.delete(id);
+        this.notifyChange(key);
+    }
+
+    async putFile(path, blob) {
+        const key = path.join('/');
+        this.files.set(key, blob);
+        return `memory://${key}`;
+    }
+
+    async removeFile(path) {
+        this.files.delete(path.join('/'));
+    }
+}
+
+// =================================================================
+// 💾 INDEXEDDB (solo este dispositivo)
+// =================================================================
+
+/**
+ * Guarda todo en IndexedDB, sin servidor. Las pestañas abiertas se avisan
+ * de los cambios con BroadcastChannel. Las fotos de los tickets no se
+ * copian: ReceiptStore ya las guarda en este dispositivo.
+ */
+export class IndexedDBStorageAdapter extends DocumentStorageAdapter {
+    constructor({ databaseName = 'ViajeHimalayaStorage' } = {}) {
+        super();
+        this.name = 'indexeddb';
+        this.label = 'Solo este dispositivo (IndexedDB)';
+        this.supportsAttachments = false;
+        this.databaseName = databaseName;
+        this.storeName = 'documents';
+        this.db = null;
+
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(databaseName) : null;
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.notifyChange(event.data.path);
+        }
+
+        this.ready = this.init();
+    }
+
+    /**
+     * @private
+     */
+    async init() {
+        try {
+            this.db = await this.initDB();
+            this.setStatus('connected');
+            Logger.init(`🗄️ IndexedDB storage ready (${this.databaseName})`);
+        } catch (error) {
+            Logger.error('Error opening IndexedDB storage:', error);
+            this.setStatus('error');
+        }
+    }
+
+    /**
+     * @private
+     */
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: ['path', 'id'] });
+                store.createIndex('path', 'path', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    async request(mode, action) {
+        await this.ready;
+        if (!this.db) throw new Error('IndexedDB no disponible');
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async readDocs(path) {
+        const records = await this.request('readonly', store => store.index('path').getAll(path.join('/')));
+        return records.map(record => ({ id: record.id, data: record.data }));
+    }
+
+    async readDoc(path, id) {
+        const record = await this.request('readonly', store => store.get([path.join('/'), id]));
+        return record ? record.data : null;
+    }
+
+    async writeDoc(path, id, data, { merge = false } = {}) {
+        const key = path.join('/');
+        const current = merge ? await this.readDoc(path, id) : null;
+
+        await this.request('readwrite', store => store.put({ path: key, id, data: cloneDocument(mergeDocument(current, data)) }));
+        this.broadcastChange(key);
+    }
+
+    async removeDoc(path, id) {
+        const key = path.join('/');
+        await this.request('readwrite', store => store.delete([key, id]));
+        this.broadcastChange(key);
+    }
+
+    async putFile() {
+        return null;
+    }
+
+    async removeFile() {}
+
+    /**
+     * @private
+     */
+    broadcastChange(key) {
+        this.notifyChange(key);
+        if (this.channel) {
+            this.channel.postMessage({ path: key });
+        }
+    }
+}
+
+// =================================================================
+// 🌐 SERVIDOR PROPIO (HTTP + WebSocket)
+// =================================================================
+
+/**
+ * Habla con la API de server/StorageServer.js:
+ *
+ * GET    {endpoint}/docs/{colección}        → [{ id, data }]
+ * GET    {endpoint}/docs/{colección}/{id}   → data (404 si no existe)
+ * PUT    {endpoint}/docs/{colección}/{id}   → reemplaza
+ * PATCH  {endpoint}/docs/{colección}/{id}   → combina (DELETE_FIELD borra)
+ * DELETE {endpoint}/docs/{colección}/{id}
+ * PUT    {endpoint}/files/{ruta}            → { url }
+ * DELETE {endpoint}/files/{ruta}
+ *
+ * y recibe los cambios de otros dispositivos por WebSocket en
+ * {endpoint}/feed ('watch'/'unwatch' { path } → 'change' { path }).
+ * Sin conexión, los gastos se guardan en localStorage y se envían al
+ * reconectar.
+ */
+export class HttpStorageAdapter extends DocumentStorageAdapter {
+    constructor({ endpoint, reconnectDelay = 5000 } = {}) {
+        super();
+        this.name = 'http';
+        this.label = 'Servidor propio';
+        this.endpoint = (endpoint || '').replace(/\/$/, '');
+        this.reconnectDelay = reconnectDelay;
+        this.socket = null;
+        this.reconnectTimer = null;
+
+        this.connect();
+    }
+
+    /**
+     * @private
+     */
+    async connect() {
+        clearTimeout(this.reconnectTimer);
+
+        try {
+            const response = await fetch(this.endpoint, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            Logger.warning(`🌐 Storage server not available (${this.endpoint}): ${error.message}`);
+            this.handleDisconnect();
+            return;
+        }
+
+        const socket = new WebSocket(`${this.endpoint.replace(/^http/, 'ws')}/feed`);
+        this.socket = socket;
+
+        socket.onopen = async () => {
+            this.watchers.forEach((callbacks, key) => this.sendFeedMessage('watch', key));
+            this.setStatus('connected');
+            Logger.success(`🌐 Storage server connected (${this.endpoint})`);
+
+            // SyncOutbox envía lo guardado sin conexión al recibir 'connected'
+            this.watchers.forEach((callbacks, key) => this.notifyChange(key));
+        };
+        socket.onmessage = (event) => {
+            try {
+                const message = JSON.parse(event.data);
+                if (message.type === 'change') {
+                    this.notifyChange(message.path);
+                }
+            } catch (error) {
+                Logger.error('Invalid storage feed message:', error);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket === socket) this.handleDisconnect();
+        };
+    }
+
+    /**
+     * @private
+     */
+    handleDisconnect() {
+        this.socket = null;
+        this.setStatus('offline');
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    }
+
+    handleWatch(key) {
+        this.sendFeedMessage('watch', key);
+    }
+
+    handleUnwatch(key) {
+        this.sendFeedMessage('unwatch', key);
+    }
+
+    /**
+     * @private
+     */
+    sendFeedMessage(type, path) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type, path }));
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // 📴 Gastos sin conexión (se encolan en SyncOutbox)
+    // -----------------------------------------------------------------
+
+    async addExpense(expense, triggerCallbacks = true) {
+        if (this.isConnected) return super.addExpense(expense, triggerCallbacks);
+
+        const expenseData = { ...expense, id: expense.id || this.generateId(), deviceId: this.getDeviceId() };
+        await syncOutbox.enqueue('add', expenseData);
+        this.updateLocalExpenses(expenses => [expenseData, ...expenses.filter(e => e.id !== expenseData.id)]);
+        return expenseData.id;
+    }
+
+    async updateExpense(expenseId, updates) {
+        if (this.isConnected) return super.updateExpense(expenseId, updates);
+
+        await syncOutbox.enqueue('update', { id: expenseId, updates });
+        this.updateLocalExpenses(expenses => expenses.map(e => e.id === expenseId ? { ...e, ...updates } : e));
+        return true;
+    }
+
+    async deleteExpense(expenseId) {
+        if (this.isConnected) return super.deleteExpense(expenseId);
+
+        await syncOutbox.enqueue('delete', { id: expenseId });
+        this.updateLocalExpenses(expenses => expenses.filter(e => e.id !== expenseId));
+        this.onExpenseDeleted?.(expenseId);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    updateLocalExpenses(change) {
+        const key = tripManager.getStorageKey(EXPENSES_STORAGE_KEY);
+        localStorage.setItem(key, JSON.stringify(change(JSON.parse(localStorage.getItem(key) || '[]'))));
+    }
+
+    // -----------------------------------------------------------------
+    // 📡 API
+    // -----------------------------------------------------------------
+
+    /**
+     * @private
+     */
+    async request(method, path, body, contentType = 'application/json') {
+        const response = await fetch(`${this.endpoint}/${path.map(encodeURIComponent).join('/')}`, {
+            method,
+            headers: body === undefined ? {} : { 'Content-Type': contentType },
+            body: body === undefined || body instanceof Blob ? body : JSON.stringify(body)
+        });
+
+        if (method === 'GET' && response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Servidor de datos: ${method} ${path.join('/')} (${response.status})`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    async readDocs(path) {
+        return (await this.request('GET', ['docs', ...path])) || [];
+    }
+
+    readDoc(path, id) {
+        return this.request('GET', ['docs', ...path, id]);
+    }
+
+    async writeDoc(path, id, data, { merge = false } = {}) {
+        await this.request(merge ? 'PATCH' : 'PUT', ['docs', ...path, id], data);
+    }
+
+    async removeDoc(path, id) {
+        await this.request('DELETE', ['docs', ...path, id]);
+    }
+
+    async putFile(path, blob) {
+        const { url } = await this.request('PUT', ['files', ...path], blob, blob.type || 'application/octet-stream');
+        return new URL(url, this.endpoint).href;
+    }
+
+    async removeFile(path) {
+        await this.request('DELETE', ['files', ...path]);
+    }
+}
+
+// =================================================================
+// 🏭 FACTORÍA
+// =================================================================
+
+/**
+ * Crea el adaptador del backend configurado
+ *
+ * @param {Object} config - storageConfig
+ * @returns {Object} Adaptador de almacenamiento
+ */
+export function createStorageAdapter(config) {
+    switch (config.backend) {
+        case 'firestore':
+            // Reutilizar el FirebaseManager de BudgetManager si ya existe
+            return new FirestoreStorageAdapter(stateManager.getFirebaseManager() || undefined);
+        case 'indexeddb':
+            return new IndexedDBStorageAdapter({ databaseName: config.databaseName });
+        case 'http':
+            return new HttpStorageAdapter({ endpoint: config.endpoint, reconnectDelay: config.reconnectDelay });
+        case 'memory':
+            return new MemoryStorageAdapter();
+        default:
+            Logger.warning(`🗄️ Unknown storage backend '${config.backend}', using Firestore`);
+            return new FirestoreStorageAdapter(stateManager.getFirebaseManager() || undefined);
+    }
+}
@@ -0,0 +1,506 @@
+/**
+ * SyncOutbox - Cola de Cambios sin Conexión
+ *
+ * Los gastos que se añaden, editan o borran sin conexión se guardan en
+ * IndexedDB (ViajeHimalayaDB, store `offlineActions`), la misma base de
+ * datos que lee el Service Worker (sw.js). Es la única cola: los
+ * adaptadores de almacenamiento encolan aquí lo que no pueden enviar, así
+ * que cubre cualquier llamada a `storage.addExpense/updateExpense/deleteExpense`.
+ * Se envían:
+ * - En el Service Worker, con el evento `sync` ('expense-sync'): directamente
+ *   si el backend es el servidor propio, o pidiéndoselo a una pestaña abierta
+ *   (Firestore necesita la sesión de la app)
+ * - En la página, al volver la conexión y al conectar el backend (para los
+ *   navegadores sin Background Sync)
+ *
+ * Los cambios de cada viaje se envían en orden. Si uno falla se reintenta
+ * más tarde con espera creciente (30 s, 1 min, 2 min... hasta 1 h); tras
+ * MAX_ATTEMPTS fallos, o si el error no se arregla reintentando, pasa a
+ * `offlineDeadLetters` para reintentarlo o descartarlo a mano.
+ *
+ * Los cambios de la cola se notifican mediante 'outbox.updatedAt'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import conflictResolver, { isRevisionConflict } from './ConflictResolver.js';
+import { firestoreConfig } from '../config/firebaseConfig.js';
+
+// Mismo esquema que sw.js (initializeIndexedDB)
+const DB_NAME = 'ViajeHimalayaDB';
+const DB_VERSION = 3;
+const OUTBOX_STORE = 'offlineActions';
+const DEAD_LETTER_STORE = 'offlineDeadLetters';
+
+// Colas de localStorage anteriores (FirebaseManager y HttpStorageAdapter)
+const LEGACY_QUEUE_KEYS = ['firebaseSyncQueue', 'httpStorageQueue'];
+
+export const SYNC_TAG = 'expense-sync';
+export const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * Espera antes del siguiente intento (también en sw.js)
+ */
+export function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+export class SyncOutbox {
+    constructor() {
+        this.db = null;
+        this.storage = null;
+        this.flushing = null;
+        this.retryTimer = null;
+        this.replaying = null;
+
+        this.ready = this.initDB().catch(error => {
+            Logger.error('📤 Outbox IndexedDB not available:', error);
+        });
+
+        window.addEventListener('online', () => this.flush());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleServiceWorkerMessage(event));
+        }
+
+        // 🧳 Al cambiar de viaje, enviar lo que esperaba del nuevo
+        stateManager.subscribe('trip.activeTripId', () => this.flush());
+
+        Logger.init('📤 SyncOutbox initialized');
+    }
+
+    /**
+     * 🔌 Backend con el que se envían los cambios desde la página
+     *
+     * @param {Object} storage - Adaptador de StorageAdapters
+     */
+    connect(storage) {
+        if (this.storage === storage) return;
+        this.storage = storage;
+
+        const originalCallback = storage.onSyncStatusChanged;
+        storage.onSyncStatusChanged = (status) => {
+            if (originalCallback) {
+                originalCallback(status);
+            }
+            if (status === 'connected' || status === 'online') {
+                this.flush();
+            }
+        };
+
+        this.importLegacyQueues()
+            .catch(error => Logger.error('📤 Error importing legacy queues:', error))
+            .then(() => this.flush());
+    }
+
+    /**
+     * 📦 Pasa a IndexedDB lo que quedara en las colas de localStorage anteriores
+     *
+     * @private
+     */
+    async importLegacyQueues() {
+        for (const key of LEGACY_QUEUE_KEYS) {
+            let operations;
+            try {
+                operations = JSON.parse(localStorage.getItem(key) || '[]');
+                if (!Array.isArray(operations)) throw new Error('not a list');
+            } catch (error) {
+                Logger.warning(`📤 Dropping unreadable queue ${key}:`, error);
+                localStorage.removeItem(key);
+                continue;
+            }
+
+            try {
+                for (const [index, entry] of operations.entries()) {
+                    const { operation, data, tripId, timestamp } = entry || {};
+                    if (!operation || !data || typeof data !== 'object') continue;
+
+                    // FirebaseManager guardaba las ediciones como { id, ...cambios }
+                    const { id, updates, ...fields } = data;
+                    await this.request(OUTBOX_STORE, 'readwrite', store => store.put({
+                        ...this.createEntry(operation, operation === 'update' ? { id, updates: updates || fields } : data),
+                        id: `offline_${timestamp}_${index}_${key}`,
+                        tripId: tripId || tripManager.getActiveTripId(),
+                        timestamp
+                    }));
+                }
+                localStorage.removeItem(key);
+
+                if (operations.length > 0) {
+                    Logger.data(`📤 Imported ${operations.length} queued changes from ${key}`);
+                    this.registerSync();
+                    this.notifyChange();
+                }
+            } catch (error) {
+                Logger.error(`📤 Error importing ${key}:`, error);
+            }
+        }
+    }
+
+    // =================================================================
+    // 💾 INDEXEDDB
+    // =================================================================
+
+    /**
+     * @private
+     */
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('pendingExpenses')) {
+                    db.createObjectStore('pendingExpenses', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                    store.createIndex('type', 'type');
+                    store.createIndex('timestamp', 'timestamp');
+                }
+                if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) {
+                    db.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('dataCache')) {
+                    const cacheStore = db.createObjectStore('dataCache', { keyPath: 'key' });
+                    cacheStore.createIndex('expiry', 'expiry');
+                }
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    async request(storeName, mode, action) {
+        await this.ready;
+        if (!this.db) {
+            throw new Error('IndexedDB no disponible');
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction([storeName], mode).objectStore(storeName);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // =================================================================
+    // 📥 ENCOLAR
+    // =================================================================
+
+    /**
+     * 📥 AÑADIR UN CAMBIO A LA COLA
+     *
+     * @param {string} type - 'add', 'update' o 'delete'
+     * @param {Object} data - Gasto ('add') o { id, updates } / { id }
+     * @returns {Promise<Object>} Entrada guardada
+     */
+    async enqueue(type, data) {
+        // El adaptador devuelve a la cola el cambio que se está reenviando si no
+        // lo pudo enviar: es un fallo de ese intento, no un cambio nuevo
+        if (this.replaying && this.replaying.type === type && this.replaying.data.id === data.id) {
+            throw Object.assign(new Error('El backend no aceptó el cambio'), { code: 'outbox/not-sent' });
+        }
+
+        const entry = this.createEntry(type, data);
+        await this.request(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+        Logger.data(`📤 Queued offline ${type} of expense ${data.id}`);
+
+        this.registerSync();
+        this.notifyChange();
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    createEntry(type, data) {
+        return {
+            id: `offline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            data,
+            tripId: tripManager.getActiveTripId(),
+            deviceId: this.storage?.getDeviceId(),
+            http: this.getHttpTarget(),
+            timestamp: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Con el servidor propio el Service Worker puede enviar el cambio solo
+     *
+     * @private
+     */
+    getHttpTarget() {
+        if (!this.storage || this.storage.name !== 'http') return null;
+
+        return {
+            endpoint: this.storage.endpoint,
+            collection: this.storage.getCollectionPath(firestoreConfig.collections.expenses).join('/')
+        };
+    }
+
+    /**
+     * 🔄 Pedir al navegador un evento `sync` cuando haya conexión
+     *
+     * @private
+     */
+    async registerSync() {
+        try {
+            if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
+                const registration = await navigator.serviceWorker.ready;
+                await registration.sync.register(SYNC_TAG);
+            }
+        } catch (error) {
+            Logger.warning('📤 Background sync not registered:', error.message);
+        }
+    }
+
+    // =================================================================
+    // 📤 ENVIAR
+    // =================================================================
+
+    /**
+     * 📤 ENVIAR LA COLA del viaje activo (una sola pasada a la vez)
+     *
+     * @returns {Promise<number>} Cambios enviados
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.processQueue()
+                .catch(error => {
+                    Logger.error('📤 Error flushing outbox:', error);
+                    return 0;
+                })
+                .finally(() => {
+                    this.flushing = null;
+                });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * @private
+     */
+    async processQueue() {
+        if (!this.storage || !this.storage.isConnected || !navigator.onLine) return 0;
+
+        const tripId = tripManager.getActiveTripId();
+        const entries = (await this.getEntries())
+            .filter(entry => (entry.tripId || tripId) === tripId);
+        if (entries.length === 0) return 0;
+
+        let processed = 0;
+        for (const entry of entries) {
+            // El resto del viaje espera para no cambiar el orden
+            if (entry.nextAttemptAt > Date.now()) break;
+
+            try {
+                this.replaying = entry;
+                await this.execute(entry);
+                await this.request(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+                processed++;
+            } catch (error) {
+                if (isRevisionConflict(error)) {
+                    // Otro dispositivo editó el gasto mientras tanto: se resuelve aparte
+                    await this.request(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+                    conflictResolver.handleExpenseConflict(error);
+                    continue;
+                }
+                await this.recordFailure(entry, error);
+                break;
+            } finally {
+                this.replaying = null;
+            }
+        }
+
+        if (processed > 0) {
+            Logger.success(`📤 Sent ${processed} offline changes`);
+        }
+        this.scheduleRetry();
+        this.notifyChange();
+        return processed;
+    }
+
+    /**
+     * @private
+     */
+    async execute(entry) {
+        switch (entry.type) {
+            case 'add':
+                return this.storage.addExpense(entry.data);
+            case 'update':
+                return this.storage.updateExpense(entry.data.id, entry.data.updates);
+            case 'delete':
+                return this.storage.deleteExpense(entry.data.id);
+            default:
+                throw Object.assign(new Error(`Operación desconocida: ${entry.type}`), { permanent: true });
+        }
+    }
+
+    /**
+     * ⏳ Reintentar más tarde o, si ya no tiene arreglo, apartar el cambio
+     *
+     * @private
+     */
+    async recordFailure(entry, error) {
+        const failed = {
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: error.message,
+            nextAttemptAt: Date.now() + getRetryDelay(entry.attempts + 1)
+        };
+
+        if (error.permanent || failed.attempts >= MAX_ATTEMPTS) {
+            await this.request(OUTBOX_STORE, 'readwrite', store => store.delete(entry.id));
+            await this.request(DEAD_LETTER_STORE, 'readwrite', store => store.put({ ...failed, failedAt: Date.now() }));
+            Logger.error(`📤 Offline ${entry.type} of expense ${entry.data.id} moved to dead letters:`, error.message);
+        } else {
+            await this.request(OUTBOX_STORE, 'readwrite', store => store.put(failed));
+            Logger.warning(`📤 Offline ${entry.type} failed (attempt ${failed.attempts}/${MAX_ATTEMPTS}):`, error.message);
+        }
+    }
+
+    /**
+     * Siguiente pasada cuando toque el primer reintento
+     *
+     * @private
+     */
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+
+        const next = (await this.getEntries())
+            .map(entry => entry.nextAttemptAt)
+            .filter(time => time > Date.now())
+            .sort((a, b) => a - b)[0];
+
+        if (next) {
+            this.retryTimer = setTimeout(() => this.flush(), next - Date.now());
+        }
+    }
+
+    // =================================================================
+    // ☠️ CAMBIOS FALLIDOS
+    // =================================================================
+
+    /**
+     * Vuelve a poner en la cola un cambio fallido (o todos si no se indica)
+     */
+    async retryDeadLetters(id = null) {
+        const deadLetters = (await this.getDeadLetters()).filter(entry => !id || entry.id === id);
+
+        for (const { failedAt, ...entry } of deadLetters) {
+            await this.request(DEAD_LETTER_STORE, 'readwrite', store => store.delete(entry.id));
+            await this.request(OUTBOX_STORE, 'readwrite', store => store.put({ ...entry, attempts: 0, nextAttemptAt: 0 }));
+        }
+
+        this.registerSync();
+        this.notifyChange();
+        return this.flush();
+    }
+
+    /**
+     * Descarta un cambio fallido (o todos si no se indica)
+     */
+    async discardDeadLetters(id = null) {
+        const deadLetters = (await this.getDeadLetters()).filter(entry => !id || entry.id === id);
+
+        for (const entry of deadLetters) {
+            await this.request(DEAD_LETTER_STORE, 'readwrite', store => store.delete(entry.id));
+        }
+
+        Logger.warning(`📤 ${deadLetters.length} failed offline changes discarded`);
+        this.notifyChange();
+    }
+
+    // =================================================================
+    // 📊 CONSULTA
+    // =================================================================
+
+    /**
+     * Cambios en cola, en el orden en que se hicieron
+     */
+    async getEntries() {
+        const entries = await this.request(OUTBOX_STORE, 'readonly', store => store.getAll());
+        return entries.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async getDeadLetters() {
+        return this.request(DEAD_LETTER_STORE, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * 📊 ESTADO DE LA COLA
+     *
+     * @returns {Promise<Object>} { pending, deadLetters, nextAttemptAt, lastError }
+     */
+    async getStats() {
+        try {
+            const [entries, deadLetters] = await Promise.all([this.getEntries(), this.getDeadLetters()]);
+            const retrying = entries.filter(entry => entry.attempts > 0);
+
+            return {
+                pending: entries.length,
+                deadLetters: deadLetters.length,
+                nextAttemptAt: retrying.length > 0 ? Math.min(...retrying.map(entry => entry.nextAttemptAt)) : null,
+                lastError: retrying.length > 0 ? retrying[retrying.length - 1].lastError : null
+            };
+        } catch (error) {
+            return { pending: 0, deadLetters: 0, nextAttemptAt: null, lastError: null };
+        }
+    }
+
+    // =================================================================
+    // 🛰️ SERVICE WORKER
+    // =================================================================
+
+    /**
+     * El Service Worker pide a la página los cambios que no puede enviar
+     * él (Firestore) y avisa cuando ha enviado la cola
+     *
+     * @private
+     */
+    async handleServiceWorkerMessage(event) {
+        const { type } = event.data || {};
+
+        if (type === 'OUTBOX_FLUSH_REQUEST') {
+            const processed = await this.flush();
+            const stats = await this.getStats();
+            event.ports[0]?.postMessage({ ok: true, processed, pending: stats.pending });
+        } else if (type === 'OUTBOX-SYNC-COMPLETE' || type === 'OUTBOX-SYNC-PENDING') {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('outbox.updatedAt', new Date().toISOString());
+    }
+}
+
+// Crear instancia singleton
+const syncOutbox = new SyncOutbox();
+
+export { syncOutbox };
+export default syncOutbox;
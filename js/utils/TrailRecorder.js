@@ -0,0 +1,484 @@
+/**
+ * 🥾 TRAIL RECORDER - GRABACIÓN DEL RECORRIDO DEL VIAJE
+ *
+ * Grabación opcional (hay que activarla) de por dónde vamos, guardada en
+ * IndexedDB para que no se pierda al cerrar la app. Los puntos se agrupan
+ * en un track por día y de cada uno se calcula la distancia, el desnivel
+ * positivo y la duración.
+ *
+ * El muestreo se adapta a la batería: más puntos mientras carga, lo normal
+ * con batería suficiente y muy pocos (y sin GPS de alta precisión) por
+ * debajo de LOW_BATTERY_LEVEL. Se descartan los puntos imprecisos y los
+ * que apenas se mueven del anterior.
+ *
+ * Los cambios se notifican mediante 'trails.updatedAt'.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import tripManager from './TripManager.js';
+import { DateUtils } from './DateUtils.js';
+import { tripConfig } from '../config/tripConfig.js';
+
+export const SAMPLING_PROFILES = {
+    charging: { label: 'Cargando', minInterval: 10000, minDistance: 10, enableHighAccuracy: true },
+    normal: { label: 'Normal', minInterval: 30000, minDistance: 25, enableHighAccuracy: true },
+    saver: { label: 'Ahorro de batería', minInterval: 120000, minDistance: 100, enableHighAccuracy: false }
+};
+
+const ENABLED_STORAGE_KEY = 'trailRecordingEnabled';
+const LOW_BATTERY_LEVEL = 0.2;
+const MAX_ACCURACY_METERS = 100;
+const ELEVATION_NOISE_METERS = 5;
+
+export class TrailRecorder {
+    constructor() {
+        this.dbName = 'ViajeHimalayaTrails';
+        this.dbVersion = 1;
+        this.db = null;
+
+        this.watchId = null;
+        this.profileId = 'normal';
+        this.battery = null;
+        this.lastError = null;
+
+        // Puntos del viaje activo por día: 'YYYY-MM-DD' → [{ lat, lng, ele, accuracy, time }]
+        this.tracks = new Map();
+
+        this.ready = this.init();
+
+        stateManager.subscribe('trip.activeTripId', () => this.loadTracks());
+    }
+
+    async init() {
+        try {
+            await this.initDB();
+            await this.loadTracks();
+            Logger.success('TrailRecorder initialized');
+        } catch (error) {
+            Logger.error('Failed to initialize TrailRecorder', error);
+        }
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('points')) {
+                    const store = db.createObjectStore('points', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('tripDate', ['tripId', 'date'], { unique: false });
+                }
+            };
+        });
+    }
+
+    // =================================================================
+    // 💾 INDEXEDDB
+    // =================================================================
+
+    /**
+     * @private
+     */
+    request(mode, action) {
+        if (!this.db) {
+            return Promise.reject(new Error('IndexedDB no disponible'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(['points'], mode).objectStore('points');
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * 📋 Tracks del viaje activo en memoria
+     * @private
+     */
+    async loadTracks() {
+        const tripId = tripManager.getActiveTripId();
+        const range = IDBKeyRange.bound([tripId, ''], [tripId, '\uffff']);
+        const records = await this.request('readonly', store => store.index('tripDate').getAll(range));
+
+        this.tracks.clear();
+        records
+            .sort((a, b) => a.time.localeCompare(b.time))
+            .forEach(record => this.addToTrack(record));
+
+        this.notifyChange();
+    }
+
+    /**
+     * @private
+     */
+    addToTrack(record) {
+        const points = this.tracks.get(record.date) || [];
+        points.push({ lat: record.lat, lng: record.lng, ele: record.ele, accuracy: record.accuracy, time: record.time });
+        this.tracks.set(record.date, points);
+    }
+
+    /**
+     * @private
+     */
+    notifyChange() {
+        stateManager.updateState('trails.updatedAt', new Date().toISOString());
+    }
+
+    // =================================================================
+    // ⏺️ GRABACIÓN
+    // =================================================================
+
+    /**
+     * ¿Ha activado el usuario la grabación en este dispositivo?
+     */
+    isEnabled() {
+        return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+    }
+
+    isRecording() {
+        return this.watchId !== null;
+    }
+
+    /**
+     * ⏺️ ACTIVAR O DESACTIVAR LA GRABACIÓN
+     *
+     * @param {boolean} enabled - Nuevo estado
+     * @returns {Promise<boolean>} Si queda grabando
+     */
+    async setEnabled(enabled) {
+        localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+        this.lastError = null;
+
+        if (enabled) {
+            await this.start();
+        } else {
+            this.stop();
+        }
+
+        this.notifyChange();
+        return this.isRecording();
+    }
+
+    /**
+     * ▶️ Reanudar la grabación al abrir la app si estaba activada
+     */
+    async start() {
+        if (!this.isEnabled() || this.isRecording()) return;
+
+        if (!navigator.geolocation) {
+            this.lastError = 'Este dispositivo no permite obtener la ubicación';
+            Logger.warning('🥾 Geolocation not supported, trail recording disabled');
+            return;
+        }
+
+        await this.ready;
+        await this.watchBattery();
+        this.watch();
+        Logger.success(`🥾 Trail recording started (${this.profileId})`);
+    }
+
+    stop() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+            Logger.data('🥾 Trail recording stopped');
+        }
+    }
+
+    /**
+     * @private
+     */
+    watch() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+        }
+
+        const profile = SAMPLING_PROFILES[this.profileId];
+        this.watchId = navigator.geolocation.watchPosition(
+            position => this.handlePosition(position),
+            error => this.handleError(error),
+            {
+                enableHighAccuracy: profile.enableHighAccuracy,
+                maximumAge: profile.minInterval,
+                timeout: 60000
+            }
+        );
+    }
+
+    /**
+     * 🔋 Elegir el perfil de muestreo según la batería y seguir sus cambios
+     * @private
+     */
+    async watchBattery() {
+        if (this.battery || !navigator.getBattery) return;
+
+        try {
+            this.battery = await navigator.getBattery();
+            const update = () => this.updateProfile();
+            this.battery.addEventListener('levelchange', update);
+            this.battery.addEventListener('chargingchange', update);
+            this.profileId = this.getProfileId();
+        } catch (error) {
+            Logger.debug('🥾 Battery status not available, using normal sampling', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    getProfileId() {
+        if (!this.battery) return 'normal';
+        if (this.battery.charging) return 'charging';
+        return this.battery.level <= LOW_BATTERY_LEVEL ? 'saver' : 'normal';
+    }
+
+    /**
+     * @private
+     */
+    updateProfile() {
+        const profileId = this.getProfileId();
+        if (profileId === this.profileId) return;
+
+        this.profileId = profileId;
+        Logger.data(`🥾 Trail sampling switched to ${profileId}`);
+
+        if (this.isRecording()) this.watch();
+        this.notifyChange();
+    }
+
+    /**
+     * 📍 NUEVA POSICIÓN
+     *
+     * Solo guarda el punto si es lo bastante preciso y, respecto al último
+     * guardado, ha pasado el intervalo y se ha movido la distancia mínima
+     * del perfil de muestreo.
+     *
+     * @param {GeolocationPosition} position - Posición del navegador
+     * @returns {Promise<boolean>} Si se ha guardado
+     */
+    async handlePosition(position) {
+        const { latitude, longitude, altitude, accuracy } = position.coords;
+        if (accuracy > MAX_ACCURACY_METERS) return false;
+
+        const profile = SAMPLING_PROFILES[this.profileId];
+        const time = new Date(position.timestamp);
+        const date = this.toDateKey(time);
+        const last = (this.tracks.get(date) || []).at(-1);
+
+        if (last) {
+            const elapsed = time - new Date(last.time);
+            const moved = this.calculateDistance(last.lat, last.lng, latitude, longitude);
+            if (elapsed < profile.minInterval || moved < profile.minDistance) return false;
+        }
+
+        const record = {
+            tripId: tripManager.getActiveTripId(),
+            date,
+            lat: Math.round(latitude * 1e6) / 1e6,
+            lng: Math.round(longitude * 1e6) / 1e6,
+            ele: Number.isFinite(altitude) ? Math.round(altitude) : null,
+            accuracy: Math.round(accuracy),
+            time: time.toISOString()
+        };
+
+        // En memoria antes de guardar, para que la siguiente posición ya lo compare
+        this.addToTrack(record);
+
+        try {
+            await this.request('readwrite', store => store.add(record));
+            this.lastError = null;
+            this.notifyChange();
+            return true;
+        } catch (error) {
+            Logger.error('Error saving trail point:', error);
+            const points = this.tracks.get(date);
+            points.splice(points.findIndex(point => point.time === record.time), 1);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    handleError(error) {
+        if (error.code === error.PERMISSION_DENIED) {
+            this.lastError = 'Permiso de ubicación denegado';
+            localStorage.setItem(ENABLED_STORAGE_KEY, 'false');
+            this.stop();
+        } else {
+            this.lastError = error.code === error.TIMEOUT ? 'Sin señal de ubicación' : 'Ubicación no disponible';
+        }
+
+        Logger.warning(`🥾 Trail recording: ${this.lastError}`);
+        this.notifyChange();
+    }
+
+    /**
+     * 📊 ESTADO DE LA GRABACIÓN
+     *
+     * @returns {Object} { enabled, recording, profile, batteryLevel, charging, error }
+     */
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            recording: this.isRecording(),
+            profile: SAMPLING_PROFILES[this.profileId],
+            batteryLevel: this.battery ? this.battery.level : null,
+            charging: this.battery ? this.battery.charging : null,
+            error: this.lastError
+        };
+    }
+
+    // =================================================================
+    // 🗺️ TRACKS
+    // =================================================================
+
+    /**
+     * 📋 DÍAS GRABADOS CON SUS ESTADÍSTICAS
+     *
+     * @returns {Array} [{ date, dayId, label, points, distance (m), elevationGain (m), duration (min) }]
+     */
+    getDays() {
+        return [...this.tracks.keys()].sort().map(date => ({
+            date,
+            ...this.getDayInfo(date),
+            ...this.computeStats(this.tracks.get(date))
+        }));
+    }
+
+    /**
+     * @param {string} date - Día (YYYY-MM-DD)
+     * @returns {Array} Copia de los puntos del día
+     */
+    getTrack(date) {
+        return (this.tracks.get(date) || []).map(point => ({ ...point }));
+    }
+
+    /**
+     * 🧭 Tracks en el formato de GeoDataConverter ({ name, points })
+     *
+     * @param {Array<string>|null} dates - Días a incluir (todos si es null)
+     */
+    getTracks(dates = null) {
+        return this.getDays()
+            .filter(day => !dates || dates.includes(day.date))
+            .map(day => ({ name: `${day.label} (${day.date})`, points: this.getTrack(day.date) }));
+    }
+
+    /**
+     * 🗑️ BORRAR EL TRACK DE UN DÍA
+     *
+     * @param {string} date - Día (YYYY-MM-DD)
+     */
+    async deleteTrack(date) {
+        await this.ready;
+        const range = IDBKeyRange.only([tripManager.getActiveTripId(), date]);
+        const keys = await this.request('readonly', store => store.index('tripDate').getAllKeys(range));
+
+        for (const key of keys) {
+            await this.request('readwrite', store => store.delete(key));
+        }
+
+        this.tracks.delete(date);
+        this.notifyChange();
+        Logger.data(`🥾 Trail of ${date} deleted (${keys.length} points)`);
+    }
+
+    /**
+     * 📏 DISTANCIA, DESNIVEL Y DURACIÓN
+     *
+     * El desnivel solo cuenta subidas que superan ELEVATION_NOISE_METERS
+     * respecto a la última altitud de referencia, para que el ruido del
+     * GPS no lo infle.
+     *
+     * @param {Array} points - Puntos del track
+     * @returns {Object} { points, distance, elevationGain, duration }
+     */
+    computeStats(points) {
+        let distance = 0;
+        let elevationGain = 0;
+        let reference = null;
+
+        points.forEach((point, index) => {
+            if (index > 0) {
+                const previous = points[index - 1];
+                distance += this.calculateDistance(previous.lat, previous.lng, point.lat, point.lng);
+            }
+
+            if (!Number.isFinite(point.ele)) return;
+            if (reference === null || point.ele < reference) {
+                reference = point.ele;
+            } else if (point.ele - reference >= ELEVATION_NOISE_METERS) {
+                elevationGain += point.ele - reference;
+                reference = point.ele;
+            }
+        });
+
+        const duration = points.length > 1 ? (new Date(points.at(-1).time) - new Date(points[0].time)) / 60000 : 0;
+
+        return {
+            points: points.length,
+            distance: Math.round(distance),
+            elevationGain: Math.round(elevationGain),
+            duration: Math.round(duration)
+        };
+    }
+
+    // =================================================================
+    // 🔧 AUXILIARES
+    // =================================================================
+
+    /**
+     * Día del itinerario que corresponde a una fecha
+     * @private
+     */
+    getDayInfo(date) {
+        const index = (tripConfig.itinerary || []).findIndex((_, i) => this.toDateKey(DateUtils.getTripDate(i)) === date);
+        if (index === -1) {
+            return { dayId: null, label: DateUtils.formatMediumDate(new Date(`${date}T12:00:00`)) };
+        }
+
+        const day = tripConfig.itinerary[index];
+        return { dayId: day.id, label: `Día ${index + 1}: ${day.title}` };
+    }
+
+    /**
+     * @private
+     */
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        const R = 6371e3;
+        const φ1 = lat1 * Math.PI / 180;
+        const φ2 = lat2 * Math.PI / 180;
+        const Δφ = (lat2 - lat1) * Math.PI / 180;
+        const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+        const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * @private
+     */
+    toDateKey(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+    }
+}
+
+// Crear instancia singleton
+const trailRecorder = new TrailRecorder();
+
+export default trailRecorder;
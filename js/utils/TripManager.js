@@ -0,0 +1,627 @@
+/**
+ * TripManager - Registro de Viajes
+ *
+ * Mantiene el registro de viajes del usuario (activos y archivados) y
+ * aplica la configuración del viaje activo sobre el objeto `tripConfig`
+ * compartido. Así todos los módulos que importan `tripConfig` trabajan
+ * siempre con el viaje seleccionado sin cambiar sus imports.
+ *
+ * Funcionalidades principales:
+ * - Crear, activar, archivar y restaurar viajes
+ * - Persistencia del registro en localStorage
+ * - Claves de localStorage y rutas de Firestore por viaje
+ * - Sincronización de los viajes con el backend de datos (trips/{tripId})
+ * - Ediciones por secciones (itinerario, etc.) guardadas en `overrides`
+ *
+ * El viaje original (Himalaya 2025) conserva las claves de localStorage
+ * históricas para no perder los datos ya guardados en el dispositivo.
+ *
+ * @author David Ferrer Figueroa
+ * @version 1.0.0
+ * @since 2025
+ */
+
+import Logger from './Logger.js';
+import stateManager from './StateManager.js';
+import { tripConfig } from '../config/tripConfig.js';
+import { firestoreConfig } from '../config/firebaseConfig.js';
+import flightManager from './FlightManager.js';
+
+const REGISTRY_STORAGE_KEY = 'tripRegistryV1';
+const DEFAULT_TRIP_ID = firestoreConfig.legacyTripId;
+
+// Copia de la configuración empaquetada: base del viaje por defecto
+const bundledTripConfig = JSON.parse(JSON.stringify(tripConfig));
+
+class TripManager {
+    /**
+     * Constructor del TripManager
+     *
+     * Carga el registro de viajes y aplica el viaje activo antes de que
+     * el resto de componentes lean `tripConfig`.
+     */
+    constructor() {
+        this.storage = null;
+        this.storageSetupComplete = false;
+        this.registry = this.loadRegistry();
+
+        this.applyActiveTrip(true);
+
+        Logger.init(`🧳 TripManager initialized (active trip: ${this.registry.activeTripId})`);
+    }
+
+    // =================================================================
+    // 📚 REGISTRO DE VIAJES
+    // =================================================================
+
+    /**
+     * 📥 CARGAR REGISTRO
+     *
+     * Lee el registro de localStorage o lo crea con el viaje por defecto.
+     *
+     * @returns {Object} Registro { activeTripId, trips }
+     * @private
+     */
+    loadRegistry() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(REGISTRY_STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.trips) && stored.trips.length > 0) {
+                if (!stored.trips.some(trip => trip.id === stored.activeTripId)) {
+                    stored.activeTripId = stored.trips[0].id;
+                }
+                return stored;
+            }
+        } catch (error) {
+            Logger.error('🧳 Error loading trip registry:', error);
+        }
+
+        const registry = {
+            activeTripId: DEFAULT_TRIP_ID,
+            trips: [this.createDefaultTripEntry()]
+        };
+        this.saveRegistry(registry);
+        return registry;
+    }
+
+    /**
+     * 💾 GUARDAR REGISTRO
+     *
+     * @param {Object} registry - Registro a persistir
+     * @private
+     */
+    saveRegistry(registry = this.registry) {
+        try {
+            localStorage.setItem(REGISTRY_STORAGE_KEY, JSON.stringify(registry));
+        } catch (error) {
+            Logger.error('🧳 Error saving trip registry:', error);
+        }
+    }
+
+    /**
+     * 🏔️ ENTRADA DEL VIAJE POR DEFECTO
+     *
+     * El viaje por defecto no guarda su configuración: usa la empaquetada.
+     *
+     * @returns {Object} Entrada del registro
+     * @private
+     */
+    createDefaultTripEntry() {
+        const now = new Date().toISOString();
+        return {
+            id: DEFAULT_TRIP_ID,
+            name: bundledTripConfig.trip.name,
+            destinations: bundledTripConfig.trip.destinations || [],
+            startDate: bundledTripConfig.trip.startDate,
+            endDate: bundledTripConfig.trip.endDate,
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
+            config: null,
+            overrides: {}
+        };
+    }
+
+    /**
+     * 📋 OBTENER VIAJES
+     *
+     * @param {Object} options - Opciones de filtrado
+     * @param {boolean} options.includeArchived - Incluir viajes archivados
+     * @returns {Array} Viajes del registro (sin configuración)
+     */
+    getTrips({ includeArchived = false } = {}) {
+        return this.registry.trips
+            .filter(trip => includeArchived || trip.status !== 'archived')
+            .map(({ config, ...trip }) => ({ ...trip }));
+    }
+
+    /**
+     * 🔍 OBTENER VIAJE
+     *
+     * @param {string} tripId - ID del viaje
+     * @returns {Object|undefined} Entrada del registro
+     */
+    getTrip(tripId) {
+        return this.registry.trips.find(trip => trip.id === tripId);
+    }
+
+    /**
+     * 🎯 ID DEL VIAJE ACTIVO
+     *
+     * @returns {string} ID del viaje activo
+     */
+    getActiveTripId() {
+        return this.registry.activeTripId;
+    }
+
+    /**
+     * 🎯 VIAJE ACTIVO
+     *
+     * @returns {Object} Entrada del viaje activo
+     */
+    getActiveTrip() {
+        return this.getTrip(this.registry.activeTripId);
+    }
+
+    /**
+     * 🏔️ ES EL VIAJE POR DEFECTO
+     *
+     * @param {string} tripId - ID del viaje (por defecto el activo)
+     * @returns {boolean} True si es el viaje original
+     */
+    isDefaultTrip(tripId = this.registry.activeTripId) {
+        return tripId === DEFAULT_TRIP_ID;
+    }
+
+    // =================================================================
+    // 🔑 CLAVES DE ALMACENAMIENTO POR VIAJE
+    // =================================================================
+
+    /**
+     * 🔑 CLAVE DE LOCALSTORAGE
+     *
+     * El viaje por defecto mantiene la clave histórica (ej: 'tripExpensesV1');
+     * el resto añade su ID (ej: 'tripExpensesV1::japon-2026').
+     *
+     * @param {string} baseKey - Clave base
+     * @param {string} tripId - ID del viaje (por defecto el activo)
+     * @returns {string} Clave para el viaje
+     */
+    getStorageKey(baseKey, tripId = this.registry.activeTripId) {
+        return this.isDefaultTrip(tripId) ? baseKey : `${baseKey}::${tripId}`;
+    }
+
+    /**
+     * 🔥 RUTA DE FIRESTORE
+     *
+     * Devuelve los segmentos de la subcolección del viaje, listos para
+     * `collection(db, ...path)` o `doc(db, ...path, id)`.
+     *
+     * @param {string} collectionName - Nombre de la colección (ej: 'expenses')
+     * @param {string} tripId - ID del viaje (por defecto el activo)
+     * @returns {Array<string>} Segmentos: ['trips', tripId, collectionName]
+     */
+    getFirestorePath(collectionName, tripId = this.registry.activeTripId) {
+        return [firestoreConfig.collections.trips, tripId, collectionName];
+    }
+
+    // =================================================================
+    // ✈️ OPERACIONES SOBRE VIAJES
+    // =================================================================
+
+    /**
+     * ➕ CREAR VIAJE
+     *
+     * Crea un viaje nuevo con itinerario vacío de la duración indicada.
+     *
+     * @param {Object} data - Datos del viaje
+     * @param {string} data.name - Nombre del viaje
+     * @param {string} data.startDate - Fecha de inicio (YYYY-MM-DD)
+     * @param {string} data.endDate - Fecha de fin (YYYY-MM-DD)
+     * @param {Array<string>} data.destinations - Países o destinos
+     * @param {number} data.travelers - Número de viajeros
+     * @param {string} data.currency - Moneda principal
+     * @param {Array<Object>} data.packingCategories - Lista de equipaje inicial
+     *   ([{ name, items }], p. ej. de una plantilla); por defecto la empaquetada
+     * @returns {Object} Entrada del viaje creado
+     */
+    createTrip({ name, startDate, endDate, destinations = [], travelers = 1, currency = 'EUR', packingCategories = null }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('El viaje necesita un nombre');
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        if (isNaN(start) || isNaN(end) || end < start) {
+            throw new Error('Las fechas del viaje no son válidas');
+        }
+
+        const now = new Date().toISOString();
+        const trip = {
+            id: this.generateTripId(trimmedName, start),
+            name: trimmedName,
+            destinations,
+            startDate,
+            endDate,
+            status: 'active',
+            createdAt: now,
+            updatedAt: now,
+            config: this.buildTripConfig({ name: trimmedName, startDate, endDate, destinations, travelers, currency, packingCategories })
+        };
+
+        this.registry.trips.push(trip);
+        this.saveRegistry();
+        this.syncTripToStorage(trip);
+
+        Logger.success(`🧳 Trip created: ${trip.name} (${trip.id})`);
+        return trip;
+    }
+
+    /**
+     * 🔄 CAMBIAR DE VIAJE
+     *
+     * Activa otro viaje y notifica a los suscriptores de 'trip.activeTripId'.
+     *
+     * @param {string} tripId - ID del viaje a activar
+     */
+    switchTrip(tripId) {
+        const trip = this.getTrip(tripId);
+        if (!trip) {
+            throw new Error(`Viaje ${tripId} no encontrado`);
+        }
+        if (trip.status === 'archived') {
+            throw new Error('No se puede activar un viaje archivado');
+        }
+        if (tripId === this.registry.activeTripId) return;
+
+        this.registry.activeTripId = tripId;
+        this.saveRegistry();
+        this.applyActiveTrip();
+
+        Logger.success(`🧳 Switched to trip: ${trip.name}`);
+    }
+
+    /**
+     * 📦 ARCHIVAR VIAJE
+     *
+     * Si el viaje archivado es el activo, se activa el primer viaje
+     * disponible. Siempre debe quedar al menos un viaje sin archivar.
+     *
+     * @param {string} tripId - ID del viaje
+     */
+    archiveTrip(tripId) {
+        const trip = this.getTrip(tripId);
+        if (!trip) {
+            throw new Error(`Viaje ${tripId} no encontrado`);
+        }
+
+        const remaining = this.registry.trips.filter(t => t.id !== tripId && t.status !== 'archived');
+        if (remaining.length === 0) {
+            throw new Error('Debe quedar al menos un viaje sin archivar');
+        }
+
+        trip.status = 'archived';
+        trip.updatedAt = new Date().toISOString();
+        this.saveRegistry();
+        this.syncTripToStorage(trip);
+
+        if (tripId === this.registry.activeTripId) {
+            this.switchTrip(remaining[0].id);
+        }
+
+        Logger.data(`🧳 Trip archived: ${trip.name}`);
+    }
+
+    /**
+     * ♻️ RESTAURAR VIAJE ARCHIVADO
+     *
+     * @param {string} tripId - ID del viaje
+     */
+    restoreTrip(tripId) {
+        const trip = this.getTrip(tripId);
+        if (!trip) {
+            throw new Error(`Viaje ${tripId} no encontrado`);
+        }
+
+        trip.status = 'active';
+        trip.updatedAt = new Date().toISOString();
+        this.saveRegistry();
+        this.syncTripToStorage(trip);
+
+        Logger.data(`🧳 Trip restored: ${trip.name}`);
+    }
+
+    /**
+     * 🎯 APLICAR VIAJE ACTIVO
+     *
+     * Sustituye el contenido de `tripConfig` por la configuración del viaje
+     * activo, manteniendo la misma referencia de objeto.
+     *
+     * @param {boolean} silent - Si true, no emite eventos de estado
+     * @private
+     */
+    applyActiveTrip(silent = false) {
+        const trip = this.getActiveTrip();
+        this.applyTripConfig(trip);
+
+        stateManager.updateState('config.tripConfig', tripConfig, silent);
+        stateManager.updateState('trip.name', trip.name, silent);
+        stateManager.updateState('trip.activeTripId', trip.id, silent);
+        stateManager.updateState('trip.updatedAt', trip.updatedAt, silent);
+    }
+
+    /**
+     * 🧩 VOLCAR CONFIGURACIÓN EN tripConfig
+     *
+     * Configuración base del viaje (o la empaquetada) más sus `overrides`.
+     * Los vuelos guardados con fechas en texto pasan al modelo con instantes
+     * ISO y zona horaria (FlightManager.migrateFlights).
+     *
+     * @param {Object} trip - Entrada del registro
+     * @private
+     */
+    applyTripConfig(trip) {
+        const config = JSON.parse(JSON.stringify(trip.config || bundledTripConfig));
+        const overrides = JSON.parse(JSON.stringify(trip.overrides || {}));
+
+        Object.keys(tripConfig).forEach(key => delete tripConfig[key]);
+        Object.assign(tripConfig, config, overrides);
+        tripConfig.flights = flightManager.migrateFlights(tripConfig.flights, tripConfig.trip?.year);
+    }
+
+    /**
+     * ✏️ ACTUALIZAR SECCIONES DEL VIAJE ACTIVO
+     *
+     * Guarda secciones editadas de la configuración (p. ej. `itinerary`)
+     * como `overrides` del viaje, de modo que el viaje por defecto sigue
+     * usando la configuración empaquetada para el resto de secciones.
+     * Notifica el cambio en 'trip.updatedAt'.
+     *
+     * @param {Object} sections - Secciones a sustituir { itinerary, trip, ... }
+     */
+    updateActiveTripSections(sections) {
+        const trip = this.getActiveTrip();
+        const copy = JSON.parse(JSON.stringify(sections));
+
+        trip.overrides = { ...(trip.overrides || {}), ...copy };
+        trip.updatedAt = new Date().toISOString();
+
+        if (copy.trip) {
+            trip.name = copy.trip.name || trip.name;
+            trip.startDate = copy.trip.startDate || trip.startDate;
+            trip.endDate = copy.trip.endDate || trip.endDate;
+        }
+
+        this.saveRegistry();
+        this.syncTripToStorage(trip);
+
+        Object.keys(copy).forEach(key => {
+            tripConfig[key] = JSON.parse(JSON.stringify(copy[key]));
+        });
+
+        stateManager.updateState('config.tripConfig', tripConfig, true);
+        stateManager.updateState('trip.updatedAt', trip.updatedAt);
+
+        Logger.data(`🧳 Trip sections updated (${Object.keys(copy).join(', ')}) for ${trip.id}`);
+    }
+
+    /**
+     * 🏗️ CONSTRUIR CONFIGURACIÓN DE VIAJE
+     *
+     * Genera una configuración con la misma estructura que tripConfig
+     * para que todos los renderizadores funcionen con un viaje vacío.
+     *
+     * @returns {Object} Configuración del viaje
+     * @private
+     */
+    buildTripConfig({ name, startDate, endDate, destinations, travelers, currency, packingCategories }) {
+        const start = new Date(startDate);
+        const duration = Math.round((new Date(endDate) - start) / (1000 * 60 * 60 * 24)) + 1;
+        const packingListData = packingCategories
+            ? Object.fromEntries(packingCategories.map(category => [category.name, category.items]))
+            : bundledTripConfig.packingListData;
+
+        return {
+            trip: {
+                name,
+                startDate,
+                endDate,
+                duration,
+                travelers,
+                currency,
+                weatherApiKey: bundledTripConfig.trip.weatherApiKey,
+                destinations,
+                year: start.getFullYear()
+            },
+            itinerary: Array.from({ length: duration }, (_, i) => ({
+                id: `day-${i + 1}`,
+                phase: '',
+                country: destinations[0] || '',
+                location: '',
+                title: `Día ${i + 1}`,
+                description: '',
+                places: [],
+                icon: 'event',
+                planA: '',
+                planB: ''
+            })),
+            budgetData: { budgetData: {} },
+            weatherData: [],
+            packingListData: JSON.parse(JSON.stringify(packingListData)),
+            packingCategoryOrder: Object.keys(packingListData),
+            budget: { categories: {} },
+            packing: { categories: {} },
+            accommodations: [],
+            weather: { current: {}, locations: [] },
+            flights: [],
+            services: { agencies: [] }
+        };
+    }
+
+    /**
+     * 🆔 GENERAR ID DE VIAJE
+     *
+     * @private
+     */
+    generateTripId(name, startDate) {
+        const slug = name
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'viaje';
+
+        let id = `${slug}-${startDate.getFullYear()}`;
+        let suffix = 2;
+        while (this.getTrip(id)) {
+            id = `${slug}-${startDate.getFullYear()}-${suffix++}`;
+        }
+        return id;
+    }
+
+    // =================================================================
+    // 🔥 SINCRONIZACIÓN CON EL BACKEND DE DATOS
+    // =================================================================
+
+    /**
+     * 🔧 INICIALIZACIÓN: Conectar con el backend de datos
+     *
+     * @param {Object} storage - Adaptador de StorageAdapters
+     */
+    async initialize(storage) {
+        this.storage = storage;
+        if (!storage) return;
+
+        if (storage.isConnected) {
+            await this.syncWithStorage();
+            return;
+        }
+
+        const originalCallback = storage.onSyncStatusChanged;
+        storage.onSyncStatusChanged = (status) => {
+            if (originalCallback) {
+                originalCallback(status);
+            }
+            if (status === 'connected' && !this.storageSetupComplete) {
+                this.syncWithStorage();
+            }
+        };
+    }
+
+    /**
+     * 🔄 SINCRONIZAR REGISTRO
+     *
+     * Sube los viajes locales y añade los viajes creados en otros
+     * dispositivos. En caso de conflicto gana el `updatedAt` más reciente.
+     *
+     * @private
+     */
+    async syncWithStorage() {
+        if (!this.storage || !this.storage.isConnected) return;
+        this.storageSetupComplete = true;
+
+        try {
+            const remoteTrips = await this.storage.getTrips();
+
+            let activeTripChanged = false;
+
+            remoteTrips.forEach((remoteTrip) => {
+                if (!remoteTrip || !remoteTrip.id) return;
+
+                const updated = this.mergeRemoteTrip(remoteTrip);
+                activeTripChanged = activeTripChanged || (updated && remoteTrip.id === this.registry.activeTripId);
+            });
+
+            this.saveRegistry();
+
+            // Las ediciones remotas del viaje activo se aplican sin recargar
+            if (activeTripChanged) {
+                this.applyRemoteChanges();
+            }
+
+            for (const trip of this.registry.trips) {
+                await this.syncTripToStorage(trip);
+            }
+
+            Logger.success(`🧳 Trip registry synced with ${this.storage.name} storage (${this.registry.trips.length} trips)`);
+        } catch (error) {
+            Logger.error('🧳 Error syncing trip registry:', error);
+        }
+    }
+
+    /**
+     * 📥 IMPORTAR VIAJE REMOTO
+     *
+     * Añade al registro un viaje leído de Firestore (por ejemplo, al unirse
+     * con una invitación) o lo actualiza si la versión remota es más nueva.
+     *
+     * @param {Object} remoteTrip - Documento trips/{tripId}
+     * @returns {Object} Entrada del registro
+     */
+    importRemoteTrip(remoteTrip) {
+        if (!remoteTrip || !remoteTrip.id) {
+            throw new Error('El viaje compartido no tiene datos');
+        }
+
+        const updated = this.mergeRemoteTrip(remoteTrip);
+        this.saveRegistry();
+
+        if (updated && remoteTrip.id === this.registry.activeTripId) {
+            this.applyRemoteChanges();
+        }
+
+        Logger.data(`🧳 Remote trip imported: ${remoteTrip.name} (${remoteTrip.id})`);
+        return this.getTrip(remoteTrip.id);
+    }
+
+    /**
+     * @param {Object} remoteTrip - Documento trips/{tripId}
+     * @returns {boolean} True si se añadió o actualizó la entrada local
+     * @private
+     */
+    mergeRemoteTrip(remoteTrip) {
+        const localTrip = this.getTrip(remoteTrip.id);
+        if (!localTrip) {
+            this.registry.trips.push({ ...remoteTrip, config: remoteTrip.config || null });
+            return true;
+        }
+        if ((remoteTrip.updatedAt || '') > (localTrip.updatedAt || '')) {
+            Object.assign(localTrip, remoteTrip);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    applyRemoteChanges() {
+        const activeTrip = this.getActiveTrip();
+        this.applyTripConfig(activeTrip);
+        stateManager.updateState('trip.name', activeTrip.name);
+        stateManager.updateState('trip.updatedAt', activeTrip.updatedAt);
+    }
+
+    /**
+     * 📤 SUBIR VIAJE AL BACKEND DE DATOS
+     *
+     * @param {Object} trip - Entrada del registro
+     * @private
+     */
+    async syncTripToStorage(trip) {
+        if (!this.storage || !this.storage.isConnected) return;
+
+        try {
+            await this.storage.saveTrip(trip);
+        } catch (error) {
+            Logger.error(`🧳 Error syncing trip ${trip.id} to ${this.storage.name} storage:`, error);
+        }
+    }
+}
+
+// Crear instancia singleton
+const tripManager = new TripManager();
+
+// Exportar tanto la clase como la instancia
+export { TripManager, DEFAULT_TRIP_ID };
+export default tripManager;
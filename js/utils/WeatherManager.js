@@ -20,6 +20,7 @@
 
 import Logger from './Logger.js';
 import { tripConfig } from '../config/tripConfig.js';
+import flightManager from './FlightManager.js';
 
 export class WeatherManager {
     constructor() {
@@ -286,29 +287,8 @@ export class WeatherManager {
      */
     calculateTripStartFromFlights() {
         try {
-            if (window.tripConfig?.flights && window.tripConfig.flights.length > 0) {
-                const firstFlight = window.tripConfig.flights[0];
-                if (firstFlight.segments && firstFlight.segments.length > 0) {
-                    const dateStr = firstFlight.segments[0].fromDateTime;
-                    const match = dateStr.match(/(\d+) de (\w+)/);
-                    if (match) {
-                        const day = parseInt(match[1]);
-                        const monthName = match[2];
-                        const months = {
-                            'Enero': 0, 'Febrero': 1, 'Marzo': 2, 'Abril': 3, 'Mayo': 4, 'Junio': 5,
-                            'Julio': 6, 'Agosto': 7, 'Septiembre': 8, 'Octubre': 9, 'Noviembre': 10, 'Diciembre': 11
-                        };
-                        const month = months[monthName];
-                        if (month !== undefined) {
-                            const currentYear = new Date().getFullYear();
-                            const currentMonth = new Date().getMonth();
-                            const year = (month < currentMonth) ? currentYear + 1 : currentYear;
-                            
-                            return new Date(year, month, day);
-                        }
-                    }
-                }
-            }
+            const flightStartDate = flightManager.getTripStartDate();
+            if (flightStartDate) return flightStartDate;
         } catch (error) {
             if (Logger && Logger.error) Logger.error('🌤️ Error calculating trip start from flights:', error);
         }
@@ -4,6 +4,10 @@
  * Sistema para estimar el peso total de la mochila basado en los artículos empacados
  * Incluye base de datos de pesos reales y alertas por límites
  * 
+ * Los límites de vuelo salen de cada vuelo de tripConfig.flights: franquicia
+ * de la aerolínea (AIRLINE_ALLOWANCES) o `baggage` del propio vuelo, por
+ * bulto (facturada, cabina y mochila de día).
+ * 
  * @author David Ferrer Figueroa
  * @version 1.0.0
  * @since 2024
@@ -11,13 +15,34 @@
 
 import Logger from './Logger.js';
 import { tripConfig } from '../config/tripConfig.js';
+import flightManager from './FlightManager.js';
+
+/**
+ * Bultos en los que se reparte el equipaje de cada viajero
+ */
+export const BAG_TYPES = {
+    checked: { label: 'Facturada', icon: 'luggage' },
+    carryOn: { label: 'Cabina', icon: 'work' },
+    daypack: { label: 'Mochila de día', icon: 'backpack' }
+};
+
+export const DEFAULT_BAG = 'checked';
+
+/**
+ * Franquicia de equipaje por aerolínea en kg (null = sin límite de peso).
+ * Un vuelo puede sobrescribirla con `baggage: { checked, carryOn, daypack }`.
+ */
+export const AIRLINE_ALLOWANCES = {
+    'Qatar Airways': { checked: 30, carryOn: 7, daypack: null },
+    'Druk Air': { checked: 20, carryOn: 5, daypack: null },
+    default: { checked: 23, carryOn: 8, daypack: null }
+};
 
 export class WeightEstimator {
     constructor() {
         this.weightLimits = {
             trekking: 15, // kg máximo para trekking
-            city: 20,     // kg máximo para ciudad
-            flight: 23    // kg máximo equipaje facturado
+            city: 20      // kg máximo para ciudad
         };
         
         this.init();
@@ -28,14 +53,15 @@ export class WeightEstimator {
     }
     
     /**
-     * Obtener peso de un item desde tripConfig
+     * Obtener peso de un item desde tripConfig (peso unitario × cantidad)
      */
     getItemWeight(itemKey) {
         // Buscar en todas las categorías del packingListData
         for (const [categoryName, items] of Object.entries(tripConfig.packingListData)) {
             const item = items.find(item => item.key === itemKey);
             if (item) {
-                return item.weight || 100; // Usar peso del item o 100g por defecto
+                // Usar peso del item o 100g por defecto
+                return (item.weight || 100) * (item.quantity || 1);
             }
         }
         
@@ -125,14 +151,11 @@ export class WeightEstimator {
     }
     
     /**
-     * Calcular peso total basado en items empacados
+     * Calcular peso en kg de los items empacados (peso real × cantidad)
      */
     calculatePackedWeight(packedItems) {
-        // Peso promedio por item: 0.15kg
-        const averageWeight = 0.15;
-        const totalWeight = packedItems * averageWeight;
-        console.log(`🏋️ Weight calculation: ${packedItems} items × ${averageWeight}kg = ${totalWeight}kg`);
-        return Math.round(totalWeight * 10) / 10; // Redondear a 1 decimal
+        const totalGrams = this.calculateTotalWeight(packedItems).totalGrams;
+        return Math.round(totalGrams / 100) / 10; // Redondear a 1 decimal
     }
     
     /**
@@ -202,7 +225,8 @@ export class WeightEstimator {
         };
         
         // Evaluar contra límites
-        Object.entries(this.weightLimits).forEach(([type, limit]) => {
+        const weightLimits = this.getWeightLimits();
+        Object.entries(weightLimits).forEach(([type, limit]) => {
             const percentage = (weightKg / limit) * 100;
             analysis.limits[type] = {
                 limit: limit,
@@ -213,7 +237,7 @@ export class WeightEstimator {
         });
         
         // Determinar estado general
-        if (weightKg > this.weightLimits.flight) {
+        if (weightKg > weightLimits.flight) {
             analysis.status = 'critical';
             analysis.message = '⚠️ Excede límite de equipaje de vuelo';
             analysis.recommendations.push('Considera dejar artículos no esenciales');
@@ -236,6 +260,102 @@ export class WeightEstimator {
         return analysis;
     }
     
+    /**
+     * Límites de peso total: trekking, ciudad y vuelo
+     * 
+     * El de vuelo es la franquicia total (todos los bultos) del vuelo más restrictivo.
+     */
+    getWeightLimits() {
+        const flightTotals = this.getFlights().map(flight =>
+            Object.values(flight.limits).reduce((sum, limit) => sum + (limit || 0), 0));
+        const defaultTotal = AIRLINE_ALLOWANCES.default.checked + AIRLINE_ALLOWANCES.default.carryOn;
+        
+        return {
+            ...this.weightLimits,
+            flight: flightTotals.length > 0 ? Math.min(...flightTotals) : defaultTotal
+        };
+    }
+    
+    // =================================================================
+    // ✈️ EQUIPAJE POR VUELO
+    // =================================================================
+    
+    /**
+     * Franquicia de un vuelo en kg por bulto
+     * 
+     * @param {Object} flight - Vuelo de tripConfig.flights
+     * @returns {Object} { checked, carryOn, daypack }
+     */
+    getFlightLimits(flight) {
+        return {
+            ...AIRLINE_ALLOWANCES.default,
+            ...AIRLINE_ALLOWANCES[flight.airline],
+            ...flight.baggage
+        };
+    }
+    
+    /**
+     * Vuelos del viaje con su fecha de salida y franquicia, en orden
+     * 
+     * @returns {Array} [{ index, title, airline, type, route, departure, limits }]
+     */
+    getFlights() {
+        return flightManager.getFlights().map(flight => {
+            const segments = flight.segments;
+            return {
+                index: flight.index,
+                title: flight.title,
+                airline: flight.airline,
+                type: flight.type,
+                route: segments.length > 0 ? [segments[0].from, ...segments.map(segment => segment.to)].join(' → ') : '',
+                departure: flight.departureDate,
+                limits: this.getFlightLimits(flight)
+            };
+        }).sort((a, b) => (a.departure || 0) - (b.departure || 0));
+    }
+    
+    /**
+     * Peso de cada bulto
+     * 
+     * @param {Object} carriedItems - { itemKey: true } (PackingListManager.getCarriedItems)
+     * @param {Function} getBag - itemKey → bulto (checked, carryOn, daypack)
+     * @returns {Object} { checked: { grams, kg, items }, carryOn: {...}, daypack: {...} }
+     */
+    calculateBagWeights(carriedItems, getBag) {
+        const bags = {};
+        Object.keys(BAG_TYPES).forEach(bag => {
+            bags[bag] = { grams: 0, kg: 0, items: [] };
+        });
+        
+        Object.entries(carriedItems || {}).forEach(([itemKey, carried]) => {
+            if (!carried) return;
+            const bag = bags[getBag(itemKey)] || bags[DEFAULT_BAG];
+            bag.grams += this.getItemWeight(itemKey);
+            bag.items.push(itemKey);
+        });
+        
+        Object.values(bags).forEach(bag => {
+            bag.kg = Math.round(bag.grams / 100) / 10;
+        });
+        
+        return bags;
+    }
+    
+    /**
+     * Compara el peso de cada bulto con la franquicia de un vuelo
+     * 
+     * @param {Object} bagWeights - Resultado de calculateBagWeights
+     * @param {Object} flight - Vuelo de getFlights()
+     * @returns {Array} [{ bag, label, kg, limit, exceeded }]
+     */
+    checkFlightBaggage(bagWeights, flight) {
+        return Object.entries(BAG_TYPES).map(([bag, { label }]) => {
+            const limit = flight.limits[bag] ?? null;
+            const kg = bagWeights[bag] ? bagWeights[bag].kg : 0;
+            return { bag, label, kg, limit, exceeded: limit !== null && kg > limit };
+        });
+    }
+    
     /**
      * Formatea peso en gramos a formato legible
      */
@@ -1,10 +1,43 @@
 // Servidor Node.js simple para desarrollo
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { SyncServer } = require('./server/SyncServer');
+const { StorageServer } = require('./server/StorageServer');
 
 const PORT = 8000;
 
+// Solo este equipo por defecto; HOST=0.0.0.0 para abrirlo a la red local
+const HOST = process.env.HOST || '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Fuera de localhost, los datos (gastos, viajes, tickets, calendario) piden un
+// token: STORAGE_TOKEN o uno aleatorio que se muestra al arrancar
+const ACCESS_TOKEN = process.env.STORAGE_TOKEN
+    || (LOOPBACK_HOSTS.includes(HOST) ? null : crypto.randomBytes(18).toString('base64url'));
+const TOKEN_COOKIE = 'storageToken';
+
+// Los datos se guardan fuera de la carpeta que se sirve como estática
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(os.homedir(), '.viaje-himalaya'));
+const SYNC_DATA_FILE = path.resolve(process.env.SYNC_DATA_FILE || path.join(DATA_DIR, 'sync-store.json'));
+const STORAGE_DATA_DIR = path.resolve(process.env.STORAGE_DATA_DIR || DATA_DIR);
+
+// Carpetas que nunca se sirven como estáticas (sync-data/ es la de versiones anteriores)
+const PRIVATE_DIRS = [DATA_DIR, path.dirname(SYNC_DATA_FILE), STORAGE_DATA_DIR, path.join(__dirname, 'sync-data')];
+
+if (fs.existsSync(path.join(__dirname, 'sync-data')) && !process.env.DATA_DIR) {
+    console.warn(`⚠️ sync-data/ ya no se usa ni se sirve: mueve su contenido a ${DATA_DIR} (o arranca con DATA_DIR)`);
+}
+
+// Sincronización de gastos entre dispositivos sin Firebase (ws://localhost:8000/sync)
+const syncServer = new SyncServer({ filePath: SYNC_DATA_FILE });
+
+// Backend de datos propio para storageConfig.backend = 'http' (http://localhost:8000/storage)
+const storageServer = new StorageServer({ dataDir: STORAGE_DATA_DIR });
+
 // MIME types
 const mimeTypes = {
     '.html': 'text/html',
@@ -18,12 +51,125 @@ const mimeTypes = {
     '.ico': 'image/x-icon'
 };
 
+// Calendario suscribible (webcal://localhost:8000/calendar.ics?trip={tripId}) generado
+// con el mismo código que la exportación .ics de la app. Sale del viaje guardado
+// en /storage (backend 'http'), con sus ediciones del itinerario; con otros backends
+// el servidor no ve los viajes y solo sirve el viaje por defecto tal como viene en
+// js/config/tripConfig.js
+async function serveCalendar(req, res) {
+    try {
+        const { tripConfig } = await import(pathToFileURL(path.join(__dirname, 'js/config/tripConfig.js')).href);
+        const { firestoreConfig } = await import(pathToFileURL(path.join(__dirname, 'js/config/firebaseConfig.js')).href);
+        const { calendarExporter } = await import(pathToFileURL(path.join(__dirname, 'js/utils/CalendarExporter.js')).href);
+
+        const tripId = new URL(req.url, 'http://localhost').searchParams.get('trip') || firestoreConfig.legacyTripId;
+        const trip = storageServer.store.get(firestoreConfig.collections.trips, tripId);
+        if (!trip && tripId !== firestoreConfig.legacyTripId) {
+            res.writeHead(404);
+            res.end('Viaje no encontrado');
+            return;
+        }
+
+        // Igual que TripManager.applyTripConfig: configuración del viaje (o la empaquetada) más sus overrides
+        const config = { ...(trip?.config || tripConfig), ...(trip?.overrides || {}) };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="${calendarExporter.getFileName(config)}"`,
+            'Cache-Control': 'no-cache'
+        });
+        res.end(calendarExporter.generate(config, { tripId }), 'utf-8');
+    } catch (error) {
+        console.error('❌ Error generando el calendario:', error);
+        res.writeHead(500);
+        res.end('Error generando el calendario');
+    }
+}
+
+// Token de la petición: ?token=, cabecera Authorization o la cookie que deja ?token=
+function readToken(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const authorization = req.headers.authorization || '';
+    const cookie = (req.headers.cookie || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${TOKEN_COOKIE}=`));
+
+    return url.searchParams.get('token')
+        || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null)
+        || (cookie ? decodeURIComponent(cookie.slice(TOKEN_COOKIE.length + 1)) : null);
+}
+
+function isAuthorized(req) {
+    if (!ACCESS_TOKEN) return true;
+
+    const token = Buffer.from(readToken(req) || '');
+    const expected = Buffer.from(ACCESS_TOKEN);
+    return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
+function isDataRequest(pathname) {
+    return pathname === '/calendar.ics' || pathname === '/sync' || pathname === '/storage' || pathname.startsWith('/storage/');
+}
+
+function isInside(dir, filePath) {
+    const relative = path.relative(dir, filePath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Ruta estática dentro del proyecto, sin ficheros ocultos (.git) ni carpetas de datos
+function resolveStaticPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        return null;
+    }
+
+    const filePath = path.join(__dirname, decoded === '/' ? '/index.html' : decoded);
+    if (!isInside(__dirname, filePath)) return null;
+    if (path.relative(__dirname, filePath).split(path.sep).some(segment => segment.startsWith('.'))) return null;
+    if (PRIVATE_DIRS.some(dir => isInside(dir, filePath))) return null;
+
+    return filePath;
+}
+
 const server = http.createServer((req, res) => {
     console.log(`${req.method} ${req.url}`);
+    const pathname = req.url.split('?')[0];
+
+    if (isDataRequest(pathname) && !isAuthorized(req)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Falta el token de acceso' }));
+        return;
+    }
+
+    // Abrir la app una vez con ?token= deja el token en una cookie para
+    // las peticiones de datos, las imágenes de tickets y los WebSocket
+    if (ACCESS_TOKEN && new URL(req.url, 'http://localhost').searchParams.has('token') && isAuthorized(req)) {
+        res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=${encodeURIComponent(ACCESS_TOKEN)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=31536000`);
+    }
+
+    if (pathname === '/calendar.ics') {
+        serveCalendar(req, res);
+        return;
+    }
+
+    if (pathname === '/sync') {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+        res.end(JSON.stringify(syncServer.getStatus()));
+        return;
+    }
+
+    if (storageServer.handleRequest(req, res)) {
+        return;
+    }
     
-    // Manejar la ruta raíz
-    let filePath = req.url === '/' ? '/index.html' : req.url;
-    filePath = path.join(__dirname, filePath);
+    const filePath = resolveStaticPath(pathname);
+    if (!filePath) {
+        res.writeHead(404);
+        res.end('Archivo no encontrado');
+        return;
+    }
     
     // Obtener la extensión del archivo
     const extname = path.extname(filePath);
@@ -49,15 +195,38 @@ const server = http.createServer((req, res) => {
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`🚀 Servidor corriendo en http://localhost:${PORT}`);
+server.on('upgrade', (req, socket) => {
+    if (!isAuthorized(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    } else if (req.url.split('?')[0] === '/sync') {
+        syncServer.handleUpgrade(req, socket);
+    } else if (req.url.split('?')[0] === '/storage/feed') {
+        storageServer.handleUpgrade(req, socket);
+    } else {
+        socket.destroy();
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    const host = LOOPBACK_HOSTS.includes(HOST) ? 'localhost' : HOST;
+    const query = ACCESS_TOKEN ? `?token=${encodeURIComponent(ACCESS_TOKEN)}` : '';
+
+    console.log(`🚀 Servidor corriendo en http://${host}:${PORT}`);
     console.log(`📁 Sirviendo archivos desde: ${__dirname}`);
-    console.log(`🌐 Abre http://localhost:${PORT} en tu navegador`);
+    console.log(`🌐 Abre http://${host}:${PORT}/${query} en tu navegador`);
+    console.log(`📅 Calendario: webcal://${host}:${PORT}/calendar.ics${query}`);
+    console.log(`🔄 Sincronización: ws://${host}:${PORT}/sync`);
+    console.log(`🗄️ Datos: http://${host}:${PORT}/storage (guardados en ${DATA_DIR})`);
+    if (ACCESS_TOKEN) {
+        console.log(`🔑 Token de acceso a los datos: ${ACCESS_TOKEN}`);
+    }
 });
 
 // Manejar cierre del servidor
 process.on('SIGINT', () => {
     console.log('\n🛑 Cerrando servidor...');
+    syncServer.close();
+    storageServer.close();
     server.close(() => {
         console.log('✅ Servidor cerrado');
         process.exit(0);
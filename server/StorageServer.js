@@ -0,0 +1,363 @@
+// Backend de almacenamiento propio para HttpStorageAdapter (js/utils/StorageAdapters.js)
+//
+// Guarda los documentos con las mismas rutas que Firestore
+// (trips/{tripId}/expenses/{id}, trips/{tripId}/packingList/{id}, trips/{id}...)
+// en un fichero JSON, y las fotos de los tickets como ficheros sueltos.
+//
+// API (bajo /storage):
+//   GET    /storage                        estado
+//   GET    /storage/docs/{colección}       [{ id, data }]
+//   GET    /storage/docs/{colección}/{id}  data (404 si no existe)
+//   PUT    /storage/docs/{colección}/{id}  reemplaza el documento
+//   PATCH  /storage/docs/{colección}/{id}  combina campo a campo ({ $delete: true } borra)
+//   DELETE /storage/docs/{colección}/{id}
+//   GET    /storage/files/{ruta}           fichero
+//   PUT    /storage/files/{ruta}           sube un fichero → { url }
+//   DELETE /storage/files/{ruta}
+//
+// WebSocket /storage/feed: el cliente manda 'watch' / 'unwatch' { path } con
+// la ruta de una colección y recibe 'change' { path } cuando se escribe en ella.
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./WebSocketServer');
+
+// Sin '.' ni '..' para que una ruta no pueda salir del directorio de datos
+const SEGMENT_PATTERN = /^(?!\.{1,2}$)[\w.@-]{1,128}$/;
+// Nombres que en un objeto JS tocarían el prototipo en lugar de un dato
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const SAVE_DELAY_MS = 500;
+
+function isDeleteField(value) {
+    return !!value && typeof value === 'object' && value.$delete === true;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidSegment(segment) {
+    return SEGMENT_PATTERN.test(segment) && !RESERVED_KEYS.has(segment);
+}
+
+// Mapa id → dato sin prototipo (un id como 'constructor' es solo un id)
+function toDictionary(entries) {
+    return Object.assign(Object.create(null), entries);
+}
+
+// Misma combinación que mergeDocument() del cliente
+function mergeDocument(target, patch) {
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    Object.entries(patch || {}).forEach(([key, value]) => {
+        if (RESERVED_KEYS.has(key)) {
+            return;
+        } else if (isDeleteField(value)) {
+            delete result[key];
+        } else if (isPlainObject(value)) {
+            result[key] = mergeDocument(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+
+    return result;
+}
+
+// Documentos por colección en un fichero JSON: { collections: { 'trips/abc/expenses': { id: data } } }
+class DocumentStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.saveTimer = null;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            const collections = toDictionary();
+            Object.entries(data.collections || {}).forEach(([name, docs]) => {
+                collections[name] = toDictionary(docs);
+            });
+            return { version: 1, collections };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ No se pudo leer ${this.filePath}, se empieza vacío:`, error.message);
+            }
+            return { version: 1, collections: toDictionary() };
+        }
+    }
+
+    list(collection) {
+        return Object.entries(this.data.collections[collection] || {}).map(([id, data]) => ({ id, data }));
+    }
+
+    get(collection, id) {
+        return this.data.collections[collection]?.[id] || null;
+    }
+
+    put(collection, id, data, merge) {
+        if (!this.data.collections[collection]) this.data.collections[collection] = toDictionary();
+
+        const current = merge ? this.get(collection, id) : null;
+        this.data.collections[collection][id] = mergeDocument(current, data);
+        this.scheduleSave();
+    }
+
+    remove(collection, id) {
+        if (!this.data.collections[collection]?.[id]) return false;
+
+        delete this.data.collections[collection][id];
+        if (Object.keys(this.data.collections[collection]).length === 0) {
+            delete this.data.collections[collection];
+        }
+        this.scheduleSave();
+        return true;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    }
+
+    // Escribe en un temporal y lo renombra para no dejar el fichero a medias
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(this.data));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            console.error('❌ Error guardando los datos:', error);
+        }
+    }
+
+    flush() {
+        if (this.saveTimer) this.save();
+    }
+}
+
+class StorageServer {
+    constructor({ dataDir, basePath = '/storage' }) {
+        this.basePath = basePath;
+        this.filesDir = path.join(dataDir, 'files');
+        this.store = new DocumentStore(path.join(dataDir, 'storage.json'));
+
+        // Ruta de colección → clientes del feed que la escuchan
+        this.watchers = new Map();
+        this.clients = new Set();
+    }
+
+    /**
+     * Atiende una petición http bajo basePath (devuelve false si no es suya)
+     */
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.basePath && !url.pathname.startsWith(`${this.basePath}/`)) return false;
+
+        let segments;
+        try {
+            segments = url.pathname.slice(this.basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            this.sendJSON(res, 400, { error: 'Ruta no válida' });
+            return true;
+        }
+        const [area, ...rest] = segments;
+
+        if (!area && req.method === 'GET') {
+            this.sendJSON(res, 200, this.getStatus());
+        } else if (rest.some(segment => !isValidSegment(segment)) || rest.length === 0) {
+            this.sendJSON(res, 400, { error: 'Ruta no válida' });
+        } else if (area === 'docs') {
+            this.handleDocs(req, res, rest).catch(error => this.handleError(res, error));
+        } else if (area === 'files') {
+            this.handleFiles(req, res, rest).catch(error => this.handleError(res, error));
+        } else {
+            this.sendJSON(res, 404, { error: 'No encontrado' });
+        }
+        return true;
+    }
+
+    async handleDocs(req, res, segments) {
+        // Las colecciones tienen un número impar de segmentos y los documentos, par
+        if (segments.length % 2 === 1) {
+            if (req.method !== 'GET') return this.sendJSON(res, 405, { error: 'Método no permitido' });
+            return this.sendJSON(res, 200, this.store.list(segments.join('/')));
+        }
+
+        const collection = segments.slice(0, -1).join('/');
+        const id = segments[segments.length - 1];
+
+        switch (req.method) {
+            case 'GET': {
+                const data = this.store.get(collection, id);
+                return data ? this.sendJSON(res, 200, data) : this.sendJSON(res, 404, { error: 'No existe' });
+            }
+            case 'PUT':
+            case 'PATCH': {
+                const data = JSON.parse((await this.readBody(req, MAX_DOCUMENT_BYTES)).toString('utf-8'));
+                if (!isPlainObject(data)) return this.sendJSON(res, 400, { error: 'El documento debe ser un objeto' });
+
+                this.store.put(collection, id, data, req.method === 'PATCH');
+                this.notifyChange(collection);
+                return this.sendJSON(res, 200, { id });
+            }
+            case 'DELETE':
+                if (this.store.remove(collection, id)) this.notifyChange(collection);
+                res.writeHead(204);
+                return res.end();
+            default:
+                return this.sendJSON(res, 405, { error: 'Método no permitido' });
+        }
+    }
+
+    async handleFiles(req, res, segments) {
+        const filePath = path.join(this.filesDir, ...segments);
+
+        switch (req.method) {
+            case 'GET':
+                fs.readFile(filePath, (error, content) => {
+                    if (error) return this.sendJSON(res, 404, { error: 'No existe' });
+                    res.writeHead(200, { 'Content-Type': this.getContentType(filePath), 'Cache-Control': 'private, max-age=31536000' });
+                    res.end(content);
+                });
+                return;
+            case 'PUT': {
+                const content = await this.readBody(req, MAX_FILE_BYTES);
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.writeFile(filePath, content);
+                return this.sendJSON(res, 200, { url: `${this.basePath}/files/${segments.map(encodeURIComponent).join('/')}` });
+            }
+            case 'DELETE':
+                await fs.promises.rm(filePath, { force: true });
+                res.writeHead(204);
+                return res.end();
+            default:
+                return this.sendJSON(res, 405, { error: 'Método no permitido' });
+        }
+    }
+
+    // =================================================================
+    // Feed de cambios
+    // =================================================================
+
+    /**
+     * Atiende la petición 'upgrade' de /storage/feed
+     */
+    handleUpgrade(req, socket) {
+        const connection = acceptWebSocket(req, socket);
+        if (!connection) return;
+
+        const client = { connection, paths: new Set() };
+        this.clients.add(client);
+
+        connection.on('message', raw => this.handleFeedMessage(client, raw));
+        connection.on('close', () => {
+            client.paths.forEach(collection => this.unwatch(client, collection));
+            this.clients.delete(client);
+        });
+    }
+
+    handleFeedMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            message = null;
+        }
+        if (!isPlainObject(message)) {
+            client.connection.send({ type: 'error', message: 'Mensaje no válido' });
+            return;
+        }
+
+        const collection = typeof message.path === 'string' ? message.path : '';
+        if (!collection.split('/').every(isValidSegment)) {
+            client.connection.send({ type: 'error', message: 'Ruta no válida' });
+            return;
+        }
+
+        if (message.type === 'watch') {
+            if (!this.watchers.has(collection)) this.watchers.set(collection, new Set());
+            this.watchers.get(collection).add(client);
+            client.paths.add(collection);
+        } else if (message.type === 'unwatch') {
+            this.unwatch(client, collection);
+        } else {
+            client.connection.send({ type: 'error', message: `Tipo de mensaje desconocido: ${message.type}` });
+        }
+    }
+
+    unwatch(client, collection) {
+        client.paths.delete(collection);
+
+        const watchers = this.watchers.get(collection);
+        if (!watchers) return;
+        watchers.delete(client);
+        if (watchers.size === 0) this.watchers.delete(collection);
+    }
+
+    notifyChange(collection) {
+        (this.watchers.get(collection) || new Set()).forEach(client => {
+            client.connection.send({ type: 'change', path: collection });
+        });
+    }
+
+    // =================================================================
+    // Auxiliares
+    // =================================================================
+
+    readBody(req, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    reject(Object.assign(new Error('Demasiado grande'), { status: 413 }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    handleError(res, error) {
+        if (res.headersSent) return;
+
+        const status = error.status || (error instanceof SyntaxError ? 400 : 500);
+        if (status === 500) console.error('❌ Error en la API de datos:', error);
+        this.sendJSON(res, status, { error: status === 500 ? 'Error del servidor' : error.message });
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+        res.end(JSON.stringify(body));
+    }
+
+    getContentType(filePath) {
+        return { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' }[path.extname(filePath)] || 'application/octet-stream';
+    }
+
+    getStatus() {
+        return {
+            protocol: 'storage',
+            version: 1,
+            collections: Object.keys(this.store.data.collections).length,
+            feedClients: this.clients.size
+        };
+    }
+
+    close() {
+        this.clients.forEach(client => client.connection.close(1001, 'Server shutting down'));
+        this.store.flush();
+    }
+}
+
+module.exports = { StorageServer, DocumentStore, mergeDocument };
@@ -0,0 +1,245 @@
+// Servidor de sincronización para el protocolo de RealtimeSync (js/utils/RealtimeSync.js)
+//
+// Cada viaje es una sala: los cambios de gastos que envía un dispositivo se
+// numeran (seq), se guardan en un fichero JSON local y se reenvían al resto
+// de dispositivos del mismo viaje. Al reconectar, el cliente manda en
+// 'identify' el último seq que vio y recibe los cambios que se perdió.
+//
+// Mensajes del cliente:
+//   identify        { deviceId, tripId, lastSeq }
+//   ping            { timestamp }
+//   expense_added   { tripId, data, deviceId, timestamp }   (también _updated y _deleted)
+// Mensajes del servidor:
+//   identified      { tripId, seq, replayed }   tras reenviar lo pendiente
+//   expense_*       { ...cambio, seq, replay }
+//   ack             { tripId, seq, id }          al que envió el cambio
+//   pong            { timestamp }
+//   error           { message }
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./WebSocketServer');
+
+const CHANGE_TYPES = ['expense_added', 'expense_updated', 'expense_deleted'];
+const TRIP_ID_PATTERN = /^[\w-]{1,64}$/;
+const SAVE_DELAY_MS = 500;
+const IDLE_TIMEOUT_MS = 90 * 1000;
+
+// Registro de cambios por viaje guardado en un fichero JSON. Solo conserva
+// el último cambio de cada gasto (los borrados quedan como marca), así que
+// el fichero crece con el número de gastos y no con el de ediciones.
+class SyncStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.saveTimer = null;
+        this.data = this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            return { version: 1, trips: Object.assign(Object.create(null), data.trips) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️ No se pudo leer ${this.filePath}, se empieza vacío:`, error.message);
+            }
+            // Sin prototipo: un tripId como '__proto__' o 'constructor' es solo una clave
+            return { version: 1, trips: Object.create(null) };
+        }
+    }
+
+    getTrip(tripId) {
+        if (!this.data.trips[tripId]) {
+            this.data.trips[tripId] = { seq: 0, changes: [] };
+        }
+        return this.data.trips[tripId];
+    }
+
+    getSeq(tripId) {
+        return this.data.trips[tripId]?.seq || 0;
+    }
+
+    /**
+     * Guarda un cambio y le asigna el siguiente seq del viaje
+     */
+    append(tripId, change) {
+        const trip = this.getTrip(tripId);
+        const stored = { ...change, seq: ++trip.seq, receivedAt: Date.now() };
+
+        trip.changes = trip.changes.filter(previous => previous.data.id !== change.data.id);
+        trip.changes.push(stored);
+        this.scheduleSave();
+
+        return stored;
+    }
+
+    /**
+     * Cambios posteriores a lastSeq, sin los del propio dispositivo
+     */
+    getChangesSince(tripId, lastSeq, deviceId) {
+        return (this.data.trips[tripId]?.changes || [])
+            .filter(change => change.seq > lastSeq && change.deviceId !== deviceId)
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+    }
+
+    // Escribe en un temporal y lo renombra para no dejar el fichero a medias
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(this.data));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            console.error('❌ Error guardando la sincronización:', error);
+        }
+    }
+
+    flush() {
+        if (this.saveTimer) this.save();
+    }
+}
+
+class SyncServer {
+    constructor({ filePath }) {
+        this.store = new SyncStore(filePath);
+        this.rooms = new Map();
+        this.clients = new Set();
+
+        // Los clientes mandan 'ping' cada 30 s; los que dejan de hacerlo se cierran
+        this.idleTimer = setInterval(() => this.closeIdleClients(), IDLE_TIMEOUT_MS / 3);
+        this.idleTimer.unref();
+    }
+
+    /**
+     * Atiende una petición 'upgrade' del servidor http
+     */
+    handleUpgrade(req, socket) {
+        const connection = acceptWebSocket(req, socket);
+        if (!connection) return;
+
+        const client = { connection, deviceId: null, tripId: null, lastSeen: Date.now() };
+        this.clients.add(client);
+
+        connection.on('message', raw => this.handleMessage(client, raw));
+        connection.on('close', () => {
+            this.leaveRoom(client);
+            this.clients.delete(client);
+        });
+    }
+
+    handleMessage(client, raw) {
+        client.lastSeen = Date.now();
+
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            message = null;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            client.connection.send({ type: 'error', message: 'Mensaje no válido' });
+            return;
+        }
+
+        if (message.type === 'identify') {
+            this.handleIdentify(client, message);
+        } else if (message.type === 'ping') {
+            client.connection.send({ type: 'pong', timestamp: Date.now() });
+        } else if (CHANGE_TYPES.includes(message.type)) {
+            this.handleChange(client, message);
+        } else {
+            client.connection.send({ type: 'error', message: `Tipo de mensaje desconocido: ${message.type}` });
+        }
+    }
+
+    handleIdentify(client, message) {
+        if (!TRIP_ID_PATTERN.test(message.tripId || '')) {
+            client.connection.send({ type: 'error', message: 'Viaje no válido' });
+            return;
+        }
+
+        this.leaveRoom(client);
+        client.deviceId = message.deviceId || null;
+        client.tripId = message.tripId;
+        if (!this.rooms.has(client.tripId)) this.rooms.set(client.tripId, new Set());
+        this.rooms.get(client.tripId).add(client);
+
+        // Si el servidor se reinició con otro fichero, el cliente puede ir por delante: se reenvía todo
+        const seq = this.store.getSeq(client.tripId);
+        const lastSeq = Number.isInteger(message.lastSeq) && message.lastSeq <= seq ? message.lastSeq : 0;
+        const missed = this.store.getChangesSince(client.tripId, lastSeq, client.deviceId);
+
+        missed.forEach(change => client.connection.send({ ...change, replay: true }));
+        client.connection.send({ type: 'identified', tripId: client.tripId, seq, replayed: missed.length });
+
+        console.log(`🔄 ${client.deviceId || 'dispositivo'} en ${client.tripId} (${missed.length} cambios reenviados)`);
+    }
+
+    handleChange(client, message) {
+        // El viaje es siempre el de la sala en la que se identificó el cliente:
+        // un `tripId` en el mensaje no permite escribir en otro
+        const tripId = client.tripId;
+        if (!tripId) {
+            client.connection.send({ type: 'error', message: 'Identifícate antes de enviar cambios' });
+            return;
+        }
+        if (!message.data || typeof message.data !== 'object' || typeof message.data.id !== 'string') {
+            client.connection.send({ type: 'error', message: 'El cambio no tiene ID de gasto' });
+            return;
+        }
+
+        const change = this.store.append(tripId, {
+            type: message.type,
+            tripId,
+            data: message.data,
+            deviceId: message.deviceId || client.deviceId,
+            timestamp: message.timestamp || Date.now()
+        });
+
+        (this.rooms.get(tripId) || new Set()).forEach(other => {
+            if (other !== client) other.connection.send(change);
+        });
+        client.connection.send({ type: 'ack', tripId, seq: change.seq, id: message.data.id });
+    }
+
+    leaveRoom(client) {
+        const room = this.rooms.get(client.tripId);
+        if (!room) return;
+
+        room.delete(client);
+        if (room.size === 0) this.rooms.delete(client.tripId);
+    }
+
+    closeIdleClients() {
+        const limit = Date.now() - IDLE_TIMEOUT_MS;
+        this.clients.forEach(client => {
+            if (client.lastSeen < limit) client.connection.close(1001, 'Idle timeout');
+        });
+    }
+
+    /**
+     * Estado para GET /sync (el cliente lo consulta antes de conectar)
+     */
+    getStatus() {
+        return {
+            protocol: 'realtime-sync',
+            version: 1,
+            clients: this.clients.size,
+            trips: [...this.rooms.entries()].map(([tripId, room]) => ({ tripId, clients: room.size, seq: this.store.getSeq(tripId) }))
+        };
+    }
+
+    close() {
+        clearInterval(this.idleTimer);
+        this.clients.forEach(client => client.connection.close(1001, 'Server shutting down'));
+        this.store.flush();
+    }
+}
+
+module.exports = { SyncServer, SyncStore };
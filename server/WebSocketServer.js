@@ -0,0 +1,202 @@
+// WebSocket mínimo (RFC 6455) sobre el servidor http de Node, sin dependencias
+//
+// Solo lo que necesita la sincronización: handshake, mensajes de texto
+// (también fragmentados), ping/pong y cierre. Los mensajes del cliente
+// llegan enmascarados y los del servidor salen sin máscara.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD_BYTES = 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.socket.destroy());
+    }
+
+    /**
+     * Envía un mensaje de texto (los objetos se serializan a JSON)
+     */
+    send(message) {
+        if (this.closed) return;
+        const payload = Buffer.from(typeof message === 'string' ? message : JSON.stringify(message), 'utf-8');
+        this.socket.write(this.buildFrame(OPCODES.text, payload));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(this.buildFrame(OPCODES.close, payload));
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * Extrae una trama completa del buffer (null si aún no ha llegado entera)
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0f;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = this.buffer.readUInt32BE(2) * 2 ** 32 + this.buffer.readUInt32BE(6);
+            offset = 10;
+        }
+
+        if (!masked) {
+            this.close(1002, 'Client frames must be masked');
+            return null;
+        }
+        if (length > MAX_PAYLOAD_BYTES) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (this.buffer.length < offset + 4 + length) return null;
+
+        const mask = this.buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = this.buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+                if (fin) {
+                    this.emit('message', payload.toString('utf-8'));
+                } else {
+                    this.fragments = [payload];
+                }
+                break;
+
+            case OPCODES.continuation:
+                if (!this.fragments) {
+                    this.close(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_PAYLOAD_BYTES) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf-8');
+                    this.fragments = null;
+                    this.emit('message', message);
+                }
+                break;
+
+            case OPCODES.ping:
+                this.socket.write(this.buildFrame(OPCODES.pong, payload));
+                break;
+
+            case OPCODES.pong:
+                break;
+
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+
+            default:
+                this.close(1003, 'Unsupported frame');
+        }
+    }
+
+    buildFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+            header.writeUInt32BE(payload.length % 2 ** 32, 6);
+        }
+        return Buffer.concat([header, payload]);
+    }
+}
+
+/**
+ * Completa el handshake de una petición 'upgrade' del servidor http
+ *
+ * @returns {WebSocketConnection|null} null si la petición no es un WebSocket válido
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const isWebSocket = (req.headers.upgrade || '').toLowerCase() === 'websocket';
+
+    if (!isWebSocket || !key || req.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
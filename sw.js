@@ -5,13 +5,23 @@
  * y gestión de recursos para la aplicación de viaje.
  * 
  * @author David Ferrer Figueroa
- * @version 5.0.0
+ * @version 5.1.0
  * @since 2024
  */
 
-const CACHE_NAME = 'viaje-himalaya-v5.0.0-smart-cache';
-const DATA_CACHE = 'viaje-data-v5.0.0';
-const RUNTIME_CACHE = 'runtime-v5.0.0';
+const CACHE_NAME = 'viaje-himalaya-v5.1.0-smart-cache';
+const DATA_CACHE = 'viaje-data-v5.1.0';
+const RUNTIME_CACHE = 'runtime-v5.1.0';
+
+// Cola de cambios sin conexión: mismo esquema que js/utils/SyncOutbox.js
+const DATA_DB_NAME = 'ViajeHimalayaDB';
+const DATA_DB_VERSION = 3;
+const OUTBOX_STORE = 'offlineActions';
+const DEAD_LETTER_STORE = 'offlineDeadLetters';
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_RETRY_DELAY = 30 * 1000;
+const OUTBOX_MAX_RETRY_DELAY = 60 * 60 * 1000;
+const CLIENT_FLUSH_TIMEOUT = 30 * 1000;
 
 // Base path dinámico según entorno
 const isLocalhost = self.location.hostname === 'localhost' || 
@@ -35,9 +45,28 @@ const CORE_RESOURCES = [
   `${BASE_PATH}/js/config/firebaseConfig.js`,
   `${BASE_PATH}/js/config/weatherConfig.js`,
   `${BASE_PATH}/js/config/DesignTokens.js`,
+  `${BASE_PATH}/js/config/airportsConfig.js`,
+  `${BASE_PATH}/js/config/flightStatusConfig.js`,
+  `${BASE_PATH}/js/config/storageConfig.js`,
   `${BASE_PATH}/js/components/UIRenderer.js`,
   `${BASE_PATH}/js/components/BudgetManager.js`,
   `${BASE_PATH}/js/components/SyncStatusIndicator.js`,
+  `${BASE_PATH}/js/components/ItineraryEditor.js`,
+  `${BASE_PATH}/js/components/ExpenseImportExportPanel.js`,
+  `${BASE_PATH}/js/components/ReceiptGallery.js`,
+  `${BASE_PATH}/js/components/BudgetAlertsPanel.js`,
+  `${BASE_PATH}/js/components/AuthPanel.js`,
+  `${BASE_PATH}/js/components/TripMembersPanel.js`,
+  `${BASE_PATH}/js/components/PackingCarryPanel.js`,
+  `${BASE_PATH}/js/components/PackingListEditor.js`,
+  `${BASE_PATH}/js/components/PackingSuggestionsPanel.js`,
+  `${BASE_PATH}/js/components/BaggagePanel.js`,
+  `${BASE_PATH}/js/components/FlightStatusPanel.js`,
+  `${BASE_PATH}/js/components/DocumentWalletPanel.js`,
+  `${BASE_PATH}/js/components/GeoDataPanel.js`,
+  `${BASE_PATH}/js/components/TrailPanel.js`,
+  `${BASE_PATH}/js/components/ConflictDialog.js`,
+  `${BASE_PATH}/js/components/UndoControls.js`,
   `${BASE_PATH}/js/utils/Logger.js`,
   `${BASE_PATH}/js/utils/DOMUtils.js`,
   `${BASE_PATH}/js/utils/FormatUtils.js`,
@@ -47,10 +76,29 @@ const CORE_RESOURCES = [
   `${BASE_PATH}/js/utils/ShareManager.js`,
   `${BASE_PATH}/js/utils/ServiceWorkerUtils.js`,
   `${BASE_PATH}/js/utils/StateManager.js`,
+  `${BASE_PATH}/js/utils/TripManager.js`,
+  `${BASE_PATH}/js/utils/ItineraryManager.js`,
+  `${BASE_PATH}/js/utils/FlightManager.js`,
+  `${BASE_PATH}/js/utils/FlightStatusManager.js`,
+  `${BASE_PATH}/js/utils/FlightStatusProviders.js`,
+  `${BASE_PATH}/js/utils/DocumentWallet.js`,
+  `${BASE_PATH}/js/utils/CalendarExporter.js`,
+  `${BASE_PATH}/js/utils/GeoDataConverter.js`,
+  `${BASE_PATH}/js/utils/TrailRecorder.js`,
+  `${BASE_PATH}/js/utils/StorageAdapters.js`,
+  `${BASE_PATH}/js/utils/ConflictResolver.js`,
+  `${BASE_PATH}/js/utils/SyncOutbox.js`,
   `${BASE_PATH}/js/utils/DaySimulator.js`,
   `${BASE_PATH}/js/utils/DateUtils.js`,
   `${BASE_PATH}/js/utils/CategoryUtils.js`,
+  `${BASE_PATH}/js/utils/CurrencyConverter.js`,
+  `${BASE_PATH}/js/utils/ExpenseSplitManager.js`,
+  `${BASE_PATH}/js/utils/ExpenseImportExport.js`,
+  `${BASE_PATH}/js/utils/ReceiptStore.js`,
+  `${BASE_PATH}/js/utils/ReceiptScanner.js`,
+  `${BASE_PATH}/js/utils/BudgetAlertManager.js`,
   `${BASE_PATH}/js/utils/PackingListManager.js`,
+  `${BASE_PATH}/js/utils/PackingSuggestionEngine.js`,
   `${BASE_PATH}/js/components/renderers/TodayRenderer.js`,
   `${BASE_PATH}/js/components/renderers/PlanningRenderer.js`,
   `${BASE_PATH}/js/components/renderers/TrackingRenderer.js`,
@@ -84,6 +132,7 @@ const LAZY_RESOURCES = [
 const CACHE_STRATEGIES = {
   // Cache first - recursos estáticos que no cambian
   CACHE_FIRST: [
+    /tesseract\.js/,
     /\.(png|jpg|jpeg|gif|svg|ico|webp)$/,
     /\.(woff|woff2|ttf|eot)$/,
     /\/assets\//
@@ -104,6 +153,10 @@ const CACHE_STRATEGIES = {
   ]
 };
 
+// Rutas del servidor propio (server.js) que nunca pasan por la cache: la API
+// de datos, el WebSocket de sincronización y el calendario siempre van a la red
+const BYPASS_PATHS = [/^\/storage(\/|$)/, /^\/sync(\/|$)/, /^\/calendar\.ics$/];
+
 // Recursos externos (CDN)
 const EXTERNAL_RESOURCES = [
   'https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css',
@@ -112,12 +165,18 @@ const EXTERNAL_RESOURCES = [
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
 ];
 
+// Motor OCR de tickets: se cachea al usarlo por primera vez (demasiado grande para la instalación)
+const OCR_RESOURCES = [
+  'https://cdn.jsdelivr.net/npm/tesseract.js',
+  'https://cdn.jsdelivr.net/npm/@tesseract.js-data/'
+];
+
 // ============================================================================
 // EVENTOS DEL SERVICE WORKER
 // ============================================================================
 
 self.addEventListener('install', event => {
-  console.log('🔧 Service Worker: Instalando v5.0.0 - Smart Cache...');
+  console.log('🔧 Service Worker: Instalando v5.1.0 - Smart Cache...');
   
   event.waitUntil(
     installServiceWorker()
@@ -138,7 +197,7 @@ async function installServiceWorker() {
     // Paso 4: Precarga inteligente de recursos lazy
     await preloadLazyResources();
     
-    console.log('✅ Service Worker: Instalación completada v5.0.0');
+    console.log('✅ Service Worker: Instalación completada v5.1.0');
     return self.skipWaiting();
     
   } catch (error) {
@@ -232,45 +291,42 @@ async function preloadLazyResources() {
 }
 
 async function initializeIndexedDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ViajeHimalayaDB', 2);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      console.log('💾 IndexedDB inicializado');
-      resolve(request.result);
-    };
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Store para gastos pendientes
-      if (!db.objectStoreNames.contains('pendingExpenses')) {
-        const expenseStore = db.createObjectStore('pendingExpenses', { keyPath: 'id' });
-        expenseStore.createIndex('timestamp', 'timestamp');
-        expenseStore.createIndex('category', 'category');
-      }
-      
-      // Store para acciones offline
-      if (!db.objectStoreNames.contains('offlineActions')) {
-        const actionStore = db.createObjectStore('offlineActions', { keyPath: 'id' });
-        actionStore.createIndex('type', 'type');
-        actionStore.createIndex('timestamp', 'timestamp');
-      }
-      
-      // Store para cache de datos
-      if (!db.objectStoreNames.contains('dataCache')) {
-        const cacheStore = db.createObjectStore('dataCache', { keyPath: 'key' });
-        cacheStore.createIndex('expiry', 'expiry');
-      }
-      
-      console.log('💾 IndexedDB schema actualizado');
-    };
-  });
+  const db = await openIndexedDB();
+  console.log('💾 IndexedDB inicializado');
+  db.close();
+}
+
+function upgradeDataStorage(db) {
+  // Store para gastos pendientes (versión anterior de la cola)
+  if (!db.objectStoreNames.contains('pendingExpenses')) {
+    const expenseStore = db.createObjectStore('pendingExpenses', { keyPath: 'id' });
+    expenseStore.createIndex('timestamp', 'timestamp');
+    expenseStore.createIndex('category', 'category');
+  }
+  
+  // Store para acciones offline (cola compartida con SyncOutbox)
+  if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+    const actionStore = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    actionStore.createIndex('type', 'type');
+    actionStore.createIndex('timestamp', 'timestamp');
+  }
+  
+  // Store para acciones que no se pudieron enviar
+  if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) {
+    db.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'id' });
+  }
+  
+  // Store para cache de datos
+  if (!db.objectStoreNames.contains('dataCache')) {
+    const cacheStore = db.createObjectStore('dataCache', { keyPath: 'key' });
+    cacheStore.createIndex('expiry', 'expiry');
+  }
+  
+  console.log('💾 IndexedDB schema actualizado');
 }
 
 self.addEventListener('activate', event => {
-  console.log('🚀 Service Worker: Activando v5.0.0...');
+  console.log('🚀 Service Worker: Activando v5.1.0...');
   
   event.waitUntil(
     activateServiceWorker()
@@ -291,7 +347,7 @@ async function activateServiceWorker() {
     // Paso 4: Notificar a clientes sobre la activación
     await notifyClientsOfActivation();
     
-    console.log('✅ Service Worker: Activado y listo v5.0.0');
+    console.log('✅ Service Worker: Activado y listo v5.1.0');
     
   } catch (error) {
     console.error('❌ Error en activación SW:', error);
@@ -319,15 +375,27 @@ async function migrateStorageIfNeeded() {
   console.log('🔄 Verificando migración de datos...');
   
   try {
-    const db = await openIndexedDB();
-    const version = db.version;
-    
-    if (version < 2) {
-      console.log('🔄 Migración de datos necesaria...');
-      // Aquí se implementarían migraciones específicas
+    // Los gastos de la cola anterior pasan a la cola de acciones
+    const pending = await outboxRequest('pendingExpenses', 'readonly', store => store.getAll());
+    
+    for (const op of pending) {
+      await outboxRequest(OUTBOX_STORE, 'readwrite', store => store.put({
+        id: op.id,
+        type: op.type,
+        data: op.data,
+        tripId: null,
+        http: null,
+        timestamp: op.timestamp,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null
+      }));
+      await outboxRequest('pendingExpenses', 'readwrite', store => store.delete(op.id));
     }
     
-    db.close();
+    if (pending.length > 0) {
+      console.log(`🔄 ${pending.length} gastos pendientes migrados a la cola`);
+    }
   } catch (error) {
     console.warn('⚠️ Error en migración:', error);
   }
@@ -339,7 +407,7 @@ async function notifyClientsOfActivation() {
   clients.forEach(client => {
     client.postMessage({
       type: 'SW_ACTIVATED',
-      version: '5.0.0',
+      version: '5.1.0',
       features: ['smart-cache', 'background-sync', 'offline-storage'],
       timestamp: Date.now()
     });
@@ -350,9 +418,22 @@ async function notifyClientsOfActivation() {
 
 async function openIndexedDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ViajeHimalayaDB', 2);
+    const request = indexedDB.open(DATA_DB_NAME, DATA_DB_VERSION);
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = (event) => upgradeDataStorage(event.target.result);
+  });
+}
+
+async function outboxRequest(storeName, mode, action) {
+  const db = await openIndexedDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], mode);
+    const request = action(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => db.close();
   });
 }
 
@@ -362,7 +443,13 @@ self.addEventListener('fetch', event => {
   
   // Solo manejar requests GET del mismo origen o recursos conocidos
   if (request.method !== 'GET' || 
-      (url.origin !== location.origin && !EXTERNAL_RESOURCES.some(res => request.url.startsWith(res)))) {
+      (url.origin !== location.origin &&
+       !EXTERNAL_RESOURCES.some(res => request.url.startsWith(res)) &&
+       !OCR_RESOURCES.some(res => request.url.startsWith(res)))) {
+    return;
+  }
+  
+  if (url.origin === location.origin && BYPASS_PATHS.some(pattern => pattern.test(url.pathname))) {
     return;
   }
   
@@ -411,7 +498,8 @@ async function cacheFirst(request) {
   }
   
   const networkResponse = await fetch(request);
-  if (networkResponse.status === 200) {
+  // Los scripts del motor OCR llegan por importScripts (no-cors): respuesta opaca
+  if (networkResponse.status === 200 || networkResponse.type === 'opaque') {
     const cache = await caches.open(CACHE_NAME);
     cache.put(request, networkResponse.clone());
   }
@@ -493,210 +581,244 @@ self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
+
+  // Avisos generados en la app (p. ej. topes de presupuesto)
+  if (event.data && event.data.type === 'SHOW_NOTIFICATION') {
+    event.waitUntil(showAppNotification(event.data.payload || {}));
+  }
 });
 
 // Notificaciones push (futuro)
 self.addEventListener('push', event => {
   if (event.data) {
-    const data = event.data.json();
-    
-    const options = {
-      body: data.body || 'Nueva actualización disponible',
-      icon: './assets/icon-192x192.png',
-      badge: './assets/icon-72x72.png',
-      tag: data.tag || 'general',
-      requireInteraction: false,
-      actions: data.actions || []
-    };
-    
-    event.waitUntil(
-      self.registration.showNotification(data.title || 'Viaje Himalaya', options)
-    );
+    event.waitUntil(showAppNotification(event.data.json()));
   }
 });
 
-// Sincronización en background (futuro)
-// Manejo avanzado de sincronización en background
+// Mostrar notificación con el formato común de la app
+function showAppNotification(data) {
+  const options = {
+    body: data.body || 'Nueva actualización disponible',
+    icon: './assets/icon-192x192.png',
+    badge: './assets/icon-72x72.png',
+    tag: data.tag || 'general',
+    requireInteraction: false,
+    actions: data.actions || []
+  };
+
+  return self.registration.showNotification(data.title || 'Viaje Himalaya', options);
+}
+
+// Al tocar una notificación: enfocar la app si está abierta o abrirla
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(c => c.url.startsWith(self.registration.scope));
+      return client ? client.focus() : self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
+
+// Sincronización en background: cola de cambios sin conexión (SyncOutbox)
 self.addEventListener('sync', event => {
   console.log('🔄 Background sync event:', event.tag);
   
   switch (event.tag) {
     case 'expense-sync':
-      event.waitUntil(syncExpenses());
-      break;
     case 'batch-sync':
-      event.waitUntil(syncBatchOperations());
-      break;
     case 'offline-actions':
-      event.waitUntil(syncOfflineActions());
-      break;
     case 'firebase-sync':
-      event.waitUntil(syncWithFirebase());
+      event.waitUntil(syncBatchOperations());
       break;
     default:
       console.log('🔄 Unknown sync tag:', event.tag);
   }
 });
 
-// Sincronización con Firebase
-async function syncWithFirebase() {
-  console.log('🔥 Syncing with Firebase...');
-  
-  try {
-    // Obtener datos pendientes
-    const pendingData = await getPendingData();
-    
-    if (pendingData.expenses.length > 0) {
-      console.log(`📤 Syncing ${pendingData.expenses.length} expenses with Firebase`);
-      await syncExpensesWithFirebase(pendingData.expenses);
+// Envía la cola viaje a viaje. Si quedan cambios, el error hace que el
+// navegador vuelva a lanzar el evento más tarde.
+async function syncBatchOperations() {
+  console.log('📦 Syncing offline actions...');
+  
+  const pendingBatches = await getPendingBatches();
+  let needsClient = false;
+  
+  for (const batch of pendingBatches) {
+    try {
+      await processBatch(batch);
+      console.log(`✅ Synced batch: ${batch.id}`);
+    } catch (error) {
+      if (error.needsClient) {
+        needsClient = true;
+      } else {
+        console.error(`❌ Failed to sync batch ${batch.id}:`, error);
+      }
     }
-    
-    // Notificar éxito a las pestañas
-    await notifyTabsOfSync('firebase-sync-complete');
-    
-  } catch (error) {
-    console.error('❌ Firebase sync failed:', error);
-    await notifyTabsOfSync('firebase-sync-failed', error.message);
+  }
+  
+  // Firestore (y los conflictos de revisión) solo los puede resolver la app
+  if (needsClient && !(await requestClientFlush())) {
+    await notifyTabsOfSync('outbox-sync-pending', await getOutboxStats());
+    throw new Error('Offline actions waiting for the app to be opened');
+  }
+  
+  const stats = await getOutboxStats();
+  await notifyTabsOfSync('outbox-sync-complete', stats);
+  
+  if (stats.pending > 0) {
+    throw new Error(`${stats.pending} offline actions still pending`);
   }
 }
 
-// Sincronización de gastos pendientes
-async function syncExpenses() {
-  console.log('📊 Syncing pending expenses...');
+// Acciones de la cola agrupadas por viaje, en orden
+async function getPendingBatches() {
+  const batches = new Map();
   
-  try {
-    const pendingExpenses = await getPendingExpenses();
-    
-    if (pendingExpenses.length === 0) {
-      console.log('✅ No pending expenses to sync');
-      return;
+  (await getOfflineActions()).forEach(action => {
+    const id = action.tripId || 'active-trip';
+    if (!batches.has(id)) {
+      batches.set(id, { id, tripId: action.tripId, actions: [] });
     }
+    batches.get(id).actions.push(action);
+  });
+  
+  return [...batches.values()];
+}
 
-    console.log(`📤 Syncing ${pendingExpenses.length} pending expenses`);
-    
-    for (const expense of pendingExpenses) {
-      try {
-        await syncSingleExpense(expense);
-        await removePendingExpense(expense.id);
-        console.log(`✅ Synced expense: ${expense.id}`);
-      } catch (error) {
-        console.error(`❌ Failed to sync expense ${expense.id}:`, error);
-      }
+// Envía las acciones de un viaje; si una falla, las siguientes esperan
+async function processBatch(batch) {
+  for (const action of batch.actions) {
+    if (action.nextAttemptAt > Date.now()) return;
+    
+    try {
+      await processOfflineAction(action);
+      await removeOfflineAction(action.id);
+      console.log(`✅ Synced offline action: ${action.type} ${action.data.id}`);
+    } catch (error) {
+      if (error.needsClient) throw error;
+      
+      await recordOfflineActionFailure(action, error);
+      return;
     }
-    
-    await notifyTabsOfSync('expense-sync-complete');
-    
-  } catch (error) {
-    console.error('❌ Background expense sync failed:', error);
   }
 }
 
-// Sincronización de operaciones por lotes
-async function syncBatchOperations() {
-  console.log('📦 Syncing batch operations...');
+// Acciones en cola, en el orden en que se hicieron
+async function getOfflineActions() {
+  const actions = await outboxRequest(OUTBOX_STORE, 'readonly', store => store.getAll());
+  return actions.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Envía una acción al servidor propio (server/StorageServer.js)
+async function processOfflineAction(action) {
+  if (!action.http) {
+    throw Object.assign(new Error('Backend only reachable from the app'), { needsClient: true });
+  }
   
-  try {
-    const pendingBatches = await getPendingBatches();
+  const { id } = action.data;
+  const url = `${action.http.endpoint}/docs/${action.http.collection.split('/').map(encodeURIComponent).join('/')}/${encodeURIComponent(id)}`;
+  const now = new Date().toISOString();
+  
+  switch (action.type) {
+    case 'add':
+      await outboxFetch(url, 'PUT', { ...action.data, createdAt: now, updatedAt: now, deviceId: action.deviceId });
+      break;
     
-    for (const batch of pendingBatches) {
-      try {
-        await processBatch(batch);
-        await removePendingBatch(batch.id);
-        console.log(`✅ Synced batch: ${batch.id}`);
-      } catch (error) {
-        console.error(`❌ Failed to sync batch ${batch.id}:`, error);
+    case 'update': {
+      const response = await fetch(url, { cache: 'no-store' });
+      if (response.status === 404) {
+        throw Object.assign(new Error('Gasto no encontrado'), { permanent: true });
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      // Misma regla que assertRevision (ConflictResolver): el conflicto lo resuelve la app
+      const stored = await response.json();
+      const { updates } = action.data;
+      const storedRevision = stored.revision || 0;
+      const ownRewrite = storedRevision === updates.revision && stored.deviceId === action.deviceId;
+      if (updates.revision !== undefined && storedRevision >= updates.revision && !ownRewrite) {
+        throw Object.assign(new Error(`Expense ${id} was changed on another device`), { needsClient: true });
       }
+      
+      await outboxFetch(url, 'PUT', { ...stored, ...updates, id, updatedAt: now, deviceId: action.deviceId });
+      break;
     }
     
-    await notifyTabsOfSync('batch-sync-complete');
+    case 'delete':
+      await outboxFetch(url, 'DELETE');
+      break;
     
-  } catch (error) {
-    console.error('❌ Background batch sync failed:', error);
+    default:
+      throw Object.assign(new Error(`Unknown offline action: ${action.type}`), { permanent: true });
   }
 }
 
-// Sincronización de acciones offline
-async function syncOfflineActions() {
-  console.log('📱 Syncing offline actions...');
+async function outboxFetch(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
   
-  try {
-    const offlineActions = await getOfflineActions();
-    
-    for (const action of offlineActions) {
-      try {
-        await processOfflineAction(action);
-        await removeOfflineAction(action.id);
-        console.log(`✅ Synced offline action: ${action.type}`);
-      } catch (error) {
-        console.error(`❌ Failed to sync offline action:`, error);
-      }
-    }
-    
-    await notifyTabsOfSync('offline-sync-complete');
-    
-  } catch (error) {
-    console.error('❌ Background offline sync failed:', error);
+  if (!response.ok) {
+    // Los 4xx no se arreglan reintentando (salvo timeout y límite de peticiones)
+    const permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+    throw Object.assign(new Error(`HTTP ${response.status}`), { permanent });
   }
 }
 
-// Obtener datos pendientes del IndexedDB
-async function getPendingData() {
-  return {
-    expenses: await getPendingExpenses(),
-    batches: await getPendingBatches(),
-    actions: await getOfflineActions()
+async function removeOfflineAction(id) {
+  await outboxRequest(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Reintento con espera creciente o, tras OUTBOX_MAX_ATTEMPTS, a la lista de fallidos
+async function recordOfflineActionFailure(action, error) {
+  const attempts = action.attempts + 1;
+  const failed = {
+    ...action,
+    attempts,
+    lastError: error.message,
+    nextAttemptAt: Date.now() + Math.min(OUTBOX_BASE_RETRY_DELAY * 2 ** (attempts - 1), OUTBOX_MAX_RETRY_DELAY)
   };
+  
+  if (error.permanent || attempts >= OUTBOX_MAX_ATTEMPTS) {
+    await removeOfflineAction(action.id);
+    await outboxRequest(DEAD_LETTER_STORE, 'readwrite', store => store.put({ ...failed, failedAt: Date.now() }));
+    console.error(`☠️ Offline action ${action.id} moved to dead letters:`, error.message);
+  } else {
+    await outboxRequest(OUTBOX_STORE, 'readwrite', store => store.put(failed));
+    console.warn(`⏳ Offline action ${action.id} failed (${attempts}/${OUTBOX_MAX_ATTEMPTS}):`, error.message);
+  }
 }
 
-// Obtener gastos pendientes del IndexedDB
-async function getPendingExpenses() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ViajeHimalayaDB', 1);
-    
-    request.onerror = () => reject(request.error);
+// Pide a una pestaña abierta que envíe la cola con su backend
+async function requestClientFlush() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  if (clients.length === 0) return false;
+  
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => resolve(false), CLIENT_FLUSH_TIMEOUT);
     
-    request.onsuccess = () => {
-      const db = request.result;
-      
-      if (!db.objectStoreNames.contains('pendingExpenses')) {
-        resolve([]);
-        return;
-      }
-      
-      const transaction = db.transaction(['pendingExpenses'], 'readonly');
-      const store = transaction.objectStore('pendingExpenses');
-      const getAllRequest = store.getAll();
-      
-      getAllRequest.onsuccess = () => resolve(getAllRequest.result || []);
-      getAllRequest.onerror = () => reject(getAllRequest.error);
-    };
-    
-    request.onupgradeneeded = () => {
-      const db = request.result;
-      if (!db.objectStoreNames.contains('pendingExpenses')) {
-        db.createObjectStore('pendingExpenses', { keyPath: 'id' });
-      }
-      if (!db.objectStoreNames.contains('pendingBatches')) {
-        db.createObjectStore('pendingBatches', { keyPath: 'id' });
-      }
-      if (!db.objectStoreNames.contains('offlineActions')) {
-        db.createObjectStore('offlineActions', { keyPath: 'id' });
-      }
+    channel.port1.onmessage = event => {
+      clearTimeout(timeout);
+      resolve(!!(event.data && event.data.ok));
     };
+    clients[0].postMessage({ type: 'OUTBOX_FLUSH_REQUEST' }, [channel.port2]);
   });
 }
 
-// Sincronizar gastos con Firebase
-async function syncExpensesWithFirebase(expenses) {
-  // Esta función se conectaría con Firebase desde el Service Worker
-  // Por ahora, simulamos la sincronización
-  console.log('🔥 Syncing expenses with Firebase:', expenses.length);
+async function getOutboxStats() {
+  const [actions, deadLetters] = await Promise.all([
+    getOfflineActions(),
+    outboxRequest(DEAD_LETTER_STORE, 'readonly', store => store.count())
+  ]);
   
-  for (const expense of expenses) {
-    // Simular delay de red
-    await new Promise(resolve => setTimeout(resolve, 100));
-    console.log(`🔥 Synced expense to Firebase: ${expense.id}`);
-  }
+  return { pending: actions.length, deadLetters };
 }
 
 // Notificar a las pestañas abiertas
@@ -711,23 +833,3 @@ async function notifyTabsOfSync(type, data = null) {
     });
   });
 }
-
-// Funciones auxiliares (implementación básica)
-async function syncSingleExpense(expense) {
-  console.log('Syncing single expense:', expense.id);
-  // Implementar lógica de sincronización
-}
-
-async function removePendingExpense(id) {
-  console.log('Removing pending expense:', id);
-  // Implementar eliminación de IndexedDB
-}
-
-async function getPendingBatches() { return []; }
-async function processBatch(batch) { console.log('Processing batch:', batch.id); }
-async function removePendingBatch(id) { console.log('Removing batch:', id); }
-async function getOfflineActions() { return []; }
-async function processOfflineAction(action) { console.log('Processing action:', action.type); }
-async function removeOfflineAction(id) { console.log('Removing action:', id); }
-
-console.log('🚀 Service Worker v5.0.0 cargado - SMART CACHE: Estrategias inteligentes + IndexedDB + Precarga optimizada');
\ No newline at end of file